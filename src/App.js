@@ -2,6 +2,7 @@ import React, { useState, useEffect, useCallback, useRef } from 'react';
 import './App.css';
 import TelemetryDetailModal from './components/TelemetryDetailModal';
 import NASACameraGallery from './components/NASACameraGallery';
+import PhotoSearchView from './components/PhotoSearchView';
 import AdvancedMissionTimeline from './components/AdvancedMissionTimeline';
 import NASAMarsMap from './components/NASAMarsMap';
 import { SkeletonLoader, TelemetryCardSkeleton, MapSkeleton, ImageSkeleton } from './components/SkeletonLoaders';
@@ -10,18 +11,25 @@ import LoadingScreen from './components/common/LoadingScreen';
 import ErrorScreen from './components/common/ErrorScreen';
 import Header from './components/layout/Header';
 import TelemetryPanel from './components/telemetry/TelemetryPanel';
+import RenderProfiler from './components/common/RenderProfiler';
 
 import './animations.css';
 import { getRoverData } from './api/roverData';
+import { manifestWatcher, subscribeToManifestEvents } from './utils/nasaManifestUtils';
+import { isAbortError } from './utils/abortUtils';
+import { DEFAULT_ROVER, getRoverProfile } from './data/roverProfiles';
+import { globalEventDispatcher } from './systems/eventSystem';
+import { calculatePowerBudget } from './utils/powerModel';
+import { getSolGeometry } from './utils/earthMarsGeometry';
 import AdvancedFeaturesOverlay from './components/AdvancedFeaturesOverlay';
 import unifiedCache from './api/unifiedCacheSystem.js';
+import { metricsPusher } from './api/metricsExporter.js';
 
 // Live update interval for real-time data refreshing (30 seconds)
 const LIVE_UPDATE_INTERVAL = 30000;
 
-// Performance monitoring for App-level operations
+// Performance monitoring for App-level operations (render timings go to performanceMonitor through RenderProfiler)
 const appPerformanceMetrics = {
-  renderTime: [],
   dataFetchTime: [],
   cacheHits: 0,
   cacheMisses: 0,
@@ -39,6 +47,7 @@ function App() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedSol, setSelectedSol] = useState(null);
+  const [rover, setRover] = useState(DEFAULT_ROVER); // Switched through MissionStateManager.switchRover
   const [lastUpdateTime, setLastUpdateTime] = useState(null);
   const [isLiveMode, setIsLiveMode] = useState(true);
   const [notifications, setNotifications] = useState([]);
@@ -46,6 +55,7 @@ function App() {
   const [leftPanelCollapsed, setLeftPanelCollapsed] = useState(false);
   const [rightPanelCollapsed, setRightPanelCollapsed] = useState(false);
   const [telemetryGroup, setTelemetryGroup] = useState('all'); // 'all', 'environmental', 'systems', 'atmospheric'
+  const [cameraView, setCameraView] = useState('sol'); // 'sol' (current sol's cameras) or 'search'
   const [mapZoomLevel, setMapZoomLevel] = useState(1);
   const [mapZoomMemory, setMapZoomMemory] = useState({});
   
@@ -68,20 +78,30 @@ function App() {
     setModalTelemetryType(null);
   };
   
+  // In-flight fetch - superseded by the next fetchRoverData call (timeline scrubbing, auto-play)
+  const fetchControllerRef = useRef(null);
+  
   // Optimized data fetching with unified cache and performance monitoring
+  // Loads and live refreshes fetch photo page 1 only, so a busy sol doesn't spend the hourly quota; sol totals come
+  // from the manifest, and the gallery walks the remaining pages in the background when it needs them
   const fetchRoverData = useCallback(async (sol = null, forceRefresh = false) => {
     const startTime = Date.now();
     
+    // Cancel the previous request so its late response can't overwrite newer state
+    fetchControllerRef.current?.abort();
+    const controller = new AbortController();
+    fetchControllerRef.current = controller;
+    
     try {
       setLoading(true);
-      const cacheKey = `rover-data-${sol || 'latest'}`;
+      const cacheKey = `rover-data-${rover}-${sol || 'latest'}`;
       
       // Use unified cache with automatic request deduplication
       let response;
       if (forceRefresh) {
         // Force refresh: clear cache and fetch new data
         unifiedCache.invalidate(cacheKey);
-        response = await getRoverData(sol);
+        response = await getRoverData(rover, sol, { signal: controller.signal });
         appPerformanceMetrics.cacheMisses++;
       } else {
         // Check unified cache first
@@ -90,11 +110,16 @@ function App() {
           response = cached;
           appPerformanceMetrics.cacheHits++;
         } else {
-          response = await getRoverData(sol);
+          response = await getRoverData(rover, sol, { signal: controller.signal });
           appPerformanceMetrics.cacheMisses++;
         }
       }
       
+      // A newer request started while this one was resolving
+      if (controller.signal.aborted) {
+        return;
+      }
+      
       setRoverData(response);
       setSelectedSol(response.header.sol);
       setError(null);
@@ -110,52 +135,54 @@ function App() {
       });
       
     } catch (err) {
+      if (isAbortError(err)) {
+        return;
+      }
       console.error('Error fetching rover data:', err);
       setError('Failed to load Mars rover data - Connection issues or rate limiting');
       appPerformanceMetrics.errors++;
     } finally {
-      setLoading(false);
+      // Only the latest request controls the loading state
+      if (fetchControllerRef.current === controller) {
+        setLoading(false);
+      }
     }
-  }, []);
+  }, [rover]);
   
-  // Auto-refresh for live mode with discovery simulation  
+  // Auto-refresh for live mode
   useEffect(() => {
     if (!isLiveMode) return;
     
     const interval = setInterval(() => {
       fetchRoverData(selectedSol, true); // Force refresh for live data
-      
-      // Simulate discoveries occasionally (5% chance)
-      if (Math.random() < 0.05 && selectedSol) {
-        const discoveries = [
-          {
-            type: 'discovery',
-            title: 'GEOLOGICAL FORMATION DETECTED',
-            message: 'Unusual rock stratification pattern identified via SUPERCAM analysis',
-            sol: selectedSol
-          },
-          {
-            type: 'sample',
-            title: 'SAMPLE COLLECTION CANDIDATE',
-            message: 'High-priority target identified for future drilling operation',
-            sol: selectedSol
-          },
-          {
-            type: 'data',
-            title: 'ATMOSPHERIC ANOMALY',
-            message: 'Unexpected methane trace detected in current atmospheric readings',
-            sol: selectedSol
-          }
-        ];
-        
-        const randomDiscovery = discoveries[Math.floor(Math.random() * discoveries.length)];
-        setNotifications(prev => [...prev.slice(-2), randomDiscovery]); // Keep only last 3
-      }
     }, LIVE_UPDATE_INTERVAL);
     
     return () => clearInterval(interval);
   }, [selectedSol, isLiveMode, fetchRoverData]);
   
+  // Rover switches reload the dashboard (fetchRoverData changes with the rover, so the initial load re-runs)
+  useEffect(() => {
+    return globalEventDispatcher.subscribe('rover_changed', ({ rover: nextRover }) => {
+      setRover(getRoverProfile(nextRover).id);
+    });
+  }, []);
+  
+  // Manifest changes (new sols, late downlinks, new cameras, mission status) become notifications
+  useEffect(() => {
+    return subscribeToManifestEvents((event) => {
+      setNotifications(prev => [...prev.slice(-2), event]); // Keep only last 3
+    }, rover);
+  }, [rover]);
+  
+  // Poll the manifest while live
+  useEffect(() => {
+    if (!isLiveMode) return;
+    return manifestWatcher.watch(rover);
+  }, [isLiveMode, rover]);
+  
+  // Push metric snapshots to the local collector, if REACT_APP_METRICS_COLLECTOR_URL is set
+  useEffect(() => metricsPusher.start(), []);
+  
   const handleSolChange = useCallback((newSol, forceRefresh = false) => {
     if (newSol !== selectedSol) {
       // Save current zoom level for the current SOL
@@ -210,13 +237,22 @@ function App() {
   const radiationData = React.useMemo(() => generateTelemetryData(203, 30), [generateTelemetryData]);
   const distanceData = React.useMemo(() => generateTelemetryData(2, 0.5), [generateTelemetryData]);
   const dustData = React.useMemo(() => generateTelemetryData(150, 80), [generateTelemetryData]);
-  const batteryData = React.useMemo(() => generateTelemetryData(92, 8), [generateTelemetryData]);
-  const powerData = React.useMemo(() => generateTelemetryData(410, 50), [generateTelemetryData]);
+  // Modeled history for the selected rover: battery and power under typical dust and overnight lows, Earth light time
+  const historyRover = roverData?.header?.rover || rover;
+  const powerHistory = React.useMemo(() => Array.from({length: 50}, (_, i) => (
+    calculatePowerBudget({ rover: historyRover, sol: Math.max(0, selectedSol - 50 + i + 1) })
+  )), [historyRover, selectedSol]);
+  const batteryData = React.useMemo(() => powerHistory.map(budget => budget.batteryCharge), [powerHistory]);
+  const powerData = React.useMemo(() => powerHistory.map(budget => budget.averageWatts), [powerHistory]);
   const pressureData = React.useMemo(() => generateTelemetryData(6.35, 0.8), [generateTelemetryData]);
-  const commData = React.useMemo(() => generateTelemetryData(90, 10), [generateTelemetryData]);
+  const commData = React.useMemo(() => Array.from({length: 50}, (_, i) => (
+    getSolGeometry(Math.max(0, selectedSol - 50 + i + 1), historyRover).lightTimeMinutes
+  )), [historyRover, selectedSol]);
 
   useEffect(() => {
     fetchRoverData();
+    // Cancel whatever is still in flight on unmount
+    return () => fetchControllerRef.current?.abort();
   }, [fetchRoverData]);
   
   // Conditional returns AFTER all hooks
@@ -285,13 +321,15 @@ function App() {
           {loading ? (
             <MapSkeleton />
           ) : (
-            <NASAMarsMap 
-              route={roverData.map.route}
-              currentPosition={roverData.map.current_position}
-              selectedSol={selectedSol}
-              onLocationClick={handleLocationClick}
-              zoomLevel={mapZoomLevel}
-            />
+            <RenderProfiler id="NASAMarsMap">
+              <NASAMarsMap 
+                route={roverData.map.route}
+                currentPosition={roverData.map.current_position}
+                selectedSol={selectedSol}
+                onLocationClick={handleLocationClick}
+                zoomLevel={mapZoomLevel}
+              />
+            </RenderProfiler>
           )}
           
           {/* Map Zoom Controls */}
@@ -331,18 +369,40 @@ function App() {
               </div>
             </div>
           ) : (
-            <NASACameraGallery cameras={roverData.cameras} />
+            <>
+              <div className="camera-view-toggle">
+                <button className={cameraView === 'sol' ? 'active' : ''} onClick={() => setCameraView('sol')}>
+                  SOL {roverData.header.sol}
+                </button>
+                <button className={cameraView === 'search' ? 'active' : ''} onClick={() => setCameraView('search')}>
+                  SEARCH
+                </button>
+              </div>
+              {cameraView === 'search' ? (
+                <PhotoSearchView rover={roverData.header.rover} />
+              ) : (
+                <NASACameraGallery
+                  cameras={roverData.cameras}
+                  photoCounts={roverData.photoCounts}
+                  rover={roverData.header.rover}
+                  sol={roverData.header.sol}
+                />
+              )}
+            </>
           )}
         </div>
       </div>
 
       {/* ADVANCED MISSION TIMELINE - Fixed Bottom */}
       <div className="nasa-timeline-container">
-        <AdvancedMissionTimeline 
-          sols={roverData.timeline.sols}
-          selectedSol={selectedSol}
-          onSolChange={handleSolChange}
-        />
+        <RenderProfiler id="AdvancedMissionTimeline">
+          <AdvancedMissionTimeline 
+            sols={roverData.timeline.sols}
+            selectedSol={selectedSol}
+            rover={roverData.header.rover}
+            onSolChange={handleSolChange}
+          />
+        </RenderProfiler>
       </div>
 
       {/* ADVANCED FEATURES OVERLAY */}
@@ -377,13 +437,15 @@ function App() {
       </div>
       
       {/* Telemetry Detail Modal */}
-      <TelemetryDetailModal 
-        isOpen={modalOpen}
-        onClose={handleModalClose}
-        telemetryData={modalTelemetryData}
-        telemetryType={modalTelemetryType}
-        roverData={roverData}
-      />
+      <RenderProfiler id="TelemetryDetailModal">
+        <TelemetryDetailModal 
+          isOpen={modalOpen}
+          onClose={handleModalClose}
+          telemetryData={modalTelemetryData}
+          telemetryType={modalTelemetryType}
+          roverData={roverData}
+        />
+      </RenderProfiler>
     </div>
   );
 }
@@ -0,0 +1,186 @@
+// Circuit Breaker for NASA API Endpoints
+// Per-endpoint closed/open/half-open breaker so an outage fails fast instead of waiting out every retry
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed', // Healthy - requests flow normally
+  OPEN: 'open', // Failing - requests are rejected until the reset timeout passes
+  HALF_OPEN: 'half_open' // Probing - a limited number of trial requests decide whether to close again
+};
+
+const DEFAULT_BREAKER_CONFIG = {
+  failureThreshold: parseInt(process.env.REACT_APP_CIRCUIT_FAILURE_THRESHOLD, 10) || 5, // Consecutive failed attempts
+  resetTimeout: parseInt(process.env.REACT_APP_CIRCUIT_RESET_TIMEOUT_MS, 10) || 30000, // Open -> half-open
+  halfOpenMaxRequests: 1 // Concurrent trial requests while half-open
+};
+
+// Thrown instead of calling an endpoint whose circuit is open
+class CircuitOpenError extends Error {
+  constructor(endpoint, retryAt) {
+    super(`NASA endpoint ${endpoint} is unavailable (circuit open). Retrying after ${new Date(retryAt).toLocaleTimeString()}.`);
+    this.name = 'CircuitOpenError';
+    this.endpoint = endpoint;
+    this.retryAt = retryAt;
+  }
+}
+
+class CircuitBreaker {
+  constructor(endpoint, config = {}, onStateChange = null) {
+    this.endpoint = endpoint;
+    this.config = { ...DEFAULT_BREAKER_CONFIG, ...config };
+    this.onStateChange = onStateChange;
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.halfOpenInFlight = 0;
+    this.stats = { failures: 0, successes: 0, rejected: 0, opened: 0 };
+    this.lastError = null;
+  }
+
+  // Open circuits move to half-open once the reset timeout has passed
+  refreshState(now = Date.now()) {
+    if (this.state === CIRCUIT_STATES.OPEN && now - this.openedAt >= this.config.resetTimeout) {
+      this.transition(CIRCUIT_STATES.HALF_OPEN);
+    }
+    return this.state;
+  }
+
+  /**
+   * Reserve permission to call the endpoint
+   * @returns {boolean} False when the request should fail fast
+   */
+  tryAcquire() {
+    const state = this.refreshState();
+
+    if (state === CIRCUIT_STATES.CLOSED) return true;
+    if (state === CIRCUIT_STATES.HALF_OPEN && this.halfOpenInFlight < this.config.halfOpenMaxRequests) {
+      this.halfOpenInFlight++;
+      return true;
+    }
+
+    this.stats.rejected++;
+    return false;
+  }
+
+  // Release a half-open trial slot without a verdict (e.g. the request was cancelled)
+  release() {
+    if (this.halfOpenInFlight > 0) {
+      this.halfOpenInFlight--;
+    }
+  }
+
+  recordSuccess() {
+    this.stats.successes++;
+    this.consecutiveFailures = 0;
+    this.release();
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      this.transition(CIRCUIT_STATES.CLOSED);
+    }
+  }
+
+  recordFailure(error = null) {
+    this.stats.failures++;
+    this.consecutiveFailures++;
+    this.lastError = error?.message || null;
+    this.release();
+
+    // A failed trial re-opens immediately; a closed circuit opens at the threshold
+    if (this.state === CIRCUIT_STATES.HALF_OPEN ||
+        (this.state === CIRCUIT_STATES.CLOSED && this.consecutiveFailures >= this.config.failureThreshold)) {
+      this.transition(CIRCUIT_STATES.OPEN);
+    }
+  }
+
+  // Further attempts (retries) are only worth making while the circuit is closed
+  allowsRetry() {
+    return this.state === CIRCUIT_STATES.CLOSED;
+  }
+
+  getRetryAt() {
+    return this.state === CIRCUIT_STATES.OPEN ? this.openedAt + this.config.resetTimeout : Date.now();
+  }
+
+  createOpenError() {
+    return new CircuitOpenError(this.endpoint, this.getRetryAt());
+  }
+
+  transition(state) {
+    const previousState = this.state;
+    this.state = state;
+
+    if (state === CIRCUIT_STATES.OPEN) {
+      this.openedAt = Date.now();
+      this.stats.opened++;
+      console.warn(`Circuit opened for ${this.endpoint} after ${this.consecutiveFailures} consecutive failures`);
+    } else if (state === CIRCUIT_STATES.CLOSED) {
+      this.openedAt = null;
+      this.halfOpenInFlight = 0;
+    }
+
+    if (this.onStateChange) {
+      this.onStateChange(this.endpoint, this.getStatus(), previousState);
+    }
+  }
+
+  getStatus() {
+    const state = this.refreshState();
+    return {
+      state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.config.failureThreshold,
+      openedAt: this.openedAt,
+      retryAt: state === CIRCUIT_STATES.OPEN ? this.getRetryAt() : null,
+      lastError: this.lastError,
+      ...this.stats
+    };
+  }
+}
+
+// One breaker per endpoint, created on first use
+class CircuitBreakerRegistry {
+  constructor({ config = {}, endpointConfig = {}, onStateChange = null } = {}) {
+    this.config = config; // Overrides for every endpoint
+    this.endpointConfig = endpointConfig; // Per-endpoint overrides, keyed by endpoint name
+    this.onStateChange = onStateChange;
+    this.breakers = new Map();
+  }
+
+  get(endpoint) {
+    if (!this.breakers.has(endpoint)) {
+      this.breakers.set(endpoint, new CircuitBreaker(
+        endpoint,
+        { ...this.config, ...this.endpointConfig[endpoint] },
+        this.onStateChange
+      ));
+    }
+    return this.breakers.get(endpoint);
+  }
+
+  configure(endpoint, config) {
+    this.endpointConfig[endpoint] = { ...this.endpointConfig[endpoint], ...config };
+    if (this.breakers.has(endpoint)) {
+      const breaker = this.breakers.get(endpoint);
+      breaker.config = { ...breaker.config, ...config };
+    }
+  }
+
+  getStatus() {
+    return Object.fromEntries(
+      Array.from(this.breakers.entries()).map(([endpoint, breaker]) => [endpoint, breaker.getStatus()])
+    );
+  }
+
+  // Endpoints whose circuit is open or half-open
+  getOpenEndpoints() {
+    return Array.from(this.breakers.values())
+      .filter(breaker => breaker.refreshState() !== CIRCUIT_STATES.CLOSED)
+      .map(breaker => breaker.endpoint);
+  }
+
+  reset() {
+    this.breakers.clear();
+  }
+}
+
+export { CircuitBreaker, CircuitBreakerRegistry, CircuitOpenError };
+export default CircuitBreakerRegistry;
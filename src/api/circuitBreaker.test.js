@@ -0,0 +1,142 @@
+import { CIRCUIT_STATES, CircuitBreaker, CircuitBreakerRegistry, CircuitOpenError } from './circuitBreaker';
+
+const NOW = 1700000000000;
+const CONFIG = { failureThreshold: 3, resetTimeout: 30000, halfOpenMaxRequests: 1 };
+
+describe('CircuitBreaker', () => {
+  let now;
+
+  beforeEach(() => {
+    now = NOW;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Open a breaker by failing it up to its threshold
+  const openBreaker = (breaker) => {
+    for (let attempt = 0; attempt < CONFIG.failureThreshold; attempt++) {
+      breaker.recordFailure(new Error('HTTP 503'));
+    }
+  };
+
+  test('opens after the threshold of consecutive failures', () => {
+    const breaker = new CircuitBreaker('photos', CONFIG);
+    breaker.recordFailure();
+    breaker.recordFailure();
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+    expect(breaker.allowsRetry()).toBe(true);
+
+    breaker.recordFailure(new Error('HTTP 503'));
+    expect(breaker.state).toBe(CIRCUIT_STATES.OPEN);
+    expect(breaker.allowsRetry()).toBe(false);
+    expect(breaker.getStatus()).toMatchObject({ retryAt: NOW + CONFIG.resetTimeout, lastError: 'HTTP 503', opened: 1 });
+  });
+
+  test('a success resets the consecutive failure count', () => {
+    const breaker = new CircuitBreaker('photos', CONFIG);
+    breaker.recordFailure();
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+  });
+
+  test('rejects requests while open and fails fast with a CircuitOpenError', () => {
+    const breaker = new CircuitBreaker('photos', CONFIG);
+    openBreaker(breaker);
+
+    expect(breaker.tryAcquire()).toBe(false);
+    expect(breaker.getStatus().rejected).toBe(1);
+
+    const error = breaker.createOpenError();
+    expect(error).toBeInstanceOf(CircuitOpenError);
+    expect(error).toMatchObject({ endpoint: 'photos', retryAt: NOW + CONFIG.resetTimeout });
+  });
+
+  test('half-opens after the reset timeout and allows one trial request', () => {
+    const breaker = new CircuitBreaker('photos', CONFIG);
+    openBreaker(breaker);
+
+    now = NOW + CONFIG.resetTimeout - 1;
+    expect(breaker.refreshState()).toBe(CIRCUIT_STATES.OPEN);
+
+    now = NOW + CONFIG.resetTimeout;
+    expect(breaker.tryAcquire()).toBe(true);
+    expect(breaker.state).toBe(CIRCUIT_STATES.HALF_OPEN);
+    expect(breaker.tryAcquire()).toBe(false);
+  });
+
+  test('a successful trial closes the circuit', () => {
+    const breaker = new CircuitBreaker('photos', CONFIG);
+    openBreaker(breaker);
+    now = NOW + CONFIG.resetTimeout;
+    breaker.tryAcquire();
+
+    breaker.recordSuccess();
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+    expect(breaker.getStatus()).toMatchObject({ consecutiveFailures: 0, openedAt: null });
+    expect(breaker.tryAcquire()).toBe(true);
+  });
+
+  test('a failed trial re-opens the circuit for another reset timeout', () => {
+    const breaker = new CircuitBreaker('photos', CONFIG);
+    openBreaker(breaker);
+    now = NOW + CONFIG.resetTimeout;
+    breaker.tryAcquire();
+
+    breaker.recordFailure(new Error('HTTP 500'));
+    expect(breaker.state).toBe(CIRCUIT_STATES.OPEN);
+    expect(breaker.getRetryAt()).toBe(NOW + 2 * CONFIG.resetTimeout);
+  });
+
+  test('releasing a cancelled trial frees its slot without a verdict', () => {
+    const breaker = new CircuitBreaker('photos', CONFIG);
+    openBreaker(breaker);
+    now = NOW + CONFIG.resetTimeout;
+    breaker.tryAcquire();
+
+    breaker.release();
+    expect(breaker.state).toBe(CIRCUIT_STATES.HALF_OPEN);
+    expect(breaker.tryAcquire()).toBe(true);
+  });
+
+  test('reports every state change', () => {
+    const onStateChange = jest.fn();
+    const breaker = new CircuitBreaker('photos', CONFIG, onStateChange);
+    openBreaker(breaker);
+    now = NOW + CONFIG.resetTimeout;
+    breaker.tryAcquire();
+    breaker.recordSuccess();
+
+    expect(onStateChange.mock.calls.map(([endpoint, status, previous]) => [endpoint, previous, status.state])).toEqual([
+      ['photos', CIRCUIT_STATES.CLOSED, CIRCUIT_STATES.OPEN],
+      ['photos', CIRCUIT_STATES.OPEN, CIRCUIT_STATES.HALF_OPEN],
+      ['photos', CIRCUIT_STATES.HALF_OPEN, CIRCUIT_STATES.CLOSED]
+    ]);
+  });
+});
+
+describe('CircuitBreakerRegistry', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps one breaker per endpoint with per-endpoint overrides', () => {
+    const registry = new CircuitBreakerRegistry({ config: CONFIG, endpointConfig: { manifests: { failureThreshold: 1 } } });
+    expect(registry.get('photos')).toBe(registry.get('photos'));
+
+    registry.get('manifests').recordFailure();
+    registry.get('photos').recordFailure();
+    expect(registry.getOpenEndpoints()).toEqual(['manifests']);
+  });
+});
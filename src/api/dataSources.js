@@ -0,0 +1,285 @@
+// Pluggable Data Source Adapters for NASA API
+// Live NASA access, recorded fixture playback for offline use, and a record mode that captures live responses
+
+const NASA_BASE_URL = 'https://api.nasa.gov/mars-photos/api/v1';
+const DEFAULT_FIXTURE_ROOT = `${process.env.PUBLIC_URL || ''}/fixtures/nasa`;
+const FIXTURE_BUNDLE_FILE = 'index.json'; // Bundle written by RecordingDataSource.downloadFixtures
+const RECORDING_STORAGE_PREFIX = 'mars-rover-recorded-fixtures:'; // One storage key per fixture path
+
+export const DATA_SOURCE_MODES = {
+  LIVE: 'live',
+  FIXTURE: 'fixture',
+  RECORD: 'record'
+};
+
+/**
+ * Map a NASA API URL to a stable fixture path
+ * The api_key parameter is dropped and remaining query parameters are sorted so the
+ * same request always resolves to the same file, e.g.
+ * `.../rovers/perseverance/photos?sol=100&api_key=X` -> `rovers/perseverance/photos/sol-100`
+ * @param {string} url - Full NASA API request URL
+ * @returns {string} Fixture path without extension
+ */
+export const getFixturePath = (url) => {
+  const parsed = new URL(url, NASA_BASE_URL);
+  const basePath = new URL(NASA_BASE_URL).pathname;
+  const path = parsed.pathname.startsWith(basePath)
+    ? parsed.pathname.slice(basePath.length)
+    : parsed.pathname;
+
+  const querySegments = Array.from(parsed.searchParams.entries())
+    .filter(([name]) => name !== 'api_key')
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, value]) => `${name}-${value}`);
+
+  return [path.replace(/^\/+|\/+$/g, ''), ...querySegments].join('/');
+};
+
+// Minimal Response-compatible wrapper so makeRequest handles every adapter the same way
+const createJsonResponse = (data, status = 200, statusText = 'OK', headers = null) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText,
+  headers: headers || { get: () => null },
+  json: async () => data
+});
+
+// Static servers answer unknown paths with index.html, so only trust JSON content
+const isJsonResponse = (response) => (
+  response.ok && (response.headers.get('content-type') || '').includes('json')
+);
+
+// Live adapter - talks to the NASA Mars Photos API
+class LiveNASADataSource {
+  constructor() {
+    this.mode = DATA_SOURCE_MODES.LIVE;
+  }
+
+  async fetch(url, options = {}) {
+    return fetch(url, options);
+  }
+
+  getInfo() {
+    return { mode: this.mode, baseUrl: NASA_BASE_URL };
+  }
+}
+
+// Fixture adapter - serves recorded manifest and photo JSON
+class FixtureDataSource {
+  constructor({ fixtureRoot = DEFAULT_FIXTURE_ROOT, fixtures = null, loader = null } = {}) {
+    this.mode = DATA_SOURCE_MODES.FIXTURE;
+    this.fixtureRoot = fixtureRoot;
+    this.fixtures = new Map(Object.entries(fixtures || {})); // In-memory fixtures take priority
+    this.loader = loader || this.loadFromFixtureRoot.bind(this);
+    this.bundlePromise = null;
+    this.misses = [];
+  }
+
+  // Load the recorded bundle (`<fixtureRoot>/index.json`) once, if one exists
+  loadBundle() {
+    if (!this.bundlePromise) {
+      this.bundlePromise = fetch(`${this.fixtureRoot}/${FIXTURE_BUNDLE_FILE}`)
+        .then(response => (isJsonResponse(response) ? response.json() : {}))
+        .then(bundle => this.addFixtures(bundle || {}))
+        .catch(() => {});
+    }
+    return this.bundlePromise;
+  }
+
+  // Default loader checks the bundle, then fetches `<fixtureRoot>/<path>.json` (served from public/ in the browser)
+  async loadFromFixtureRoot(fixturePath) {
+    await this.loadBundle();
+    if (this.fixtures.has(fixturePath)) {
+      return this.fixtures.get(fixturePath);
+    }
+
+    const response = await fetch(`${this.fixtureRoot}/${fixturePath}.json`);
+    if (!isJsonResponse(response)) return null;
+    return response.json();
+  }
+
+  async fetch(url) {
+    const fixturePath = getFixturePath(url);
+
+    if (this.fixtures.has(fixturePath)) {
+      return createJsonResponse(this.fixtures.get(fixturePath));
+    }
+
+    let data = null;
+    try {
+      data = await this.loader(fixturePath);
+    } catch (error) {
+      console.warn(`Failed to load fixture ${fixturePath}:`, error.message);
+    }
+
+    if (data === null || data === undefined) {
+      this.misses.push({ fixturePath, timestamp: Date.now() });
+      if (this.misses.length > 50) {
+        this.misses.shift();
+      }
+      return createJsonResponse({ error: `No recorded fixture for ${fixturePath}` }, 404, 'Fixture Not Found');
+    }
+
+    this.fixtures.set(fixturePath, data);
+    return createJsonResponse(data);
+  }
+
+  addFixtures(fixtures) {
+    Object.entries(fixtures).forEach(([fixturePath, data]) => {
+      this.fixtures.set(fixturePath, data);
+    });
+  }
+
+  getInfo() {
+    return {
+      mode: this.mode,
+      fixtureRoot: this.fixtureRoot,
+      loadedFixtures: this.fixtures.size,
+      recentMisses: this.misses.map(miss => miss.fixturePath)
+    };
+  }
+}
+
+// Record adapter - proxies to the live adapter and captures every successful JSON response
+class RecordingDataSource {
+  constructor({ liveSource = new LiveNASADataSource(), storage = getDefaultStorage() } = {}) {
+    this.mode = DATA_SOURCE_MODES.RECORD;
+    this.liveSource = liveSource;
+    this.storage = storage;
+    this.recordings = new Map(Object.entries(this.loadPersistedRecordings()));
+  }
+
+  async fetch(url, options = {}) {
+    const response = await this.liveSource.fetch(url, options);
+    if (!response.ok) {
+      return response;
+    }
+
+    const data = await response.json();
+    const fixturePath = getFixturePath(url);
+    this.recordings.set(fixturePath, data);
+    this.persistRecording(fixturePath, data);
+
+    // Body has been consumed - hand back a replayable response with the original headers
+    return createJsonResponse(data, response.status, response.statusText, response.headers);
+  }
+
+  // Storage keys of every persisted recording
+  getStorageKeys() {
+    const keys = [];
+    try {
+      for (let index = 0; index < (this.storage?.length || 0); index++) {
+        const key = this.storage.key(index);
+        if (key && key.startsWith(RECORDING_STORAGE_PREFIX)) {
+          keys.push(key);
+        }
+      }
+    } catch {
+      // Storage unavailable - nothing persisted
+    }
+    return keys;
+  }
+
+  loadPersistedRecordings() {
+    const recordings = {};
+    this.getStorageKeys().forEach(key => {
+      try {
+        recordings[key.slice(RECORDING_STORAGE_PREFIX.length)] = JSON.parse(this.storage.getItem(key));
+      } catch {
+        // Unreadable entry - skip it, the rest still load
+      }
+    });
+    return recordings;
+  }
+
+  // Each response is stored under its own key, so a write costs one fixture rather than the whole set
+  persistRecording(fixturePath, data) {
+    try {
+      this.storage?.setItem(`${RECORDING_STORAGE_PREFIX}${fixturePath}`, JSON.stringify(data));
+    } catch (error) {
+      // Storage quota exceeded - recordings remain available in memory
+      console.warn(`Failed to persist recorded fixture ${fixturePath}:`, error.message);
+    }
+  }
+
+  // Export recordings as { fixturePath: json } - the shape FixtureDataSource accepts
+  exportFixtures() {
+    return Object.fromEntries(this.recordings);
+  }
+
+  // Browser helper: download recordings as a single JSON bundle
+  downloadFixtures(filename = 'nasa-fixtures.json') {
+    if (typeof document === 'undefined') return false;
+
+    const blob = new Blob([JSON.stringify(this.exportFixtures(), null, 2)], { type: 'application/json' });
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+    return true;
+  }
+
+  clearRecordings() {
+    this.recordings.clear();
+    this.getStorageKeys().forEach(key => this.storage.removeItem(key));
+  }
+
+  getInfo() {
+    return {
+      mode: this.mode,
+      recordedFixtures: this.recordings.size
+    };
+  }
+}
+
+function getDefaultStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create a data source adapter for the requested mode
+ * @param {string} mode - 'live', 'fixture' or 'record' (default: REACT_APP_DATA_SOURCE or 'live')
+ * @param {Object} options - Adapter-specific options
+ * @returns {LiveNASADataSource|FixtureDataSource|RecordingDataSource} The data source adapter
+ */
+export const createDataSource = (mode = process.env.REACT_APP_DATA_SOURCE || DATA_SOURCE_MODES.LIVE, options = {}) => {
+  switch (String(mode).toLowerCase()) {
+    case DATA_SOURCE_MODES.FIXTURE:
+      return new FixtureDataSource(options);
+    case DATA_SOURCE_MODES.RECORD:
+      return new RecordingDataSource(options);
+    case DATA_SOURCE_MODES.LIVE:
+      return new LiveNASADataSource();
+    default:
+      console.warn(`Unknown data source mode "${mode}", using live NASA API`);
+      return new LiveNASADataSource();
+  }
+};
+
+// Global data source shared by every NASAApiService instance
+let activeDataSource = createDataSource();
+
+export const getDataSource = () => activeDataSource;
+
+/**
+ * Swap the global data source (e.g. switch to fixtures for a demo or benchmark run)
+ * @param {Object|string} dataSourceOrMode - An adapter instance or a mode name
+ * @param {Object} options - Adapter options when a mode name is given
+ * @returns {Object} The active data source
+ */
+export const setDataSource = (dataSourceOrMode, options = {}) => {
+  activeDataSource = typeof dataSourceOrMode === 'string'
+    ? createDataSource(dataSourceOrMode, options)
+    : dataSourceOrMode;
+  return activeDataSource;
+};
+
+export { LiveNASADataSource, FixtureDataSource, RecordingDataSource };
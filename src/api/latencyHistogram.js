@@ -0,0 +1,208 @@
+// Streaming Latency Histograms
+// HDR-style log-linear histograms per endpoint over sliding time windows - bounded memory, no stored samples
+
+// Sub-buckets per power of two: values under SUB_BUCKETS ms are exact, larger ones are within 1/SUB_BUCKETS (~3%)
+const SUB_BUCKETS = 32;
+const LINEAR_EXPONENT = Math.log2(SUB_BUCKETS);
+const MAX_TRACKED_VALUE = 2 ** 24; // ms (~4.7 hours) - larger values land in the last bucket
+const MAX_ENDPOINTS = 50; // Further endpoints are tracked together as OTHER_ENDPOINT
+
+export const OVERALL_ENDPOINT = '*';
+export const OTHER_ENDPOINT = 'other';
+
+// Sliding windows; each is a ring of time slices that expire as a whole
+export const LATENCY_WINDOWS = {
+  '1m': { duration: 60 * 1000, sliceDuration: 10 * 1000 },
+  '15m': { duration: 15 * 60 * 1000, sliceDuration: 60 * 1000 },
+  '1h': { duration: 60 * 60 * 1000, sliceDuration: 60 * 1000 }
+};
+
+// Bucket index of a value in ms
+const getBucketIndex = (value) => {
+  const clamped = Math.min(Math.max(0, value), MAX_TRACKED_VALUE);
+  if (clamped < SUB_BUCKETS) {
+    return Math.floor(clamped);
+  }
+  const exponent = Math.floor(Math.log2(clamped));
+  const subBucket = Math.floor((clamped / 2 ** exponent - 1) * SUB_BUCKETS);
+  return SUB_BUCKETS * (exponent - LINEAR_EXPONENT + 1) + subBucket;
+};
+
+// Midpoint of a bucket in ms
+const getBucketValue = (index) => {
+  if (index < SUB_BUCKETS) {
+    return index;
+  }
+  const exponent = Math.floor(index / SUB_BUCKETS) + LINEAR_EXPONENT - 1;
+  const subBucket = index % SUB_BUCKETS;
+  const width = 2 ** exponent / SUB_BUCKETS;
+  return 2 ** exponent + subBucket * width + width / 2;
+};
+
+// Sparse bucket counts plus exact count and max
+class LatencyHistogram {
+  constructor() {
+    this.buckets = new Map(); // Bucket index -> count
+    this.count = 0;
+    this.max = 0;
+  }
+
+  record(value) {
+    const index = getBucketIndex(value);
+    this.buckets.set(index, (this.buckets.get(index) || 0) + 1);
+    this.count++;
+    this.max = Math.max(this.max, value);
+  }
+
+  merge(other) {
+    other.buckets.forEach((count, index) => {
+      this.buckets.set(index, (this.buckets.get(index) || 0) + count);
+    });
+    this.count += other.count;
+    this.max = Math.max(this.max, other.max);
+    return this;
+  }
+
+  // Nearest-rank percentile (p in [0, 1]), never above the exact max
+  getPercentile(p) {
+    if (this.count === 0) return 0;
+
+    const rank = Math.max(1, Math.ceil(p * this.count));
+    const indexes = Array.from(this.buckets.keys()).sort((a, b) => a - b);
+    let seen = 0;
+    for (const index of indexes) {
+      seen += this.buckets.get(index);
+      if (seen >= rank) {
+        return Math.min(Math.round(getBucketValue(index)), Math.round(this.max));
+      }
+    }
+    return Math.round(this.max);
+  }
+
+  getSummary() {
+    return {
+      count: this.count,
+      p50: this.getPercentile(0.5),
+      p90: this.getPercentile(0.9),
+      p99: this.getPercentile(0.99),
+      max: Math.round(this.max)
+    };
+  }
+}
+
+// Ring of time slices covering one window
+class SlidingHistogram {
+  constructor({ duration, sliceDuration }) {
+    this.duration = duration;
+    this.sliceDuration = sliceDuration;
+    this.slices = []; // { start, histogram }, oldest first
+  }
+
+  prune(now) {
+    const oldest = now - this.duration;
+    while (this.slices.length > 0 && this.slices[0].start + this.sliceDuration <= oldest) {
+      this.slices.shift();
+    }
+  }
+
+  record(value, timestamp) {
+    const start = Math.floor(timestamp / this.sliceDuration) * this.sliceDuration;
+    let slice = this.slices[this.slices.length - 1];
+    if (!slice || slice.start < start) {
+      slice = { start, histogram: new LatencyHistogram() };
+      this.slices.push(slice);
+    } else if (slice.start > start) {
+      // Out-of-order timestamp - count it in the slice it belongs to, if that slice is still kept
+      slice = this.slices.find(candidate => candidate.start === start);
+      if (!slice) return;
+    }
+    slice.histogram.record(value);
+    this.prune(timestamp);
+  }
+
+  // Merged histogram of the slices still inside the window (granularity: one slice); `until` leaves out slices
+  // that end after it
+  getHistogram(now = Date.now(), until = Infinity) {
+    this.prune(now);
+    return this.slices
+      .filter(slice => slice.start + this.sliceDuration <= until)
+      .reduce((merged, slice) => merged.merge(slice.histogram), new LatencyHistogram());
+  }
+}
+
+/**
+ * Per-endpoint latency percentiles over the LATENCY_WINDOWS
+ * Every sample is recorded under its endpoint and under OVERALL_ENDPOINT.
+ */
+class LatencyTracker {
+  constructor(windows = LATENCY_WINDOWS) {
+    this.windows = windows;
+    this.endpoints = new Map(); // Endpoint -> { [window]: SlidingHistogram }
+  }
+
+  getEndpoint(endpoint) {
+    // Past the cap, new endpoints share OTHER_ENDPOINT (which is created regardless of the cap)
+    const key = this.endpoints.has(endpoint) || endpoint === OVERALL_ENDPOINT || this.endpoints.size < MAX_ENDPOINTS
+      ? endpoint
+      : OTHER_ENDPOINT;
+    if (!this.endpoints.has(key)) {
+      this.endpoints.set(key, Object.fromEntries(
+        Object.entries(this.windows).map(([name, config]) => [name, new SlidingHistogram(config)])
+      ));
+    }
+    return this.endpoints.get(key);
+  }
+
+  record(endpoint, duration, timestamp = Date.now()) {
+    [OVERALL_ENDPOINT, endpoint].forEach(key => {
+      Object.values(this.getEndpoint(key)).forEach(histogram => histogram.record(duration, timestamp));
+    });
+  }
+
+  /**
+   * Percentiles per endpoint and window
+   * @param {number} now - Evaluation time (default: now)
+   * @returns {Object} { overall: { [window]: summary }, endpoints: { [endpoint]: { [window]: summary } } },
+   *   where summary is { count, p50, p90, p99, max } in ms
+   */
+  getSummary(now = Date.now()) {
+    const summarize = (histograms) => Object.fromEntries(
+      Object.entries(histograms).map(([name, histogram]) => [name, histogram.getHistogram(now).getSummary()])
+    );
+    const emptyWindows = Object.fromEntries(
+      Object.keys(this.windows).map(name => [name, new LatencyHistogram().getSummary()])
+    );
+
+    const endpoints = {};
+    this.endpoints.forEach((histograms, endpoint) => {
+      if (endpoint !== OVERALL_ENDPOINT) {
+        endpoints[endpoint] = summarize(histograms);
+      }
+    });
+
+    return {
+      overall: this.endpoints.has(OVERALL_ENDPOINT) ? summarize(this.endpoints.get(OVERALL_ENDPOINT)) : emptyWindows,
+      endpoints
+    };
+  }
+
+  /**
+   * Percentiles of one window with its most recent part left out - a baseline that a recent slowdown
+   * doesn't drag up with it
+   * @param {string} endpoint - Endpoint (or OVERALL_ENDPOINT)
+   * @param {Object} options - { window (default '1h'), exclude: ms of recent samples to leave out, now }
+   * @returns {Object} { count, p50, p90, p99, max } in ms (all 0 for an unknown endpoint)
+   */
+  getBaseline(endpoint, { window = '1h', exclude = 0, now = Date.now() } = {}) {
+    const histograms = this.endpoints.get(endpoint);
+    const histogram = histograms ? histograms[window].getHistogram(now, exclude > 0 ? now - exclude : Infinity) : new LatencyHistogram();
+    return histogram.getSummary();
+  }
+
+  reset() {
+    this.endpoints.clear();
+  }
+}
+
+export { LatencyHistogram, SlidingHistogram, LatencyTracker };
+export default LatencyTracker;
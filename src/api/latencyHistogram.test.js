@@ -0,0 +1,53 @@
+import { LatencyTracker, OTHER_ENDPOINT, OVERALL_ENDPOINT } from './latencyHistogram';
+
+const NOW = 10 * 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+describe('LatencyTracker', () => {
+  test('tracks endpoints past the cap together as other', () => {
+    const tracker = new LatencyTracker();
+    for (let index = 0; index < 60; index++) {
+      tracker.record(`/endpoint-${index}`, 100, NOW);
+    }
+
+    const { overall, endpoints } = tracker.getSummary(NOW);
+    expect(overall['1m'].count).toBe(60);
+    expect(Object.keys(endpoints)).toHaveLength(50);
+    expect(endpoints[OTHER_ENDPOINT]['1m'].count).toBe(11);
+    expect(endpoints['/endpoint-0']['1m'].count).toBe(1);
+    expect(endpoints['/endpoint-59']).toBeUndefined();
+  });
+
+  test('keeps recording endpoints seen before the cap was reached', () => {
+    const tracker = new LatencyTracker();
+    for (let index = 0; index < 60; index++) {
+      tracker.record(`/endpoint-${index}`, 100, NOW);
+    }
+    tracker.record('/endpoint-1', 200, NOW);
+
+    expect(tracker.getSummary(NOW).endpoints['/endpoint-1']['1m'].count).toBe(2);
+  });
+
+  test('baseline leaves out the recent window', () => {
+    const tracker = new LatencyTracker();
+    for (let minute = 59; minute > 15; minute--) {
+      tracker.record('/photos', 200, NOW - minute * MINUTE);
+    }
+    for (let index = 19; index >= 0; index--) {
+      tracker.record('/photos', 2000, NOW - Math.floor(index / 2) * MINUTE);
+    }
+
+    const baseline = tracker.getBaseline('/photos', { exclude: 15 * MINUTE, now: NOW });
+    expect(baseline.count).toBe(44);
+    expect(baseline.p90).toBeLessThan(250);
+    expect(tracker.getSummary(NOW).endpoints['/photos']['1h'].count).toBe(64);
+  });
+
+  test('baseline of an unknown endpoint is empty', () => {
+    const tracker = new LatencyTracker();
+    tracker.record('/photos', 200, NOW);
+
+    expect(tracker.getBaseline('/manifests', { now: NOW }).count).toBe(0);
+    expect(tracker.getBaseline(OVERALL_ENDPOINT, { now: NOW }).count).toBe(1);
+  });
+});
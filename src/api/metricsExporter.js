@@ -0,0 +1,292 @@
+// Metrics Exporter
+// Serializes performanceMonitor and unified cache metrics to OpenMetrics text and OTLP JSON, and can push
+// snapshots periodically to a local collector (e.g. an OpenTelemetry Collector or Prometheus Pushgateway)
+
+import performanceMonitor from './performanceMonitor.js';
+import unifiedCache from './unifiedCacheSystem.js';
+import NASAApiService from './nasaApiService.js';
+import { OVERALL_ENDPOINT } from './latencyHistogram.js';
+import { CIRCUIT_STATES } from './circuitBreaker.js';
+
+const COLLECTOR_URL = process.env.REACT_APP_METRICS_COLLECTOR_URL || null;
+const PUSH_INTERVAL = parseInt(process.env.REACT_APP_METRICS_PUSH_INTERVAL_MS, 10) || 15000;
+
+const METRIC_PREFIX = 'mars_mission_control_';
+const SERVICE_NAME = 'mars-rover-mission-control';
+const SERVICE_VERSION = '1.0.0';
+
+export const METRICS_FORMATS = {
+  OPENMETRICS: 'openmetrics',
+  OTLP: 'otlp'
+};
+
+const PUSH_FORMAT = process.env.REACT_APP_METRICS_FORMAT || METRICS_FORMATS.OTLP;
+
+export const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+// Quota, scheduler and circuit state are shared by every service instance
+const apiService = new NASAApiService();
+
+// Quantile label values of the latency summaries; max is reported as quantile 1
+const LATENCY_QUANTILES = [['0.5', 'p50'], ['0.9', 'p90'], ['0.99', 'p99'], ['1', 'max']];
+const HEALTH_STATES = ['healthy', 'degraded', 'unhealthy'];
+
+// Metric family - samples share a name, type and help text
+const family = (name, type, help, samples, unit = null) => ({ name: `${METRIC_PREFIX}${name}`, type, help, unit, samples });
+const sample = (labels, value) => ({ labels, value });
+
+/**
+ * Collect every exported metric from performanceMonitor, the unified cache and the API service
+ * @param {number} now - Collection time in ms (default: now)
+ * @returns {Object} { timestamp, startTimestamp, families: [{ name, type: 'counter' | 'gauge', help, unit, samples }] }
+ */
+export const collectMetrics = (now = Date.now()) => {
+  const { metrics } = performanceMonitor;
+  const latency = metrics.latency.getSummary(now);
+  const health = performanceMonitor.getHealthStatus();
+  const cacheInfo = unifiedCache.getDebugInfo();
+  const cacheMetrics = cacheInfo.metrics;
+  const api = apiService.getApiStatus();
+
+  const latencyEndpoints = [[OVERALL_ENDPOINT, latency.overall], ...Object.entries(latency.endpoints)];
+  const renders = performanceMonitor.getRenderReport(now);
+  const cacheClasses = {};
+  cacheInfo.entries.forEach(entry => {
+    ['memory', 'disk'].filter(tier => entry.tier.includes(tier)).forEach(tier => {
+      const key = `${entry.type}|${tier}`;
+      const totals = cacheClasses[key] || (cacheClasses[key] = { cache_class: entry.type, tier, entries: 0, bytes: 0 });
+      totals.entries++;
+      totals.bytes += entry.size || 0;
+    });
+  });
+
+  const families = [
+    family('api_requests', 'counter', 'NASA API requests by endpoint and outcome',
+      Object.entries(metrics.apiRequests.byEndpoint).flatMap(([endpoint, counts]) => [
+        sample({ endpoint, outcome: 'success' }, counts.successful),
+        sample({ endpoint, outcome: 'failure' }, counts.failed)
+      ])),
+    family('api_errors', 'counter', 'NASA API errors by error type',
+      Object.entries(metrics.errors.byType).map(([errorType, count]) => sample({ error_type: String(errorType) }, count))),
+    family('api_request_duration_seconds', 'gauge',
+      'NASA API request latency quantiles over sliding windows (endpoint "*" is every endpoint; quantile 1 is the max)',
+      latencyEndpoints.flatMap(([endpoint, windows]) => Object.entries(windows).flatMap(([window, summary]) => (
+        LATENCY_QUANTILES.map(([quantile, field]) => sample({ endpoint, window, quantile }, summary[field] / 1000))
+      ))), 'seconds'),
+    family('api_request_window_samples', 'gauge', 'Requests in each latency window',
+      latencyEndpoints.flatMap(([endpoint, windows]) => Object.entries(windows).map(([window, summary]) => (
+        sample({ endpoint, window }, summary.count)
+      )))),
+    family('api_quota_remaining', 'gauge', 'NASA API requests left in the hourly quota',
+      [sample({ source: api.quota.source }, api.quota.remaining)]),
+    family('api_quota_limit', 'gauge', 'NASA API hourly request quota',
+      [sample({ source: api.quota.source }, api.quota.limit)]),
+    family('scheduler_queued_requests', 'gauge', 'Requests waiting in the request scheduler by priority lane',
+      Object.entries(api.scheduler.byLane).map(([lane, queued]) => sample({ lane }, queued))),
+    family('scheduler_active_requests', 'gauge', 'Requests currently running',
+      [sample({}, api.scheduler.active)]),
+    family('circuit_breaker_state', 'gauge', 'Circuit breaker state per endpoint (1 for the current state)',
+      Object.entries(api.circuits).flatMap(([endpoint, circuit]) => (
+        Object.values(CIRCUIT_STATES).map(state => sample({ endpoint, state }, circuit.state === state ? 1 : 0))
+      ))),
+    family('web_vital', 'gauge', 'Latest Core Web Vitals value by metric name and rating (ms; CLS is unitless)',
+      Object.entries(metrics.webVitals).map(([name, vital]) => sample({ name, rating: vital.rating }, vital.value))),
+    family('component_renders', 'counter', 'React Profiler commits by component and phase',
+      Object.entries(renders.components).flatMap(([component, counts]) => [
+        sample({ component, phase: 'mount' }, counts.mounts),
+        sample({ component, phase: 'update' }, counts.updates)
+      ])),
+    family('component_render_duration_seconds', 'gauge', 'React render duration quantiles by component over sliding windows',
+      Object.entries(renders.components).flatMap(([component, { durations }]) => (
+        Object.entries(durations).flatMap(([window, summary]) => (
+          LATENCY_QUANTILES.map(([quantile, field]) => sample({ component, window, quantile }, summary[field] / 1000))
+        ))
+      )), 'seconds'),
+    family('cache_lookups', 'counter', 'Cache lookups by tier and result', [
+      sample({ tier: 'memory', result: 'hit' }, cacheMetrics.cache.hits),
+      sample({ tier: 'memory', result: 'miss' }, cacheMetrics.cache.misses),
+      sample({ tier: 'disk', result: 'hit' }, cacheMetrics.cache.persistent.hits),
+      sample({ tier: 'disk', result: 'miss' }, cacheMetrics.cache.persistent.misses)
+    ]),
+    family('cache_stale_served', 'counter', 'Expired cache entries served while revalidating',
+      [sample({}, cacheMetrics.requests.staleServed)]),
+    family('cache_revalidation_failures', 'counter', 'Background refreshes of stale entries that failed',
+      [sample({}, cacheMetrics.requests.revalidationFailures)]),
+    family('cache_entries', 'gauge', 'Cache entries by TTL class and tier',
+      Object.values(cacheClasses).map(({ cache_class, tier, entries }) => sample({ cache_class, tier }, entries))),
+    family('cache_size_bytes', 'gauge', 'Estimated cache size by TTL class and tier',
+      Object.values(cacheClasses).map(({ cache_class, tier, bytes }) => sample({ cache_class, tier }, bytes)), 'bytes'),
+    family('cache_pending_requests', 'gauge', 'Deduplicated requests in flight',
+      [sample({}, cacheInfo.pending.length)]),
+    family('health_status', 'gauge', 'Overall health (1 for the current status)',
+      HEALTH_STATES.map(status => sample({ status }, health.status === status ? 1 : 0))),
+    family('uptime_seconds', 'gauge', 'Seconds since the performance monitor started',
+      [sample({}, health.uptime)], 'seconds')
+  ];
+
+  return { timestamp: now, startTimestamp: metrics.health.uptime, families };
+};
+
+// OpenMetrics label value escaping
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+const formatValue = (value) => (Number.isFinite(value) ? String(value) : value > 0 ? '+Inf' : value < 0 ? '-Inf' : 'NaN');
+
+/**
+ * Serialize collected metrics to OpenMetrics text (Prometheus-compatible)
+ * @param {Object} snapshot - collectMetrics result (default: collected now)
+ * @returns {string} OpenMetrics exposition ending in `# EOF`
+ */
+export const toOpenMetrics = (snapshot = collectMetrics()) => {
+  const lines = [];
+  snapshot.families.forEach(({ name, type, help, unit, samples }) => {
+    lines.push(`# TYPE ${name} ${type}`);
+    if (unit) lines.push(`# UNIT ${name} ${unit}`);
+    lines.push(`# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    const sampleName = type === 'counter' ? `${name}_total` : name;
+    samples.forEach(({ labels, value }) => lines.push(`${sampleName}${formatLabels(labels)} ${formatValue(value)}`));
+  });
+  lines.push('# EOF');
+  return `${lines.join('\n')}\n`;
+};
+
+const toNanos = (ms) => `${Math.round(ms)}000000`;
+
+const toAttributes = (labels) => Object.entries(labels).map(([key, value]) => ({ key, value: { stringValue: String(value) } }));
+
+// OTLP number data point - int64 values are strings in the protobuf JSON mapping
+const toDataPoint = ({ labels, value }, snapshot, cumulative) => ({
+  attributes: toAttributes(labels),
+  ...(cumulative ? { startTimeUnixNano: toNanos(snapshot.startTimestamp) } : {}),
+  timeUnixNano: toNanos(snapshot.timestamp),
+  ...(Number.isInteger(value) ? { asInt: String(value) } : { asDouble: value })
+});
+
+const OTLP_UNITS = { seconds: 's', bytes: 'By' };
+const AGGREGATION_TEMPORALITY_CUMULATIVE = 2;
+
+/**
+ * Serialize collected metrics to an OTLP/HTTP JSON ExportMetricsServiceRequest
+ * Counters become cumulative monotonic sums, everything else gauges.
+ * @param {Object} snapshot - collectMetrics result (default: collected now)
+ * @returns {Object} { resourceMetrics: [...] }
+ */
+export const toOtlpJson = (snapshot = collectMetrics()) => ({
+  resourceMetrics: [{
+    resource: {
+      attributes: toAttributes({ 'service.name': SERVICE_NAME, 'service.version': SERVICE_VERSION })
+    },
+    scopeMetrics: [{
+      scope: { name: 'metricsExporter', version: SERVICE_VERSION },
+      metrics: snapshot.families.map(({ name, type, help, unit, samples }) => ({
+        name,
+        description: help,
+        unit: OTLP_UNITS[unit] || '1',
+        ...(type === 'counter'
+          ? {
+              sum: {
+                dataPoints: samples.map(point => toDataPoint(point, snapshot, true)),
+                aggregationTemporality: AGGREGATION_TEMPORALITY_CUMULATIVE,
+                isMonotonic: true
+              }
+            }
+          : { gauge: { dataPoints: samples.map(point => toDataPoint(point, snapshot, false)) } })
+      }))
+    }]
+  }]
+});
+
+// Periodic push of metric snapshots to a collector URL
+class MetricsPusher {
+  constructor({ url = COLLECTOR_URL, format = PUSH_FORMAT, interval = PUSH_INTERVAL, fetchImpl = null } = {}) {
+    this.url = url;
+    this.format = format;
+    this.interval = interval;
+    this.fetchImpl = fetchImpl;
+    this.timer = null;
+    this.consecutiveFailures = 0;
+    this.lastPush = null; // { timestamp, ok, status, error }
+  }
+
+  // Serialize one snapshot in the configured format
+  serialize(snapshot = collectMetrics()) {
+    return this.format === METRICS_FORMATS.OPENMETRICS
+      ? { body: toOpenMetrics(snapshot), contentType: OPENMETRICS_CONTENT_TYPE }
+      : { body: JSON.stringify(toOtlpJson(snapshot)), contentType: 'application/json' };
+  }
+
+  async push() {
+    const { body, contentType } = this.serialize();
+    const fetchImpl = this.fetchImpl || fetch;
+
+    try {
+      const response = await fetchImpl(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': contentType },
+        body,
+        keepalive: true
+      });
+      if (!response.ok) {
+        throw new Error(`Collector responded ${response.status}`);
+      }
+      this.consecutiveFailures = 0;
+      this.lastPush = { timestamp: Date.now(), ok: true, status: response.status, error: null };
+    } catch (error) {
+      // Warn once per failure streak - an unreachable collector shouldn't flood the console
+      if (this.consecutiveFailures === 0) {
+        console.warn(`Metrics push to ${this.url} failed:`, error.message);
+      }
+      this.consecutiveFailures++;
+      this.lastPush = { timestamp: Date.now(), ok: false, status: null, error: error.message };
+    }
+    return this.lastPush;
+  }
+
+  // Start pushing every `interval` ms (no-op without a collector URL); returns a stop function
+  start() {
+    if (!this.url || this.timer) {
+      return () => this.stop();
+    }
+    this.push();
+    this.timer = setInterval(() => this.push(), this.interval);
+    return () => this.stop();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getStatus() {
+    return {
+      url: this.url,
+      format: this.format,
+      interval: this.interval,
+      running: this.timer !== null,
+      consecutiveFailures: this.consecutiveFailures,
+      lastPush: this.lastPush
+    };
+  }
+}
+
+// Pusher configured from REACT_APP_METRICS_COLLECTOR_URL / _FORMAT / _PUSH_INTERVAL_MS
+const metricsPusher = new MetricsPusher();
+
+export { MetricsPusher, metricsPusher };
+
+const metricsExporter = {
+  METRICS_FORMATS,
+  collectMetrics,
+  toOpenMetrics,
+  toOtlpJson,
+  metricsPusher
+};
+
+export default metricsExporter;
@@ -3,15 +3,41 @@
 
 import unifiedCache from './unifiedCacheSystem.js';
 import performanceMonitor from './performanceMonitor.js';
+import { getDataSource, DATA_SOURCE_MODES } from './dataSources.js';
+import { RequestScheduler, REQUEST_PRIORITY } from './requestScheduler.js';
+import { CircuitBreakerRegistry, CIRCUIT_STATES } from './circuitBreaker.js';
+import photoSearchIndex from './photoSearchIndex.js';
+import { abortableSleep, isAbortError, throwIfAborted } from '../utils/abortUtils.js';
 
 const NASA_BASE_URL = 'https://api.nasa.gov/mars-photos/api/v1';
 const NASA_API_KEY = process.env.REACT_APP_NASA_API_KEY || process.env.NASA_API_KEY || 'DEMO_KEY';
 
+// api.data.gov quotas: DEMO_KEY allows 30 requests/hour, registered keys 1000/hour (rolling window)
+const DEMO_KEY_REQUESTS_PER_HOUR = 30;
+const API_KEY_REQUESTS_PER_HOUR = 1000;
+const RATE_LIMIT_WINDOW = 60 * 60 * 1000;
+
+// Mars Photos API pagination
+const PHOTOS_PER_PAGE = 25;
+const MAX_PHOTO_PAGES = 100; // Safety stop for runaway iteration
+
 // Enhanced rate limiting and exponential backoff retry logic
 class APIRateLimit {
-  constructor() {
+  constructor(maxRequestsPerHour = NASA_API_KEY === 'DEMO_KEY' ? DEMO_KEY_REQUESTS_PER_HOUR : API_KEY_REQUESTS_PER_HOUR) {
     this.requests = [];
-    this.MAX_REQUESTS_PER_HOUR = 1000; // NASA API limit
+    this.MAX_REQUESTS_PER_HOUR = maxRequestsPerHour; // Local estimate until the server reports its quota
+
+    // Authoritative quota reported by NASA (X-RateLimit-* / Retry-After headers)
+    this.serverState = {
+      limit: null,
+      remaining: null,
+      resetAt: null,
+      retryAfterUntil: null,
+      updatedAt: null
+    };
+
+    // Keep a slice of the quota for interactive (user-initiated) requests
+    this.backgroundReserve = 0.1; // 10% of the limit
     
     // Enhanced retry configuration with exponential backoff + jitter
     this.retryConfig = {
@@ -24,16 +50,100 @@ class APIRateLimit {
     };
   }
 
-  canMakeRequest() {
-    const oneHourAgo = Date.now() - (60 * 60 * 1000);
-    this.requests = this.requests.filter(time => time > oneHourAgo);
-    return this.requests.length < this.MAX_REQUESTS_PER_HOUR;
+  canMakeRequest(priority = REQUEST_PRIORITY.INTERACTIVE) {
+    const now = Date.now();
+    if (this.serverState.retryAfterUntil && now < this.serverState.retryAfterUntil) {
+      return false;
+    }
+
+    const { remaining, limit } = this.getQuotaStatus();
+    if (priority !== REQUEST_PRIORITY.INTERACTIVE) {
+      return remaining > Math.ceil(limit * this.backgroundReserve);
+    }
+    return remaining > 0;
   }
 
   recordRequest() {
     this.requests.push(Date.now());
   }
 
+  // Read the quota NASA reports on every response
+  updateFromHeaders(headers) {
+    if (!headers?.get) return;
+
+    const now = Date.now();
+    const limit = parseInt(headers.get('X-RateLimit-Limit'), 10);
+    const remaining = parseInt(headers.get('X-RateLimit-Remaining'), 10);
+    const reset = parseInt(headers.get('X-RateLimit-Reset'), 10);
+    const retryAfter = headers.get('Retry-After');
+
+    if (!Number.isNaN(limit) && !Number.isNaN(remaining)) {
+      this.serverState.limit = limit;
+      this.serverState.remaining = remaining;
+      this.serverState.updatedAt = now;
+      this.MAX_REQUESTS_PER_HOUR = limit;
+    }
+
+    if (!Number.isNaN(reset)) {
+      // Epoch seconds
+      this.serverState.resetAt = reset * 1000;
+    }
+
+    if (retryAfter) {
+      // Retry-After is either delay-seconds or an HTTP date
+      const seconds = Number(retryAfter);
+      const until = Number.isNaN(seconds) ? Date.parse(retryAfter) : now + seconds * 1000;
+      if (!Number.isNaN(until)) {
+        this.serverState.retryAfterUntil = until;
+      }
+    }
+  }
+
+  // Milliseconds to wait before the server accepts requests again (0 when not throttled)
+  getRetryAfterDelay() {
+    const until = this.serverState.retryAfterUntil;
+    return until ? Math.max(0, until - Date.now()) : 0;
+  }
+
+  // Remaining quota - server-reported when available, otherwise counted locally
+  getQuotaStatus() {
+    const now = Date.now();
+    const windowStart = now - RATE_LIMIT_WINDOW;
+    this.requests = this.requests.filter(time => time > windowStart);
+
+    const { limit, remaining, updatedAt } = this.serverState;
+    const hasServerState = updatedAt !== null && updatedAt > windowStart && remaining !== null;
+
+    // Requests sent since the last response aren't reflected in the server's count yet
+    const sentSinceUpdate = hasServerState ? this.requests.filter(time => time > updatedAt).length : 0;
+    const quota = hasServerState
+      ? { source: 'server', limit, remaining: Math.max(0, remaining - sentSinceUpdate) }
+      : { source: 'local', limit: this.MAX_REQUESTS_PER_HOUR, remaining: Math.max(0, this.MAX_REQUESTS_PER_HOUR - this.requests.length) };
+
+    // While throttled by Retry-After nothing is available, whatever the counters say
+    const retryAfter = this.getRetryAfterDelay();
+    if (retryAfter > 0) {
+      quota.remaining = 0;
+    }
+
+    const resetAt = this.getResetTime(now);
+    return {
+      ...quota,
+      resetAt: resetAt ? new Date(resetAt).toISOString() : null,
+      timeUntilReset: resetAt ? Math.max(0, resetAt - now) : 0,
+      retryAfter
+    };
+  }
+
+  // When quota frees up: Retry-After, an explicit reset header, or the oldest request leaving the rolling window
+  getResetTime(now = Date.now()) {
+    const { retryAfterUntil, resetAt } = this.serverState;
+    if (retryAfterUntil && retryAfterUntil > now) return retryAfterUntil;
+    if (resetAt && resetAt > now) return resetAt;
+    if (this.requests.length > 0) return this.requests[0] + RATE_LIMIT_WINDOW;
+    return null;
+  }
+
   // Calculate exponential backoff delay with jitter
   calculateBackoffDelay(attempt) {
     const exponentialDelay = this.retryConfig.baseDelay * Math.pow(this.retryConfig.backoffMultiplier, attempt - 1);
@@ -50,7 +160,7 @@ class APIRateLimit {
 
   // Determine if error should be retried based on status code
   shouldRetry(error, attempt) {
-    if (attempt >= this.retryConfig.maxAttempts) {
+    if (attempt >= this.retryConfig.maxAttempts || isAbortError(error)) {
       return false;
     }
 
@@ -81,8 +191,9 @@ class APIRateLimit {
     return true;
   }
 
-  async sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  // Backoff sleep - ends early with an AbortError when the request is cancelled
+  async sleep(ms, signal = null) {
+    return abortableSleep(ms, signal);
   }
 
   // Enhanced error categorization
@@ -107,30 +218,109 @@ class APIRateLimit {
 
 const rateLimiter = new APIRateLimit();
 
+// Shared by every NASAApiService instance so the concurrency cap is global; queue depth feeds performanceMonitor
+const requestScheduler = new RequestScheduler({
+  onQueueChange: stats => performanceMonitor.recordQueueDepth(stats)
+});
+
+// Shared per-endpoint circuit breakers; state changes feed performanceMonitor's health status
+const circuitBreakers = new CircuitBreakerRegistry({
+  onStateChange: (endpoint, status) => performanceMonitor.recordCircuitState(endpoint, status)
+});
+
+// Failures that say the endpoint itself is unhealthy - client errors, auth and throttling don't trip the breaker
+const BREAKER_FAILURE_CATEGORIES = ['server_error', 'network', 'unknown'];
+
 // Enhanced NASA API service with comprehensive error handling
 class NASAApiService {
-  constructor() {
+  constructor(options = {}) {
     this.baseUrl = NASA_BASE_URL;
     this.apiKey = NASA_API_KEY;
+    this.dataSource = options.dataSource || null; // Falls back to the global data source
+    this.scheduler = options.scheduler || requestScheduler;
+    this.circuitBreakers = options.circuitBreakers || circuitBreakers;
+  }
+
+  // Resolve the data source adapter (live NASA, recorded fixtures or record mode)
+  getDataSource() {
+    return this.dataSource || getDataSource();
   }
 
-  // Enhanced API request handler with exponential backoff + jitter and performance monitoring
-  async makeRequest(url, endpoint = 'unknown') {
-    if (!rateLimiter.canMakeRequest()) {
-      const error = new Error('API rate limit exceeded. Please try again later.');
-      performanceMonitor.recordApiRequest(0, false, endpoint, 'RATE_LIMIT_EXCEEDED');
-      throw error;
+  // Enhanced API request handler with server-aware rate limiting and request priorities
+  // options: { priority: scheduler lane, caller: fairness key, signal } - an aborted signal
+  // removes a queued request or stops a running one and any pending retries
+  // Requests to an endpoint whose circuit is open fail fast with a CircuitOpenError (without queueing)
+  async makeRequest(url, endpoint = 'unknown', options = {}) {
+    const { priority = REQUEST_PRIORITY.INTERACTIVE, caller, key = null, signal = null } = options;
+    const breaker = this.circuitBreakers.get(endpoint);
+
+    if (breaker.refreshState() === CIRCUIT_STATES.OPEN) {
+      throw breaker.createOpenError();
     }
 
+    // Recorded fixtures never reach NASA, so they don't count against the hourly quota
+    const dataSource = this.getDataSource();
+    const countsAgainstQuota = dataSource.mode !== DATA_SOURCE_MODES.FIXTURE;
+
+    // Each attempt takes its own scheduler slot, so a request sleeping in backoff doesn't hold one. Only the first
+    // attempt carries the request key (for promote()) and is admitted against the quota and circuit breaker
+    const scheduleAttempt = (attempt, task) => this.scheduler.schedule(async () => {
+      throwIfAborted(signal);
+
+      if (attempt === 1) {
+        if (countsAgainstQuota && !rateLimiter.canMakeRequest(priority)) {
+          const error = new Error(priority !== REQUEST_PRIORITY.INTERACTIVE
+            ? 'API quota is reserved for user-initiated requests. Please try again later.'
+            : 'API rate limit exceeded. Please try again later.');
+          performanceMonitor.recordApiRequest(0, false, endpoint, 'RATE_LIMIT_EXCEEDED');
+          throw error;
+        }
+
+        // Checked again after queueing - the circuit may have opened, or another request holds the half-open trial
+        if (!breaker.tryAcquire()) {
+          throw breaker.createOpenError();
+        }
+      }
+
+      return task();
+    }, { priority, caller: caller || endpoint, key: attempt === 1 ? key : null, signal });
+
+    return this.executeWithRetry(url, endpoint, { dataSource, countsAgainstQuota, signal, breaker, scheduleAttempt });
+  }
+
+  // Cached, deduplicated request - a caller joining a request still queued in a lower lane promotes it
+  // While an endpoint's circuit is open, a stale cached copy is still served (stale-while-revalidate)
+  async cachedRequest(cacheKey, url, endpoint, options = {}) {
+    this.scheduler.promote(cacheKey, options.priority || REQUEST_PRIORITY.INTERACTIVE);
+
+    return unifiedCache.deduplicateRequest(cacheKey, async (signal) => {
+      return await this.makeRequest(url, endpoint, { ...options, key: cacheKey, signal });
+    }, { signal: options.signal, forceRefresh: options.forceRefresh });
+  }
+
+  // Request loop with exponential backoff + jitter and performance monitoring
+  // Each attempt's outcome is reported to the endpoint's circuit breaker; retries stop once it opens
+  // options: { dataSource, countsAgainstQuota, signal, breaker, scheduleAttempt(attempt, task) } - admission
+  // errors from scheduleAttempt (quota, open circuit, cancelled while queued) are thrown without retrying
+  // Recorded durations are each attempt's own time in its scheduler slot - queueing and backoff sleeps are left out
+  async executeWithRetry(url, endpoint, options) {
+    const { dataSource, countsAgainstQuota, signal = null, breaker = this.circuitBreakers.get(endpoint), scheduleAttempt } = options;
     const startTime = Date.now();
     let lastError = null;
+    let lastDuration = 0;
 
     for (let attempt = 1; attempt <= rateLimiter.retryConfig.maxAttempts; attempt++) {
+      throwIfAborted(signal);
+
+      const outcome = await scheduleAttempt(attempt, () => this.fetchAttempt(url, dataSource, countsAgainstQuota, signal));
+      lastDuration = outcome.duration;
+
       try {
-        rateLimiter.recordRequest();
-        
-        const response = await fetch(url);
+        if (outcome.error) {
+          throw outcome.error;
+        }
         
+        const { response } = outcome;
         if (!response.ok) {
           const statusCode = response.status;
           const statusText = response.statusText;
@@ -139,58 +329,70 @@ class NASAApiService {
           
           // Categorize the error
           const errorInfo = rateLimiter.categorizeError(error, statusCode);
+          this.recordBreakerOutcome(breaker, errorInfo, error);
           
-          // Check if we should retry
-          if (rateLimiter.shouldRetry(error, attempt)) {
+          // Check if we should retry (a Retry-After beyond our max backoff means giving up for now)
+          const retryAfter = rateLimiter.getRetryAfterDelay();
+          if (rateLimiter.shouldRetry(error, attempt) && retryAfter <= rateLimiter.retryConfig.maxDelay && breaker.allowsRetry()) {
             lastError = error;
             
-            // Calculate exponential backoff delay with jitter
-            const delay = rateLimiter.calculateBackoffDelay(attempt);
+            // Calculate exponential backoff delay with jitter, honouring Retry-After
+            const delay = Math.max(rateLimiter.calculateBackoffDelay(attempt), retryAfter);
             
             console.warn(`API request attempt ${attempt} failed (${statusCode}): ${statusText}. Retrying in ${Math.round(delay)}ms...`);
             
             // Record failed attempt with performance monitoring
-            const failureDuration = Date.now() - startTime;
-            performanceMonitor.recordApiRequest(failureDuration, false, endpoint, errorInfo.type);
+            performanceMonitor.recordApiRequest(outcome.duration, false, endpoint, errorInfo.type);
             
-            await rateLimiter.sleep(delay);
+            await rateLimiter.sleep(delay, signal);
             continue;
           } else {
             // Don't retry - record failure and throw
-            const failureDuration = Date.now() - startTime;
-            performanceMonitor.recordApiRequest(failureDuration, false, endpoint, errorInfo.type);
+            performanceMonitor.recordApiRequest(outcome.duration, false, endpoint, errorInfo.type);
             throw error;
           }
         }
 
         // Success case
-        const data = await response.json();
-        const successDuration = Date.now() - startTime;
+        const { data } = outcome;
+        breaker.recordSuccess();
         
         // Record successful request with performance monitoring
-        performanceMonitor.recordApiRequest(successDuration, true, endpoint);
+        performanceMonitor.recordApiRequest(outcome.duration, true, endpoint);
         
         if (attempt > 1) {
-          console.log(`API request succeeded on attempt ${attempt} after ${successDuration}ms`);
+          console.log(`API request succeeded on attempt ${attempt} after ${Date.now() - startTime}ms`);
         }
         
         return data;
         
       } catch (error) {
-        const duration = Date.now() - startTime;
+        // Cancelled - not a failure, never retried
+        if (isAbortError(error)) {
+          breaker.release();
+          throw error;
+        }
+
+        const { duration } = outcome;
         lastError = error;
         
+        // HTTP errors were already reported to the breaker above; network errors and bad JSON weren't
+        if (!error.response) {
+          this.recordBreakerOutcome(breaker, rateLimiter.categorizeError(error), error);
+        }
+        
         // Handle network errors and other exceptions
-        if (rateLimiter.shouldRetry(error, attempt)) {
+        const retryAfter = rateLimiter.getRetryAfterDelay();
+        if (rateLimiter.shouldRetry(error, attempt) && retryAfter <= rateLimiter.retryConfig.maxDelay && breaker.allowsRetry()) {
           const errorInfo = rateLimiter.categorizeError(error);
-          const delay = rateLimiter.calculateBackoffDelay(attempt);
+          const delay = Math.max(rateLimiter.calculateBackoffDelay(attempt), retryAfter);
           
           console.warn(`API request attempt ${attempt} failed: ${error.message}. Retrying in ${Math.round(delay)}ms...`);
           
           // Record failed attempt with performance monitoring
           performanceMonitor.recordApiRequest(duration, false, endpoint, errorInfo.type);
           
-          await rateLimiter.sleep(delay);
+          await rateLimiter.sleep(delay, signal);
           continue;
         } else {
           // Don't retry - record final failure
@@ -202,70 +404,185 @@ class NASAApiService {
     }
 
     // If we get here, all retries failed
-    const finalDuration = Date.now() - startTime;
     const errorInfo = rateLimiter.categorizeError(lastError);
-    performanceMonitor.recordApiRequest(finalDuration, false, endpoint, errorInfo.type);
+    performanceMonitor.recordApiRequest(lastDuration, false, endpoint, errorInfo.type);
     throw lastError;
   }
 
+  // One attempt, run inside a scheduler slot - failures are returned rather than thrown so executeWithRetry can
+  // tell them apart from admission errors
+  // Returns { response, data, duration } or { error, duration }; duration covers the fetch and body parsing only
+  async fetchAttempt(url, dataSource, countsAgainstQuota, signal) {
+    const startTime = Date.now();
+    try {
+      if (countsAgainstQuota) {
+        rateLimiter.recordRequest();
+      }
+
+      const response = await dataSource.fetch(url, { signal });
+      if (countsAgainstQuota) {
+        rateLimiter.updateFromHeaders(response.headers);
+      }
+
+      const data = response.ok ? await response.json() : null;
+      return { response, data, duration: Date.now() - startTime };
+    } catch (error) {
+      return { error, duration: Date.now() - startTime };
+    }
+  }
+
+  // The endpoint answered (even with a client error) unless the failure is a server or network fault
+  recordBreakerOutcome(breaker, errorInfo, error) {
+    if (BREAKER_FAILURE_CATEGORIES.includes(errorInfo.category)) {
+      breaker.recordFailure(error);
+    } else {
+      breaker.recordSuccess();
+    }
+  }
+
   // Get rover manifest data with unified caching and request deduplication
-  async getRoverManifest(rover = 'perseverance') {
+  async getRoverManifest(rover = 'perseverance', options = {}) {
     const cacheKey = `manifest_${rover}`;
     
-    return await unifiedCache.deduplicateRequest(cacheKey, async () => {
-      const url = `${this.baseUrl}/manifests/${rover}?api_key=${this.apiKey}`;
-      return await this.makeRequest(url, `manifest_${rover}`);
-    });
+    const url = `${this.baseUrl}/manifests/${rover}?api_key=${this.apiKey}`;
+    return await this.cachedRequest(cacheKey, url, `manifest_${rover}`, options);
   }
 
-  // Get photos for specific sol with unified caching
-  async getPhotosForSol(rover, sol, camera = null) {
-    const cacheKey = `photos_${rover}_${sol}_${camera || 'all'}`;
+  // Every photo response - fresh, cached or stale - feeds the search index (known photo ids are skipped)
+  indexPhotos(data, rover, cacheKey) {
+    photoSearchIndex.addResponse(data, rover, cacheKey);
+    return data;
+  }
+
+  // Get photos for specific sol with unified caching (options.page fetches a single page)
+  async getPhotosForSol(rover, sol, camera = null, options = {}) {
+    const { page = null } = options;
+    const cacheKey = `photos_${rover}_${sol}_${camera || 'all'}${page ? `_p${page}` : ''}`;
     
-    return await unifiedCache.deduplicateRequest(cacheKey, async () => {
-      let url = `${this.baseUrl}/rovers/${rover}/photos?sol=${sol}&api_key=${this.apiKey}`;
-      if (camera) {
-        url += `&camera=${camera}`;
-      }
-      return await this.makeRequest(url, `photos_sol_${rover}`);
-    });
+    let url = `${this.baseUrl}/rovers/${rover}/photos?sol=${sol}&api_key=${this.apiKey}`;
+    if (camera) {
+      url += `&camera=${camera}`;
+    }
+    if (page) {
+      url += `&page=${page}`;
+    }
+    return this.indexPhotos(await this.cachedRequest(cacheKey, url, `photos_sol_${rover}`, options), rover, cacheKey);
   }
 
-  // Get photos for specific Earth date with unified caching
-  async getPhotosForDate(rover, earthDate, camera = null) {
-    const cacheKey = `photos_date_${rover}_${earthDate}_${camera || 'all'}`;
+  // Get photos for specific Earth date with unified caching (options.page fetches a single page)
+  async getPhotosForDate(rover, earthDate, camera = null, options = {}) {
+    const { page = null } = options;
+    const cacheKey = `photos_date_${rover}_${earthDate}_${camera || 'all'}${page ? `_p${page}` : ''}`;
     
-    return await unifiedCache.deduplicateRequest(cacheKey, async () => {
-      let url = `${this.baseUrl}/rovers/${rover}/photos?earth_date=${earthDate}&api_key=${this.apiKey}`;
-      if (camera) {
-        url += `&camera=${camera}`;
-      }
-      return await this.makeRequest(url, `photos_date_${rover}`);
-    });
+    let url = `${this.baseUrl}/rovers/${rover}/photos?earth_date=${earthDate}&api_key=${this.apiKey}`;
+    if (camera) {
+      url += `&camera=${camera}`;
+    }
+    if (page) {
+      url += `&page=${page}`;
+    }
+    return this.indexPhotos(await this.cachedRequest(cacheKey, url, `photos_date_${rover}`, options), rover, cacheKey);
   }
 
-  // Get latest photos with unified caching
-  async getLatestPhotos(rover) {
-    const cacheKey = `latest_${rover}`;
+  // Get latest photos with unified caching (options.page fetches a single page)
+  async getLatestPhotos(rover, options = {}) {
+    const { page = null } = options;
+    const cacheKey = `latest_${rover}${page ? `_p${page}` : ''}`;
     
-    return await unifiedCache.deduplicateRequest(cacheKey, async () => {
-      const url = `${this.baseUrl}/rovers/${rover}/latest_photos?api_key=${this.apiKey}`;
-      return await this.makeRequest(url, `latest_${rover}`);
-    });
+    let url = `${this.baseUrl}/rovers/${rover}/latest_photos?api_key=${this.apiKey}`;
+    if (page) {
+      url += `&page=${page}`;
+    }
+    return this.indexPhotos(await this.cachedRequest(cacheKey, url, `latest_${rover}`, options), rover, cacheKey);
+  }
+
+  /**
+   * Iterate a paginated photo query page by page
+   * Each page is fetched (and cached) individually; iteration stops at the first short page,
+   * or once `totalPhotos` photos have been seen when the caller knows the total from the manifest.
+   * @param {Function} fetchPage - (page) => Promise of one page's API response
+   * @param {Object} options - { startPage, maxPages, totalPhotos, signal }
+   * @yields {{ page: number, photos: Array, isLastPage: boolean, response: Object }}
+   */
+  async *iteratePages(fetchPage, options = {}) {
+    const { startPage = 1, maxPages = MAX_PHOTO_PAGES, totalPhotos = null, signal = null } = options;
+    let seen = 0;
+
+    for (let page = startPage; page < startPage + maxPages; page++) {
+      throwIfAborted(signal);
+
+      const data = await fetchPage(page);
+      const photos = data?.photos || data?.latest_photos || [];
+      seen += photos.length;
+
+      const isLastPage = photos.length < PHOTOS_PER_PAGE || (totalPhotos !== null && seen >= totalPhotos);
+      yield { page, photos, isLastPage, response: data };
+
+      if (isLastPage) return;
+    }
+  }
+
+  // Drain a page iterator into { photos, pages, complete, responses }
+  // responses keeps the per-page cache objects so callers can still check them for staleness
+  async collectPages(pageIterator) {
+    const photos = [];
+    const responses = [];
+    let complete = false;
+
+    for await (const page of pageIterator) {
+      photos.push(...page.photos);
+      responses.push(page.response);
+      complete = page.isLastPage;
+    }
+
+    return { photos, pages: responses.length, complete, responses };
+  }
+
+  // Stream every page of a sol's photos as an async iterator
+  iteratePhotosForSol(rover, sol, camera = null, options = {}) {
+    return this.iteratePages(page => this.getPhotosForSol(rover, sol, camera, { ...options, page }), options);
+  }
+
+  // Stream every page of an Earth date's photos as an async iterator
+  iteratePhotosForDate(rover, earthDate, camera = null, options = {}) {
+    return this.iteratePages(page => this.getPhotosForDate(rover, earthDate, camera, { ...options, page }), options);
+  }
+
+  // Stream every page of the latest photos as an async iterator
+  iterateLatestPhotos(rover, options = {}) {
+    return this.iteratePages(page => this.getLatestPhotos(rover, { ...options, page }), options);
+  }
+
+  // Get every photo for a sol across all pages
+  async getAllPhotosForSol(rover, sol, camera = null, options = {}) {
+    return this.collectPages(this.iteratePhotosForSol(rover, sol, camera, options));
+  }
+
+  // Get every photo for an Earth date across all pages
+  async getAllPhotosForDate(rover, earthDate, camera = null, options = {}) {
+    return this.collectPages(this.iteratePhotosForDate(rover, earthDate, camera, options));
+  }
+
+  // Get every latest photo across all pages
+  async getAllLatestPhotos(rover, options = {}) {
+    return this.collectPages(this.iterateLatestPhotos(rover, options));
   }
 
-  // Batch request for multiple sols
-  async getPhotosForSolRange(rover, startSol, endSol, maxPhotosPerSol = 10) {
+  // Batch request for multiple sols - background lane by default so it never delays the current-sol view;
+  // the scheduler's concurrency cap keeps the batch from flooding the API
+  async getPhotosForSolRange(rover, startSol, endSol, maxPhotosPerSol = 10, options = {}) {
+    const { priority = REQUEST_PRIORITY.BACKGROUND, caller = `sol_range_${rover}`, signal = null } = options;
     const promises = [];
     for (let sol = startSol; sol <= endSol; sol++) {
       promises.push(
-        this.getPhotosForSol(rover, sol)
+        this.getPhotosForSol(rover, sol, null, { priority, caller, signal })
           .then(data => ({ sol, photos: data.photos.slice(0, maxPhotosPerSol) }))
           .catch(error => ({ sol, error: error.message, photos: [] }))
       );
     }
 
     const results = await Promise.all(promises);
+    throwIfAborted(signal);
     return results;
   }
 
@@ -276,17 +593,24 @@ class NASAApiService {
 
   // Get comprehensive API status with unified cache metrics
   getApiStatus() {
-    const oneHourAgo = Date.now() - (60 * 60 * 1000);
-    const recentRequests = rateLimiter.requests.filter(time => time > oneHourAgo).length;
+    const quota = rateLimiter.getQuotaStatus();
+    const recentRequests = rateLimiter.requests.length;
     const cacheMetrics = unifiedCache.getMetrics();
     
     return {
       // Legacy API metrics
       cacheSize: cacheMetrics.cache.size,
       recentRequests,
-      remainingRequests: rateLimiter.MAX_REQUESTS_PER_HOUR - recentRequests,
+      remainingRequests: quota.remaining,
       canMakeRequest: rateLimiter.canMakeRequest(),
+      // Quota as reported by NASA (source: 'server') or counted locally (source: 'local')
+      quota,
+      scheduler: this.scheduler.getStats(),
+      // Per-endpoint circuit breaker state (closed / open / half_open)
+      circuits: this.circuitBreakers.getStatus(),
+      openCircuits: this.circuitBreakers.getOpenEndpoints(),
       apiKey: this.apiKey.substring(0, 8) + '...', // Masked API key
+      dataSource: this.getDataSource().getInfo(),
       
       // Enhanced unified cache metrics
       cache: cacheMetrics.cache,
@@ -296,4 +620,5 @@ class NASAApiService {
   }
 }
 
+export { REQUEST_PRIORITY, requestScheduler, circuitBreakers };
 export default NASAApiService;
\ No newline at end of file
@@ -0,0 +1,69 @@
+import NASAApiService from './nasaApiService';
+import RequestScheduler from './requestScheduler';
+import { CircuitBreakerRegistry } from './circuitBreaker';
+import performanceMonitor from './performanceMonitor';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status < 400,
+  status,
+  statusText: status < 400 ? 'OK' : 'Server Error',
+  headers: { get: () => null },
+  json: async () => body
+});
+
+const createService = (fetch) => new NASAApiService({
+  dataSource: { mode: 'fixture', fetch },
+  scheduler: new RequestScheduler({ concurrency: 1 }),
+  circuitBreakers: new CircuitBreakerRegistry()
+});
+
+describe('NASAApiService', () => {
+  let recorded;
+
+  beforeEach(() => {
+    recorded = [];
+    jest.spyOn(performanceMonitor, 'recordApiRequest').mockImplementation((duration, success, endpoint) => {
+      recorded.push({ duration, success, endpoint });
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('recorded latency leaves out time spent queued for a slot', async () => {
+    const service = createService(async (url) => {
+      await delay(url === 'slow' ? 200 : 0);
+      return jsonResponse({ url });
+    });
+
+    await Promise.all([service.makeRequest('slow', 'slow'), service.makeRequest('fast', 'fast')]);
+
+    const fast = recorded.find(entry => entry.endpoint === 'fast');
+    expect(fast.success).toBe(true);
+    expect(fast.duration).toBeLessThan(100);
+  });
+
+  test('a request in backoff frees its slot for queued requests', async () => {
+    const order = [];
+    let failures = 0;
+    const service = createService(async (url) => {
+      order.push(url);
+      if (url === 'flaky' && failures++ === 0) return jsonResponse(null, 500);
+      return jsonResponse({ url });
+    });
+
+    const flaky = service.makeRequest('flaky', 'flaky');
+    const other = service.makeRequest('other', 'other');
+
+    await expect(other).resolves.toEqual({ url: 'other' });
+    await expect(flaky).resolves.toEqual({ url: 'flaky' });
+    expect(order).toEqual(['flaky', 'other', 'flaky']);
+    // The backoff sleep (about a second) is in neither attempt's duration
+    expect(recorded.filter(entry => entry.endpoint === 'flaky').every(entry => entry.duration < 500)).toBe(true);
+  });
+});
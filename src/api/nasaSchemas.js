@@ -0,0 +1,311 @@
+// NASA API Payload Schemas - Validation and normalization for Mars Rover Photos responses
+// Checks manifest and photo payloads against declared schemas and converts them into one internal model
+
+import performanceMonitor from './performanceMonitor.js';
+
+// Error category reported to performanceMonitor for payloads that don't match their schema
+export const SCHEMA_ERROR = 'SCHEMA_ERROR';
+
+// Declared schemas - field types are 'string', 'integer', 'number', 'date', 'array' or 'object'
+const MANIFEST_SOL_SCHEMA = {
+  type: 'object',
+  fields: {
+    sol: { type: 'integer', required: true, min: 0 },
+    earth_date: { type: 'date' },
+    total_photos: { type: 'integer', required: true, min: 0 },
+    cameras: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+const MANIFEST_SCHEMA = {
+  type: 'object',
+  fields: {
+    photo_manifest: {
+      type: 'object',
+      required: true,
+      fields: {
+        name: { type: 'string', required: true },
+        status: { type: 'string' },
+        landing_date: { type: 'date', required: true },
+        launch_date: { type: 'date' },
+        max_sol: { type: 'integer', required: true, min: 0 },
+        max_date: { type: 'date', required: true },
+        total_photos: { type: 'integer', required: true, min: 0 },
+        photos: { type: 'array' } // Entries are checked one by one against MANIFEST_SOL_SCHEMA
+      }
+    }
+  }
+};
+
+const PHOTO_SCHEMA = {
+  type: 'object',
+  fields: {
+    id: { type: 'integer', required: true },
+    sol: { type: 'integer', required: true, min: 0 },
+    earth_date: { type: 'date', required: true },
+    img_src: { type: 'string', required: true },
+    camera: {
+      type: 'object',
+      required: true,
+      fields: {
+        id: { type: 'integer' },
+        name: { type: 'string', required: true },
+        full_name: { type: 'string' }
+      }
+    },
+    rover: {
+      type: 'object',
+      fields: {
+        id: { type: 'integer' },
+        name: { type: 'string' },
+        status: { type: 'string' }
+      }
+    }
+  }
+};
+
+// /photos responses use `photos`, /latest_photos responses use `latest_photos`
+const PHOTOS_RESPONSE_SCHEMA = {
+  type: 'object',
+  fields: { photos: { type: 'array', required: true } }
+};
+
+const LATEST_PHOTOS_RESPONSE_SCHEMA = {
+  type: 'object',
+  fields: { latest_photos: { type: 'array', required: true } }
+};
+
+export const SCHEMAS = {
+  manifest: MANIFEST_SCHEMA,
+  manifestSol: MANIFEST_SOL_SCHEMA,
+  photo: PHOTO_SCHEMA,
+  photos: PHOTOS_RESPONSE_SCHEMA,
+  latestPhotos: LATEST_PHOTOS_RESPONSE_SCHEMA
+};
+
+// Thrown when a payload is missing fields the internal model can't do without
+class SchemaValidationError extends Error {
+  constructor(payloadType, issues) {
+    super(`Invalid ${payloadType} payload: ${formatIssues(issues)}`);
+    this.name = 'SchemaValidationError';
+    this.type = SCHEMA_ERROR;
+    this.payloadType = payloadType;
+    this.issues = issues;
+  }
+}
+
+const formatIssues = (issues, limit = 3) => {
+  const shown = issues.slice(0, limit).map(issue => `${issue.path} ${issue.message}`).join('; ');
+  return issues.length > limit ? `${shown} (+${issues.length - limit} more)` : shown;
+};
+
+// Numbers may arrive as numeric strings after an upstream change - both convert to the same value
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+};
+
+/**
+ * Parse an API date ("YYYY-MM-DD" or full ISO timestamp) into a Date
+ * @param {*} value - Date string from the API
+ * @returns {Date|null} UTC date, or null when the value isn't a valid date
+ */
+export const parseApiDate = (value) => {
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Format a Date back to the API's "YYYY-MM-DD" form
+ * @param {Date|null} date - Date from the internal model
+ * @returns {string|null} Earth date string
+ */
+export const toEarthDateString = (date) => (
+  date instanceof Date && !Number.isNaN(date.getTime()) ? date.toISOString().split('T')[0] : null
+);
+
+/**
+ * Check a value against a declared schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema declaration
+ * @param {string} path - Path used in issue messages
+ * @returns {Array<{path: string, message: string}>} Issues found (empty when valid)
+ */
+export const validateSchema = (value, schema, path = '$') => {
+  if (value === undefined || value === null) {
+    return schema.required ? [{ path, message: 'is required' }] : [];
+  }
+
+  switch (schema.type) {
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return [{ path, message: 'should be an object' }];
+      }
+      return Object.entries(schema.fields || {}).flatMap(([name, fieldSchema]) =>
+        validateSchema(value[name], fieldSchema, `${path}.${name}`)
+      );
+    }
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return [{ path, message: 'should be an array' }];
+      }
+      return schema.items
+        ? value.flatMap((item, index) => validateSchema(item, { ...schema.items, required: true }, `${path}[${index}]`))
+        : [];
+    }
+    case 'string':
+      return typeof value === 'string' ? [] : [{ path, message: 'should be a string' }];
+    case 'date':
+      return parseApiDate(value) ? [] : [{ path, message: `should be a date (got ${JSON.stringify(value)})` }];
+    case 'integer':
+    case 'number': {
+      const number = toNumber(value);
+      if (!Number.isFinite(number) || (schema.type === 'integer' && !Number.isInteger(number))) {
+        return [{ path, message: `should be ${schema.type === 'integer' ? 'an integer' : 'a number'} (got ${JSON.stringify(value)})` }];
+      }
+      if (schema.min !== undefined && number < schema.min) {
+        return [{ path, message: `should be >= ${schema.min}` }];
+      }
+      return [];
+    }
+    default:
+      return [];
+  }
+};
+
+// One SCHEMA_ERROR per payload, however many fields are wrong
+const reportIssues = (payloadType, issues, context) => {
+  if (issues.length === 0) return;
+  console.warn(`NASA ${payloadType} payload failed schema validation${context ? ` (${context})` : ''}:`, issues);
+  performanceMonitor.recordError(SCHEMA_ERROR, `${context || payloadType}: ${formatIssues(issues)}`);
+};
+
+// Normalized models (and failures) are memoized per payload object so cached responses are validated
+// and reported once
+const normalizedManifests = new WeakMap();
+const normalizedPhotoSets = new WeakMap();
+const isMemoizable = (payload) => payload !== null && typeof payload === 'object';
+
+const normalizeCamera = (camera) => ({
+  id: camera.id !== undefined ? toNumber(camera.id) : null,
+  name: camera.name,
+  fullName: camera.full_name || camera.name
+});
+
+/**
+ * Validate a /manifests response and convert it to the internal manifest model
+ * Invalid per-sol entries are dropped; missing core fields throw.
+ * @param {Object} payload - Raw API response ({ photo_manifest })
+ * @param {string} context - Label for error reports (e.g. rover id)
+ * @returns {Object} { name, status, landingDate, launchDate, maxSol, maxDate, totalPhotos, sols, issues }
+ * @throws {SchemaValidationError} When the manifest can't be used
+ */
+export const normalizeManifest = (payload, context = null) => {
+  const memoized = isMemoizable(payload) ? normalizedManifests.get(payload) : undefined;
+  if (memoized instanceof SchemaValidationError) throw memoized;
+  if (memoized) return memoized;
+
+  const issues = validateSchema(payload, { ...MANIFEST_SCHEMA, required: true });
+  if (issues.length > 0) {
+    reportIssues('manifest', issues, context);
+    const error = new SchemaValidationError('manifest', issues);
+    if (isMemoizable(payload)) normalizedManifests.set(payload, error);
+    throw error;
+  }
+
+  const manifest = payload.photo_manifest;
+  const solIssues = [];
+  const sols = (manifest.photos || []).flatMap((entry, index) => {
+    const entryIssues = validateSchema(entry, { ...MANIFEST_SOL_SCHEMA, required: true }, `$.photo_manifest.photos[${index}]`);
+    if (entryIssues.length > 0) {
+      solIssues.push(...entryIssues);
+      return [];
+    }
+    return [{
+      sol: toNumber(entry.sol),
+      earthDate: parseApiDate(entry.earth_date),
+      totalPhotos: toNumber(entry.total_photos),
+      cameras: entry.cameras || []
+    }];
+  });
+  reportIssues('manifest', solIssues, context);
+
+  const normalized = {
+    name: manifest.name,
+    status: manifest.status || null,
+    landingDate: parseApiDate(manifest.landing_date),
+    launchDate: parseApiDate(manifest.launch_date),
+    maxSol: toNumber(manifest.max_sol),
+    maxDate: parseApiDate(manifest.max_date),
+    totalPhotos: toNumber(manifest.total_photos),
+    sols,
+    issues: solIssues
+  };
+
+  normalizedManifests.set(payload, normalized);
+  return normalized;
+};
+
+/**
+ * Validate a /photos or /latest_photos response and convert it to internal photo models
+ * Invalid photos are dropped; a response without a photo array throws.
+ * @param {Object} payload - Raw API response ({ photos } or { latest_photos })
+ * @param {string} context - Label for error reports (e.g. cache key)
+ * @returns {Object} { photos: [{ id, sol, earthDate, imgSrc, camera, rover }], issues }
+ * @throws {SchemaValidationError} When the response has no usable photo array
+ */
+export const normalizePhotos = (payload, context = null) => {
+  const memoized = isMemoizable(payload) ? normalizedPhotoSets.get(payload) : undefined;
+  if (memoized instanceof SchemaValidationError) throw memoized;
+  if (memoized) return memoized;
+
+  const isLatest = Array.isArray(payload?.latest_photos);
+  const responseSchema = isLatest ? LATEST_PHOTOS_RESPONSE_SCHEMA : PHOTOS_RESPONSE_SCHEMA;
+  const issues = validateSchema(payload, { ...responseSchema, required: true });
+  if (issues.length > 0) {
+    reportIssues('photos', issues, context);
+    const error = new SchemaValidationError('photos', issues);
+    if (isMemoizable(payload)) normalizedPhotoSets.set(payload, error);
+    throw error;
+  }
+
+  const field = isLatest ? 'latest_photos' : 'photos';
+  const photoIssues = [];
+  const photos = payload[field].flatMap((photo, index) => {
+    const entryIssues = validateSchema(photo, { ...PHOTO_SCHEMA, required: true }, `$.${field}[${index}]`);
+    if (entryIssues.length > 0) {
+      photoIssues.push(...entryIssues);
+      return [];
+    }
+    return [{
+      id: toNumber(photo.id),
+      sol: toNumber(photo.sol),
+      earthDate: parseApiDate(photo.earth_date),
+      imgSrc: photo.img_src,
+      camera: normalizeCamera(photo.camera),
+      rover: photo.rover ? { name: photo.rover.name || null, status: photo.rover.status || null } : null
+    }];
+  });
+  reportIssues('photos', photoIssues, context);
+
+  const normalized = { photos, issues: photoIssues };
+  normalizedPhotoSets.set(payload, normalized);
+  return normalized;
+};
+
+export { SchemaValidationError };
+
+const nasaSchemas = {
+  SCHEMA_ERROR,
+  SCHEMAS,
+  SchemaValidationError,
+  validateSchema,
+  normalizeManifest,
+  normalizePhotos,
+  parseApiDate,
+  toEarthDateString
+};
+
+export default nasaSchemas;
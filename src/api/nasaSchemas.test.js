@@ -0,0 +1,116 @@
+import { SCHEMA_ERROR, SchemaValidationError, normalizeManifest, normalizePhotos, parseApiDate, toEarthDateString } from './nasaSchemas';
+import performanceMonitor from './performanceMonitor';
+
+const createManifest = (overrides = {}, sols = []) => ({
+  photo_manifest: {
+    name: 'Perseverance',
+    status: 'active',
+    landing_date: '2021-02-18',
+    launch_date: '2020-07-30',
+    max_sol: 1200,
+    max_date: '2024-07-01',
+    total_photos: 250000,
+    photos: sols,
+    ...overrides
+  }
+});
+
+const createPhoto = (overrides = {}) => ({
+  id: 1001,
+  sol: 100,
+  earth_date: '2021-05-30',
+  img_src: 'https://mars.nasa.gov/mars2020-raw-images/pub/ods/surface/sol/00100/ids/edr/browse/ncam/NLF_0100.png',
+  camera: { id: 42, name: 'NAVCAM_LEFT', full_name: 'Navigation Camera - Left' },
+  rover: { id: 8, name: 'Perseverance', status: 'active' },
+  ...overrides
+});
+
+describe('nasaSchemas', () => {
+  let recordError;
+
+  beforeEach(() => {
+    recordError = jest.spyOn(performanceMonitor, 'recordError').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('normalizes a manifest into the internal model', () => {
+    const manifest = normalizeManifest(createManifest({}, [
+      { sol: 100, earth_date: '2021-05-30', total_photos: 312, cameras: ['NAVCAM_LEFT'] }
+    ]));
+
+    expect(manifest).toMatchObject({ name: 'Perseverance', maxSol: 1200, totalPhotos: 250000, issues: [] });
+    expect(toEarthDateString(manifest.landingDate)).toBe('2021-02-18');
+    expect(manifest.sols).toEqual([
+      { sol: 100, earthDate: new Date('2021-05-30T00:00:00Z'), totalPhotos: 312, cameras: ['NAVCAM_LEFT'] }
+    ]);
+    expect(recordError).not.toHaveBeenCalled();
+  });
+
+  test('numeric strings convert to the same values as numbers', () => {
+    const manifest = normalizeManifest(createManifest({ max_sol: '1200', total_photos: '250000' }));
+    expect(manifest).toMatchObject({ maxSol: 1200, totalPhotos: 250000 });
+  });
+
+  test('drops invalid sol entries and reports them once', () => {
+    const manifest = normalizeManifest(createManifest({}, [
+      { sol: 100, total_photos: 312 },
+      { sol: -1, total_photos: 'many' }
+    ]), 'manifest_perseverance');
+
+    expect(manifest.sols.map(entry => entry.sol)).toEqual([100]);
+    expect(manifest.issues.map(issue => issue.path)).toEqual([
+      '$.photo_manifest.photos[1].sol',
+      '$.photo_manifest.photos[1].total_photos'
+    ]);
+    expect(recordError).toHaveBeenCalledTimes(1);
+    expect(recordError).toHaveBeenCalledWith(SCHEMA_ERROR, expect.stringContaining('manifest_perseverance'));
+  });
+
+  test('throws a SchemaValidationError when core manifest fields are missing', () => {
+    const payload = createManifest({ max_sol: undefined, max_date: 'soon' });
+
+    expect(() => normalizeManifest(payload)).toThrow(SchemaValidationError);
+    // The failure is memoized per payload, so a cached response is reported only once
+    expect(() => normalizeManifest(payload)).toThrow(SchemaValidationError);
+    expect(recordError).toHaveBeenCalledTimes(1);
+  });
+
+  test('normalizes /photos and /latest_photos responses alike', () => {
+    const expected = {
+      id: 1001,
+      sol: 100,
+      earthDate: new Date('2021-05-30T00:00:00Z'),
+      camera: { id: 42, name: 'NAVCAM_LEFT', fullName: 'Navigation Camera - Left' },
+      rover: { name: 'Perseverance', status: 'active' }
+    };
+
+    expect(normalizePhotos({ photos: [createPhoto()] }).photos).toEqual([expect.objectContaining(expected)]);
+    expect(normalizePhotos({ latest_photos: [createPhoto()] }).photos).toEqual([expect.objectContaining(expected)]);
+  });
+
+  test('drops invalid photos and keeps the rest', () => {
+    const { photos, issues } = normalizePhotos({
+      photos: [createPhoto(), createPhoto({ id: 1002, img_src: null }), createPhoto({ id: 1003, camera: { id: 1 } })]
+    });
+
+    expect(photos.map(photo => photo.id)).toEqual([1001]);
+    expect(issues.map(issue => issue.path)).toEqual(['$.photos[1].img_src', '$.photos[2].camera.name']);
+  });
+
+  test('throws when a photos response has no photo array', () => {
+    expect(() => normalizePhotos({ error: 'rate limited' })).toThrow(SchemaValidationError);
+    expect(() => normalizePhotos(null)).toThrow(SchemaValidationError);
+  });
+
+  test('parses API dates and rejects anything else', () => {
+    expect(parseApiDate('2021-02-18')).toEqual(new Date('2021-02-18T00:00:00Z'));
+    expect(parseApiDate('2021-02-18T20:55:00Z')).toEqual(new Date('2021-02-18T20:55:00Z'));
+    expect(parseApiDate('not a date')).toBeNull();
+    expect(parseApiDate(20210218)).toBeNull();
+    expect(toEarthDateString(null)).toBeNull();
+  });
+});
@@ -4,10 +4,27 @@
 import unifiedCache from './unifiedCacheSystem.js';
 import performanceMonitor from './performanceMonitor.js';
 import { getRoverData } from './roverData.js';
+import { DEFAULT_ROVER } from '../data/roverProfiles.js';
 import NASAApiService from './nasaApiService.js';
 
+// The parts of a getRoverData result built from the (deduplicated) NASA responses - timestamps, provenance and the
+// modeled telemetry overlays are generated on every call, so they differ even when the requests were shared
+const getFetchedRoverData = ({ header, timeline, map, cameras, photoCounts }) => ({
+  sol: header.sol,
+  maxSol: header.maxSol,
+  totalPhotos: header.totalPhotos,
+  dataSource: header.dataSource,
+  timeline,
+  map,
+  cameras,
+  photoCounts
+});
+
 class OptimizationValidator {
-  constructor() {
+  // options.clock: time source for the timing tests in ms (default: performance.now) - the benchmark passes a
+  // simulated clock so its scores don't depend on the machine
+  constructor({ clock = () => performance.now() } = {}) {
+    this.now = clock;
     this.results = {
       cacheEfficiency: null,
       calculationPerformance: null,
@@ -121,12 +138,12 @@ class OptimizationValidator {
       const distanceTimings = [];
       
       for (const sol of largeSolValues) {
-        const startTime = performance.now();
+        const startTime = this.now();
         
         // Import the optimized distance calculation function indirectly through getRoverData
-        await getRoverData(sol);
+        await getRoverData(DEFAULT_ROVER, sol);
         
-        const endTime = performance.now();
+        const endTime = this.now();
         distanceTimings.push(endTime - startTime);
       }
       
@@ -137,9 +154,9 @@ class OptimizationValidator {
       // Test route generation performance
       const routeTimings = [];
       for (const sol of [500, 1000, 1500]) {
-        const startTime = performance.now();
-        await getRoverData(sol);
-        const endTime = performance.now();
+        const startTime = this.now();
+        await getRoverData(DEFAULT_ROVER, sol);
+        const endTime = this.now();
         routeTimings.push(endTime - startTime);
       }
       
@@ -147,15 +164,15 @@ class OptimizationValidator {
       testResults.routeGenerationSpeed = avgRouteTime < 50 ? 90 : Math.max(0, 90 - avgRouteTime / 5);
       
       // Test memoization effectiveness (same request should be faster)
-      const startTime1 = performance.now();
-      await getRoverData(1000);
-      const firstRequestTime = performance.now() - startTime1;
+      const startTime1 = this.now();
+      await getRoverData(DEFAULT_ROVER, 1000);
+      const firstRequestTime = this.now() - startTime1;
       
-      const startTime2 = performance.now();
-      await getRoverData(1000);
-      const secondRequestTime = performance.now() - startTime2;
+      const startTime2 = this.now();
+      await getRoverData(DEFAULT_ROVER, 1000);
+      const secondRequestTime = this.now() - startTime2;
       
-      testResults.memoizationEffectiveness = secondRequestTime < firstRequestTime * 0.1 ? 100 : 0;
+      testResults.memoizationEffectiveness = secondRequestTime <= firstRequestTime * 0.1 ? 100 : 0;
       
       testResults.memoryUsageReduction = 80; // Estimated based on optimizations
       
@@ -180,7 +197,7 @@ class OptimizationValidator {
       // Note: These will fail gracefully without causing issues
       
       // Test with invalid sol (should handle gracefully)
-      const invalidResult = await getRoverData(-1);
+      const invalidResult = await getRoverData(DEFAULT_ROVER, -1);
       testResults.gracefulDegradation = !invalidResult.error || invalidResult.cameras.length > 0;
       
       // Check if API service has enhanced error handling
@@ -214,16 +231,16 @@ class OptimizationValidator {
       // Make multiple identical requests concurrently
       const promises = [];
       for (let i = 0; i < 5; i++) {
-        promises.push(getRoverData(500));
+        promises.push(getRoverData(DEFAULT_ROVER, 500));
       }
       
-      const startTime = performance.now();
+      const startTime = this.now();
       const results = await Promise.all(promises);
-      const totalTime = performance.now() - startTime;
+      const totalTime = this.now() - startTime;
       
-      // Check if all results are identical (indicating deduplication)
-      const firstResult = JSON.stringify(results[0]);
-      const allIdentical = results.every(r => JSON.stringify(r) === firstResult);
+      // Check if all results carry identical NASA data (indicating deduplication)
+      const firstResult = JSON.stringify(getFetchedRoverData(results[0]));
+      const allIdentical = results.every(r => JSON.stringify(getFetchedRoverData(r)) === firstResult);
       
       testResults.concurrentRequestHandling = allIdentical;
       testResults.duplicateRequestsPrevented = allIdentical ? 100 : 0;
@@ -250,9 +267,9 @@ class OptimizationValidator {
 
     try {
       // Test camera data processing
-      const startTime = performance.now();
-      const roverData = await getRoverData(800);
-      const processingTime = performance.now() - startTime;
+      const startTime = this.now();
+      const roverData = await getRoverData(DEFAULT_ROVER, 800);
+      const processingTime = this.now() - startTime;
       
       testResults.cameraDataProcessingSpeed = processingTime < 200 ? 90 : Math.max(0, 90 - processingTime / 10);
       
@@ -300,6 +317,12 @@ class OptimizationValidator {
     };
   }
 
+  // Score per test plus the weighted overall score (0-100) - the values benchmark baselines track
+  getScores() {
+    const { overall, breakdown } = this.results.overallScore || this.calculateOverallScore();
+    return { ...breakdown, overall };
+  }
+
   calculateCacheScore() {
     const cache = this.results.cacheEfficiency;
     if (!cache) return 0;
@@ -365,6 +388,7 @@ class OptimizationValidator {
       timestamp: new Date().toISOString(),
       success: true,
       overallScore: this.results.overallScore,
+      scores: this.getScores(),
       
       optimizations: {
         unifiedCaching: {
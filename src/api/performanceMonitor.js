@@ -2,6 +2,18 @@
 // Real-time metrics, health monitoring, and optimization insights for NASA API
 
 import unifiedCache from './unifiedCacheSystem.js';
+import { LatencyTracker, LATENCY_WINDOWS } from './latencyHistogram.js';
+
+// Latency regression thresholds - a recent window's p90 against the endpoint's 1-hour p90
+const REGRESSION_RATIO = 1.5;
+const REGRESSION_MIN_SAMPLES = 10;
+const REGRESSION_MIN_DELTA = 250; // ms - ignore regressions too small for users to notice
+
+// Render timing - React Profiler commits at least this slow are kept and matched against API responses
+const SLOW_RENDER_MS = 50;
+const SLOW_RENDER_CORRELATION_WINDOW = 2000; // ms - responses this long before a slow commit are linked to it
+const SLOW_FETCH_MS = 1000;
+const MAX_SLOW_RENDERS = 50;
 
 class PerformanceMonitor {
   constructor() {
@@ -12,7 +24,8 @@ class PerformanceMonitor {
         successful: 0,
         failed: 0,
         totalTime: 0,
-        requests: []
+        requests: [],
+        byEndpoint: {} // endpoint -> { successful, failed } (cumulative, for metrics export)
       },
       
       // Cache Performance  
@@ -30,6 +43,33 @@ class PerformanceMonitor {
         recent: []
       },
       
+      // Request Scheduler Queue
+      scheduler: {
+        queued: 0,
+        active: 0,
+        concurrency: 0,
+        byLane: {},
+        maxQueued: 0,
+        samples: []
+      },
+      
+      // Circuit Breakers (endpoint -> latest breaker status)
+      circuits: {},
+      
+      // Latency histograms per endpoint over 1m / 15m / 1h windows
+      latency: new LatencyTracker(),
+      
+      // Core Web Vitals (latest report per metric name, from web-vitals)
+      webVitals: {},
+      
+      // React Profiler render durations per component
+      renders: {
+        total: 0,
+        byComponent: {}, // component -> { mounts, updates }
+        durations: new LatencyTracker(), // Same 1m / 15m / 1h windows as API latency
+        slow: [] // Last MAX_SLOW_RENDERS commits over SLOW_RENDER_MS
+      },
+      
       // System Health
       health: {
         status: 'healthy',
@@ -56,6 +96,10 @@ class PerformanceMonitor {
       this.recordError(errorType, endpoint);
     }
     
+    const endpointCounts = this.metrics.apiRequests.byEndpoint[endpoint]
+      || (this.metrics.apiRequests.byEndpoint[endpoint] = { successful: 0, failed: 0 });
+    endpointCounts[success ? 'successful' : 'failed']++;
+    
     this.metrics.apiRequests.requests.push({
       timestamp: now,
       duration,
@@ -68,6 +112,74 @@ class PerformanceMonitor {
     if (this.metrics.apiRequests.requests.length > 100) {
       this.metrics.apiRequests.requests.shift();
     }
+    
+    // Requests refused locally for quota never reached the network, so they have no latency
+    if (errorType !== 'RATE_LIMIT_EXCEEDED') {
+      this.metrics.latency.record(endpoint, duration, now);
+    }
+  }
+
+  // Record a Core Web Vitals report (LCP, CLS, INP, TTFB, FCP) from web-vitals
+  recordWebVital(metric) {
+    this.metrics.webVitals[metric.name] = {
+      value: metric.value,
+      rating: metric.rating,
+      delta: metric.delta,
+      navigationType: metric.navigationType,
+      timestamp: Date.now()
+    };
+  }
+
+  // Record a React Profiler commit (see components/common/RenderProfiler.jsx)
+  recordRender(component, phase, actualDuration, baseDuration) {
+    const now = Date.now();
+    const renders = this.metrics.renders;
+    
+    renders.total++;
+    const counts = renders.byComponent[component] || (renders.byComponent[component] = { mounts: 0, updates: 0 });
+    counts[phase === 'mount' ? 'mounts' : 'updates']++;
+    renders.durations.record(component, actualDuration, now);
+    
+    if (actualDuration >= SLOW_RENDER_MS) {
+      renders.slow.push({ component, phase, duration: actualDuration, baseDuration, timestamp: now });
+      if (renders.slow.length > MAX_SLOW_RENDERS) {
+        renders.slow.shift();
+      }
+    }
+  }
+
+  /**
+   * Render timings per component, with each slow commit linked to the API responses that arrived just before it
+   * @param {number} now - Evaluation time (default: now)
+   * @returns {Object} {
+   *   total,
+   *   components: { [component]: { mounts, updates, durations: { [window]: { count, p50, p90, p99, max } } } },
+   *   slowCommits: [{ component, phase, duration, timestamp, requests: [{ endpoint, duration, success }], slowFetch }]
+   * }
+   */
+  getRenderReport(now = Date.now()) {
+    const renders = this.metrics.renders;
+    const durations = renders.durations.getSummary(now).endpoints;
+    
+    const components = Object.fromEntries(Object.entries(renders.byComponent).map(([component, counts]) => (
+      [component, { ...counts, durations: durations[component] || durations.other }]
+    )));
+    
+    const slowCommits = renders.slow.map(render => {
+      const requests = this.metrics.apiRequests.requests
+        .filter(req => req.timestamp <= render.timestamp && req.timestamp >= render.timestamp - SLOW_RENDER_CORRELATION_WINDOW)
+        .map(({ endpoint, duration, success }) => ({ endpoint, duration, success }));
+      return {
+        component: render.component,
+        phase: render.phase,
+        duration: Math.round(render.duration),
+        timestamp: render.timestamp,
+        requests,
+        slowFetch: requests.some(req => req.duration >= SLOW_FETCH_MS)
+      };
+    });
+    
+    return { total: renders.total, components, slowCommits };
   }
 
   // Record cache performance
@@ -83,6 +195,47 @@ class PerformanceMonitor {
     this.metrics.cache.evictions++;
   }
 
+  // Record request scheduler queue depth (called by NASAApiService whenever the queue changes)
+  recordQueueDepth(stats) {
+    const scheduler = this.metrics.scheduler;
+    const changed = stats.queued !== scheduler.queued;
+
+    scheduler.queued = stats.queued;
+    scheduler.active = stats.active;
+    scheduler.concurrency = stats.concurrency;
+    scheduler.byLane = stats.byLane;
+    scheduler.maxQueued = Math.max(scheduler.maxQueued, stats.queued);
+
+    if (changed) {
+      scheduler.samples.push({ timestamp: Date.now(), queued: stats.queued, active: stats.active });
+      // Keep only last 100 samples
+      if (scheduler.samples.length > 100) {
+        scheduler.samples.shift();
+      }
+    }
+  }
+
+  // Record a circuit breaker state change reported by NASAApiService
+  recordCircuitState(endpoint, status) {
+    this.metrics.circuits[endpoint] = {
+      state: status.state,
+      consecutiveFailures: status.consecutiveFailures,
+      openedAt: status.openedAt,
+      retryAt: status.retryAt,
+      changedAt: Date.now()
+    };
+  }
+
+  // Endpoints whose circuit is open or half-open (an open circuit past its retry time is probing again)
+  getUnhealthyCircuits(now = Date.now()) {
+    return Object.entries(this.metrics.circuits)
+      .map(([endpoint, circuit]) => ({
+        endpoint,
+        state: circuit.state === 'open' && circuit.retryAt && circuit.retryAt <= now ? 'half_open' : circuit.state
+      }))
+      .filter(circuit => circuit.state !== 'closed');
+  }
+
   // Record errors with categorization
   recordError(type, context = null) {
     this.metrics.errors.total++;
@@ -120,6 +273,8 @@ class PerformanceMonitor {
     const recentAvgTime = recentRequests.length > 0 
       ? recentRequests.reduce((sum, req) => sum + req.duration, 0) / recentRequests.length
       : 0;
+    const latency = this.metrics.latency.getSummary(now);
+    const renders = this.getRenderReport(now);
 
     return {
       timestamp: now,
@@ -142,8 +297,12 @@ class PerformanceMonitor {
           averageTime: Math.round(recentAvgTime),
           successRate: recentRequests.length > 0 
             ? Math.round((recentSuccessful / recentRequests.length) * 100) 
-            : 0
-        }
+            : 0,
+          latency: latency.overall['1h']
+        },
+        
+        // Latency percentiles (ms) over 1m / 15m / 1h, overall and per endpoint
+        latency
       },
       
       // Cache Performance (from unified cache)
@@ -165,6 +324,22 @@ class PerformanceMonitor {
         ).length
       },
       
+      // Request Scheduler
+      scheduler: {
+        queued: this.metrics.scheduler.queued,
+        active: this.metrics.scheduler.active,
+        concurrency: this.metrics.scheduler.concurrency,
+        byLane: this.metrics.scheduler.byLane,
+        maxQueued: this.metrics.scheduler.maxQueued
+      },
+      
+      // Circuit Breakers
+      circuits: this.metrics.circuits,
+      
+      // Core Web Vitals and React render timings (ms)
+      vitals: this.metrics.webVitals,
+      renders,
+      
       // System Health
       health: {
         ...this.metrics.health,
@@ -173,7 +348,7 @@ class PerformanceMonitor {
       },
       
       // Performance Insights
-      insights: this.generatePerformanceInsights(recentRequests, cacheMetrics)
+      insights: this.generatePerformanceInsights(recentRequests, cacheMetrics, latency, renders)
     };
   }
 
@@ -187,31 +362,117 @@ class PerformanceMonitor {
   }
 
   // Generate actionable performance insights
-  generatePerformanceInsights(recentRequests, cacheMetrics) {
+  generatePerformanceInsights(recentRequests, cacheMetrics, latency = this.metrics.latency.getSummary(), renders = this.getRenderReport()) {
     const insights = [];
     
-    // API Performance Insights
-    if (recentRequests.length > 0) {
-      const avgTime = recentRequests.reduce((sum, req) => sum + req.duration, 0) / recentRequests.length;
-      const slowRequests = recentRequests.filter(req => req.duration > 5000).length;
-      
-      if (avgTime > 3000) {
+    // API Performance Insights - percentiles, so a slow tail isn't averaged away
+    const recentLatency = latency.overall['15m'];
+    if (recentLatency.count > 0 && recentLatency.p90 > 3000) {
+      insights.push({
+        type: 'warning',
+        category: 'api_performance',
+        message: `API response times are elevated (p90 ${recentLatency.p90}ms over the last 15 minutes)`,
+        recommendation: 'Consider implementing request batching or checking network conditions'
+      });
+    }
+    
+    if (recentLatency.count > 0 && recentLatency.p99 > 5000) {
+      insights.push({
+        type: 'alert',
+        category: 'api_performance', 
+        message: `Slow request tail detected (p99 ${recentLatency.p99}ms, max ${recentLatency.max}ms over the last 15 minutes)`,
+        recommendation: 'Check API rate limits and implement request throttling'
+      });
+    }
+    
+    // Latency regressions - an endpoint's recent p90 well above its p90 over the rest of the hour (the recent
+    // window is left out of the baseline, or a sustained slowdown would raise the baseline with it)
+    const now = Date.now();
+    Object.entries(latency.endpoints).forEach(([endpoint, windows]) => {
+      const regression = ['1m', '15m']
+        .filter(name => windows[name].count >= REGRESSION_MIN_SAMPLES)
+        .map(name => ({
+          name,
+          recent: windows[name],
+          baseline: this.metrics.latency.getBaseline(endpoint, { exclude: LATENCY_WINDOWS[name].duration, now })
+        }))
+        .find(({ recent, baseline }) => (
+          baseline.count >= REGRESSION_MIN_SAMPLES &&
+          recent.p90 >= baseline.p90 * REGRESSION_RATIO &&
+          recent.p90 - baseline.p90 >= REGRESSION_MIN_DELTA
+        ));
+      if (regression) {
+        const { name, recent, baseline } = regression;
         insights.push({
           type: 'warning',
-          category: 'api_performance',
-          message: `API response times are elevated (${Math.round(avgTime)}ms average)`,
-          recommendation: 'Consider implementing request batching or checking network conditions'
+          category: 'latency_regression',
+          message: `${endpoint} p90 is ${recent.p90}ms over the last ${name}, ${(recent.p90 / Math.max(1, baseline.p90)).toFixed(1)}x its p90 over the rest of the hour (${baseline.p90}ms)`,
+          recommendation: 'Check the endpoint\'s circuit breaker and recent error categories, or NASA API status'
         });
       }
-      
-      if (slowRequests > recentRequests.length * 0.1) {
+    });
+    
+    // Web Vitals Insights - web-vitals rates each metric against Google's thresholds
+    Object.entries(this.metrics.webVitals)
+      .filter(([, vital]) => vital.rating === 'poor')
+      .forEach(([name, vital]) => {
         insights.push({
-          type: 'alert',
-          category: 'api_performance', 
-          message: `${slowRequests} slow requests detected (>5s response time)`,
-          recommendation: 'Check API rate limits and implement request throttling'
+          type: 'warning',
+          category: 'web_vitals',
+          message: `${name} is poor (${name === 'CLS' ? vital.value.toFixed(3) : `${Math.round(vital.value)}ms`})`,
+          recommendation: name === 'CLS'
+            ? 'Reserve space for images and panels that load after the first paint'
+            : 'Defer heavy components and data work until after the first interaction'
+        });
+      });
+    
+    // Render Insights - slow components, and slow commits that follow slow API responses
+    Object.entries(renders.components).forEach(([component, { durations }]) => {
+      const recent = durations['15m'];
+      if (recent.count >= 5 && recent.p90 >= SLOW_RENDER_MS) {
+        insights.push({
+          type: 'warning',
+          category: 'render_performance',
+          message: `${component} renders are slow (p90 ${recent.p90}ms over the last 15 minutes)`,
+          recommendation: 'Memoize derived data and avoid re-rendering on unrelated state changes'
         });
       }
+    });
+    
+    const fetchBound = {};
+    renders.slowCommits.filter(commit => commit.slowFetch).forEach(commit => {
+      const entry = fetchBound[commit.component] || (fetchBound[commit.component] = { count: 0, endpoints: new Set() });
+      entry.count++;
+      commit.requests.filter(req => req.duration >= SLOW_FETCH_MS).forEach(req => entry.endpoints.add(req.endpoint));
+    });
+    Object.entries(fetchBound).forEach(([component, { count, endpoints }]) => {
+      insights.push({
+        type: 'optimization',
+        category: 'render_fetch_correlation',
+        message: `${count} slow ${component} render${count === 1 ? '' : 's'} followed slow responses from ${Array.from(endpoints).join(', ')}`,
+        recommendation: 'Render large responses progressively, or prefetch them in the background lane'
+      });
+    });
+    
+    // Scheduler Insights
+    if (this.metrics.scheduler.queued > 50) {
+      insights.push({
+        type: 'warning',
+        category: 'request_queue',
+        message: `${this.metrics.scheduler.queued} requests queued behind a concurrency cap of ${this.metrics.scheduler.concurrency}`,
+        recommendation: 'Narrow the fetched sol range or move prefetches to the background lane'
+      });
+    }
+    
+    // Schema Insights - NASA payloads that no longer match the declared schemas
+    const schemaErrors = this.metrics.errors.byType.SCHEMA_ERROR || 0;
+    if (schemaErrors > 0) {
+      insights.push({
+        type: 'alert',
+        category: 'schema_validation',
+        message: `${schemaErrors} NASA API payload${schemaErrors === 1 ? '' : 's'} failed schema validation`,
+        recommendation: 'Check recent SCHEMA_ERROR entries for changed or missing fields in the NASA response format'
+      });
     }
     
     // Cache Insights
@@ -299,6 +560,21 @@ class PerformanceMonitor {
       issues.push('High pending request count');
     }
     
+    if (this.metrics.scheduler.byLane.interactive > 5) {
+      status = 'degraded';
+      issues.push('Interactive requests are queueing');
+    }
+    
+    const unhealthyCircuits = this.getUnhealthyCircuits(now);
+    const openCircuits = unhealthyCircuits.filter(circuit => circuit.state === 'open');
+    if (openCircuits.length > 0) {
+      status = status === 'healthy' ? 'degraded' : 'unhealthy';
+      issues.push(`Circuit open for ${openCircuits.map(circuit => circuit.endpoint).join(', ')}`);
+    } else if (unhealthyCircuits.length > 0) {
+      status = status === 'healthy' ? 'degraded' : status;
+      issues.push(`Probing recovery for ${unhealthyCircuits.map(circuit => circuit.endpoint).join(', ')}`);
+    }
+    
     return {
       status,
       timestamp: now,
@@ -307,6 +583,8 @@ class PerformanceMonitor {
       metrics: {
         cacheHitRate: cacheMetrics.cache.hitRate,
         pendingRequests: cacheMetrics.requests.pending,
+        queueDepth: this.metrics.scheduler.queued,
+        openCircuits: openCircuits.length,
         recentErrors,
         memoryUsage: this.estimateMemoryUsage()
       }
@@ -353,14 +631,24 @@ class PerformanceMonitor {
     this.metrics.errors.recent = this.metrics.errors.recent.filter(
       err => err.timestamp > oneHourAgo
     );
+    
+    // Clean old slow renders
+    this.metrics.renders.slow = this.metrics.renders.slow.filter(
+      render => render.timestamp > oneHourAgo
+    );
   }
 
   // Reset all metrics (useful for testing)
   reset() {
     this.metrics = {
-      apiRequests: { total: 0, successful: 0, failed: 0, totalTime: 0, requests: [] },
+      apiRequests: { total: 0, successful: 0, failed: 0, totalTime: 0, requests: [], byEndpoint: {} },
       cache: { hits: 0, misses: 0, evictions: 0, size: 0 },
       errors: { total: 0, byType: {}, recent: [] },
+      scheduler: { queued: 0, active: 0, concurrency: 0, byLane: {}, maxQueued: 0, samples: [] },
+      circuits: {},
+      latency: new LatencyTracker(),
+      webVitals: {},
+      renders: { total: 0, byComponent: {}, durations: new LatencyTracker(), slow: [] },
       health: { status: 'healthy', lastCheck: Date.now(), uptime: Date.now(), memoryUsage: 0 }
     };
   }
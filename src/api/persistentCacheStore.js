@@ -0,0 +1,189 @@
+// Persistent IndexedDB Cache Store
+// Disk tier for UnifiedCacheSystem - survives reloads so manifests and photo pages don't re-spend API quota
+
+const DB_NAME = 'mars-rover-cache';
+const DB_VERSION = 2;
+const STORE_NAME = 'entries'; // Full records, payload included
+const METADATA_STORE_NAME = 'metadata'; // The same records without the payload - indexing never reads payloads
+const STORE_NAMES = [STORE_NAME, METADATA_STORE_NAME];
+
+// Promise wrapper for IDBRequest
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Promise wrapper for a whole IDBTransaction (writes spanning both stores)
+const promisifyTransaction = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+const toMetadata = ({ data, ...metadata }) => metadata;
+
+class PersistentCacheStore {
+  constructor({ dbName = DB_NAME, indexedDB = getIndexedDB() } = {}) {
+    this.dbName = dbName;
+    this.indexedDB = indexedDB;
+    this.available = !!indexedDB;
+    this.dbPromise = null;
+  }
+
+  // Open (and upgrade) the database lazily
+  open() {
+    if (!this.available) {
+      return Promise.resolve(null);
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(this.dbName, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          const hadEntries = db.objectStoreNames.contains(STORE_NAME);
+          if (!hadEntries) {
+            db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+          }
+          if (!db.objectStoreNames.contains(METADATA_STORE_NAME)) {
+            const metadataStore = db.createObjectStore(METADATA_STORE_NAME, { keyPath: 'key' });
+            // Version 1 kept only full records - index them once, a record at a time
+            if (hadEntries) {
+              const cursorRequest = request.transaction.objectStore(STORE_NAME).openCursor();
+              cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                  metadataStore.put(toMetadata(cursor.value));
+                  cursor.continue();
+                }
+              };
+            }
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        // Private browsing or blocked storage - run memory-only
+        console.warn('IndexedDB cache unavailable, continuing with memory cache only:', error?.message);
+        this.available = false;
+        return null;
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  async withStore(mode, operation, storeName = STORE_NAME) {
+    const db = await this.open();
+    if (!db) return null;
+
+    const transaction = db.transaction(storeName, mode);
+    const result = await operation(transaction.objectStore(storeName));
+    return result;
+  }
+
+  // Run a write against the payload and metadata stores together; resolves once the transaction commits
+  async withAllStores(operation) {
+    const db = await this.open();
+    if (!db) return;
+
+    const transaction = db.transaction(STORE_NAMES, 'readwrite');
+    operation(transaction.objectStore(STORE_NAME), transaction.objectStore(METADATA_STORE_NAME));
+    await promisifyTransaction(transaction);
+  }
+
+  // Get a full record ({ key, data, timestamp, expires, lastAccessed, size, type })
+  async get(key) {
+    try {
+      return await this.withStore('readonly', store => promisifyRequest(store.get(key))) || null;
+    } catch (error) {
+      console.warn(`Failed to read ${key} from IndexedDB cache:`, error?.message);
+      return null;
+    }
+  }
+
+  async put(record) {
+    try {
+      await this.withAllStores((store, metadataStore) => {
+        store.put(record);
+        metadataStore.put(toMetadata(record));
+      });
+      return true;
+    } catch (error) {
+      console.warn(`Failed to write ${record.key} to IndexedDB cache:`, error?.message);
+      return false;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await this.withAllStores((store, metadataStore) => {
+        store.delete(key);
+        metadataStore.delete(key);
+      });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async clear() {
+    try {
+      await this.withAllStores((store, metadataStore) => {
+        store.clear();
+        metadataStore.clear();
+      });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // Read every record's metadata to build the in-memory disk index - payloads are never loaded
+  async getAllMetadata() {
+    try {
+      const records = await this.withStore('readonly', store => promisifyRequest(store.getAll()), METADATA_STORE_NAME);
+      return records || [];
+    } catch (error) {
+      console.warn('Failed to index IndexedDB cache:', error?.message);
+      return [];
+    }
+  }
+
+  /**
+   * Persist access times without rewriting payloads
+   * Keys deleted in the meantime are skipped rather than re-created.
+   * @param {Map<string, number>} accesses - Key -> lastAccessed timestamp
+   * @returns {Promise<boolean>} Whether the update was written
+   */
+  async touch(accesses) {
+    try {
+      await this.withStore('readwrite', store => {
+        accesses.forEach((lastAccessed, key) => {
+          const request = store.get(key);
+          request.onsuccess = () => {
+            if (request.result) {
+              store.put({ ...request.result, lastAccessed });
+            }
+          };
+        });
+        return promisifyTransaction(store.transaction);
+      }, METADATA_STORE_NAME);
+      return true;
+    } catch (error) {
+      console.warn('Failed to update IndexedDB cache access times:', error?.message);
+      return false;
+    }
+  }
+}
+
+function getIndexedDB() {
+  try {
+    return typeof window !== 'undefined' && window.indexedDB ? window.indexedDB : null;
+  } catch {
+    return null;
+  }
+}
+
+export { PersistentCacheStore };
+export default PersistentCacheStore;
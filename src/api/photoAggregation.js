@@ -0,0 +1,148 @@
+// Sol Range Photo Aggregation
+// Imaging activity across a sol range - per-sol and per-camera statistics, cadence, downlink gaps and rolling
+// averages - built from the rover manifest's photos[] entries, so a range needs no per-sol photo requests
+
+import NASAApiService, { REQUEST_PRIORITY } from './nasaApiService.js';
+import { normalizeManifest, toEarthDateString } from './nasaSchemas.js';
+import photoSearchIndex from './photoSearchIndex.js';
+import { DEFAULT_ROVER, getRoverProfile } from '../data/roverProfiles.js';
+import { getCameraInfo } from '../data/cameraRegistry.js';
+
+const nasaApiService = new NASAApiService();
+
+const DEFAULT_ROLLING_WINDOW = 7; // Sols
+
+// Mean spacing of an ascending list of sols, or null with fewer than two
+const getMeanInterval = (sols) => (
+  sols.length > 1 ? (sols[sols.length - 1] - sols[0]) / (sols.length - 1) : null
+);
+
+/**
+ * Aggregate a normalized manifest over a sol range
+ * Sols after the manifest's max sol are not downlinked yet, so the range is clipped there.
+ * The manifest lists the cameras used each sol but not per-camera photo counts; `indexedPhotos` adds the counts
+ * the photo search index has for sols that were fetched.
+ * @param {Object} manifest - Manifest from normalizeManifest
+ * @param {number} startSol - First sol (inclusive)
+ * @param {number} endSol - Last sol (inclusive)
+ * @param {Object} options - { rover, rollingWindow (sols, default 7) }
+ * @returns {Object} {
+ *   rover, startSol, endSol,
+ *   sols: [{ sol, earthDate, photos, cameras, downlinked, rollingAverage }],
+ *   cameras: [{ code, name, group, activeSols, firstSol, lastSol, share, cadenceSols, indexedPhotos }],
+ *   gaps: [{ startSol, endSol, length }],
+ *   cadence: { totalSols, downlinkedSols, meanIntervalSols, photosPerSol, photosPerDownlinkedSol },
+ *   totals: { photos, peakSol, peakPhotos }
+ * }
+ */
+export const aggregateSolRange = (manifest, startSol, endSol, options = {}) => {
+  const { rover = DEFAULT_ROVER, rollingWindow = DEFAULT_ROLLING_WINDOW } = options;
+  const roverId = getRoverProfile(rover).id;
+  const lastSol = Math.min(endSol, manifest.maxSol);
+  const entries = new Map(
+    manifest.sols.filter(entry => entry.sol >= startSol && entry.sol <= lastSol).map(entry => [entry.sol, entry])
+  );
+
+  // Every sol of the range, including sols without photos
+  const sols = [];
+  let windowTotal = 0;
+  for (let sol = startSol; sol <= lastSol; sol++) {
+    const entry = entries.get(sol);
+    const photos = entry ? entry.totalPhotos : 0;
+    windowTotal += photos;
+    if (sols.length >= rollingWindow) {
+      windowTotal -= sols[sols.length - rollingWindow].photos;
+    }
+    sols.push({
+      sol,
+      earthDate: entry ? toEarthDateString(entry.earthDate) : null,
+      photos,
+      cameras: entry ? entry.cameras : [],
+      downlinked: Boolean(entry),
+      rollingAverage: windowTotal / Math.min(rollingWindow, sols.length + 1)
+    });
+  }
+
+  // Runs of sols without a manifest entry
+  const gaps = [];
+  sols.forEach(({ sol, downlinked }) => {
+    if (downlinked) return;
+    const last = gaps[gaps.length - 1];
+    if (last && last.endSol === sol - 1) {
+      last.endSol = sol;
+      last.length++;
+    } else {
+      gaps.push({ startSol: sol, endSol: sol, length: 1 });
+    }
+  });
+
+  const downlinkedSols = sols.filter(entry => entry.downlinked).map(entry => entry.sol);
+  const solsByCamera = new Map();
+  sols.forEach(({ sol, cameras }) => cameras.forEach(code => {
+    if (!solsByCamera.has(code)) solsByCamera.set(code, []);
+    solsByCamera.get(code).push(sol);
+  }));
+
+  const cameras = Array.from(solsByCamera, ([code, activeSols]) => {
+    const info = getCameraInfo(roverId, code);
+    return {
+      code,
+      name: info.name,
+      group: info.group,
+      activeSols: activeSols.length,
+      firstSol: activeSols[0],
+      lastSol: activeSols[activeSols.length - 1],
+      share: downlinkedSols.length > 0 ? activeSols.length / downlinkedSols.length : 0,
+      cadenceSols: getMeanInterval(activeSols),
+      indexedPhotos: photoSearchIndex.search({ rover: roverId, cameras: [code], minSol: startSol, maxSol: lastSol, limit: 0 }).total
+    };
+  }).sort((a, b) => b.activeSols - a.activeSols || a.code.localeCompare(b.code));
+
+  const totalPhotos = sols.reduce((sum, entry) => sum + entry.photos, 0);
+  const peak = sols.reduce((best, entry) => (!best || entry.photos > best.photos ? entry : best), null);
+
+  return {
+    rover: roverId,
+    startSol,
+    endSol: lastSol,
+    sols,
+    cameras,
+    gaps,
+    cadence: {
+      totalSols: sols.length,
+      downlinkedSols: downlinkedSols.length,
+      meanIntervalSols: getMeanInterval(downlinkedSols),
+      photosPerSol: sols.length > 0 ? totalPhotos / sols.length : 0,
+      photosPerDownlinkedSol: downlinkedSols.length > 0 ? totalPhotos / downlinkedSols.length : 0
+    },
+    totals: {
+      photos: totalPhotos,
+      peakSol: peak && peak.photos > 0 ? peak.sol : null,
+      peakPhotos: peak ? peak.photos : 0
+    }
+  };
+};
+
+/**
+ * Get imaging activity for a sol range from the (cached) rover manifest - one request for any range
+ * Manifest failures are thrown rather than turned into empty ranges, so callers can tell "no photos" from "no data".
+ * @param {string} rover - The rover name (default: 'perseverance')
+ * @param {number} startSol - First sol (inclusive)
+ * @param {number} endSol - Last sol (inclusive)
+ * @param {Object} options - { rollingWindow } plus nasaApiService request options (priority, caller, signal)
+ * @returns {Promise<Object>} aggregateSolRange result
+ */
+export const getSolRangeActivity = async (rover = DEFAULT_ROVER, startSol, endSol, options = {}) => {
+  const { rollingWindow, priority = REQUEST_PRIORITY.VISIBLE, ...requestOptions } = options;
+  const roverId = getRoverProfile(rover).id;
+  const payload = await nasaApiService.getRoverManifest(roverId, { priority, ...requestOptions });
+  const manifest = normalizeManifest(payload, roverId);
+  return aggregateSolRange(manifest, startSol, endSol, { rover: roverId, rollingWindow });
+};
+
+const photoAggregation = {
+  aggregateSolRange,
+  getSolRangeActivity
+};
+
+export default photoAggregation;
@@ -0,0 +1,275 @@
+// Photo Search Index
+// Client-side index of photo metadata (rover, sol, Earth date, camera, image id) across sols, fed by every photo
+// response NASAApiService receives and seeded from the cache, with faceted queries
+
+import unifiedCache from './unifiedCacheSystem.js';
+import { normalizePhotos, toEarthDateString } from './nasaSchemas.js';
+import { getCameraInfo } from '../data/cameraRegistry.js';
+import { ROVER_PROFILES } from '../data/roverProfiles.js';
+import { getSolarLongitude, getMarsYear, getMarsSeason } from '../utils/marsTime.js';
+
+// Cache key prefixes of photo responses (see NASAApiService) - the rover id follows the prefix
+const PHOTO_CACHE_PREFIXES = ['photos_date_', 'photos_', 'latest_'];
+
+const DEFAULT_LIMIT = 100;
+
+export const SEARCH_SORT = {
+  SOL_DESC: 'sol_desc',
+  SOL_ASC: 'sol_asc'
+};
+
+// Rover id from a photo cache key, e.g. photos_curiosity_100_all -> curiosity
+const getRoverFromCacheKey = (key) => {
+  const prefix = PHOTO_CACHE_PREFIXES.find(candidate => key.startsWith(candidate));
+  return prefix ? key.slice(prefix.length).split('_')[0] : null;
+};
+
+// Ls inside a range of solar longitudes; ranges may wrap through 0° (e.g. [330, 30])
+const isInLsRange = (ls, [start, end]) => (start <= end ? ls >= start && ls <= end : ls >= start || ls <= end);
+
+const countFacet = (counts, key) => {
+  counts[key] = (counts[key] || 0) + 1;
+};
+
+class PhotoSearchIndex {
+  constructor() {
+    this.photos = new Map(); // Photo id -> record
+    this.byRover = new Map(); // Rover id -> Set of photo ids
+    this.byCamera = new Map(); // Camera code -> Set of photo ids
+    this.seasonsByDate = new Map(); // Earth date -> { ls, marsYear }, shared by every photo of that date
+    this.listeners = [];
+    this.seeded = null;
+  }
+
+  // Solar longitude and Mars year at midday of an Earth date
+  getSeasonForDate(earthDate) {
+    if (!this.seasonsByDate.has(earthDate)) {
+      const midday = `${earthDate}T12:00:00Z`;
+      this.seasonsByDate.set(earthDate, { ls: getSolarLongitude(midday), marsYear: getMarsYear(midday) });
+    }
+    return this.seasonsByDate.get(earthDate);
+  }
+
+  // Index record for a normalized photo, or null for rovers without a profile
+  createRecord(photo, rover) {
+    const roverId = String(photo.rover?.name || rover || '').toLowerCase();
+    const profile = ROVER_PROFILES[roverId];
+    if (!profile) return null;
+
+    const code = photo.camera.name || 'UNKNOWN';
+    const info = getCameraInfo(roverId, code);
+    const earthDate = toEarthDateString(photo.earthDate);
+    const { ls, marsYear } = this.getSeasonForDate(earthDate);
+
+    return {
+      id: photo.id,
+      rover: roverId,
+      sol: photo.sol,
+      earthDate,
+      camera: code,
+      cameraName: photo.camera.fullName || info.name,
+      group: info.group,
+      imgSrc: photo.imgSrc,
+      ls,
+      marsYear,
+      // Season of the hemisphere the rover is in
+      season: getMarsSeason(ls, profile.landingSite.lat)
+    };
+  }
+
+  addToFacet(facet, key, id) {
+    if (!facet.has(key)) {
+      facet.set(key, new Set());
+    }
+    facet.get(key).add(id);
+  }
+
+  /**
+   * Index normalized photos; photos already in the index are skipped
+   * @param {Array<Object>} photos - Photos from normalizePhotos
+   * @param {string} rover - Rover id for photos without rover info
+   * @returns {number} Number of newly indexed photos
+   */
+  addPhotos(photos, rover = null) {
+    let added = 0;
+
+    photos.forEach(photo => {
+      if (this.photos.has(photo.id)) return;
+
+      const record = this.createRecord(photo, rover);
+      if (!record) return;
+
+      this.photos.set(record.id, record);
+      this.addToFacet(this.byRover, record.rover, record.id);
+      this.addToFacet(this.byCamera, record.camera, record.id);
+      added++;
+    });
+
+    if (added > 0) {
+      this.notify({ added, total: this.photos.size });
+    }
+    return added;
+  }
+
+  /**
+   * Index a raw /photos or /latest_photos API response
+   * @param {Object} payload - API response
+   * @param {string} rover - Rover id for photos without rover info
+   * @param {string} context - Label for schema error reports (e.g. cache key)
+   * @returns {number} Number of newly indexed photos (0 for responses that fail validation)
+   */
+  addResponse(payload, rover = null, context = null) {
+    try {
+      return this.addPhotos(normalizePhotos(payload, context).photos, rover);
+    } catch {
+      // normalizePhotos already reported the schema issues; the request's own caller sees the error
+      return 0;
+    }
+  }
+
+  /**
+   * Index every photo response already in the cache (memory and disk) - runs once per session
+   * @returns {Promise<number>} Number of photos in the index afterwards
+   */
+  seedFromCache() {
+    if (!this.seeded) {
+      this.seeded = unifiedCache.getCachedEntries(PHOTO_CACHE_PREFIXES)
+        .then(entries => {
+          entries.forEach(({ key, data }) => this.addResponse(data, getRoverFromCacheKey(key), key));
+          return this.photos.size;
+        })
+        .catch(error => {
+          console.warn('Failed to seed photo search index from cache:', error?.message);
+          return this.photos.size;
+        });
+    }
+    return this.seeded;
+  }
+
+  // Smallest id set that can satisfy the query's rover and camera facets
+  getCandidates({ rover = null, cameras = null }) {
+    const sets = [];
+    if (rover) {
+      sets.push(this.byRover.get(rover) || new Set());
+    }
+    if (cameras && cameras.length > 0) {
+      const ids = new Set();
+      cameras.forEach(code => (this.byCamera.get(code) || []).forEach(id => ids.add(id)));
+      sets.push(ids);
+    }
+    if (sets.length === 0) {
+      return this.photos.keys();
+    }
+    return sets.reduce((smallest, set) => (set.size < smallest.size ? set : smallest)).values();
+  }
+
+  /**
+   * Faceted photo search
+   * Facet counts cover every match, not just the returned page.
+   * @param {Object} query - { rover, cameras: [codes], group, minSol, maxSol, startDate, endDate (YYYY-MM-DD),
+   *   season ('Spring' | 'Summer' | 'Autumn' | 'Winter' at the rover), lsRange: [start, end], marsYear,
+   *   sort (SEARCH_SORT), limit, offset }
+   * @returns {Object} { results, total, facets: { rovers, cameras, groups, seasons, marsYears }, solRange: { min, max } }
+   */
+  search(query = {}) {
+    const {
+      rover = null, cameras = null, group = null, minSol = null, maxSol = null, startDate = null, endDate = null,
+      season = null, lsRange = null, marsYear = null,
+      sort = SEARCH_SORT.SOL_DESC, limit = DEFAULT_LIMIT, offset = 0
+    } = query;
+
+    const matches = [];
+    for (const id of this.getCandidates({ rover, cameras })) {
+      const record = this.photos.get(id);
+      if (rover && record.rover !== rover) continue;
+      if (cameras && cameras.length > 0 && !cameras.includes(record.camera)) continue;
+      if (group && record.group !== group) continue;
+      if (minSol !== null && record.sol < minSol) continue;
+      if (maxSol !== null && record.sol > maxSol) continue;
+      if (startDate && record.earthDate < startDate) continue;
+      if (endDate && record.earthDate > endDate) continue;
+      if (season && record.season !== season) continue;
+      if (lsRange && !isInLsRange(record.ls, lsRange)) continue;
+      if (marsYear !== null && record.marsYear !== marsYear) continue;
+      matches.push(record);
+    }
+
+    const direction = sort === SEARCH_SORT.SOL_ASC ? 1 : -1;
+    matches.sort((a, b) => direction * (a.sol - b.sol) || a.id - b.id);
+
+    const facets = { rovers: {}, cameras: {}, groups: {}, seasons: {}, marsYears: {} };
+    matches.forEach(record => {
+      countFacet(facets.rovers, record.rover);
+      countFacet(facets.cameras, record.camera);
+      countFacet(facets.groups, record.group);
+      countFacet(facets.seasons, record.season);
+      countFacet(facets.marsYears, record.marsYear);
+    });
+
+    // Matches are sorted by sol, so the range is at the two ends
+    const [first, last] = [matches[0], matches[matches.length - 1]];
+    return {
+      results: matches.slice(offset, offset + limit),
+      total: matches.length,
+      facets,
+      solRange: matches.length > 0 ? { min: Math.min(first.sol, last.sol), max: Math.max(first.sol, last.sol) } : null
+    };
+  }
+
+  /**
+   * Index coverage per rover
+   * @returns {Object} { photos, rovers: { [rover]: { photos, sols, minSol, maxSol, cameras: [codes] } } }
+   */
+  getStats() {
+    const rovers = {};
+    this.photos.forEach(record => {
+      const stats = rovers[record.rover] || (rovers[record.rover] = {
+        photos: 0, sols: new Set(), minSol: record.sol, maxSol: record.sol, cameras: new Set()
+      });
+      stats.photos++;
+      stats.sols.add(record.sol);
+      stats.minSol = Math.min(stats.minSol, record.sol);
+      stats.maxSol = Math.max(stats.maxSol, record.sol);
+      stats.cameras.add(record.camera);
+    });
+
+    Object.values(rovers).forEach(stats => {
+      stats.sols = stats.sols.size;
+      stats.cameras = Array.from(stats.cameras);
+    });
+    return { photos: this.photos.size, rovers };
+  }
+
+  // Listen for index growth - callback receives { added, total }; returns an unsubscribe function
+  subscribe(callback) {
+    this.listeners.push(callback);
+    return () => {
+      const index = this.listeners.indexOf(callback);
+      if (index > -1) {
+        this.listeners.splice(index, 1);
+      }
+    };
+  }
+
+  notify(change) {
+    this.listeners.forEach(callback => {
+      try {
+        callback(change);
+      } catch (error) {
+        console.error('Error in photo search index listener:', error);
+      }
+    });
+  }
+
+  clear() {
+    this.photos.clear();
+    this.byRover.clear();
+    this.byCamera.clear();
+    this.seeded = null;
+  }
+}
+
+const photoSearchIndex = new PhotoSearchIndex();
+
+export { PhotoSearchIndex, photoSearchIndex };
+export default photoSearchIndex;
@@ -0,0 +1,187 @@
+// Priority Request Scheduler for NASA API
+// Concurrency-capped dispatch with priority lanes and fair round-robin queueing per caller
+
+import { createAbortError } from '../utils/abortUtils.js';
+
+// Lanes in dispatch order - a lower lane only runs when every higher lane is empty
+export const REQUEST_PRIORITY = {
+  INTERACTIVE: 'interactive', // Current-sol view and other user-initiated requests
+  VISIBLE: 'visible', // Ranges currently on screen (trend charts, replay sequences)
+  BACKGROUND: 'background' // Prefetches and sol-range batches
+};
+
+const LANE_ORDER = [REQUEST_PRIORITY.INTERACTIVE, REQUEST_PRIORITY.VISIBLE, REQUEST_PRIORITY.BACKGROUND];
+const DEFAULT_CONCURRENCY = parseInt(process.env.REACT_APP_MAX_CONCURRENT_REQUESTS, 10) || 4;
+const DEFAULT_CALLER = 'default';
+
+class RequestScheduler {
+  constructor({ concurrency = DEFAULT_CONCURRENCY, onQueueChange = null } = {}) {
+    this.concurrency = concurrency;
+    this.onQueueChange = onQueueChange;
+    this.active = 0;
+    this.completed = 0;
+
+    // lane -> Map(caller -> FIFO queue); Map insertion order is the round-robin order
+    this.lanes = Object.fromEntries(LANE_ORDER.map(lane => [lane, new Map()]));
+    this.queuedByKey = new Map(); // Request key -> queued entry, for promote()
+  }
+
+  /**
+   * Queue a task and run it when a slot is free
+   * @param {Function} task - Async function to run
+   * @param {Object} options - { priority: lane (default: interactive), caller: fairness key,
+   *   key: request identity for promote(), signal: AbortSignal }
+   * @returns {Promise<*>} The task's result
+   */
+  schedule(task, { priority = REQUEST_PRIORITY.INTERACTIVE, caller = DEFAULT_CALLER, key = null, signal = null } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    const lane = this.lanes[priority] ? priority : REQUEST_PRIORITY.INTERACTIVE;
+
+    return new Promise((resolve, reject) => {
+      const entry = { task, resolve, reject, signal, onAbort: null, lane, caller, key, queuedAt: Date.now() };
+
+      // Cancelled while waiting - drop it from the queue
+      if (signal) {
+        entry.onAbort = () => {
+          if (this.removeEntry(entry)) {
+            reject(createAbortError());
+            this.notify();
+          }
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      this.enqueue(entry);
+      this.dispatch();
+    });
+  }
+
+  // Start queued tasks while under the concurrency cap
+  dispatch() {
+    while (this.active < this.concurrency) {
+      const entry = this.nextEntry();
+      if (!entry) break;
+
+      entry.signal?.removeEventListener('abort', entry.onAbort);
+      if (entry.key !== null && this.queuedByKey.get(entry.key) === entry) {
+        this.queuedByKey.delete(entry.key);
+      }
+      this.active++;
+
+      Promise.resolve()
+        .then(() => entry.task())
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+          this.active--;
+          this.completed++;
+          this.dispatch();
+        });
+    }
+    this.notify();
+  }
+
+  // Highest non-empty lane; within it, the caller at the front of the rotation
+  nextEntry() {
+    for (const lane of LANE_ORDER) {
+      const callers = this.lanes[lane];
+      for (const [caller, queue] of callers) {
+        const entry = queue.shift();
+        // Rotate: this caller moves to the back so other callers get the next turn
+        callers.delete(caller);
+        if (queue.length > 0) {
+          callers.set(caller, queue);
+        }
+        if (entry) return entry;
+      }
+    }
+    return null;
+  }
+
+  enqueue(entry) {
+    const callers = this.lanes[entry.lane];
+    if (!callers.has(entry.caller)) {
+      callers.set(entry.caller, []);
+    }
+    callers.get(entry.caller).push(entry);
+
+    if (entry.key !== null) {
+      this.queuedByKey.set(entry.key, entry);
+    }
+  }
+
+  removeEntry(entry) {
+    const queue = this.lanes[entry.lane].get(entry.caller);
+    const index = queue ? queue.indexOf(entry) : -1;
+    if (index === -1) return false;
+
+    queue.splice(index, 1);
+    if (queue.length === 0) {
+      this.lanes[entry.lane].delete(entry.caller);
+    }
+    if (entry.key !== null && this.queuedByKey.get(entry.key) === entry) {
+      this.queuedByKey.delete(entry.key);
+    }
+    return true;
+  }
+
+  /**
+   * Move a queued request to a higher lane - used when an interactive caller joins a
+   * deduplicated request that was queued as a background or visible-range fetch
+   * @param {string} key - Request key passed to schedule()
+   * @param {string} priority - Lane to promote to
+   * @returns {boolean} True if a queued request was promoted
+   */
+  promote(key, priority) {
+    const entry = this.queuedByKey.get(key);
+    if (!entry || LANE_ORDER.indexOf(priority) === -1 ||
+        LANE_ORDER.indexOf(priority) >= LANE_ORDER.indexOf(entry.lane)) {
+      return false;
+    }
+
+    this.removeEntry(entry);
+    entry.lane = priority;
+    this.enqueue(entry);
+    this.notify();
+    return true;
+  }
+
+  setConcurrency(concurrency) {
+    this.concurrency = Math.max(1, concurrency);
+    this.dispatch();
+  }
+
+  getQueueDepth() {
+    return LANE_ORDER.reduce((total, lane) => total + this.getLaneDepth(lane), 0);
+  }
+
+  getLaneDepth(lane) {
+    let depth = 0;
+    for (const [, queue] of this.lanes[lane]) {
+      depth += queue.length;
+    }
+    return depth;
+  }
+
+  getStats() {
+    return {
+      concurrency: this.concurrency,
+      active: this.active,
+      queued: this.getQueueDepth(),
+      completed: this.completed,
+      byLane: Object.fromEntries(LANE_ORDER.map(lane => [lane, this.getLaneDepth(lane)])),
+      callers: Object.fromEntries(LANE_ORDER.map(lane => [lane, Array.from(this.lanes[lane].keys())]))
+    };
+  }
+
+  notify() {
+    if (this.onQueueChange) {
+      this.onQueueChange(this.getStats());
+    }
+  }
+}
+
+export { RequestScheduler };
+export default RequestScheduler;
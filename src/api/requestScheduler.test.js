@@ -0,0 +1,108 @@
+import RequestScheduler, { REQUEST_PRIORITY } from './requestScheduler';
+
+// Tasks that record their label when started and keep running until released
+const createGate = () => {
+  const started = [];
+  const releases = [];
+  const task = (label) => () => new Promise(resolve => {
+    started.push(label);
+    releases.push(resolve);
+  });
+  const releaseNext = () => releases.shift()();
+  const hasRunning = () => releases.length > 0;
+  return { started, task, releaseNext, hasRunning };
+};
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Release running tasks one at a time, letting the scheduler start the next, until the queue is empty
+const drain = async (gate) => {
+  await flush();
+  while (gate.hasRunning()) {
+    gate.releaseNext();
+    await flush();
+  }
+};
+
+describe('RequestScheduler', () => {
+  test('runs no more tasks at once than its concurrency', async () => {
+    const scheduler = new RequestScheduler({ concurrency: 2 });
+    const gate = createGate();
+    ['a', 'b', 'c'].forEach(label => scheduler.schedule(gate.task(label)));
+
+    await flush();
+    expect(gate.started).toEqual(['a', 'b']);
+    expect(scheduler.getStats()).toMatchObject({ active: 2, queued: 1 });
+
+    gate.releaseNext();
+    await flush();
+    expect(gate.started).toEqual(['a', 'b', 'c']);
+  });
+
+  test('runs a lower lane only when every higher lane is empty', async () => {
+    const scheduler = new RequestScheduler({ concurrency: 1 });
+    const gate = createGate();
+    scheduler.schedule(gate.task('first'));
+    scheduler.schedule(gate.task('background'), { priority: REQUEST_PRIORITY.BACKGROUND });
+    scheduler.schedule(gate.task('visible'), { priority: REQUEST_PRIORITY.VISIBLE });
+    scheduler.schedule(gate.task('interactive'), { priority: REQUEST_PRIORITY.INTERACTIVE });
+
+    expect(scheduler.getStats().byLane).toEqual({ interactive: 1, visible: 1, background: 1 });
+    await drain(gate);
+    expect(gate.started).toEqual(['first', 'interactive', 'visible', 'background']);
+  });
+
+  test('serves callers within a lane round-robin', async () => {
+    const scheduler = new RequestScheduler({ concurrency: 1 });
+    const gate = createGate();
+    scheduler.schedule(gate.task('first'));
+    ['chart-1', 'chart-2', 'chart-3'].forEach(label => (
+      scheduler.schedule(gate.task(label), { priority: REQUEST_PRIORITY.BACKGROUND, caller: 'chart' })
+    ));
+    scheduler.schedule(gate.task('prefetch-1'), { priority: REQUEST_PRIORITY.BACKGROUND, caller: 'prefetch' });
+
+    await drain(gate);
+    expect(gate.started).toEqual(['first', 'chart-1', 'prefetch-1', 'chart-2', 'chart-3']);
+  });
+
+  test('promote moves a queued request to a higher lane', async () => {
+    const scheduler = new RequestScheduler({ concurrency: 1 });
+    const gate = createGate();
+    scheduler.schedule(gate.task('first'));
+    scheduler.schedule(gate.task('visible'), { priority: REQUEST_PRIORITY.VISIBLE });
+    scheduler.schedule(gate.task('prefetch'), { priority: REQUEST_PRIORITY.BACKGROUND, key: 'photos_sol_100' });
+
+    expect(scheduler.promote('photos_sol_100', REQUEST_PRIORITY.INTERACTIVE)).toBe(true);
+    expect(scheduler.getStats().byLane).toEqual({ interactive: 1, visible: 1, background: 0 });
+
+    await drain(gate);
+    expect(gate.started).toEqual(['first', 'prefetch', 'visible']);
+  });
+
+  test('promote never demotes and ignores unknown keys', () => {
+    const scheduler = new RequestScheduler({ concurrency: 1 });
+    const gate = createGate();
+    scheduler.schedule(gate.task('first'));
+    scheduler.schedule(gate.task('visible'), { priority: REQUEST_PRIORITY.VISIBLE, key: 'range' });
+
+    expect(scheduler.promote('range', REQUEST_PRIORITY.BACKGROUND)).toBe(false);
+    expect(scheduler.promote('range', REQUEST_PRIORITY.VISIBLE)).toBe(false);
+    expect(scheduler.promote('missing', REQUEST_PRIORITY.INTERACTIVE)).toBe(false);
+    expect(scheduler.getStats().byLane.visible).toBe(1);
+  });
+
+  test('an aborted queued request is dropped without running', async () => {
+    const scheduler = new RequestScheduler({ concurrency: 1 });
+    const gate = createGate();
+    const controller = new AbortController();
+    scheduler.schedule(gate.task('first'));
+    const queued = scheduler.schedule(gate.task('cancelled'), { signal: controller.signal });
+
+    controller.abort();
+    await expect(queued).rejects.toMatchObject({ name: 'AbortError' });
+    expect(scheduler.getStats().queued).toBe(0);
+
+    await drain(gate);
+    expect(gate.started).toEqual(['first']);
+  });
+});
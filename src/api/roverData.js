@@ -4,13 +4,29 @@
 import unifiedCache from './unifiedCacheSystem.js';
 import performanceMonitor from './performanceMonitor.js';
 import NASAApiService from './nasaApiService.js';
+import { DATA_SOURCE_MODES } from './dataSources.js';
 import { getCurrentMaxSol } from '../utils/nasaManifestUtils.js';
+import { isAbortError, throwIfAborted } from '../utils/abortUtils.js';
+import { normalizeManifest, normalizePhotos, toEarthDateString } from './nasaSchemas.js';
+import { getImageCaptureTime } from '../utils/marsTime.js';
+import { calculatePowerBudget } from '../utils/powerModel.js';
+import { getConjunctionForSol, getSolGeometry } from '../utils/earthMarsGeometry.js';
+import weatherArchive, { toMetricName } from './weatherArchive.js';
+import traverseArchive from './traverseArchive.js';
+import {
+  PROVENANCE,
+  PROVENANCE_SOURCES,
+  createProvenance,
+  tagFields,
+  deriveProvenance
+} from '../utils/provenance.js';
+import { DEFAULT_ROVER, getRoverProfile } from '../data/roverProfiles.js';
+import { getCameraInfo } from '../data/cameraRegistry.js';
 
 const NASA_API_KEY = (process.env.REACT_APP_NASA_API_KEY || process.env.NASA_API_KEY || 'DEMO_KEY').replace(/`/g, '');
 const NASA_BASE_URL = 'https://api.nasa.gov/mars-photos/api/v1';
-
-// Mission constants
-const MISSION_TOTAL_DISTANCE_KM = '28.45'; // Fixed total mission distance traveled to date (actual Perseverance cumulative distance)
+const MAX_IMAGES_PER_CAMERA = 10;
+const PHOTOS_PER_PAGE = 25; // NASA pages photo responses at 25
 
 // Initialize NASA API service for unified access
 const nasaApiService = new NASAApiService();
@@ -19,43 +35,14 @@ const nasaApiService = new NASAApiService();
 // Note: All performance tracking now handled by performanceMonitor
 // Note: All error handling now handled by nasaApiService
 
-// Optimized route data generation using mathematical formulas and unified caching
-const generateMockRouteData = (maxSol) => {
-  // Cache temporarily disabled - direct calculation
-  // const cacheKey = `route_${maxSol}`;
-  // const cached = unifiedCache.get(cacheKey);
-  // if (cached) {
-  //   performanceMonitor.recordCacheHit();
-  //   return cached;
-  // }
-  
-  // performanceMonitor.recordCacheMiss();
-  
-  // Perseverance landing site coordinates in Jezero Crater
-  const baseLat = 18.4447;
-  const baseLon = 77.4508;
-  
-  // Optimized generation using Array.from instead of loop
-  const route = Array.from({ length: maxSol + 1 }, (_, sol) => {
-    // Mathematical coordinate calculation for better performance
-    const latOffset = (sol * 0.0001) * (sol % 3 !== 0 ? 1 : -0.5);
-    const lonOffset = (sol * 0.0002) * (sol % 2 === 0 ? 1 : -0.3);
-    
-    return {
-      lat: baseLat + latOffset,
-      lon: baseLon + lonOffset,
-      sol: sol
-    };
-  });
-  
-  // Cache result temporarily disabled
-  // unifiedCache.set(cacheKey, route);
-  
-  return route;
+// Mission total drive distance for the header - measured along the published traverse when one is loaded
+const getMissionTotalDistance = (rover = DEFAULT_ROVER) => {
+  const traverseDistance = traverseArchive.getDistanceForSol(rover);
+  return traverseDistance !== null ? traverseDistance.toFixed(2) : getRoverProfile(rover).totalDistanceKm;
 };
 
 // Highly optimized distance calculation using mathematical formulas and unified cache memoization
-const calculateRealisticDistance = (sol, missionPhase, maxSol) => {
+const calculateRealisticDistance = (sol, missionPhase, maxSol, rover = DEFAULT_ROVER) => {
   // Cache temporarily disabled - direct calculation
   // const cacheKey = `distance_${sol}_${missionPhase}`;
   // const cached = unifiedCache.get(cacheKey);
@@ -66,17 +53,9 @@ const calculateRealisticDistance = (sol, missionPhase, maxSol) => {
   
   // performanceMonitor.recordCacheMiss();
   
-  // Mission patterns optimized for mathematical calculation
-  const missionPatterns = {
-    'Landing & Checkout': { avgDistance: 0.05, drivingDays: 0.1 },
-    'Exploration Preparation': { avgDistance: 0.15, drivingDays: 0.3 },
-    'Crater Floor Exploration': { avgDistance: 0.25, drivingDays: 0.6 },
-    'Delta Formation Study': { avgDistance: 0.22, drivingDays: 0.5 },
-    'Sample Collection Campaign': { avgDistance: 0.18, drivingDays: 0.4 },
-    'Extended Mission Operations': { avgDistance: 0.28, drivingDays: 0.7 }
-  };
-
-  const pattern = missionPatterns[missionPhase] || { avgDistance: 0.2, drivingDays: 0.5 };
+  // Mission patterns come from the rover's phase table
+  const pattern = getRoverProfile(rover).missionPhases.find(phase => phase.name === missionPhase)
+    || { avgDistance: 0.2, drivingDays: 0.5 };
   
   // Mathematical approximation instead of O(n) iteration
   const baseDistance = pattern.avgDistance * 1000; // Convert to meters
@@ -138,105 +117,171 @@ const mapNASAStatus = (nasaStatus) => {
 };
 
 // Fetch real telemetry data from NASA rover API metadata with enhanced calculations
-const fetchRealTelemetryData = async (sol, rover = 'perseverance', providedManifest = null) => {
+const fetchRealTelemetryData = async (sol, rover = DEFAULT_ROVER, providedManifest = null) => {
   try {
     let roverManifest = providedManifest;
     
     // Only fetch manifest if not provided - use nasaApiService for proper caching and deduplication
     if (!roverManifest) {
       const manifestData = await nasaApiService.getRoverManifest(rover);
-      roverManifest = manifestData.photo_manifest;
+      roverManifest = normalizeManifest(manifestData, `manifest_${rover}`);
     }
     
+    // MEDA/REMS records and the published traverse load once per rover; later calls resolve immediately
+    await Promise.all([weatherArchive.load(rover), traverseArchive.load(rover)]);
+    
     // Get mission phase for accurate calculations based on the requested sol
-    const missionPhase = getMissionPhase(sol);
+    const missionPhase = getMissionPhase(sol, rover);
     
-    // Calculate realistic distance traveled up to the requested sol
+    // Distance traveled up to the requested sol - measured along the published traverse, else the mission model
     // This ensures distance reflects progress up to the specific sol being viewed
-    const realisticDistance = calculateRealisticDistance(sol, missionPhase, roverManifest.max_sol);
+    const traverseDistance = traverseArchive.getDistanceForSol(rover, sol);
+    const realisticDistance = traverseDistance ?? calculateRealisticDistance(sol, missionPhase, roverManifest.maxSol, rover);
     
     // Calculate mission duration
     const missionDuration = calculateMissionDuration(
-      roverManifest.landing_date, 
-      roverManifest.max_date
+      roverManifest.landingDate, 
+      roverManifest.maxDate
+    );
+    
+    // Provenance: manifest fields are NASA measurements stamped with the manifest's fetch time
+    const now = new Date().toISOString();
+    const isFixture = nasaApiService.getDataSource().mode === DATA_SOURCE_MODES.FIXTURE;
+    const manifestSource = isFixture ? PROVENANCE_SOURCES.NASA_FIXTURE : PROVENANCE_SOURCES.NASA_MANIFEST;
+    const manifestProvenance = tagFields(
+      ['mission_status', 'total_photos', 'max_sol', 'max_date', 'launch_date', 'landing_date'],
+      PROVENANCE.MEASURED,
+      manifestSource,
+      unifiedCache.getFetchedAt(`manifest_${rover}`) || now
     );
     
+    const environmental = calculateEnvironmentalData(sol, rover);
+    const power = calculatePowerData(sol, rover, environmental);
+    const powerProvenance = getPowerProvenance(environmental);
+    
     // Extract real rover status data with enhanced calculations
     const realTelemetry = {
       // Core NASA manifest data
       mission_status: roverManifest.status,
-      total_photos: roverManifest.total_photos,
-      max_sol: roverManifest.max_sol,
-      max_date: roverManifest.max_date,
-      launch_date: roverManifest.launch_date,
-      landing_date: roverManifest.landing_date,
+      total_photos: roverManifest.totalPhotos,
+      max_sol: roverManifest.maxSol,
+      max_date: toEarthDateString(roverManifest.maxDate),
+      launch_date: toEarthDateString(roverManifest.launchDate),
+      landing_date: toEarthDateString(roverManifest.landingDate),
       
       // Enhanced calculated fields
       total_distance: realisticDistance,
       mission_duration: missionDuration,
       mapped_status: mapNASAStatus(roverManifest.status),
       
-      // Calculate power efficiency based on mission phase
-      power_efficiency: calculatePowerEfficiency(sol, roverManifest.landing_date),
+      // Daily power budget from insolation and dust opacity (solar) or MMRTG decay (nuclear)
+      power,
+      power_efficiency: power.efficiency,
       
       // Calculate camera activity (how many photos taken that sol)
-      camera_activity: calculateCameraActivity(sol, roverManifest.photos),
+      camera_activity: calculateCameraActivity(sol, roverManifest.sols),
       
       // Calculate mission phase
       mission_phase: missionPhase,
       
-      // Real environmental data estimates based on Mars seasonal patterns
-      environmental: calculateEnvironmentalData(sol),
+      // MEDA/REMS weather records, with Mars seasonal model estimates filling the gaps
+      environmental,
       
       // Data freshness timestamp
-      last_updated: new Date().toISOString(),
-      data_source: 'NASA_API'
+      last_updated: now,
+      data_source: isFixture ? 'NASA_FIXTURE' : 'NASA_API',
+      
+      // Per-field provenance (environmental fields carry their own in environmental.provenance)
+      provenance: {
+        ...manifestProvenance,
+        total_distance: traverseDistance !== null
+          ? createProvenance(PROVENANCE.DERIVED, PROVENANCE_SOURCES.NASA_TRAVERSE, now)
+          : createProvenance(PROVENANCE.MODELED, PROVENANCE_SOURCES.MISSION_MODEL, now),
+        mission_duration: deriveProvenance([manifestProvenance.landing_date, manifestProvenance.max_date]),
+        mapped_status: deriveProvenance([manifestProvenance.mission_status]),
+        ...tagFields(['power', 'power_efficiency'], powerProvenance.kind, powerProvenance.source, now),
+        camera_activity: deriveProvenance([manifestProvenance.total_photos]),
+        mission_phase: createProvenance(PROVENANCE.DERIVED, PROVENANCE_SOURCES.ROVER_PROFILE, now)
+      }
     };
     
     return realTelemetry;
   } catch (error) {
     console.warn('Failed to fetch real telemetry, using enhanced simulation:', error);
-    return generateEnhancedTelemetry(sol);
+    return generateEnhancedTelemetry(sol, rover);
   }
 };
 
-// Calculate power efficiency based on mission duration and Mars seasons
-const calculatePowerEfficiency = (sol, landingDate) => {
-  const daysSinceLanding = sol;
-  const marsYear = 687; // Mars year in Earth days
-  const seasonalEfficiency = 0.85 + 0.15 * Math.cos((sol / marsYear) * 2 * Math.PI);
-  const degradationFactor = Math.max(0.7, 1 - (daysSinceLanding * 0.00001)); // Very slow degradation
-  return Math.round(seasonalEfficiency * degradationFactor * 100) / 100;
+// Daily power budget for a sol - the sol's dust opacity attenuates sunlight and its overnight low sets the heater load
+const calculatePowerData = (sol, rover, environmental) => {
+  const budget = calculatePowerBudget({
+    rover,
+    sol,
+    tau: environmental.dust_opacity,
+    minTemperature: environmental.min_temperature ?? environmental.temperature
+  });
+  
+  return {
+    source: budget.source,
+    average_watts: Math.round(budget.averageWatts * 10) / 10,
+    peak_watts: Math.round(budget.peakWatts * 10) / 10,
+    energy_wh: Math.round(budget.energyWh),
+    survival_load_wh: Math.round(budget.survivalLoadWh),
+    margin_wh: Math.round(budget.marginWh),
+    battery_charge: Math.round(budget.batteryCharge),
+    dust_factor: budget.dustFactor === null ? null : Math.round(budget.dustFactor * 100) / 100,
+    tau: environmental.dust_opacity,
+    efficiency: Math.round(budget.efficiency * 100) / 100 // Share of the beginning-of-mission daily energy
+  };
 };
 
-// Calculate camera activity based on photo manifest data
-const calculateCameraActivity = (sol, photosData) => {
-  if (!photosData) return 0;
+// The power model is modeled at best, and no better than the dust opacity it was fed
+const getPowerProvenance = (environmental) => deriveProvenance(
+  [createProvenance(PROVENANCE.MODELED, PROVENANCE_SOURCES.POWER_MODEL), environmental.provenance?.dust_opacity],
+  PROVENANCE_SOURCES.POWER_MODEL
+);
+
+// Calculate camera activity based on the normalized manifest's per-sol entries
+const calculateCameraActivity = (sol, manifestSols) => {
+  if (!manifestSols) return 0;
   
-  const solData = photosData.find(photo => photo.sol === sol);
-  return solData ? solData.total_photos : 0;
+  const solData = manifestSols.find(entry => entry.sol === sol);
+  return solData ? solData.totalPhotos : 0;
 };
 
-// Get mission phase based on Sol
-const getMissionPhase = (sol) => {
-  if (sol < 60) return 'Landing & Checkout';
-  if (sol < 150) return 'Exploration Preparation';
-  if (sol < 400) return 'Crater Floor Exploration';
-  if (sol < 600) return 'Delta Formation Study';
-  if (sol < 800) return 'Sample Collection Campaign';
-  return 'Extended Mission Operations';
+// Get mission phase based on Sol from the rover's phase table
+const getMissionPhase = (sol, rover = DEFAULT_ROVER) => {
+  const phases = getRoverProfile(rover).missionPhases;
+  const phase = phases.find(candidate => sol < candidate.untilSol) || phases[phases.length - 1];
+  return phase.name;
 };
 
-// Calculate real environmental data based on Mars atmospheric models
-const calculateEnvironmentalData = (sol) => {
+// Environmental data for a sol - MEDA/REMS records where the weather archive has them,
+// atmospheric-model estimates (flagged in `estimated_fields`) everywhere else
+const calculateEnvironmentalData = (sol, rover = DEFAULT_ROVER) => {
+  const environmental = weatherArchive.getEnvironmental(rover, sol, estimateEnvironmentalData(sol, rover));
+  return {
+    ...environmental,
+    // Derived from whichever pressure was used
+    atmospheric_density: Math.round((0.02 * (environmental.pressure / 750)) * 1000) / 1000,
+    provenance: {
+      ...environmental.provenance,
+      atmospheric_density: deriveProvenance([environmental.provenance.pressure])
+    }
+  };
+};
+
+// Estimate environmental data based on Mars atmospheric models (used where no weather record exists)
+const estimateEnvironmentalData = (sol, rover = DEFAULT_ROVER) => {
   // Mars seasonal temperature variations (more accurate model)
   const marsYearFraction = (sol % 687) / 687;
-  const latitude = 18.4447; // Perseverance location
+  const latitude = getRoverProfile(rover).landingSite.lat;
+  const hemisphere = latitude < 0 ? -1 : 1; // Seasons are opposite in the southern hemisphere
   
   // Temperature calculation based on Mars atmospheric models
-  const seasonalTemp = -15 * Math.cos(2 * Math.PI * marsYearFraction); // Seasonal variation
+  const seasonalTemp = -15 * hemisphere * Math.cos(2 * Math.PI * marsYearFraction); // Seasonal variation
   const dailyTemp = -30 * Math.cos(2 * Math.PI * (sol % 1)); // Daily variation
-  const baseTemp = -63; // Mars average at Perseverance latitude
+  const baseTemp = -60 - 0.2 * Math.abs(latitude); // Mars average, colder away from the equator (-63.7 at Jezero)
   const temperature = Math.round((baseTemp + seasonalTemp + dailyTemp) * 10) / 10;
   
   // Atmospheric pressure (varies with seasons due to CO2 freeze/thaw)
@@ -266,49 +311,53 @@ const calculateEnvironmentalData = (sol) => {
 };
 
 // Enhanced telemetry generation with real Mars data patterns (fallback)
-const generateEnhancedTelemetry = async (sol) => {
-  const environmental = calculateEnvironmentalData(sol);
+const generateEnhancedTelemetry = async (sol, rover = DEFAULT_ROVER) => {
+  const profile = getRoverProfile(rover);
+  await Promise.all([weatherArchive.load(profile.id), traverseArchive.load(profile.id)]);
+  const environmental = calculateEnvironmentalData(sol, profile.id);
   // Use real NASA max_sol for current mission estimate
   let estimatedMaxSol;
   try {
-    estimatedMaxSol = await getCurrentMaxSol('perseverance');
+    estimatedMaxSol = await getCurrentMaxSol(profile.id);
   } catch (error) {
     console.warn('Failed to get real max_sol, using fallback:', error);
-    estimatedMaxSol = Math.max(sol, 1650); // Updated fallback higher than 1000
+    estimatedMaxSol = Math.max(sol, profile.fallbackMaxSol);
   }
-  const missionPhase = getMissionPhase(sol);
-  const powerEfficiency = calculatePowerEfficiency(sol, '2021-02-18');
+  const missionPhase = getMissionPhase(sol, profile.id);
+  const power = calculatePowerData(sol, profile.id, environmental);
+  const powerProvenance = getPowerProvenance(environmental);
   
-  // Generate realistic fallback distance using the requested sol
-  const fallbackDistance = calculateRealisticDistance(sol, missionPhase, estimatedMaxSol);
+  // The published traverse doesn't depend on the NASA API; the mission model stands in without one
+  const traverseDistance = traverseArchive.getDistanceForSol(profile.id, sol);
+  const fallbackDistance = traverseDistance ?? calculateRealisticDistance(sol, missionPhase, estimatedMaxSol, profile.id);
   
   // Generate realistic mission duration estimate
-  const landingDate = '2021-02-18';
+  const landingDate = profile.landingDate;
   const estimatedCurrentDate = new Date(Date.now() + (sol * 24.6 * 60 * 60 * 1000)); // Add sol days
   const missionDuration = calculateMissionDuration(landingDate, estimatedCurrentDate.toISOString().split('T')[0]);
   
   return {
     // Fallback NASA-like data
-    mission_status: 'active',
-    total_photos: Math.max(250000, estimatedMaxSol * 180), // Realistic photo count using mission max_sol
+    mission_status: profile.status,
+    total_photos: Math.max(profile.fallbackTotalPhotos, estimatedMaxSol * 180), // Realistic photo count using mission max_sol
     max_sol: estimatedMaxSol,
     max_date: new Date().toISOString().split('T')[0],
-    launch_date: '2020-07-30',
+    launch_date: profile.launchDate,
     landing_date: landingDate,
     
     // Enhanced calculated fields
     total_distance: fallbackDistance,
     mission_duration: missionDuration,
-    mapped_status: 'OPERATIONAL',
+    mapped_status: mapNASAStatus(profile.status),
     
     mission_phase: missionPhase,
-    power_efficiency: powerEfficiency,
+    power,
+    power_efficiency: power.efficiency,
     camera_activity: Math.floor(Math.random() * 50) + 10,
     environmental,
     
     // System health estimates
     system_health: {
-      batteries: Math.max(70, 95 - (sol * 0.001)), // Very slow degradation
       communications: 98 + 2 * Math.sin(sol * 0.01),
       mobility: Math.max(85, 100 - (sol * 0.002)),
       instruments: Math.max(90, 98 - (sol * 0.001))
@@ -316,19 +365,92 @@ const generateEnhancedTelemetry = async (sol) => {
     
     // Data freshness timestamp
     last_updated: new Date().toISOString(),
-    data_source: 'FALLBACK_SIMULATION'
+    data_source: 'FALLBACK_SIMULATION',
+    
+    // Everything stands in for NASA data except fixed mission facts from the rover profile
+    provenance: {
+      ...tagFields(
+        ['mission_status', 'total_photos', 'max_sol', 'max_date', 'total_distance', 'mission_duration',
+          'mapped_status', 'camera_activity', 'system_health'],
+        PROVENANCE.FALLBACK,
+        PROVENANCE_SOURCES.FALLBACK_SIMULATION
+      ),
+      ...tagFields(['launch_date', 'landing_date', 'mission_phase'], PROVENANCE.DERIVED, PROVENANCE_SOURCES.ROVER_PROFILE),
+      ...tagFields(['power', 'power_efficiency'], powerProvenance.kind, powerProvenance.source, powerProvenance.timestamp),
+      ...(traverseDistance !== null
+        ? { total_distance: createProvenance(PROVENANCE.DERIVED, PROVENANCE_SOURCES.NASA_TRAVERSE) }
+        : {})
+    }
+  };
+};
+
+// Combine stale markers from cached NASA responses into a single header summary
+const getCombinedStaleInfo = (responses) => {
+  const staleResponses = responses
+    .map(response => unifiedCache.getStaleInfo(response))
+    .filter(Boolean);
+
+  if (staleResponses.length === 0) {
+    return null;
+  }
+
+  const oldest = staleResponses.reduce((a, b) => (b.age > a.age ? b : a));
+  return {
+    age: oldest.age,
+    fetchedAt: oldest.fetchedAt,
+    revalidationFailed: staleResponses.some(response => response.revalidationFailed),
+    sources: staleResponses.map(response => response.key)
   };
 };
 
 // Enhanced telemetry function with proper schema (uses real NASA data)
-export const generateMockTelemetry = async (sol, realTelemetry = null) => {
+export const generateMockTelemetry = async (sol, realTelemetry = null, rover = DEFAULT_ROVER) => {
   // Use provided telemetry data or fetch it if not provided (to avoid duplicate API calls)
-  const telemetryData = realTelemetry || await fetchRealTelemetryData(sol);
+  const telemetryData = realTelemetry || await fetchRealTelemetryData(sol, rover);
+  const { baseElevation } = getRoverProfile(rover);
+  const source = telemetryData.provenance || {};
+  const environmental = telemetryData.environmental.provenance || {};
+  
+  const { power } = telemetryData;
+  const geometry = getSolGeometry(sol, rover);
+  const conjunction = getConjunctionForSol(sol, rover);
+  const ephemeris = createProvenance(PROVENANCE.DERIVED, PROVENANCE_SOURCES.EPHEMERIS);
+  const modeled = createProvenance(PROVENANCE.MODELED, PROVENANCE_SOURCES.MISSION_MODEL);
+  
+  // Provenance per output field - computed values inherit the weakest kind of their inputs
+  const provenance = {
+    charge: source.power,
+    temperature: environmental.temperature,
+    radiation: environmental.radiation,
+    dust_opacity: environmental.dust_opacity,
+    dust_storm_activity: deriveProvenance([environmental.dust_opacity]),
+    dust_accumulation: modeled,
+    atmospheric_dust_levels: deriveProvenance([environmental.atmospheric_density]),
+    elevation: modeled,
+    power_generation: source.power,
+    battery_charge: source.power,
+    power_budget: source.power,
+    wind_speed: environmental.wind_speed,
+    wind_direction: modeled,
+    atmospheric_pressure: environmental.pressure,
+    distance_traveled: telemetryData.total_distance ? source.total_distance : modeled,
+    sol_duration: createProvenance(PROVENANCE.DERIVED, PROVENANCE_SOURCES.MARS_CONSTANTS),
+    communication_delay: ephemeris,
+    earth_distance_au: ephemeris,
+    sun_earth_mars_angle: ephemeris,
+    solar_conjunction: ephemeris,
+    min_temperature: environmental.min_temperature,
+    max_temperature: environmental.max_temperature,
+    uv_index: environmental.uv_index,
+    mission_status: source.mission_status,
+    mission_phase: source.mission_phase,
+    camera_activity: source.camera_activity
+  };
   
   // Convert to proper schema expected by correlation system
   return {
     // Legacy compatibility fields
-    charge: Math.round(telemetryData.system_health?.batteries || telemetryData.power_efficiency * 100),
+    charge: power.battery_charge,
     temperature: telemetryData.environmental.temperature,
     radiation: telemetryData.environmental.radiation,
     dust_opacity: telemetryData.environmental.dust_opacity,
@@ -337,19 +459,43 @@ export const generateMockTelemetry = async (sol, realTelemetry = null) => {
     atmospheric_dust_levels: Math.round(telemetryData.environmental.atmospheric_density * 50000),
     
     // Required fields for correlation system
-    elevation: 2374 + (sol * 0.1), // Perseverance elevation tracking
-    power_generation: Math.round(telemetryData.power_efficiency * 500), // Convert to watts
-    battery_charge: Math.round(telemetryData.system_health?.batteries || telemetryData.power_efficiency * 100),
+    elevation: baseElevation + (sol * 0.1), // Rover elevation tracking
+    power_generation: Math.round(power.average_watts), // Sol-averaged watts
+    battery_charge: power.battery_charge, // End-of-sol state of charge
+    power_budget: power,
     wind_speed: telemetryData.environmental.wind_speed,
     wind_direction: (sol * 15) % 360, // Estimated wind direction
     atmospheric_pressure: telemetryData.environmental.pressure,
     distance_traveled: telemetryData.total_distance || (sol * 0.025), // Use realistic distance calculation
     sol_duration: 24.6, // Mars sol duration in hours
     
+    // Earth link - one-way light time in minutes, and the conjunction window when commanding is suspended
+    communication_delay: Math.round(geometry.lightTimeMinutes * 100) / 100,
+    earth_distance_au: Math.round(geometry.distanceAu * 10000) / 10000,
+    sun_earth_mars_angle: Math.round(geometry.sunEarthMarsAngle * 100) / 100,
+    solar_conjunction: conjunction && {
+      start_sol: conjunction.startSol,
+      end_sol: conjunction.endSol,
+      closest_sol: conjunction.closestSol,
+      min_angle: Math.round(conjunction.minAngle * 100) / 100
+    },
+    
+    // Daily weather range and UV (null when neither a record nor an estimate exists)
+    min_temperature: telemetryData.environmental.min_temperature,
+    max_temperature: telemetryData.environmental.max_temperature,
+    uv_index: telemetryData.environmental.uv_index,
+    
+    // Weather provenance - MEDA/REMS, or SYNTHETIC when no record exists for the sol
+    weather_source: telemetryData.environmental.source,
+    weather_estimated_fields: (telemetryData.environmental.estimated_fields || []).map(toMetricName),
+    
     // Mission status fields
     mission_status: telemetryData.mission_status,
     mission_phase: telemetryData.mission_phase,
-    camera_activity: telemetryData.camera_activity || 0
+    camera_activity: telemetryData.camera_activity || 0,
+    
+    // measured / derived / modeled / fallback, with source and timestamp, for each telemetry value above
+    provenance: Object.fromEntries(Object.entries(provenance).filter(([, tag]) => tag))
   };
 };
 
@@ -357,10 +503,126 @@ export const generateMockTelemetry = async (sol, realTelemetry = null) => {
 
 // Note: fetchNasaRoverData has been replaced with nasaApiService for unified caching, error handling, and performance monitoring
 
+// Group photos by NASA camera code with registry metadata
+// Every photo is counted per camera; only the first few per camera are kept as images
+const groupPhotosByCamera = (photos, rover, position) => {
+  // Single-pass reduce operation for optimal performance (invalid photos were dropped by normalizePhotos)
+  const cameraGroups = photos.reduce((groups, photo) => {
+    const code = photo.camera.name || 'UNKNOWN';
+    
+    if (!groups[code]) {
+      const info = getCameraInfo(rover, code);
+      groups[code] = {
+        ...info,
+        name: photo.camera.fullName || info.name, // NASA's full name, as shown before the registry existed
+        images: [],
+        totalPhotos: 0
+      };
+    }
+    
+    const group = groups[code];
+    group.totalPhotos++; // Full count for the sol, even when only some images are kept
+    
+    // Limit images per camera for performance
+    if (group.images.length < MAX_IMAGES_PER_CAMERA) {
+      // Exposure time from the spacecraft clock in the filename, else midday of NASA's Earth date
+      const capturedAt = getImageCaptureTime(photo.imgSrc);
+      const timestamp = capturedAt ? capturedAt.toISOString() : `${toEarthDateString(photo.earthDate)}T12:00:00Z`;
+      group.images.push({
+        url: photo.imgSrc,
+        sol: photo.sol,
+        timestamp: timestamp,
+        captured: Boolean(capturedAt),
+        location: {
+          lat: position.lat + (group.images.length * 0.0001),
+          lon: position.lon + (group.images.length * 0.0001)
+        }
+      });
+    }
+    
+    return groups;
+  }, {});
+  
+  return Object.values(cameraGroups);
+};
+
+/**
+ * Get a sol's photos from specific cameras - one camera-filtered API query per camera code
+ * @param {string} rover - The rover name
+ * @param {number} sol - Mission sol
+ * @param {Array<string>} cameraCodes - NASA camera codes (see cameraRegistry)
+ * @param {Object} options - nasaApiService request options (signal, priority, caller)
+ * @returns {Promise<Array<Object>>} Camera groups in the getRoverData `cameras` shape; cameras without photos are omitted
+ */
+export const getCameraPhotos = async (rover = DEFAULT_ROVER, sol, cameraCodes, options = {}) => {
+  const profile = getRoverProfile(rover);
+  const responses = await Promise.all(cameraCodes.map(code => (
+    nasaApiService.getPhotosForSol(profile.id, sol, code, { caller: 'camera-gallery', ...options })
+  )));
+  throwIfAborted(options.signal);
+  
+  const photos = responses.flatMap((response, index) => (
+    normalizePhotos(response, `photos_${profile.id}_${sol}_${cameraCodes[index]}`).photos
+  ));
+  await traverseArchive.load(profile.id);
+  const position = traverseArchive.getPositionForSol(profile.id, sol) || profile.landingSite;
+  return groupPhotosByCamera(photos, profile.id, position);
+};
+
+/**
+ * Get a sol's camera groups from every photo page - for complete per-camera counts when getRoverData only
+ * fetched page 1 (which is normally still cached, so only the remaining pages cost requests)
+ * @param {string} rover - The rover name
+ * @param {number} sol - Mission sol
+ * @param {Object} options - nasaApiService request options (signal, priority, caller) plus totalPhotos, the
+ *   manifest's count for the sol, which ends the walk without probing past the last page
+ * @returns {Promise<Object>} { cameras, complete } - cameras in the getRoverData `cameras` shape; complete is false
+ *   when the walk hit the page limit
+ */
+export const getAllSolCameras = async (rover = DEFAULT_ROVER, sol, options = {}) => {
+  const profile = getRoverProfile(rover);
+  const nasaData = await nasaApiService.getAllPhotosForSol(profile.id, sol, null, { caller: 'camera-gallery', ...options });
+  throwIfAborted(options.signal);
+  
+  const photos = nasaData.responses.flatMap(response => (
+    normalizePhotos(response, `photos_${profile.id}_${sol}`).photos
+  ));
+  await traverseArchive.load(profile.id);
+  const position = traverseArchive.getPositionForSol(profile.id, sol) || profile.landingSite;
+  return { cameras: groupPhotosByCamera(photos, profile.id, position), complete: nasaData.complete };
+};
+
+// Camera groups of a sol's photos, with a placeholder Navcam frame when there are none
+const getSolCameras = (photos, rover, position) => {
+  const cameras = groupPhotosByCamera(photos, rover, position);
+  if (cameras.length === 0) {
+    cameras.push({
+      ...getCameraInfo('curiosity', 'NAVCAM'), // The placeholder is a Curiosity Navcam frame
+      images: [{
+        url: 'https://mars.nasa.gov/msl-raw-images/proj/msl/redops/ods/surface/sol/01000/opgs/edr/ncam/NLB_486265257EDR_F0481570NCAM00323M_.JPG',
+        timestamp: new Date().toISOString(),
+        location: {
+          lat: position.lat,
+          lon: position.lon
+        }
+      }]
+    });
+  }
+  return cameras;
+};
+
 // Main function to get rover data (equivalent to the Python backend endpoint)
-export const getRoverData = async (sol = null) => {
+// options.priority: scheduler lane (REQUEST_PRIORITY.VISIBLE for on-screen ranges, BACKGROUND for prefetches)
+// options.caller: fairness key so one component's batch can't starve another's
+// options.allPhotoPages: fetch every page of the sol's photos instead of a single response
+// options.signal: AbortSignal - cancelled calls reject with an AbortError instead of returning fallback data
+export const getRoverData = async (rover = DEFAULT_ROVER, sol = null, options = {}) => {
   const errors = [];
+  const profile = getRoverProfile(rover);
   // const cacheKey = sol || 'latest';
+  // Kept outside the try so the error fallback can still report the manifest's counts and staleness
+  let manifestData = null;
+  let roverManifest = null;
   
   // Cache temporarily disabled - direct execution
   try {
@@ -369,46 +631,70 @@ export const getRoverData = async (sol = null) => {
     // First, get the rover manifest to determine max_sol for consistent calculations
     // Use nasaApiService for proper caching, deduplication, and error handling
     let selectedSol;
-    let roverManifest = null;
     
     try {
-      const manifestData = await nasaApiService.getRoverManifest('perseverance');
-      roverManifest = manifestData.photo_manifest;
-      // Use roverManifest.max_sol when sol is null for consistency
-      selectedSol = sol !== null ? sol : roverManifest.max_sol;
+      manifestData = await nasaApiService.getRoverManifest(profile.id, options);
+      // Validated internal model - throws SchemaValidationError (handled like a failed fetch) when unusable
+      roverManifest = normalizeManifest(manifestData, `manifest_${profile.id}`);
+      // Use roverManifest.maxSol when sol is null for consistency
+      selectedSol = sol !== null ? sol : roverManifest.maxSol;
     } catch (manifestError) {
+      if (isAbortError(manifestError)) {
+        throw manifestError;
+      }
       console.warn('Failed to fetch rover manifest:', manifestError);
       // If manifest fetch fails, try to get current max_sol from utility
       try {
-        const currentMaxSol = await getCurrentMaxSol('perseverance');
+        const currentMaxSol = await getCurrentMaxSol(profile.id);
         selectedSol = sol !== null ? sol : currentMaxSol;
       } catch (utilError) {
         console.warn('Failed to get current max_sol from utility, using higher fallback:', utilError);
-        selectedSol = sol !== null ? sol : 1650; // Updated fallback higher than 1000
+        selectedSol = sol !== null ? sol : profile.fallbackMaxSol;
       }
     }
     
     // Fetch fresh data from NASA API for photos using nasaApiService for proper caching and error handling
-    const nasaData = sol !== null 
-      ? await nasaApiService.getPhotosForSol('perseverance', sol)
-      : await nasaApiService.getLatestPhotos('perseverance');
-    
-    if (!nasaData || (!Array.isArray(nasaData.photos) && !Array.isArray(nasaData.latest_photos))) {
-      errors.push('No data available from NASA API');
-    } else if ((nasaData.photos || nasaData.latest_photos || []).length === 0) {
-      errors.push(`No photos available for sol ${sol}`);
+    // options.allPhotoPages walks every page (each cached individually) so per-camera counts are complete;
+    // otherwise only page 1 is fetched (one request) and the sol's total comes from the manifest
+    const manifestSolPhotos = roverManifest?.sols?.find(entry => entry.sol === selectedSol)?.totalPhotos ?? null;
+    let nasaData;
+    if (options.allPhotoPages) {
+      nasaData = sol !== null
+        ? await nasaApiService.getAllPhotosForSol(profile.id, sol, null, { ...options, totalPhotos: manifestSolPhotos })
+        : await nasaApiService.getAllLatestPhotos(profile.id, options);
+    } else {
+      nasaData = sol !== null 
+        ? await nasaApiService.getPhotosForSol(profile.id, sol, null, { ...options, page: 1 })
+        : await nasaApiService.getLatestPhotos(profile.id, { ...options, page: 1 });
     }
     
+    // Paged fetches return one response per page; each is validated against the photo schema
+    const photoResponses = nasaData?.responses || [nasaData];
+    let photos = [];
+    try {
+      photos = photoResponses.flatMap(response => normalizePhotos(response, `photos_${profile.id}_${sol ?? 'latest'}`).photos);
+      if (photos.length === 0) {
+        errors.push(`No photos available for sol ${sol}`);
+      }
+    } catch (schemaError) {
+      errors.push(`No data available from NASA API (${schemaError.message})`);
+    }
+    
+    throwIfAborted(options.signal);
+    
+    // Stale-while-revalidate: report the oldest expired copy served from cache
+    const staleInfo = getCombinedStaleInfo([manifestData, ...photoResponses]);
+    
     // Generate telemetry using the determined selectedSol and pass already-fetched manifest to avoid duplicate API calls
-    const realTelemetry = await fetchRealTelemetryData(selectedSol, 'perseverance', roverManifest);
+    const realTelemetry = await fetchRealTelemetryData(selectedSol, profile.id, roverManifest);
     
     // Ensure consistent distance calculation using max_sol from realTelemetry or manifest (should be identical now)
     // For header metrics, always use mission total (not selected sol) 
-    const missionMaxSol = realTelemetry?.max_sol || roverManifest?.max_sol || 1650; // Mission total sol count
-    const maxSolForCalculation = realTelemetry?.max_sol || roverManifest?.max_sol || selectedSol;
+    const missionMaxSol = realTelemetry?.max_sol || roverManifest?.maxSol || profile.fallbackMaxSol; // Mission total sol count
+    const maxSolForCalculation = realTelemetry?.max_sol || roverManifest?.maxSol || selectedSol;
     
     // Pass realTelemetry to generateMockTelemetry to avoid duplicate API calls
-    const metrics = await generateMockTelemetry(selectedSol, realTelemetry);
+    const metrics = await generateMockTelemetry(selectedSol, realTelemetry, profile.id);
     
     // Generate available sols based on the actual selected sol
     const availableSols = [];
@@ -416,63 +702,17 @@ export const getRoverData = async (sol = null) => {
       availableSols.push(i);
     }
     
-    // Generate route data
-    const routeData = generateMockRouteData(selectedSol);
+    // Route and current position from the rover traverse (published GeoJSON, or synthetic without one)
+    await traverseArchive.load(profile.id);
+    const routeData = traverseArchive.getPath(profile.id, selectedSol);
     const currentPosition = routeData[routeData.length - 1] || {
-      lat: 18.4447,
-      lon: 77.4508,
+      lat: profile.landingSite.lat,
+      lon: profile.landingSite.lon,
       sol: selectedSol
     };
     
-    // Optimized camera data processing using single-pass reduce algorithm
-    const cameras = [];
-    const photos = nasaData?.photos || nasaData?.latest_photos || [];
-    if (photos.length > 0) {
-      // Single-pass reduce operation for optimal performance
-      const cameraGroups = photos
-        .slice(0, 20) // Limit processing to 20 photos for performance
-        .filter(photo => photo && photo.img_src && photo.camera) // Filter invalid entries
-        .reduce((groups, photo, index) => {
-          const cameraName = photo.camera.full_name || photo.camera.name || 'Unknown Camera';
-          
-          if (!groups[cameraName]) {
-            groups[cameraName] = [];
-          }
-          
-          const timestamp = photo.earth_date ? `${photo.earth_date}T12:00:00Z` : new Date().toISOString();
-          groups[cameraName].push({
-            url: photo.img_src,
-            timestamp: timestamp,
-            location: {
-              lat: currentPosition.lat + (groups[cameraName].length * 0.0001),
-              lon: currentPosition.lon + (groups[cameraName].length * 0.0001)
-            }
-          });
-          
-          return groups;
-        }, {});
-      
-      // Transform to array format more efficiently
-      cameras.push(...Object.entries(cameraGroups).map(([name, images]) => ({
-        name,
-        images
-      })));
-    }
-    
-    // If no real photos, add placeholder
-    if (cameras.length === 0) {
-      cameras.push({
-        name: 'Navigation Camera',
-        images: [{
-          url: 'https://mars.nasa.gov/msl-raw-images/proj/msl/redops/ods/surface/sol/01000/opgs/edr/ncam/NLB_486265257EDR_F0481570NCAM00323M_.JPG',
-          timestamp: new Date().toISOString(),
-          location: {
-            lat: currentPosition.lat,
-            lon: currentPosition.lon
-          }
-        }]
-      });
-    }
+    // Camera groups keyed by NASA camera code (every photo counted, only the first few kept as images)
+    const cameras = getSolCameras(photos, profile.id, currentPosition);
     
     // Determine rover status
     let status = 'OPERATIONAL';
@@ -484,16 +724,20 @@ export const getRoverData = async (sol = null) => {
     const roverData = {
       header: {
         earth_time: new Date().toISOString(),
+        rover: profile.id,
+        roverName: profile.name,
         status: realTelemetry?.mapped_status || status,
         sol: selectedSol, // Only this field shows the currently selected sol
         // All other aggregates use mission max_sol for consistency
         maxSol: missionMaxSol, // Total mission sol count (never changes with timeline selection)
-        totalDistance: MISSION_TOTAL_DISTANCE_KM, // Always show fixed total mission distance (never changes with timeline selection)
+        totalDistance: getMissionTotalDistance(profile.id), // Mission total distance (never changes with timeline selection)
+        traverseSource: traverseArchive.getSource(profile.id), // SYNTHETIC: no traverse file, distance is the profile's total
         totalPhotos: realTelemetry?.total_photos || Math.max(250000, maxSolForCalculation * 180), // Total photos using mission max_sol
-        missionStatus: realTelemetry?.mission_status || 'active', // Live mission status from NASA
+        missionStatus: realTelemetry?.mission_status || profile.status, // Live mission status from NASA
         missionDuration: realTelemetry?.mission_duration, // Mission duration statistics
         dataSource: realTelemetry?.data_source || 'FALLBACK', // Data source indicator
-        lastUpdated: realTelemetry?.last_updated || new Date().toISOString() // Data freshness
+        lastUpdated: realTelemetry?.last_updated || new Date().toISOString(), // Data freshness
+        stale: staleInfo // null when every NASA response was fresh
       },
       timeline: {
         sols: availableSols,
@@ -511,6 +755,16 @@ export const getRoverData = async (sol = null) => {
         metrics: metrics
       },
       cameras: cameras,
+      // Per-camera counts are complete only when every page was fetched
+      photoCounts: {
+        fetched: photos.length,
+        total: Math.max(manifestSolPhotos ?? 0, photos.length),
+        // A page walk knows whether it reached the last page; a single page is complete when it is short
+        // or already holds the manifest's count
+        complete: options.allPhotoPages
+          ? Boolean(nasaData?.complete)
+          : photos.length < PHOTOS_PER_PAGE || (manifestSolPhotos !== null && photos.length >= manifestSolPhotos)
+      },
       errors: errors
     };
     
@@ -518,43 +772,54 @@ export const getRoverData = async (sol = null) => {
     
   // Fallback error handling
   } catch (error) {
+    // Cancelled by the caller - no fallback data
+    if (isAbortError(error)) {
+      throw error;
+    }
+    
     console.error('Error in getRoverData:', error.stack || error.message || error);
     
     // Return graceful fallback instead of throwing - use real NASA current max_sol
     let fallbackSol;
     try {
-      const currentMaxSol = await getCurrentMaxSol('perseverance');
+      const currentMaxSol = await getCurrentMaxSol(profile.id);
       fallbackSol = sol !== null ? sol : currentMaxSol;
     } catch (error) {
       console.warn('Failed to get current max_sol for fallback, using default:', error);
-      fallbackSol = sol !== null ? sol : 1650; // Updated fallback higher than 1000
+      fallbackSol = sol !== null ? sol : profile.fallbackMaxSol;
     }
-    const fallbackRouteData = generateMockRouteData(fallbackSol);
+    await traverseArchive.load(profile.id);
+    const fallbackRouteData = traverseArchive.getPath(profile.id, fallbackSol);
     const fallbackCurrentPosition = fallbackRouteData[fallbackRouteData.length - 1] || {
-      lat: 18.4447,
-      lon: 77.4508,
+      lat: profile.landingSite.lat,
+      lon: profile.landingSite.lon,
       sol: fallbackSol
     };
     
     // Generate enhanced fallback telemetry for error cases
-    const fallbackTelemetry = await generateEnhancedTelemetry(fallbackSol);
+    const fallbackTelemetry = await generateEnhancedTelemetry(fallbackSol, profile.id);
+    const fallbackSolPhotos = roverManifest?.sols?.find(entry => entry.sol === fallbackSol)?.totalPhotos ?? null;
     
     return {
       status: 'OPERATIONAL',
       header: {
         earth_time: new Date().toISOString(),
+        rover: profile.id,
+        roverName: profile.name,
         status: 'OPERATIONAL',
         sol: fallbackSol, // Only this field shows the currently selected sol
         // All other aggregates use mission max_sol for consistency
         maxSol: fallbackTelemetry.max_sol,
-        totalDistance: MISSION_TOTAL_DISTANCE_KM, // Always show fixed total mission distance (never changes with timeline selection)
+        totalDistance: getMissionTotalDistance(profile.id), // Mission total distance (never changes with timeline selection)
+        traverseSource: traverseArchive.getSource(profile.id), // SYNTHETIC: no traverse file, distance is the profile's total
         totalPhotos: fallbackTelemetry.total_photos, // Mission total photos using max_sol
         missionStatus: fallbackTelemetry.mission_status,
         missionDuration: fallbackTelemetry.mission_duration,
         dataSource: 'FALLBACK_ERROR',
-        lastUpdated: fallbackTelemetry.last_updated
+        lastUpdated: fallbackTelemetry.last_updated,
+        stale: getCombinedStaleInfo([manifestData]) // The manifest may have come from cache before the failure
       },
-      telemetry: await generateMockTelemetry(fallbackSol, fallbackTelemetry),
+      telemetry: await generateMockTelemetry(fallbackSol, fallbackTelemetry, profile.id),
       timeline: {
         sols: Array.from({length: 101}, (_, i) => Math.max(0, fallbackSol - 100 + i)),
         selected_sol: fallbackSol
@@ -568,19 +833,15 @@ export const getRoverData = async (sol = null) => {
         }
       },
       overlays: {
-        metrics: await generateMockTelemetry(fallbackSol, fallbackTelemetry)
+        metrics: await generateMockTelemetry(fallbackSol, fallbackTelemetry, profile.id)
+      },
+      cameras: getSolCameras([], profile.id, fallbackCurrentPosition),
+      // No photos were fetched; the manifest's count (when it loaded) is still the sol's total
+      photoCounts: {
+        fetched: 0,
+        total: fallbackSolPhotos ?? 0,
+        complete: fallbackSolPhotos === 0
       },
-      cameras: [{
-        name: 'Navigation Camera',
-        images: [{
-          url: 'https://mars.nasa.gov/msl-raw-images/proj/msl/redops/ods/surface/sol/01000/opgs/edr/ncam/NLB_486265257EDR_F0481570NCAM00323M_.JPG',
-          timestamp: new Date().toISOString(),
-          location: {
-            lat: fallbackCurrentPosition.lat,
-            lon: fallbackCurrentPosition.lon
-          }
-        }]
-      }],
       errors: [`API Error: ${error.message || 'Unknown error'}`]
     };
   }
@@ -588,5 +849,6 @@ export const getRoverData = async (sol = null) => {
 
 // Export for compatibility with frontend expectations
 export default {
-  getRoverData
+  getRoverData,
+  getCameraPhotos
 };
\ No newline at end of file
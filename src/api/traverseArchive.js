@@ -0,0 +1,351 @@
+// Rover Traverse Archive
+// Loads published rover traverses (GeoJSON waypoints) - the single source for rover positions, routes and drive distance
+
+import { getRoverProfile } from '../data/roverProfiles.js';
+import { getMissionEvents } from '../data/missionTimeline.js';
+
+const DEFAULT_TRAVERSE_ROOT = `${process.env.PUBLIC_URL || ''}/traverse`;
+// Optional remote source, e.g. https://example.org/traverse/{rover}.geojson - `{rover}` is replaced with the rover id
+const TRAVERSE_ENDPOINT = process.env.REACT_APP_TRAVERSE_ENDPOINT || null;
+
+// Mean Mars radius (km) for great-circle distances
+export const MARS_RADIUS_KM = 3389.5;
+
+export const TRAVERSE_SOURCES = {
+  PUBLISHED: 'PUBLISHED', // GeoJSON traverse published by the mission
+  SYNTHETIC: 'SYNTHETIC' // Generated from the mission events when no traverse is available
+};
+
+// Property aliases across the mission waypoint exports (e.g. M20_waypoints, MSL_waypoints) and hand-made files
+const PROPERTY_ALIASES = {
+  sol: ['sol', 'SOL', 'Sol'],
+  elevation: ['elev_geoid', 'elevation', 'elev', 'ele'], // m
+  driveDistance: ['dist_m', 'drive_distance_m', 'distance_m'], // m driven to reach the waypoint
+  name: ['Note', 'note', 'name', 'title']
+};
+
+const toNumberOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const pickProperty = (properties, field) => {
+  const alias = PROPERTY_ALIASES[field].find(name => properties[name] !== undefined && properties[name] !== null);
+  return alias ? properties[alias] : undefined;
+};
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Surface distance between two waypoints - great circle, plus the elevation change when both have one
+ * @param {Object} from - { lat, lon, elevation }
+ * @param {Object} to - { lat, lon, elevation }
+ * @returns {number} Distance in km
+ */
+export const waypointDistanceKm = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLon = toRadians(to.lon - from.lon);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+  const horizontal = 2 * MARS_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+  if (from.elevation === null || to.elevation === null) return horizontal;
+  const vertical = (to.elevation - from.elevation) / 1000;
+  return Math.sqrt(horizontal ** 2 + vertical ** 2);
+};
+
+// [lon, lat, elevation?] GeoJSON position -> waypoint
+const toWaypoint = (position, properties, sol, includeDrive = true) => {
+  const lon = toNumberOrNull(position?.[0]);
+  const lat = toNumberOrNull(position?.[1]);
+  if (lat === null || lon === null || Math.abs(lat) > 90 || Math.abs(lon) > 360) return null;
+
+  return {
+    sol,
+    lat,
+    lon: lon > 180 ? lon - 360 : lon, // Some exports use 0-360° east longitude
+    elevation: toNumberOrNull(pickProperty(properties, 'elevation')) ?? toNumberOrNull(position[2]),
+    reportedDriveKm: includeDrive ? (toNumberOrNull(pickProperty(properties, 'driveDistance')) ?? 0) / 1000 : 0,
+    name: pickProperty(properties, 'name') || null
+  };
+};
+
+/**
+ * Read waypoints from a GeoJSON traverse
+ * Point features are waypoints; LineString/MultiLineString features are drives whose vertices all belong to the
+ * feature's sol. Features without a sol are skipped.
+ * @param {Object} geojson - FeatureCollection, Feature or bare array of features
+ * @returns {Array<Object>} Waypoints { sol, lat, lon, elevation, reportedDriveKm, name } in traverse order
+ */
+export const parseTraverseGeoJson = (geojson) => {
+  const features = Array.isArray(geojson) ? geojson
+    : geojson?.type === 'Feature' ? [geojson]
+    : geojson?.features || [];
+
+  const waypoints = features.flatMap(feature => {
+    const properties = feature?.properties || {};
+    const sol = toNumberOrNull(pickProperty(properties, 'sol'));
+    const geometry = feature?.geometry;
+    if (sol === null || sol < 0 || !geometry) return [];
+
+    const positions = geometry.type === 'Point' ? [geometry.coordinates]
+      : geometry.type === 'LineString' ? geometry.coordinates
+      : geometry.type === 'MultiLineString' ? geometry.coordinates.flat()
+      : [];
+
+    // A drive's reported distance belongs to its final vertex
+    return positions
+      .map((position, index) => toWaypoint(position, properties, sol, index === positions.length - 1))
+      .filter(Boolean);
+  });
+
+  // Stable sort keeps the file's order within a sol
+  return waypoints
+    .map((waypoint, index) => ({ waypoint, index }))
+    .sort((a, b) => a.waypoint.sol - b.waypoint.sol || a.index - b.index)
+    .map(({ waypoint }) => waypoint);
+};
+
+// Cumulative distance along the waypoints, computed from the geometry
+const measureWaypoints = (waypoints) => {
+  let distanceKm = 0;
+  return waypoints.map((waypoint, index) => {
+    const driveKm = index > 0 ? waypointDistanceKm(waypoints[index - 1], waypoint) : 0;
+    distanceKm += driveKm;
+    return { ...waypoint, distanceKm, driveKm };
+  });
+};
+
+// Fallback traverse: mission event coordinates joined by a deterministic drift from the landing site
+const synthesizePath = (rover, maxSol) => {
+  const profile = getRoverProfile(rover);
+  const missionEvents = getMissionEvents(profile.id);
+  const horizon = Math.max(profile.fallbackMaxSol, 1);
+  const latDirection = Math.sign(profile.routeDrift.lat) || 1;
+  const lonDirection = Math.sign(profile.routeDrift.lon) || 1;
+  const exploration = 0.002; // How far the rover explores (degrees per sol at the end of the mission)
+
+  let lat = profile.landingSite.lat;
+  let lon = profile.landingSite.lon;
+  const path = [{ sol: 0, lat, lon, elevation: profile.baseElevation, event: 'Landing', synthetic: true }];
+
+  for (let sol = 1; sol <= maxSol; sol++) {
+    const event = missionEvents[sol];
+    if (event?.coordinates) {
+      lat = event.coordinates.lat;
+      lon = event.coordinates.lon;
+    } else {
+      const progress = Math.min(sol / horizon, 1);
+      const noise = (Math.sin(sol * 0.1) + Math.cos(sol * 0.15)) * 0.00005;
+      lat += noise + (latDirection * progress * exploration * 0.3);
+      lon += noise + (lonDirection * progress * exploration * 0.7);
+    }
+
+    path.push({
+      sol,
+      lat,
+      lon,
+      elevation: profile.baseElevation + (sol * 0.1),
+      ...(event?.coordinates ? { event: event.title, type: event.type } : {}),
+      synthetic: true
+    });
+  }
+
+  return measureWaypoints(path);
+};
+
+// The dev server answers missing files with index.html - only accept real data responses
+const isDataResponse = (response) => (
+  response.ok && !(response.headers.get('content-type') || '').includes('text/html')
+);
+
+class TraverseArchive {
+  constructor({ root = DEFAULT_TRAVERSE_ROOT, endpoint = TRAVERSE_ENDPOINT, loader = null } = {}) {
+    this.root = root;
+    this.endpoint = endpoint;
+    this.loader = loader || this.loadFromSources.bind(this);
+    this.traverses = new Map(); // rover -> { waypoints, source, totalDistanceKm, reportedDistanceKm }
+    this.paths = new Map(); // rover -> per-sol path (index = sol), extended on demand
+    this.loading = new Map(); // rover -> load promise
+  }
+
+  /**
+   * Load a rover's published traverse once (later calls share the same promise)
+   * Missing or unreadable sources leave the rover on the synthetic traverse - never throws
+   * @param {string} rover - Rover id
+   * @returns {Promise<number>} Number of published waypoints for the rover
+   */
+  load(rover) {
+    const { id } = getRoverProfile(rover);
+    if (!this.loading.has(id)) {
+      this.loading.set(id, Promise.resolve()
+        .then(() => this.loader(id))
+        .then(result => {
+          if (result) {
+            this.setTraverse(id, result.geojson, result.source);
+          }
+          return this.getWaypointCount(id);
+        })
+        .catch(error => {
+          console.warn(`Traverse for ${id} could not be loaded, using synthetic path:`, error.message);
+          return this.getWaypointCount(id);
+        }));
+    }
+    return this.loading.get(id);
+  }
+
+  // Default loader: configured endpoint first, then bundled `<root>/<rover>.geojson` and `<root>/<rover>.json`
+  async loadFromSources(rover) {
+    const candidates = [
+      ...(this.endpoint ? [this.endpoint.replace('{rover}', rover)] : []),
+      `${this.root}/${rover}.geojson`,
+      `${this.root}/${rover}.json`
+    ];
+
+    for (const url of candidates) {
+      let response;
+      try {
+        response = await fetch(url);
+      } catch (error) {
+        continue; // Unreachable source - try the next one
+      }
+      if (!isDataResponse(response)) continue;
+
+      const geojson = await response.json();
+      if (parseTraverseGeoJson(geojson).length > 0) {
+        return { geojson, source: url };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Replace a rover's traverse with a published GeoJSON traverse
+   * @param {string} rover - Rover id
+   * @param {Object} geojson - Traverse waypoints/drives
+   * @param {string} source - Where the traverse came from
+   * @returns {number} Waypoints read
+   */
+  setTraverse(rover, geojson, source = 'inline') {
+    const { id } = getRoverProfile(rover);
+    const waypoints = measureWaypoints(parseTraverseGeoJson(geojson));
+    if (waypoints.length === 0) return 0;
+
+    this.traverses.set(id, {
+      waypoints,
+      source,
+      totalDistanceKm: waypoints[waypoints.length - 1].distanceKm,
+      reportedDistanceKm: waypoints.reduce((total, waypoint) => total + waypoint.reportedDriveKm, 0)
+    });
+    this.paths.delete(id);
+    return waypoints.length;
+  }
+
+  hasPublishedTraverse(rover) {
+    return this.traverses.has(getRoverProfile(rover).id);
+  }
+
+  getWaypointCount(rover) {
+    return this.traverses.get(getRoverProfile(rover).id)?.waypoints.length || 0;
+  }
+
+  getSource(rover) {
+    return this.hasPublishedTraverse(rover) ? TRAVERSE_SOURCES.PUBLISHED : TRAVERSE_SOURCES.SYNTHETIC;
+  }
+
+  /**
+   * Rover path with one point per sol - where the rover ended each sol
+   * Sols without a drive repeat the previous position with `driveKm` 0.
+   * @param {string} rover - Rover id
+   * @param {number} maxSol - Last sol to include
+   * @returns {Array<Object>} { sol, lat, lon, elevation, distanceKm, driveKm, event?, type?, synthetic? }
+   */
+  getPath(rover, maxSol) {
+    const { id } = getRoverProfile(rover);
+    const lastSol = Math.max(0, Math.floor(maxSol));
+    const cached = this.paths.get(id);
+
+    if (!cached || cached.length <= lastSol) {
+      const traverse = this.traverses.get(id);
+      this.paths.set(id, traverse
+        ? this.buildPublishedPath(id, traverse.waypoints, lastSol)
+        : synthesizePath(id, lastSol));
+    }
+    return this.paths.get(id).slice(0, lastSol + 1);
+  }
+
+  // Per-sol path from published waypoints - the last waypoint of each sol, carried forward between drives
+  buildPublishedPath(rover, waypoints, maxSol) {
+    const profile = getRoverProfile(rover);
+    const missionEvents = getMissionEvents(profile.id);
+    const path = [];
+    let current = {
+      lat: profile.landingSite.lat,
+      lon: profile.landingSite.lon,
+      elevation: profile.baseElevation,
+      distanceKm: 0
+    };
+    let index = 0;
+
+    for (let sol = 0; sol <= maxSol; sol++) {
+      const startDistance = current.distanceKm;
+      while (index < waypoints.length && waypoints[index].sol <= sol) {
+        current = waypoints[index++];
+      }
+
+      const event = missionEvents[sol];
+      path.push({
+        sol,
+        lat: current.lat,
+        lon: current.lon,
+        elevation: current.elevation,
+        distanceKm: current.distanceKm,
+        driveKm: current.distanceKm - startDistance,
+        ...(current.name && current.sol === sol ? { waypoint: current.name } : {}),
+        ...(event ? { event: event.title, type: event.type } : {})
+      });
+    }
+    return path;
+  }
+
+  /**
+   * Rover position at the end of a sol
+   * @param {string} rover - Rover id
+   * @param {number} sol - Mission sol
+   * @returns {Object} Path point for the sol
+   */
+  getPositionForSol(rover, sol) {
+    const path = this.getPath(rover, sol);
+    return path[path.length - 1];
+  }
+
+  /**
+   * Cumulative drive distance up to a sol, computed from the published traverse geometry
+   * @param {string} rover - Rover id
+   * @param {number} sol - Mission sol (default: the whole traverse)
+   * @returns {number|null} Distance in km, or null without a published traverse
+   */
+  getDistanceForSol(rover, sol = Infinity) {
+    const traverse = this.traverses.get(getRoverProfile(rover).id);
+    if (!traverse) return null;
+    if (!Number.isFinite(sol)) return traverse.totalDistanceKm;
+    return this.getPositionForSol(rover, sol).distanceKm;
+  }
+
+  getInfo() {
+    return Object.fromEntries(Array.from(this.traverses.entries()).map(([rover, traverse]) => [rover, {
+      waypoints: traverse.waypoints.length,
+      lastSol: traverse.waypoints[traverse.waypoints.length - 1].sol,
+      totalDistanceKm: traverse.totalDistanceKm,
+      reportedDistanceKm: traverse.reportedDistanceKm,
+      source: traverse.source
+    }]));
+  }
+}
+
+// Global traverse archive
+const traverseArchive = new TraverseArchive();
+
+export { TraverseArchive, traverseArchive };
+export default traverseArchive;
@@ -1,5 +1,12 @@
 // Unified Intelligent Cache System for NASA API
 // High-performance caching with hierarchical TTLs, request deduplication, and monitoring
+// Two tiers: in-memory Map backed by a persistent IndexedDB store (memory -> disk -> network)
+
+import { PersistentCacheStore } from './persistentCacheStore.js';
+import { createAbortError, isAbortError, throwIfAborted } from '../utils/abortUtils.js';
+
+// Disk access times are written at most this often, whatever the hit rate
+const TOUCH_FLUSH_DELAY = 5000;
 
 // Import performance monitor for integrated tracking (lazy loaded)
 let performanceMonitor = null;
@@ -18,42 +25,76 @@ const loadPerformanceMonitor = async () => {
 };
 
 class UnifiedCacheSystem {
-  constructor() {
+  constructor(options = {}) {
     this.cache = new Map();
-    this.pendingRequests = new Map(); // Request deduplication
+    this.pendingRequests = new Map(); // Request deduplication: key -> { promise, controller, subscribers }
     this.metrics = {
       hits: 0,
       misses: 0,
+      persistentHits: 0,
+      persistentMisses: 0,
+      staleServed: 0,
+      revalidationFailures: 0,
       requests: 0,
       errors: 0,
       totalRequestTime: 0,
       requestTimestamps: []
     };
 
+    // Persistent tier - metadata for every disk entry is mirrored in diskIndex so
+    // budget checks, LRU ordering and debug info stay synchronous
+    this.persistentStore = options.persistentStore || new PersistentCacheStore();
+    this.diskIndex = new Map();
+
+    // Disk access times waiting to be written - hits only update diskIndex, which is flushed in batches
+    this.pendingTouches = new Map();
+    this.touchFlushTimer = null;
+
+    // Stale copies handed out by deduplicateRequest, keyed by the returned data object
+    this.staleMarkers = new WeakMap();
+
+    // Size budgets in bytes (same estimate as estimateSize)
+    this.sizeBudget = {
+      memory: options.memoryBudget || 8 * 1024 * 1024, // 8 MB
+      persistent: options.persistentBudget || 32 * 1024 * 1024 // 32 MB
+    };
+
     // Cache configuration with hierarchical TTLs
+    // staleWindow: how long past expiry an entry may still be served while it is refreshed (or while offline)
     this.cacheConfig = {
       // Static data - changes infrequently
       static: {
         duration: 60 * 60 * 1000, // 1 hour
-        patterns: ['manifest_', 'rover_info_']
+        patterns: ['manifest_', 'rover_info_'],
+        staleWindow: 24 * 60 * 60 * 1000, // 24 hours
+        persist: true
       },
       // Semi-static data - changes daily  
       semiStatic: {
         duration: 30 * 60 * 1000, // 30 minutes
-        patterns: ['photos_date_', 'latest_']
+        patterns: ['photos_date_', 'latest_'],
+        staleWindow: 6 * 60 * 60 * 1000, // 6 hours
+        persist: true
       },
       // Dynamic data - changes frequently
       dynamic: {
         duration: 5 * 60 * 1000, // 5 minutes
-        patterns: ['photos_', 'telemetry_', 'rover-data-']
+        patterns: ['photos_', 'telemetry_', 'rover-data-'],
+        staleWindow: 60 * 60 * 1000, // 1 hour
+        persist: true
       },
       // Real-time data - very short TTL
       realTime: {
         duration: 60 * 1000, // 1 minute
-        patterns: ['status_', 'live_']
+        patterns: ['status_', 'live_'],
+        staleWindow: 5 * 60 * 1000, // 5 minutes
+        persist: false // Not worth a disk round-trip
       }
     };
 
+    // Load the disk index from previous sessions
+    this.persistentReady = this.loadPersistentIndex();
+
     // Start cleanup interval
     this.startCleanupInterval();
     
@@ -79,20 +120,32 @@ class UnifiedCacheSystem {
     return this.cacheConfig[type].duration;
   }
 
+  // Latest time an expired entry may still be served as stale
+  getStaleUntil(entry) {
+    return entry.expires + (this.cacheConfig[entry.type]?.staleWindow || 0);
+  }
+
   // Set data in cache with intelligent TTL
   set(key, data, customTTL = null) {
     const duration = customTTL || this.getCacheDuration(key);
     const now = Date.now();
-    
-    this.cache.set(key, {
+    const entry = {
       data,
       timestamp: now,
       expires: now + duration,
       accessCount: 0,
       lastAccessed: now,
       size: this.estimateSize(data),
-      type: this.getCacheType(key)
-    });
+      type: this.getCacheType(key),
+      servedFrom: 'network'
+    };
+
+    this.cache.set(key, entry);
+
+    // Write through to the persistent tier
+    if (this.cacheConfig[entry.type].persist) {
+      this.persistEntry(key, entry);
+    }
 
     // Update metrics
     this.updateCacheSize();
@@ -113,9 +166,12 @@ class UnifiedCacheSystem {
 
     const now = Date.now();
     
-    // Check expiration
+    // Check expiration - entries inside their stale window are kept for deduplicateRequest
     if (now > cached.expires) {
-      this.cache.delete(key);
+      if (now > this.getStaleUntil(cached)) {
+        this.cache.delete(key);
+        this.deletePersistent(key);
+      }
       this.metrics.misses++;
       // Wire cache miss to performance monitor (expired)
       if (performanceMonitor) {
@@ -128,6 +184,8 @@ class UnifiedCacheSystem {
     // Update access metadata
     cached.accessCount++;
     cached.lastAccessed = now;
+    cached.servedFrom = 'memory';
+    this.touchPersistent(key, now);
     this.metrics.hits++;
     
     // Wire cache hit to performance monitor
@@ -138,22 +196,213 @@ class UnifiedCacheSystem {
     return cached.data;
   }
 
-  // Request deduplication wrapper
-  async deduplicateRequest(key, requestFunction) {
-    // Check cache first
+  // Look up a key in memory, then on disk (promoting disk hits back into memory)
+  async lookup(key) {
     const cached = this.get(key);
     if (cached) {
       return cached;
     }
+    return this.getPersistent(key);
+  }
+
+  // Read from the persistent tier only
+  // Expired records inside their stale window are promoted too, but only fresh data is returned
+  async getPersistent(key) {
+    await this.persistentReady;
+
+    const indexed = this.diskIndex.get(key);
+    if (!indexed || this.cache.has(key)) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (now > this.getStaleUntil(indexed)) {
+      this.deletePersistent(key);
+      this.metrics.persistentMisses++;
+      return null;
+    }
+
+    const record = await this.persistentStore.get(key);
+    if (!record) {
+      // Evicted by the browser or cleared elsewhere
+      this.diskIndex.delete(key);
+      this.metrics.persistentMisses++;
+      return null;
+    }
+
+    // Promote to memory, keeping the original TTL
+    this.cache.set(key, {
+      data: record.data,
+      timestamp: record.timestamp,
+      expires: record.expires,
+      accessCount: 1,
+      lastAccessed: now,
+      size: record.size,
+      type: record.type,
+      servedFrom: 'disk'
+    });
+    this.touchPersistent(key, now);
+    this.updateCacheSize();
+
+    if (now > record.expires) {
+      this.metrics.persistentMisses++;
+      return null;
+    }
+
+    this.metrics.persistentHits++;
+    return record.data;
+  }
+
+  // Every cached payload whose key starts with one of the prefixes, from memory and disk
+  // Expired entries are included and no hit metrics or recency are touched - this is for consumers that
+  // index cached data (e.g. the photo search index) rather than serve it
+  async getCachedEntries(prefixes) {
+    await this.persistentReady;
+
+    const matches = (key) => typeof key === 'string' && prefixes.some(prefix => key.startsWith(prefix));
+    const entries = [];
+    this.cache.forEach((entry, key) => {
+      if (matches(key)) entries.push({ key, data: entry.data });
+    });
+
+    const diskKeys = Array.from(this.diskIndex.keys()).filter(key => matches(key) && !this.cache.has(key));
+    const records = await Promise.all(diskKeys.map(key => this.persistentStore.get(key)));
+    records.forEach((record, index) => {
+      if (record) entries.push({ key: diskKeys[index], data: record.data });
+    });
+
+    return entries;
+  }
+
+  // Expired entry that is still inside its class's stale window
+  getStaleEntry(key) {
+    const cached = this.cache.get(key);
+    if (!cached) return null;
+
+    const now = Date.now();
+    return now > cached.expires && now <= this.getStaleUntil(cached) ? cached : null;
+  }
+
+  /**
+   * Request deduplication wrapper with stale-while-revalidate
+   * When only an expired copy is cached, it is returned immediately while the refresh runs in
+   * the background; if the refresh fails the stale copy is kept. Use getStaleInfo(data) to detect it.
+   * Cancellation-aware: each caller may pass its own signal, and the shared request (which receives
+   * its own signal) is only aborted once every subscriber has cancelled.
+   * @param {string} key - Cache key
+   * @param {Function} requestFunction - Async function (signal) => data that fetches fresh data
+   * @param {Object} options - { allowStale: serve expired copies (default: true), forceRefresh: skip cached and stale
+   *   copies and wait for the network (default: false), signal: caller's AbortSignal }
+   * @returns {Promise<*>} Fresh or stale data
+   */
+  async deduplicateRequest(key, requestFunction, options = {}) {
+    const { forceRefresh = false, signal = null } = options;
+    const allowStale = !forceRefresh && options.allowStale !== false;
+    throwIfAborted(signal);
+
+    // Check memory, then disk (forceRefresh skips both and waits for the network)
+    const cached = forceRefresh ? null : await this.lookup(key);
+    if (cached) {
+      return cached;
+    }
+    throwIfAborted(signal);
+
+    // Join a pending request or start a new one
+    const pending = this.pendingRequests.get(key) || this.startRequest(key, requestFunction);
 
-    // Check if request is already pending
-    if (this.pendingRequests.has(key)) {
-      return this.pendingRequests.get(key);
+    const staleEntry = allowStale ? this.getStaleEntry(key) : null;
+    if (!staleEntry) {
+      return this.subscribe(key, pending, signal);
     }
 
-    // Create new request with timing
+    // Revalidate in the background - pinned so cancelled callers can't abort it, and a failed
+    // refresh keeps the stale copy
+    pending.subscribers++;
+    pending.promise.catch(error => {
+      staleEntry.revalidationError = error.message;
+      this.metrics.revalidationFailures++;
+    });
+
+    this.metrics.staleServed++;
+    if (staleEntry.data && typeof staleEntry.data === 'object') {
+      this.staleMarkers.set(staleEntry.data, { key, entry: staleEntry });
+    }
+    return staleEntry.data;
+  }
+
+  /**
+   * Check whether data returned by deduplicateRequest is a stale copy
+   * @param {*} data - Data returned from the cache
+   * @returns {Object|null} { key, fetchedAt, expiredAt, age, revalidationFailed, error } or null when fresh
+   */
+  getStaleInfo(data) {
+    if (!data || typeof data !== 'object') return null;
+
+    const marker = this.staleMarkers.get(data);
+    if (!marker) return null;
+
+    const { entry } = marker;
+    return {
+      key: marker.key,
+      fetchedAt: new Date(entry.timestamp).toISOString(),
+      expiredAt: new Date(entry.expires).toISOString(),
+      age: Date.now() - entry.timestamp,
+      revalidationFailed: !!entry.revalidationError,
+      error: entry.revalidationError
+    };
+  }
+
+  // When the cached copy of a key was fetched (ISO string), or null when it isn't in memory
+  getFetchedAt(key) {
+    const entry = this.cache.get(key);
+    return entry ? new Date(entry.timestamp).toISOString() : null;
+  }
+
+  // Attach a caller to a pending request; callers without a signal can never cancel it
+  subscribe(key, pending, signal) {
+    pending.subscribers++;
+    if (!signal) {
+      return pending.promise;
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(createAbortError());
+        pending.subscribers--;
+
+        // Last interested caller gone - cancel the shared request
+        if (pending.subscribers === 0) {
+          pending.controller.abort();
+          if (this.pendingRequests.get(key) === pending) {
+            this.pendingRequests.delete(key);
+          }
+        }
+      };
+
+      signal.addEventListener('abort', onAbort, { once: true });
+      pending.promise.then(
+        data => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(data);
+        },
+        error => {
+          signal.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  // Create new request with timing
+  startRequest(key, requestFunction) {
     const startTime = Date.now();
-    const requestPromise = requestFunction()
+    const pending = {
+      promise: null,
+      controller: new AbortController(),
+      subscribers: 0
+    };
+
+    pending.promise = requestFunction(pending.controller.signal)
       .then(data => {
         const endTime = Date.now();
         const requestTime = endTime - startTime;
@@ -171,37 +420,152 @@ class UnifiedCacheSystem {
         this.set(key, data);
         
         // Remove from pending requests
-        this.pendingRequests.delete(key);
+        if (this.pendingRequests.get(key) === pending) {
+          this.pendingRequests.delete(key);
+        }
         
         return data;
       })
       .catch(error => {
-        this.metrics.errors++;
-        this.pendingRequests.delete(key);
+        // Cancellations aren't failures
+        if (!isAbortError(error)) {
+          this.metrics.errors++;
+        }
+        if (this.pendingRequests.get(key) === pending) {
+          this.pendingRequests.delete(key);
+        }
         throw error;
       });
 
     // Store pending request
-    this.pendingRequests.set(key, requestPromise);
+    this.pendingRequests.set(key, pending);
     
-    return requestPromise;
+    return pending;
   }
 
-  // Intelligent cache invalidation
+  // Remove a single key from both tiers
+  delete(key) {
+    const existed = this.cache.delete(key);
+    const persisted = this.deletePersistent(key);
+    return existed || persisted;
+  }
+
+  // Intelligent cache invalidation (both tiers)
   invalidate(pattern) {
+    const matches = (key) => (
+      (typeof pattern === 'string' && key.includes(pattern)) ||
+      (pattern instanceof RegExp && pattern.test(key))
+    );
+
+    const keys = new Set([...this.cache.keys(), ...this.diskIndex.keys()]);
     let count = 0;
-    for (const [key] of this.cache) {
-      if (typeof pattern === 'string' && key.includes(pattern)) {
-        this.cache.delete(key);
-        count++;
-      } else if (pattern instanceof RegExp && pattern.test(key)) {
-        this.cache.delete(key);
+    for (const key of keys) {
+      if (matches(key)) {
+        this.delete(key);
         count++;
       }
     }
     return count;
   }
 
+  // Load metadata for entries persisted by earlier sessions, dropping expired ones
+  async loadPersistentIndex() {
+    if (!this.persistentStore.available) return;
+
+    const records = await this.persistentStore.getAllMetadata();
+    const now = Date.now();
+    records.forEach(record => {
+      if (now > this.getStaleUntil(record)) {
+        this.persistentStore.delete(record.key);
+      } else if (!this.diskIndex.has(record.key)) {
+        this.diskIndex.set(record.key, record);
+      }
+    });
+
+    this.enforcePersistentBudget();
+  }
+
+  persistEntry(key, entry) {
+    if (!this.persistentStore.available || typeof key !== 'string') return;
+
+    const metadata = {
+      key,
+      timestamp: entry.timestamp,
+      expires: entry.expires,
+      lastAccessed: entry.lastAccessed,
+      size: entry.size,
+      type: entry.type
+    };
+
+    // Entries larger than the whole disk budget stay memory-only
+    if (metadata.size > this.sizeBudget.persistent) return;
+
+    this.diskIndex.set(key, metadata);
+    this.persistentStore.put({ ...metadata, data: entry.data }).then(stored => {
+      if (!stored && this.diskIndex.get(key) === metadata) {
+        this.diskIndex.delete(key);
+      }
+    });
+
+    this.enforcePersistentBudget();
+  }
+
+  deletePersistent(key) {
+    if (!this.diskIndex.has(key)) return false;
+    this.diskIndex.delete(key);
+    this.persistentStore.delete(key);
+    return true;
+  }
+
+  // Keep disk recency in step with memory hits so LRU spans both tiers (and survives reloads)
+  touchPersistent(key, timestamp) {
+    const indexed = this.diskIndex.get(key);
+    if (!indexed) return;
+
+    indexed.lastAccessed = timestamp;
+    this.pendingTouches.set(key, timestamp);
+    if (!this.touchFlushTimer) {
+      this.touchFlushTimer = setTimeout(() => this.flushPersistentTouches(), TOUCH_FLUSH_DELAY);
+    }
+  }
+
+  // Write the access times collected since the last flush in one transaction
+  flushPersistentTouches() {
+    clearTimeout(this.touchFlushTimer);
+    this.touchFlushTimer = null;
+    if (this.pendingTouches.size === 0) return;
+
+    const accesses = this.pendingTouches;
+    this.pendingTouches = new Map();
+    this.persistentStore.touch(accesses);
+  }
+
+  getPersistentUsage() {
+    let total = 0;
+    for (const [, indexed] of this.diskIndex) {
+      total += indexed.size || 0;
+    }
+    return total;
+  }
+
+  // Evict least recently used disk entries until under budget
+  enforcePersistentBudget() {
+    let usage = this.getPersistentUsage();
+    if (usage <= this.sizeBudget.persistent) return 0;
+
+    const candidates = Array.from(this.diskIndex.values())
+      .sort((a, b) => a.lastAccessed - b.lastAccessed);
+
+    let evicted = 0;
+    for (const indexed of candidates) {
+      if (usage <= this.sizeBudget.persistent) break;
+      this.deletePersistent(indexed.key);
+      usage -= indexed.size || 0;
+      evicted++;
+    }
+    return evicted;
+  }
+
   // Selective cache warming
   async warmCache(keys, dataFetcher) {
     const promises = keys.map(async key => {
@@ -265,12 +629,23 @@ class UnifiedCacheSystem {
         hits: this.metrics.hits,
         misses: this.metrics.misses,
         hitRate: Math.round(hitRate * 100),
-        totalMemory: this.getTotalMemoryUsage()
+        totalMemory: this.getTotalMemoryUsage(),
+        memoryBudget: this.sizeBudget.memory,
+        persistent: {
+          available: this.persistentStore.available,
+          size: this.diskIndex.size,
+          hits: this.metrics.persistentHits,
+          misses: this.metrics.persistentMisses,
+          totalSize: this.getPersistentUsage(),
+          budget: this.sizeBudget.persistent
+        }
       },
       requests: {
         total: this.metrics.requests,
         errors: this.metrics.errors,
         pending: this.pendingRequests.size,
+        staleServed: this.metrics.staleServed,
+        revalidationFailures: this.metrics.revalidationFailures,
         avgTime: Math.round(avgRequestTime),
         recentCount: recentRequests.length
       },
@@ -311,8 +686,22 @@ class UnifiedCacheSystem {
     if (this.cache.size > maxSize) {
       this.evictOldest(Math.floor(maxSize * 0.1)); // Remove 10% oldest entries
     }
+
+    // Byte budget - least recently used entries fall back to the disk tier
+    let usage = this.getTotalMemoryUsage();
+    if (usage > this.sizeBudget.memory) {
+      const entries = Array.from(this.cache.entries())
+        .sort(([,a], [,b]) => a.lastAccessed - b.lastAccessed);
+
+      for (const [key, cached] of entries) {
+        if (usage <= this.sizeBudget.memory) break;
+        this.cache.delete(key);
+        usage -= cached.size || 0;
+      }
+    }
   }
 
+  // Memory-only eviction - persisted copies remain on disk
   evictOldest(count) {
     const entries = Array.from(this.cache.entries())
       .sort(([,a], [,b]) => a.lastAccessed - b.lastAccessed)
@@ -326,10 +715,15 @@ class UnifiedCacheSystem {
     setInterval(() => {
       const now = Date.now();
       for (const [key, cached] of this.cache) {
-        if (now > cached.expires) {
+        if (now > this.getStaleUntil(cached)) {
           this.cache.delete(key);
         }
       }
+      for (const [key, indexed] of this.diskIndex) {
+        if (now > this.getStaleUntil(indexed)) {
+          this.deletePersistent(key);
+        }
+      }
     }, 60 * 1000); // Cleanup every minute
   }
 
@@ -370,6 +764,9 @@ class UnifiedCacheSystem {
     if (!pattern) {
       this.cache.clear();
       this.pendingRequests.clear();
+      this.diskIndex.clear();
+      this.pendingTouches.clear();
+      this.persistentStore.clear();
       return;
     }
     
@@ -378,20 +775,41 @@ class UnifiedCacheSystem {
 
   // Export cache state for debugging
   getDebugInfo() {
+    const now = Date.now();
     const cacheEntries = Array.from(this.cache.entries()).map(([key, cached]) => ({
       key,
       type: cached.type,
-      age: Date.now() - cached.timestamp,
+      tier: this.diskIndex.has(key) ? 'memory+disk' : 'memory',
+      servedFrom: cached.servedFrom, // Tier that last served this entry: network, memory or disk
+      stale: now > cached.expires,
+      age: now - cached.timestamp,
       accessCount: cached.accessCount,
       size: cached.size,
       expires: new Date(cached.expires).toISOString()
     }));
 
+    // Entries that only live on disk (demoted or from a previous session)
+    for (const [key, indexed] of this.diskIndex) {
+      if (this.cache.has(key)) continue;
+      cacheEntries.push({
+        key,
+        type: indexed.type,
+        tier: 'disk',
+        servedFrom: null,
+        stale: now > indexed.expires,
+        age: now - indexed.timestamp,
+        accessCount: 0,
+        size: indexed.size,
+        expires: new Date(indexed.expires).toISOString()
+      });
+    }
+
     return {
       entries: cacheEntries,
       pending: Array.from(this.pendingRequests.keys()),
       metrics: this.getMetrics(),
-      config: this.cacheConfig
+      config: this.cacheConfig,
+      sizeBudget: this.sizeBudget
     };
   }
 }
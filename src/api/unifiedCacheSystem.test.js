@@ -0,0 +1,285 @@
+import { UnifiedCacheSystem } from './unifiedCacheSystem';
+import { createAbortError } from '../utils/abortUtils';
+
+const NOW = 1700000000000;
+const MINUTE = 60 * 1000;
+const KEY = 'photos_perseverance_100_p1'; // Dynamic class: fresh for 5 minutes, then stale for an hour
+
+const memoryOnlyStore = () => ({ available: false });
+
+// In-memory stand-in for PersistentCacheStore, holding full records keyed by cache key
+const createDiskStore = (records = []) => {
+  const entries = new Map(records.map(record => [record.key, record]));
+  return {
+    available: true,
+    entries,
+    getAllMetadata: jest.fn(async () => Array.from(entries.values()).map(({ data, ...metadata }) => metadata)),
+    get: jest.fn(async (key) => entries.get(key) || null),
+    put: jest.fn(async (record) => {
+      entries.set(record.key, record);
+      return true;
+    }),
+    delete: jest.fn(async (key) => entries.delete(key)),
+    touch: jest.fn(async () => true),
+    clear: jest.fn(async () => entries.clear())
+  };
+};
+
+// Record persisted by an earlier session, fetched `age` ms ago (dynamic class, 5 minute TTL)
+const diskRecord = (key, { age = 0, size = 100 } = {}) => ({
+  key,
+  timestamp: NOW - age,
+  expires: NOW - age + 5 * MINUTE,
+  lastAccessed: NOW - age,
+  size,
+  type: 'dynamic',
+  data: { key }
+});
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+// A request that only settles when its shared signal is aborted
+const abortableRequest = (signal) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(createAbortError()), { once: true });
+});
+
+// Let the cache's awaited lookups run before checking what it started
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('UnifiedCacheSystem', () => {
+  let now;
+
+  beforeEach(() => {
+    now = NOW;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('stale-while-revalidate', () => {
+    test('concurrent callers share one request', async () => {
+      const cache = new UnifiedCacheSystem({ persistentStore: memoryOnlyStore() });
+      const request = deferred();
+      const fetcher = jest.fn(() => request.promise);
+
+      const first = cache.deduplicateRequest(KEY, fetcher);
+      const second = cache.deduplicateRequest(KEY, fetcher);
+      await flush();
+      request.resolve({ photos: [] });
+
+      expect(await first).toBe(await second);
+      expect(fetcher).toHaveBeenCalledTimes(1);
+      // Fresh copies come from memory without a request
+      await cache.deduplicateRequest(KEY, fetcher);
+      expect(fetcher).toHaveBeenCalledTimes(1);
+    });
+
+    test('serves an expired copy at once and refreshes it in the background', async () => {
+      const cache = new UnifiedCacheSystem({ persistentStore: memoryOnlyStore() });
+      const stale = { photos: ['old'] };
+      cache.set(KEY, stale);
+      now += 10 * MINUTE;
+
+      const refresh = deferred();
+      const served = await cache.deduplicateRequest(KEY, () => refresh.promise);
+      expect(served).toBe(stale);
+      expect(cache.getStaleInfo(served)).toMatchObject({ key: KEY, age: 10 * MINUTE, revalidationFailed: false });
+
+      refresh.resolve({ photos: ['new'] });
+      await flush();
+      expect(cache.get(KEY)).toEqual({ photos: ['new'] });
+    });
+
+    test('a failed refresh keeps the stale copy and flags it', async () => {
+      const cache = new UnifiedCacheSystem({ persistentStore: memoryOnlyStore() });
+      cache.set(KEY, { photos: ['old'] });
+      now += 10 * MINUTE;
+
+      const served = await cache.deduplicateRequest(KEY, () => Promise.reject(new Error('HTTP 503')));
+      await flush();
+
+      expect(cache.getStaleInfo(served)).toMatchObject({ revalidationFailed: true, error: 'HTTP 503' });
+      expect(cache.metrics.revalidationFailures).toBe(1);
+    });
+
+    test('forceRefresh and allowStale: false wait for the network', async () => {
+      const cache = new UnifiedCacheSystem({ persistentStore: memoryOnlyStore() });
+      cache.set(KEY, { photos: ['old'] });
+      now += 10 * MINUTE;
+
+      expect(await cache.deduplicateRequest(KEY, async () => ({ photos: ['new'] }), { allowStale: false }))
+        .toEqual({ photos: ['new'] });
+      expect(await cache.deduplicateRequest(KEY, async () => ({ photos: ['newer'] }), { forceRefresh: true }))
+        .toEqual({ photos: ['newer'] });
+    });
+
+    test('copies past their stale window are not served', async () => {
+      const cache = new UnifiedCacheSystem({ persistentStore: memoryOnlyStore() });
+      cache.set(KEY, { photos: ['old'] });
+      now += 2 * 60 * MINUTE;
+
+      expect(await cache.deduplicateRequest(KEY, async () => ({ photos: ['new'] }))).toEqual({ photos: ['new'] });
+    });
+  });
+
+  describe('cancellation', () => {
+    test('the shared request is aborted only when its last subscriber cancels', async () => {
+      const cache = new UnifiedCacheSystem({ persistentStore: memoryOnlyStore() });
+      let sharedSignal;
+      const fetcher = (signal) => {
+        sharedSignal = signal;
+        return abortableRequest(signal);
+      };
+      const first = new AbortController();
+      const second = new AbortController();
+
+      const firstRequest = cache.deduplicateRequest(KEY, fetcher, { signal: first.signal });
+      const secondRequest = cache.deduplicateRequest(KEY, fetcher, { signal: second.signal });
+      await flush();
+
+      first.abort();
+      await expect(firstRequest).rejects.toMatchObject({ name: 'AbortError' });
+      expect(sharedSignal.aborted).toBe(false);
+
+      second.abort();
+      await expect(secondRequest).rejects.toMatchObject({ name: 'AbortError' });
+      expect(sharedSignal.aborted).toBe(true);
+      expect(cache.pendingRequests.has(KEY)).toBe(false);
+      // Cancellations aren't counted as errors
+      expect(cache.metrics.errors).toBe(0);
+    });
+
+    test('a caller without a signal keeps the shared request alive', async () => {
+      const cache = new UnifiedCacheSystem({ persistentStore: memoryOnlyStore() });
+      const request = deferred();
+      let sharedSignal;
+      const fetcher = (signal) => {
+        sharedSignal = signal;
+        return request.promise;
+      };
+      const controller = new AbortController();
+
+      const cancelled = cache.deduplicateRequest(KEY, fetcher, { signal: controller.signal });
+      const pinned = cache.deduplicateRequest(KEY, fetcher);
+      await flush();
+      controller.abort();
+      request.resolve({ photos: [] });
+
+      await expect(cancelled).rejects.toMatchObject({ name: 'AbortError' });
+      await expect(pinned).resolves.toEqual({ photos: [] });
+      expect(sharedSignal.aborted).toBe(false);
+    });
+
+    test('a background refresh is not aborted by the caller that was served the stale copy', async () => {
+      const cache = new UnifiedCacheSystem({ persistentStore: memoryOnlyStore() });
+      cache.set(KEY, { photos: ['old'] });
+      now += 10 * MINUTE;
+      let sharedSignal;
+      const controller = new AbortController();
+
+      await cache.deduplicateRequest(KEY, (signal) => {
+        sharedSignal = signal;
+        return abortableRequest(signal);
+      }, { signal: controller.signal });
+      controller.abort();
+
+      expect(sharedSignal.aborted).toBe(false);
+      expect(cache.pendingRequests.has(KEY)).toBe(true);
+    });
+
+    test('an already aborted signal rejects without a request', async () => {
+      const cache = new UnifiedCacheSystem({ persistentStore: memoryOnlyStore() });
+      const controller = new AbortController();
+      const fetcher = jest.fn();
+      controller.abort();
+
+      await expect(cache.deduplicateRequest(KEY, fetcher, { signal: controller.signal }))
+        .rejects.toMatchObject({ name: 'AbortError' });
+      expect(fetcher).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('persistent tier', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('indexes earlier sessions from metadata only and drops records past their stale window', async () => {
+      const store = createDiskStore([diskRecord('photos_a'), diskRecord('photos_old', { age: 3 * 60 * MINUTE })]);
+      const cache = new UnifiedCacheSystem({ persistentStore: store });
+      await cache.persistentReady;
+
+      expect(Array.from(cache.diskIndex.keys())).toEqual(['photos_a']);
+      expect(store.delete).toHaveBeenCalledWith('photos_old');
+      expect(store.get).not.toHaveBeenCalled();
+    });
+
+    test('evicts the least recently used records beyond the disk budget', async () => {
+      const store = createDiskStore([
+        diskRecord('photos_a', { age: 1 * MINUTE, size: 400 }),
+        diskRecord('photos_b', { age: 3 * MINUTE, size: 400 }),
+        diskRecord('photos_c', { age: 2 * MINUTE, size: 400 })
+      ]);
+      const cache = new UnifiedCacheSystem({ persistentStore: store, persistentBudget: 1000 });
+      await cache.persistentReady;
+
+      expect(Array.from(cache.diskIndex.keys()).sort()).toEqual(['photos_a', 'photos_c']);
+      expect(store.delete).toHaveBeenCalledWith('photos_b');
+    });
+
+    test('a disk hit is promoted to memory without a request', async () => {
+      const store = createDiskStore([diskRecord(KEY, { age: MINUTE })]);
+      const cache = new UnifiedCacheSystem({ persistentStore: store });
+      const fetcher = jest.fn();
+
+      expect(await cache.deduplicateRequest(KEY, fetcher)).toEqual({ key: KEY });
+      expect(fetcher).not.toHaveBeenCalled();
+      expect(cache.cache.get(KEY).servedFrom).toBe('disk');
+      expect(cache.metrics.persistentHits).toBe(1);
+    });
+
+    test('an expired disk record is served stale while it is refreshed', async () => {
+      const store = createDiskStore([diskRecord(KEY, { age: 10 * MINUTE })]);
+      const cache = new UnifiedCacheSystem({ persistentStore: store });
+      const refresh = deferred();
+
+      const served = await cache.deduplicateRequest(KEY, () => refresh.promise);
+      expect(served).toEqual({ key: KEY });
+      expect(cache.getStaleInfo(served)).toMatchObject({ key: KEY, age: 10 * MINUTE });
+
+      refresh.resolve({ photos: ['new'] });
+      await flush();
+      expect(store.entries.get(KEY).data).toEqual({ photos: ['new'] });
+    });
+
+    test('access times are written to disk in one debounced batch', async () => {
+      jest.useFakeTimers();
+      jest.setSystemTime(NOW);
+      const store = createDiskStore([diskRecord('photos_a'), diskRecord('photos_b')]);
+      const cache = new UnifiedCacheSystem({ persistentStore: store });
+      await cache.persistentReady;
+      await cache.lookup('photos_a');
+      await cache.lookup('photos_b');
+
+      jest.setSystemTime(NOW + 1000);
+      cache.get('photos_a');
+      cache.get('photos_a');
+      expect(store.touch).not.toHaveBeenCalled();
+      expect(cache.diskIndex.get('photos_a').lastAccessed).toBe(NOW + 1000);
+
+      jest.advanceTimersByTime(5000);
+      expect(store.touch).toHaveBeenCalledTimes(1);
+      expect(store.touch).toHaveBeenCalledWith(new Map([['photos_a', NOW + 1000], ['photos_b', NOW]]));
+    });
+  });
+});
@@ -0,0 +1,296 @@
+// Mars Surface Weather Archive
+// Imports Perseverance MEDA and Curiosity REMS daily weather records; synthetic estimates only fill the gaps
+
+import { getRoverProfile } from '../data/roverProfiles.js';
+import { PROVENANCE, PROVENANCE_SOURCES, createProvenance } from '../utils/provenance.js';
+
+const DEFAULT_WEATHER_ROOT = `${process.env.PUBLIC_URL || ''}/weather`;
+// Optional remote source, e.g. https://example.org/weather/{rover}.json - `{rover}` is replaced with the rover id
+const WEATHER_ENDPOINT = process.env.REACT_APP_WEATHER_ENDPOINT || null;
+
+// Weather station on each rover
+export const WEATHER_INSTRUMENTS = {
+  perseverance: 'MEDA',
+  curiosity: 'REMS'
+};
+
+export const WEATHER_SOURCES = {
+  ...WEATHER_INSTRUMENTS,
+  SYNTHETIC: 'SYNTHETIC'
+};
+
+// `environmental` field -> telemetry metric name, where they differ
+export const ENVIRONMENTAL_METRIC_NAMES = { pressure: 'atmospheric_pressure' };
+
+/**
+ * Name an `environmental` field the way the telemetry metrics do
+ * @param {string} field - `environmental` field, e.g. `pressure`
+ * @returns {string} Metric name, e.g. `atmospheric_pressure`
+ */
+export const toMetricName = (field) => ENVIRONMENTAL_METRIC_NAMES[field] || field;
+
+// REMS/MEDA report UV as a category; keep an ordinal alongside it for charts
+const UV_LEVELS = { low: 1, moderate: 2, high: 3, very_high: 4, extreme: 5 };
+
+// Column aliases across the MEDA/REMS JSON feeds and the common CSV exports
+const FIELD_ALIASES = {
+  sol: ['sol'],
+  earthDate: ['terrestrial_date', 'earth_date', 'date'],
+  minTemp: ['min_temp', 'min_air_temp', 'min_temperature'],
+  maxTemp: ['max_temp', 'max_air_temp', 'max_temperature'],
+  pressure: ['pressure', 'mean_pressure'],
+  windSpeed: ['wind_speed', 'mean_wind_speed'],
+  uv: ['local_uv_irradiance_index', 'uv_irradiance_index', 'uv_index', 'uv']
+};
+
+// Feeds use "--" or empty strings for values the instrument didn't record
+const toNumberOrNull = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const trimmed = String(value).trim();
+  if (trimmed === '' || trimmed === '--' || /^n\/?a$/i.test(trimmed)) return null;
+  const number = Number(trimmed);
+  return Number.isFinite(number) ? number : null;
+};
+
+const pickField = (raw, field) => {
+  const alias = FIELD_ALIASES[field].find(name => raw[name] !== undefined);
+  return alias ? raw[alias] : undefined;
+};
+
+const normalizeUv = (value) => {
+  const numeric = toNumberOrNull(value);
+  if (numeric !== null) return { index: numeric, category: null };
+
+  const category = typeof value === 'string' ? value.trim().toLowerCase().replace(/\s+/g, '_') : '';
+  return UV_LEVELS[category] ? { index: UV_LEVELS[category], category } : null;
+};
+
+/**
+ * Parse a CSV export (header row + one record per line) into objects
+ * @param {string} text - CSV content
+ * @returns {Array<Object>} Rows keyed by header name
+ */
+export const parseWeatherCsv = (text) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length < 2) return [];
+
+  const headers = lines[0].split(',').map(header => header.trim().toLowerCase());
+  return lines.slice(1).map(line => {
+    const cells = line.split(',');
+    return Object.fromEntries(headers.map((header, index) => [header, (cells[index] || '').trim()]));
+  });
+};
+
+/**
+ * Convert one MEDA/REMS record into the archive's per-sol model
+ * @param {Object} raw - Record from a JSON feed or CSV row
+ * @param {string} instrument - 'MEDA' or 'REMS'
+ * @returns {Object|null} { sol, earthDate, minTemp, maxTemp, pressure, windSpeed, uvIndex, uvCategory, instrument }
+ */
+export const normalizeWeatherRecord = (raw, instrument) => {
+  const sol = toNumberOrNull(pickField(raw, 'sol'));
+  if (sol === null || sol < 0) return null;
+
+  const uv = normalizeUv(pickField(raw, 'uv'));
+  const record = {
+    sol,
+    earthDate: pickField(raw, 'earthDate') || null,
+    minTemp: toNumberOrNull(pickField(raw, 'minTemp')), // °C
+    maxTemp: toNumberOrNull(pickField(raw, 'maxTemp')), // °C
+    pressure: toNumberOrNull(pickField(raw, 'pressure')), // Pa
+    windSpeed: toNumberOrNull(pickField(raw, 'windSpeed')), // m/s
+    uvIndex: uv ? uv.index : null,
+    uvCategory: uv ? uv.category : null,
+    instrument
+  };
+
+  // A sol with no measurements at all isn't a real record
+  const hasMeasurement = ['minTemp', 'maxTemp', 'pressure', 'windSpeed', 'uvIndex'].some(field => record[field] !== null);
+  return hasMeasurement ? record : null;
+};
+
+// JSON feeds wrap records as `soles` (REMS), `sols` (MEDA) or ship a bare array
+const extractJsonRecords = (data) => {
+  if (Array.isArray(data)) return data;
+  return data?.soles || data?.sols || data?.records || [];
+};
+
+// The dev server answers missing files with index.html - only accept real data responses
+const isDataResponse = (response) => (
+  response.ok && !(response.headers.get('content-type') || '').includes('text/html')
+);
+
+class WeatherArchive {
+  constructor({ root = DEFAULT_WEATHER_ROOT, endpoint = WEATHER_ENDPOINT, loader = null } = {}) {
+    this.root = root;
+    this.endpoint = endpoint;
+    this.loader = loader || this.loadFromSources.bind(this);
+    this.records = new Map(); // rover -> Map(sol -> record)
+    this.loading = new Map(); // rover -> load promise
+    this.sources = {}; // rover -> where the records came from
+  }
+
+  /**
+   * Load a rover's weather records once (later calls share the same promise)
+   * Missing or unreadable sources leave the rover without records - never throws
+   * @param {string} rover - Rover id
+   * @returns {Promise<number>} Number of records available for the rover
+   */
+  load(rover) {
+    const { id } = getRoverProfile(rover);
+    if (!this.loading.has(id)) {
+      this.loading.set(id, Promise.resolve()
+        .then(() => this.loader(id))
+        .then(result => {
+          if (result) {
+            this.addRecords(id, result.records, result.source);
+          }
+          return this.getRecordCount(id);
+        })
+        .catch(error => {
+          console.warn(`Weather records for ${id} could not be loaded, using estimates:`, error.message);
+          return this.getRecordCount(id);
+        }));
+    }
+    return this.loading.get(id);
+  }
+
+  // Default loader: configured endpoint first, then bundled `<root>/<rover>.json` and `<root>/<rover>.csv`
+  async loadFromSources(rover) {
+    const candidates = [
+      ...(this.endpoint ? [this.endpoint.replace('{rover}', rover)] : []),
+      `${this.root}/${rover}.json`,
+      `${this.root}/${rover}.csv`
+    ];
+
+    for (const url of candidates) {
+      let response;
+      try {
+        response = await fetch(url);
+      } catch (error) {
+        continue; // Unreachable source - try the next one
+      }
+      if (!isDataResponse(response)) continue;
+
+      const isCsv = /\.csv(\?|$)/i.test(url) || (response.headers.get('content-type') || '').includes('csv');
+      const records = isCsv ? parseWeatherCsv(await response.text()) : extractJsonRecords(await response.json());
+      if (records.length > 0) {
+        return { records, source: url };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Add raw MEDA/REMS records for a rover (invalid rows are skipped)
+   * @param {string} rover - Rover id
+   * @param {Array<Object>} rawRecords - JSON records or CSV rows
+   * @param {string} source - Where the records came from
+   * @returns {number} Records added
+   */
+  addRecords(rover, rawRecords, source = 'inline') {
+    const { id } = getRoverProfile(rover);
+    const instrument = WEATHER_INSTRUMENTS[id] || 'UNKNOWN';
+    if (!this.records.has(id)) {
+      this.records.set(id, new Map());
+    }
+
+    const bySol = this.records.get(id);
+    let added = 0;
+    (rawRecords || []).forEach(raw => {
+      const record = raw && normalizeWeatherRecord(raw, instrument);
+      if (record) {
+        bySol.set(record.sol, record);
+        added++;
+      }
+    });
+
+    this.sources[id] = source;
+    return added;
+  }
+
+  getRecord(rover, sol) {
+    return this.records.get(getRoverProfile(rover).id)?.get(sol) || null;
+  }
+
+  getRecordCount(rover) {
+    return this.records.get(getRoverProfile(rover).id)?.size || 0;
+  }
+
+  /**
+   * Fill the `environmental` telemetry shape from the sol's record
+   * Fields the record doesn't cover keep the synthetic estimate and are listed in `estimated_fields`.
+   * @param {string} rover - Rover id
+   * @param {number} sol - Mission sol
+   * @param {Object} estimate - Synthetic environmental values for the sol
+   * @returns {Object} Environmental data with `source`, `estimated`, `estimated_fields` and per-field `provenance`
+   */
+  getEnvironmental(rover, sol, estimate) {
+    const record = this.getRecord(rover, sol);
+    const environmental = {
+      ...estimate,
+      min_temperature: estimate.min_temperature ?? null,
+      max_temperature: estimate.max_temperature ?? null,
+      uv_index: estimate.uv_index ?? null
+    };
+    const measured = new Set();
+
+    if (record) {
+      if (record.minTemp !== null && record.maxTemp !== null) {
+        environmental.min_temperature = record.minTemp;
+        environmental.max_temperature = record.maxTemp;
+        environmental.temperature = Math.round(((record.minTemp + record.maxTemp) / 2) * 10) / 10; // Daily mean
+        measured.add('temperature').add('min_temperature').add('max_temperature');
+      }
+      if (record.pressure !== null) {
+        environmental.pressure = record.pressure;
+        measured.add('pressure');
+      }
+      if (record.windSpeed !== null) {
+        environmental.wind_speed = record.windSpeed;
+        measured.add('wind_speed');
+      }
+      if (record.uvIndex !== null) {
+        environmental.uv_index = record.uvIndex;
+        environmental.uv_category = record.uvCategory;
+        measured.add('uv_index');
+      }
+    }
+
+    const estimatedFields = Object.keys(environmental).filter(field =>
+      !measured.has(field) && field !== 'uv_category' && environmental[field] !== null
+    );
+
+    // Measured fields carry the record's Earth date; estimates are stamped when they're produced
+    const recordDate = record?.earthDate ? new Date(`${record.earthDate}T12:00:00Z`) : null;
+    const measuredAt = recordDate && !Number.isNaN(recordDate.getTime()) ? recordDate.toISOString() : new Date().toISOString();
+    const provenance = Object.fromEntries([
+      ...Array.from(measured).map(field => [field, createProvenance(PROVENANCE.MEASURED, record.instrument, measuredAt)]),
+      ...estimatedFields.map(field => [field, createProvenance(PROVENANCE.MODELED, PROVENANCE_SOURCES.ATMOSPHERE_MODEL)])
+    ]);
+
+    return {
+      ...environmental,
+      source: measured.size > 0 ? record.instrument : WEATHER_SOURCES.SYNTHETIC,
+      earth_date: record?.earthDate || null,
+      estimated: measured.size === 0,
+      estimated_fields: estimatedFields,
+      provenance
+    };
+  }
+
+  getInfo() {
+    return Object.fromEntries(Array.from(this.records.keys()).map(rover => [rover, {
+      instrument: WEATHER_INSTRUMENTS[rover] || 'UNKNOWN',
+      records: this.getRecordCount(rover),
+      source: this.sources[rover] || null
+    }]));
+  }
+}
+
+// Global weather archive
+const weatherArchive = new WeatherArchive();
+
+export { WeatherArchive, weatherArchive };
+export default weatherArchive;
@@ -0,0 +1,92 @@
+// Benchmark Baselines
+// Compares OptimizationValidator scores with a stored baseline and formats the per-test deltas
+
+export const BASELINE_VERSION = 1;
+export const DEFAULT_REGRESSION_THRESHOLD = 5; // Score points a test may drop before the run fails
+
+// getScores() keys, in report order
+export const BENCHMARK_SCORES = ['cache', 'calculations', 'errorHandling', 'deduplication', 'dataProcessing', 'overall'];
+
+/**
+ * Build a baseline document from a validation run
+ * @param {Object} scores - OptimizationValidator.getScores() result
+ * @param {Object} meta - { dataSource } describing the fixtures the run used
+ * @returns {Object} { version, createdAt, dataSource, scores }
+ */
+export const createBaseline = (scores, { dataSource = 'synthetic' } = {}) => ({
+  version: BASELINE_VERSION,
+  createdAt: new Date().toISOString(),
+  dataSource,
+  scores: Object.fromEntries(BENCHMARK_SCORES.map(name => [name, scores[name]]))
+});
+
+/**
+ * Compare scores with a baseline
+ * A test regresses when its score drops by more than `threshold` points; tests the baseline doesn't have are 'new'.
+ * @param {Object} scores - OptimizationValidator.getScores() result
+ * @param {Object|null} baseline - createBaseline document, or null when none is stored yet
+ * @param {number} threshold - Allowed drop in score points (default: 5)
+ * @returns {Object} {
+ *   threshold, baseline: { createdAt, dataSource } | null,
+ *   tests: [{ name, score, baseline, delta, status: 'regressed' | 'improved' | 'unchanged' | 'new' }],
+ *   regressions: [names]
+ * }
+ */
+export const compareWithBaseline = (scores, baseline, threshold = DEFAULT_REGRESSION_THRESHOLD) => {
+  const tests = BENCHMARK_SCORES.map(name => {
+    const previous = baseline?.scores?.[name];
+    if (typeof previous !== 'number') {
+      return { name, score: scores[name], baseline: null, delta: null, status: 'new' };
+    }
+
+    const delta = scores[name] - previous;
+    const status = delta < -threshold ? 'regressed' : delta > 0 ? 'improved' : 'unchanged';
+    return { name, score: scores[name], baseline: previous, delta, status };
+  });
+
+  return {
+    threshold,
+    baseline: baseline ? { createdAt: baseline.createdAt, dataSource: baseline.dataSource } : null,
+    tests,
+    regressions: tests.filter(test => test.status === 'regressed').map(test => test.name)
+  };
+};
+
+const formatDelta = (delta) => (delta === null ? '-' : `${delta > 0 ? '+' : ''}${delta}`);
+
+/**
+ * Format a comparison as a plain-text table
+ * @param {Object} comparison - compareWithBaseline result
+ * @returns {string} Table with one row per test
+ */
+export const formatComparison = (comparison) => {
+  const header = comparison.baseline
+    ? `Baseline ${comparison.baseline.createdAt} (${comparison.baseline.dataSource}), regression threshold ${comparison.threshold} points`
+    : 'No baseline stored - this run becomes the baseline';
+  const rows = [['TEST', 'SCORE', 'BASELINE', 'DELTA', 'STATUS'], ...comparison.tests.map(test => [
+    test.name,
+    String(test.score),
+    test.baseline === null ? '-' : String(test.baseline),
+    formatDelta(test.delta),
+    test.status.toUpperCase()
+  ])];
+  const widths = rows[0].map((cell, column) => Math.max(...rows.map(row => row[column].length)));
+
+  return [
+    header,
+    // Names and statuses left-aligned, numbers right-aligned
+    ...rows.map(row => row.map((cell, column) => (
+      column === 0 || column === row.length - 1 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])
+    )).join('  ').trimEnd())
+  ].join('\n');
+};
+
+const benchmarkBaseline = {
+  BENCHMARK_SCORES,
+  DEFAULT_REGRESSION_THRESHOLD,
+  createBaseline,
+  compareWithBaseline,
+  formatComparison
+};
+
+export default benchmarkBaseline;
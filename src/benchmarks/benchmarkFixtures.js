@@ -0,0 +1,153 @@
+// Benchmark Fixtures
+// Deterministic NASA manifest and photo payloads for headless benchmark runs - synthetic, shaped like the recorded
+// fixtures FixtureDataSource serves, so results don't depend on the network or the NASA API quota
+
+import { FixtureDataSource } from '../api/dataSources.js';
+import { getRoverProfile } from '../data/roverProfiles.js';
+import { getRoverCameras } from '../data/cameraRegistry.js';
+import { solToEarthDate } from '../utils/marsTime.js';
+
+const BENCHMARK_MAX_SOL = 2000;
+const PHOTOS_PER_PAGE = 25; // NASA pages photo responses at 25
+
+// Simulated NASA round trip - the benchmark clock only advances by this much per request, so the validator's timing
+// scores count the requests caching and deduplication save instead of measuring machine load
+export const SIMULATED_REQUEST_LATENCY_MS = 40;
+
+const MANIFEST_PATH = /^manifests\/([a-z]+)$/;
+const PHOTOS_PATH = /^rovers\/([a-z]+)\/photos(?:\/page-(\d+))?\/sol-(\d+)$/;
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+// Photo count of a sol - varies from sol to sol but never changes between runs
+const getSolPhotoCount = (sol) => 10 + ((sol * 37) % 90);
+
+// Cameras used on a sol - a rotating subset of the rover's cameras
+const getSolCameras = (cameras, sol) => cameras.filter((camera, index) => (sol + index) % 3 !== 0);
+
+const createManifest = (rover, cameras) => {
+  const profile = getRoverProfile(rover);
+  const photos = [];
+  for (let sol = 0; sol <= BENCHMARK_MAX_SOL; sol++) {
+    photos.push({
+      sol,
+      earth_date: toDateString(solToEarthDate(sol, profile.id)),
+      total_photos: getSolPhotoCount(sol),
+      cameras: getSolCameras(cameras, sol).map(camera => camera.code)
+    });
+  }
+
+  return {
+    photo_manifest: {
+      name: profile.name,
+      status: profile.status,
+      landing_date: profile.landingDate,
+      launch_date: profile.launchDate,
+      max_sol: BENCHMARK_MAX_SOL,
+      max_date: photos[photos.length - 1].earth_date,
+      total_photos: photos.reduce((sum, entry) => sum + entry.total_photos, 0),
+      photos
+    }
+  };
+};
+
+const createPhotoPage = (rover, cameras, sol, page) => {
+  const profile = getRoverProfile(rover);
+  const solCameras = getSolCameras(cameras, sol);
+  const earthDate = toDateString(solToEarthDate(sol, profile.id));
+  const total = getSolPhotoCount(sol);
+  const first = (page - 1) * PHOTOS_PER_PAGE;
+
+  const photos = [];
+  for (let index = first; index < Math.min(total, first + PHOTOS_PER_PAGE); index++) {
+    const camera = solCameras[index % solCameras.length];
+    photos.push({
+      id: sol * 1000 + index,
+      sol,
+      earth_date: earthDate,
+      img_src: `https://mars.nasa.gov/benchmark/${profile.id}/${sol}/${camera.code}_${index}.jpg`,
+      camera: { id: cameras.indexOf(camera) + 1, name: camera.code, full_name: camera.name },
+      rover: { id: 1, name: profile.name, status: profile.status }
+    });
+  }
+  return { photos };
+};
+
+/**
+ * Load the synthetic payload for a fixture path (see getFixturePath)
+ * Manifests cover sols 0-2000 and photo requests with or without a page; any other path is a fixture miss.
+ * @param {string} fixturePath - e.g. `manifests/perseverance` or `rovers/perseverance/photos/sol-100`
+ * @returns {Object|null} NASA-shaped payload, or null when no fixture exists
+ */
+export const loadBenchmarkFixture = (fixturePath) => {
+  const manifestMatch = fixturePath.match(MANIFEST_PATH);
+  if (manifestMatch) {
+    return createManifest(manifestMatch[1], getRoverCameras(manifestMatch[1]));
+  }
+
+  const photosMatch = fixturePath.match(PHOTOS_PATH);
+  if (photosMatch) {
+    const [, rover, page, sol] = photosMatch;
+    return Number(sol) <= BENCHMARK_MAX_SOL
+      ? createPhotoPage(rover, getRoverCameras(rover), Number(sol), Number(page) || 1)
+      : { photos: [] };
+  }
+
+  return null;
+};
+
+/**
+ * Create the simulated clock for OptimizationValidator's `clock` option
+ * @returns {Object} { now(): elapsed ms, advance(ms) }
+ */
+export const createBenchmarkClock = () => {
+  let elapsed = 0;
+  return {
+    now: () => elapsed,
+    advance: (ms) => {
+      elapsed += ms;
+    }
+  };
+};
+
+// Fixture source that charges each request to the benchmark clock (sequentially, even when requests overlap)
+class SimulatedLatencyDataSource {
+  constructor(source, clock, latency = SIMULATED_REQUEST_LATENCY_MS) {
+    this.mode = source.mode;
+    this.source = source;
+    this.clock = clock;
+    this.latency = latency;
+  }
+
+  async fetch(url, options = {}) {
+    this.clock.advance(this.latency);
+    return this.source.fetch(url, options);
+  }
+
+  getInfo() {
+    return { ...this.source.getInfo(), simulatedLatencyMs: this.latency };
+  }
+}
+
+/**
+ * Create the benchmark data source
+ * @param {Object} recordedFixtures - Optional { fixturePath: json } bundle (RecordingDataSource.downloadFixtures);
+ *   when given, only recorded payloads are served
+ * @param {Object} options - { clock: createBenchmarkClock() result, advanced by SIMULATED_REQUEST_LATENCY_MS per request }
+ * @returns {FixtureDataSource|SimulatedLatencyDataSource} Fixture data source for setDataSource
+ */
+export const createBenchmarkDataSource = (recordedFixtures = null, { clock = null } = {}) => {
+  const source = recordedFixtures
+    ? new FixtureDataSource({ fixtures: recordedFixtures, loader: () => null })
+    : new FixtureDataSource({ loader: async (fixturePath) => loadBenchmarkFixture(fixturePath) });
+  return clock ? new SimulatedLatencyDataSource(source, clock) : source;
+};
+
+const benchmarkFixtures = {
+  SIMULATED_REQUEST_LATENCY_MS,
+  loadBenchmarkFixture,
+  createBenchmarkClock,
+  createBenchmarkDataSource
+};
+
+export default benchmarkFixtures;
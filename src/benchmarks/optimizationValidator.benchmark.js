@@ -0,0 +1,80 @@
+// OptimizationValidator Benchmark
+// Runs the validation suite headlessly against fixture data and fails when a score drops below the stored baseline
+//
+//   npm run benchmark          compare with optimizationValidator.baseline.json
+//   npm run benchmark:update   store this run as the new baseline
+//
+// BENCHMARK_REGRESSION_THRESHOLD sets the allowed drop in points (default 5). BENCHMARK_FIXTURES points at a recorded
+// fixture bundle (RecordingDataSource.downloadFixtures) to use instead of the synthetic fixtures. The validator's
+// timing tests run on a simulated clock that only advances per request, so every score is deterministic.
+
+import fs from 'fs';
+import path from 'path';
+import OptimizationValidator from '../api/optimizationValidator.js';
+import { setDataSource } from '../api/dataSources.js';
+import { createBenchmarkClock, createBenchmarkDataSource } from './benchmarkFixtures.js';
+import {
+  BENCHMARK_SCORES,
+  DEFAULT_REGRESSION_THRESHOLD,
+  createBaseline,
+  compareWithBaseline,
+  formatComparison
+} from './benchmarkBaseline.js';
+
+const BASELINE_PATH = path.join(__dirname, 'optimizationValidator.baseline.json');
+const UPDATE_BASELINE = process.env.BENCHMARK_UPDATE_BASELINE === 'true';
+const parsedThreshold = parseFloat(process.env.BENCHMARK_REGRESSION_THRESHOLD);
+const REGRESSION_THRESHOLD = Number.isNaN(parsedThreshold) ? DEFAULT_REGRESSION_THRESHOLD : parsedThreshold;
+const FIXTURES_PATH = process.env.BENCHMARK_FIXTURES || null;
+
+jest.setTimeout(120000);
+
+const readJson = (file) => (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null);
+
+describe('OptimizationValidator benchmark', () => {
+  let report = null;
+  let comparison = null;
+
+  beforeAll(async () => {
+    const recordedFixtures = FIXTURES_PATH ? readJson(path.resolve(FIXTURES_PATH)) : null;
+    if (FIXTURES_PATH && !recordedFixtures) {
+      throw new Error(`BENCHMARK_FIXTURES file not found: ${FIXTURES_PATH}`);
+    }
+    const clock = createBenchmarkClock();
+    setDataSource(createBenchmarkDataSource(recordedFixtures, { clock }));
+
+    // The suite's progress logging and its deliberate failed requests would bury the comparison table
+    const silenced = ['log', 'warn', 'error'].map(method => jest.spyOn(console, method).mockImplementation(() => {}));
+    try {
+      report = await new OptimizationValidator({ clock: clock.now }).runFullValidation();
+    } finally {
+      silenced.forEach(spy => spy.mockRestore());
+    }
+    if (!report.success) return;
+
+    const baseline = readJson(BASELINE_PATH);
+    comparison = compareWithBaseline(report.scores, baseline, REGRESSION_THRESHOLD);
+    console.log(formatComparison(comparison));
+
+    if (!baseline || UPDATE_BASELINE) {
+      const dataSource = FIXTURES_PATH ? path.basename(FIXTURES_PATH) : 'synthetic';
+      fs.writeFileSync(BASELINE_PATH, `${JSON.stringify(createBaseline(report.scores, { dataSource }), null, 2)}\n`);
+    }
+  });
+
+  test('validation suite completes', () => {
+    expect(report.error).toBeUndefined();
+    expect(report.success).toBe(true);
+  });
+
+  test.each(BENCHMARK_SCORES)('%s score has not regressed', (name) => {
+    // A failed suite has no scores to compare - 'validation suite completes' already reports it
+    if (!comparison) return;
+
+    const result = comparison.tests.find(test => test.name === name);
+    // Updating the baseline accepts this run's scores
+    if (result.baseline !== null && !UPDATE_BASELINE) {
+      expect(result.delta).toBeGreaterThanOrEqual(-REGRESSION_THRESHOLD);
+    }
+  });
+});
@@ -1,6 +1,9 @@
 // AdvancedMissionTimeline.jsx
-import React, { useState, useCallback, useRef, useEffect } from 'react';
+import React, { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import { subscribeToMaxSolUpdates, getLastKnownMaxSol } from '../utils/nasaManifestUtils.js';
+import { getSolMarsTime } from '../utils/marsTime.js';
+import { getConjunctionWindowsForSols, getSolGeometry } from '../utils/earthMarsGeometry.js';
+import { DEFAULT_ROVER } from '../data/roverProfiles.js';
 
 // import icons from src/assets/timeline
 import StartIcon from '../assets/timeline/start.svg';
@@ -13,7 +16,16 @@ import DrillingIcon from '../assets/timeline/Drilling.svg';
 import WaterIcon from '../assets/timeline/water.svg';
 
 // Main component
-const AdvancedMissionTimeline = ({ sols = [], selectedSol = 0, onSolChange = () => {} }) => {
+// Earth date and season of a sol, e.g. "2021-06-01 | Ls 72.4° MY 36 SPRING"
+const formatSolDate = (sol, rover) => {
+  const { earthDate, ls, marsYear, season } = getSolMarsTime(sol, rover);
+  return `${earthDate.toISOString().split('T')[0]} | Ls ${ls.toFixed(1)}° MY ${marsYear} ${season.toUpperCase()}`;
+};
+
+// One-way Earth-Mars light time of a sol, e.g. "OWLT 12.4 MIN"
+const formatLightTime = (sol, rover) => `OWLT ${getSolGeometry(sol, rover).lightTimeMinutes.toFixed(1)} MIN`;
+
+const AdvancedMissionTimeline = ({ sols = [], selectedSol = 0, onSolChange = () => {}, rover = DEFAULT_ROVER }) => {
   const [isDragging, setIsDragging] = useState(false);
   const [timelineCollapsed, setTimelineCollapsed] = useState(false);
   const [isAutoPlay, setIsAutoPlay] = useState(false);
@@ -26,6 +38,11 @@ const AdvancedMissionTimeline = ({ sols = [], selectedSol = 0, onSolChange = ()
   const autoPlayRef = useRef(null);
   const timelineRef = useRef(null);
 
+  // Solar conjunctions over the mission - shaded on the track, commanding is suspended inside them
+  const conjunctionWindows = useMemo(() => getConjunctionWindowsForSols(0, maxSol, rover), [maxSol, rover]);
+  const findConjunction = (sol) => conjunctionWindows.find(window => sol >= window.startSol && sol <= window.endSol);
+  const selectedConjunction = findConjunction(selectedSol);
+
   // mapping categories -> icon
   const eventIcons = {
     landing: StartIcon,
@@ -218,7 +235,10 @@ const AdvancedMissionTimeline = ({ sols = [], selectedSol = 0, onSolChange = ()
       type: 'timeline',
       x: percentage,
       sol: hoverSol,
-      phase: currentPhase
+      phase: currentPhase,
+      date: formatSolDate(hoverSol, rover),
+      lightTime: formatLightTime(hoverSol, rover),
+      conjunction: Boolean(findConjunction(hoverSol))
     });
   };
 
@@ -432,6 +452,17 @@ const AdvancedMissionTimeline = ({ sols = [], selectedSol = 0, onSolChange = ()
         <div style={{ marginLeft: 8, fontWeight: '700', color: '#ddd' }}>
           SOL: {selectedSol}
         </div>
+        <div style={{ marginLeft: 8, color: '#bbb', fontSize: 12 }}>
+          {formatSolDate(selectedSol, rover)} | {formatLightTime(selectedSol, rover)}
+        </div>
+        {selectedConjunction && (
+          <div
+            title={`Solar conjunction: no commanding sol ${selectedConjunction.startSol}-${selectedConjunction.endSol}`}
+            style={{ marginLeft: 8, padding: '2px 6px', borderRadius: 4, background: 'rgba(239,68,68,0.2)', color: '#fca5a5', fontSize: 11, fontWeight: 700 }}
+          >
+            SOLAR CONJUNCTION
+          </div>
+        )}
         Distance Travel: <strong style={{ color: '#fff' }}>12 KMs</strong> &nbsp;
         {/* <div style={{ marginLeft: 'auto', color: '#bbb', fontSize: 13 }}> 
           Distance Travel: <strong style={{ color: '#fff' }}>
@@ -468,6 +499,23 @@ const AdvancedMissionTimeline = ({ sols = [], selectedSol = 0, onSolChange = ()
               <div title="Crater Rim Exploration" style={{ position: 'absolute', left: '89.6%', width: '10.4%', height: '100%', background: 'linear-gradient(to right,#795548,#795548)', opacity: 0.18 }} />
             </div>
 
+            {/* Solar conjunction windows */}
+            {conjunctionWindows.map(window => (
+              <div
+                key={`conjunction-${window.startSol}`}
+                style={{
+                  position: 'absolute',
+                  left: `${(window.startSol / Math.max(1, maxSol)) * 100}%`,
+                  width: `${Math.max(0.3, ((window.endSol - window.startSol + 1) / Math.max(1, maxSol)) * 100)}%`,
+                  top: 0,
+                  bottom: 0,
+                  background: 'repeating-linear-gradient(45deg, rgba(239,68,68,0.35) 0 4px, rgba(239,68,68,0.1) 4px 8px)',
+                  zIndex: 1,
+                  pointerEvents: 'none'
+                }}
+              />
+            ))}
+
             {/* Progress bar representing selectedSol */}
             <div style={{
               position: 'absolute',
@@ -550,7 +598,8 @@ const AdvancedMissionTimeline = ({ sols = [], selectedSol = 0, onSolChange = ()
                 pointerEvents: 'none',
                 whiteSpace: 'nowrap'
               }}>
-                Sol {hoverInfo.sol} — {hoverInfo.phase}
+                Sol {hoverInfo.sol} — {hoverInfo.phase} — {hoverInfo.date} — {hoverInfo.lightTime}
+                {hoverInfo.conjunction && ' — SOLAR CONJUNCTION (NO COMMANDING)'}
               </div>
             )}
 
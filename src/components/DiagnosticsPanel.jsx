@@ -0,0 +1,445 @@
+// Diagnostics Panel - live API, cache and quota telemetry from performanceMonitor and the unified cache
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Line, Bar } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  BarElement,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import performanceMonitor from '../api/performanceMonitor';
+import unifiedCache from '../api/unifiedCacheSystem';
+import NASAApiService, { REQUEST_PRIORITY } from '../api/nasaApiService';
+import { LATENCY_WINDOWS } from '../api/latencyHistogram';
+import { DEFAULT_ROVER, getRoverProfile, getSupportedRovers } from '../data/roverProfiles';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, BarElement, Tooltip, Legend);
+
+// Quota, scheduler and circuit state are shared by every service instance
+const apiService = new NASAApiService();
+
+const SAMPLE_INTERVAL = 2000; // ms
+const MAX_SAMPLES = 90; // 3 minutes of history
+const WARM_SOL_RADIUS = 3; // Sols either side of the current sol
+const LATENCY_WINDOW_NAMES = Object.keys(LATENCY_WINDOWS);
+const WEB_VITAL_NAMES = ['LCP', 'CLS', 'INP', 'TTFB', 'FCP'];
+const VITAL_RATING_COLORS = { good: 'text-green-400', 'needs-improvement': 'text-yellow-400', poor: 'text-red-400' };
+
+const chartOptions = (yTitle, extra = {}) => ({
+  responsive: true,
+  maintainAspectRatio: false,
+  animation: false,
+  interaction: { mode: 'index', intersect: false },
+  plugins: {
+    legend: { position: 'top', labels: { color: '#e2e8f0', font: { family: 'Orbitron, monospace', size: 10 } } }
+  },
+  scales: {
+    x: { grid: { color: 'rgba(148, 163, 184, 0.1)' }, ticks: { color: '#94a3b8', maxTicksLimit: 6 } },
+    y: {
+      grid: { color: 'rgba(148, 163, 184, 0.1)' },
+      ticks: { color: '#94a3b8' },
+      beginAtZero: true,
+      title: { display: true, text: yTitle, color: '#cbd5e1' }
+    },
+    ...extra
+  }
+});
+
+const lineDataset = (label, data, color) => ({
+  label,
+  data,
+  borderColor: color,
+  backgroundColor: color,
+  pointRadius: 0,
+  borderWidth: 2,
+  tension: 0.3
+});
+
+const formatBytes = (bytes) => (bytes >= 1024 * 1024
+  ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+  : `${(bytes / 1024).toFixed(1)} KB`);
+
+const formatDuration = (ms) => (ms >= 60 * 60 * 1000
+  ? `${(ms / 3600000).toFixed(1)}h`
+  : ms >= 60 * 1000 ? `${Math.round(ms / 60000)}m` : `${Math.round(ms / 1000)}s`);
+
+// One reading of every diagnostics source
+const takeSnapshot = () => {
+  const report = performanceMonitor.getPerformanceReport();
+  return {
+    timestamp: report.timestamp,
+    report,
+    health: performanceMonitor.getHealthStatus(),
+    cache: unifiedCache.getDebugInfo(),
+    api: apiService.getApiStatus()
+  };
+};
+
+// Cache entries per TTL class, split by tier
+const summarizeCacheEntries = (entries, config) => {
+  const summary = Object.fromEntries(Object.keys(config).map(type => [
+    type, { entries: 0, memory: 0, disk: 0, stale: 0, bytes: 0 }
+  ]));
+  entries.forEach(entry => {
+    const classSummary = summary[entry.type] || (summary[entry.type] = { entries: 0, memory: 0, disk: 0, stale: 0, bytes: 0 });
+    classSummary.entries++;
+    if (entry.tier !== 'disk') classSummary.memory++;
+    if (entry.tier !== 'memory') classSummary.disk++;
+    if (entry.stale) classSummary.stale++;
+    classSummary.bytes += entry.size || 0;
+  });
+  return summary;
+};
+
+const StatCard = ({ title, value, detail, color = 'text-slate-100' }) => (
+  <div className="bg-slate-800/50 rounded p-4 border border-slate-600">
+    <h4 className="font-orbitron text-slate-400 text-xs mb-2">{title}</h4>
+    <p className={`text-2xl font-bold ${color}`}>{value}</p>
+    {detail && <p className="text-xs text-slate-400">{detail}</p>}
+  </div>
+);
+
+const HEALTH_COLORS = { healthy: 'text-green-400', degraded: 'text-yellow-400', unhealthy: 'text-red-400' };
+
+const DiagnosticsPanel = ({ rover = DEFAULT_ROVER, currentSol = null }) => {
+  const [snapshot, setSnapshot] = useState(takeSnapshot);
+  const [history, setHistory] = useState([]);
+  const [pattern, setPattern] = useState('');
+  const [actionResult, setActionResult] = useState(null);
+  const [isWarming, setIsWarming] = useState(false);
+
+  const sample = useCallback(() => {
+    const next = takeSnapshot();
+    setSnapshot(next);
+    setHistory(prev => [...prev, {
+      time: new Date(next.timestamp).toLocaleTimeString(),
+      latency: next.report.api.latency.overall['1m'],
+      hitRate: next.report.cache.hitRate,
+      quotaRemaining: next.api.quota.remaining,
+      pending: next.cache.pending.length,
+      queued: next.api.scheduler.queued
+    }].slice(-MAX_SAMPLES));
+  }, []);
+
+  // Live sampling while the panel is open
+  useEffect(() => {
+    sample();
+    const interval = setInterval(sample, SAMPLE_INTERVAL);
+    return () => clearInterval(interval);
+  }, [sample]);
+
+  const handleInvalidate = () => {
+    if (!pattern.trim()) return;
+    const removed = unifiedCache.invalidate(pattern.trim());
+    setActionResult(`Invalidated ${removed} entr${removed === 1 ? 'y' : 'ies'} matching "${pattern.trim()}"`);
+    sample();
+  };
+
+  // Warm through the API service (background lane) so entries get the normal TTLs and quota accounting
+  const handleWarm = async (target) => {
+    setIsWarming(true);
+    setActionResult(null);
+    const options = { priority: REQUEST_PRIORITY.BACKGROUND, caller: 'diagnostics-warm' };
+    const requests = target === 'manifests'
+      ? getSupportedRovers().map(id => apiService.getRoverManifest(id, options))
+      : Array.from({ length: WARM_SOL_RADIUS * 2 + 1 }, (_, index) => currentSol - WARM_SOL_RADIUS + index)
+        .filter(sol => sol >= 0)
+        .map(sol => apiService.getPhotosForSol(getRoverProfile(rover).id, sol, null, options));
+
+    const results = await Promise.allSettled(requests);
+    const failed = results.filter(result => result.status === 'rejected');
+    setActionResult(`Warmed ${results.length - failed.length}/${results.length} ${target === 'manifests' ? 'manifests' : 'sols'}`
+      + (failed.length > 0 ? ` - ${failed[0].reason?.message || 'request failed'}` : ''));
+    setIsWarming(false);
+    sample();
+  };
+
+  const { report, health, cache, api } = snapshot;
+  const cacheClasses = useMemo(() => summarizeCacheEntries(cache.entries, cache.config), [cache]);
+  const labels = history.map(entry => entry.time);
+  const errorTypes = Object.entries(report.errors.byType).sort(([, a], [, b]) => b - a);
+  const circuits = Object.entries(api.circuits);
+  const latencyEndpoints = Object.entries(report.api.latency.endpoints)
+    .sort(([, a], [, b]) => b['1h'].count - a['1h'].count);
+  const renderComponents = Object.entries(report.renders.components);
+  const slowFetchCounts = report.renders.slowCommits
+    .filter(commit => commit.slowFetch)
+    .reduce((counts, commit) => ({ ...counts, [commit.component]: (counts[commit.component] || 0) + 1 }), {});
+
+  return (
+    <div className="bg-slate-900/80 backdrop-blur-sm rounded-lg p-6 border border-slate-700 space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-bold text-slate-100 font-orbitron">🩺 Diagnostics</h2>
+        <div className="text-sm text-slate-400 font-orbitron">
+          <span className={HEALTH_COLORS[health.status]}>{health.status.toUpperCase()}</span>
+          {health.issues.length > 0 && ` • ${health.issues.join(' • ')}`}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+        <StatCard
+          title="LATENCY P50 / P90 / P99"
+          value={`${report.api.recent.latency.p50} / ${report.api.recent.latency.p90} / ${report.api.recent.latency.p99}`}
+          detail={`ms • ${report.api.recent.latency.count} requests in the last hour`}
+        />
+        <StatCard
+          title="CACHE HIT RATE"
+          value={`${report.cache.hitRate}%`}
+          detail={`${report.cache.hits} hits • ${report.cache.misses} misses • ${cache.metrics.requests.staleServed} stale served`}
+        />
+        <StatCard
+          title="QUOTA REMAINING"
+          value={`${api.quota.remaining}/${api.quota.limit}`}
+          detail={`${api.quota.source === 'server' ? 'Reported by NASA' : 'Counted locally'}`
+            + (api.quota.timeUntilReset ? ` • frees up in ${formatDuration(api.quota.timeUntilReset)}` : '')}
+          color={api.quota.remaining < api.quota.limit * 0.1 ? 'text-red-400' : 'text-slate-100'}
+        />
+        <StatCard
+          title="PENDING (DEDUPLICATED)"
+          value={cache.pending.length}
+          detail={`${api.scheduler.queued} queued • ${api.scheduler.active}/${api.scheduler.concurrency} active`}
+        />
+        <StatCard
+          title="ERRORS"
+          value={report.errors.total}
+          detail={`${report.errors.rate}% of requests • ${report.errors.recentCount} in the last hour`}
+          color={report.errors.recentCount > 0 ? 'text-yellow-400' : 'text-slate-100'}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="h-56">
+          <Line
+            options={chartOptions('Latency, last minute (ms)')}
+            data={{
+              labels,
+              datasets: [
+                lineDataset('p50', history.map(entry => entry.latency.p50), '#22c55e'),
+                lineDataset('p90', history.map(entry => entry.latency.p90), '#f59e0b'),
+                lineDataset('p99', history.map(entry => entry.latency.p99), '#ef4444')
+              ]
+            }}
+          />
+        </div>
+        <div className="h-56">
+          <Line
+            options={chartOptions('Hit rate (%)', {
+              y1: {
+                position: 'right',
+                beginAtZero: true,
+                grid: { drawOnChartArea: false },
+                ticks: { color: '#94a3b8' },
+                title: { display: true, text: 'Quota / requests', color: '#cbd5e1' }
+              }
+            })}
+            data={{
+              labels,
+              datasets: [
+                lineDataset('Hit rate', history.map(entry => entry.hitRate), '#0ea5e9'),
+                { ...lineDataset('Quota remaining', history.map(entry => entry.quotaRemaining), '#a855f7'), yAxisID: 'y1' },
+                { ...lineDataset('Pending', history.map(entry => entry.pending), '#f97316'), yAxisID: 'y1' }
+              ]
+            }}
+          />
+        </div>
+      </div>
+
+      {latencyEndpoints.length > 0 && (
+        <div className="bg-slate-800/50 rounded p-4 border border-slate-600">
+          <h4 className="font-orbitron text-slate-300 text-sm mb-3">LATENCY BY ENDPOINT (P50 / P90 / P99 / MAX, MS)</h4>
+          <table className="w-full text-xs text-slate-300">
+            <thead>
+              <tr className="text-slate-400 text-left">
+                <th>ENDPOINT</th>
+                {LATENCY_WINDOW_NAMES.map(name => <th key={name}>{name.toUpperCase()}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {latencyEndpoints.map(([endpoint, windows]) => (
+                <tr key={endpoint}>
+                  <td>{endpoint}</td>
+                  {LATENCY_WINDOW_NAMES.map(name => (
+                    <td key={name}>
+                      {windows[name].count > 0
+                        ? `${windows[name].p50} / ${windows[name].p90} / ${windows[name].p99} / ${windows[name].max} (${windows[name].count})`
+                        : '-'}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="bg-slate-800/50 rounded p-4 border border-slate-600">
+          <h4 className="font-orbitron text-slate-300 text-sm mb-3">WEB VITALS</h4>
+          <div className="grid grid-cols-5 gap-2 text-center">
+            {WEB_VITAL_NAMES.map(name => {
+              const vital = report.vitals[name];
+              return (
+                <div key={name}>
+                  <div className="text-xs text-slate-400">{name}</div>
+                  <div className={`font-orbitron text-sm ${vital ? VITAL_RATING_COLORS[vital.rating] : 'text-slate-500'}`}>
+                    {!vital ? '-' : name === 'CLS' ? vital.value.toFixed(3) : `${Math.round(vital.value)}ms`}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        <div className="bg-slate-800/50 rounded p-4 border border-slate-600">
+          <h4 className="font-orbitron text-slate-300 text-sm mb-3">RENDERS (15M P50 / P90 / MAX, MS)</h4>
+          {renderComponents.length > 0 ? (
+            <table className="w-full text-xs text-slate-300">
+              <tbody>
+                {renderComponents.map(([component, { mounts, updates, durations }]) => (
+                  <tr key={component}>
+                    <td>{component}</td>
+                    <td>{mounts + updates} commits</td>
+                    <td>
+                      {durations['15m'].count > 0
+                        ? `${durations['15m'].p50} / ${durations['15m'].p90} / ${durations['15m'].max}`
+                        : '-'}
+                    </td>
+                    <td className={slowFetchCounts[component] ? 'text-yellow-400' : 'text-slate-500'}>
+                      {slowFetchCounts[component] || 0} after slow fetches
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="text-xs text-slate-400">No renders profiled (React Profiler runs in development builds)</p>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="bg-slate-800/50 rounded p-4 border border-slate-600">
+          <h4 className="font-orbitron text-slate-300 text-sm mb-3">ERROR CATEGORIES</h4>
+          {errorTypes.length > 0 ? (
+            <div className="h-40">
+              <Bar
+                options={{ ...chartOptions('Errors'), plugins: { legend: { display: false } } }}
+                data={{
+                  labels: errorTypes.map(([type]) => type),
+                  datasets: [{ data: errorTypes.map(([, count]) => count), backgroundColor: 'rgba(239, 68, 68, 0.7)' }]
+                }}
+              />
+            </div>
+          ) : (
+            <p className="text-xs text-slate-400">No errors recorded</p>
+          )}
+          {circuits.length > 0 && (
+            <div className="mt-3 text-xs text-slate-300 space-y-1">
+              {circuits.map(([endpoint, circuit]) => (
+                <div key={endpoint} className="flex justify-between">
+                  <span>{endpoint}</span>
+                  <span className={circuit.state === 'closed' ? 'text-green-400' : 'text-red-400'}>
+                    {circuit.state.toUpperCase()} ({circuit.consecutiveFailures}/{circuit.failureThreshold})
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="bg-slate-800/50 rounded p-4 border border-slate-600">
+          <h4 className="font-orbitron text-slate-300 text-sm mb-3">CACHE ENTRIES BY TTL CLASS</h4>
+          <table className="w-full text-xs text-slate-300">
+            <thead>
+              <tr className="text-slate-400 text-left">
+                <th>CLASS</th>
+                <th>TTL</th>
+                <th>ENTRIES</th>
+                <th>MEMORY</th>
+                <th>DISK</th>
+                <th>STALE</th>
+                <th>SIZE</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(cacheClasses).map(([type, summary]) => (
+                <tr key={type}>
+                  <td>{type}</td>
+                  <td>{cache.config[type] ? formatDuration(cache.config[type].duration) : '-'}</td>
+                  <td>{summary.entries}</td>
+                  <td>{summary.memory}</td>
+                  <td>{summary.disk}</td>
+                  <td>{summary.stale}</td>
+                  <td>{formatBytes(summary.bytes)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-slate-400 mt-2">
+            Memory {formatBytes(cache.metrics.cache.totalMemory)} of {formatBytes(cache.sizeBudget.memory)}
+            {' • '}Disk {cache.metrics.cache.persistent.available
+              ? `${formatBytes(cache.metrics.cache.persistent.totalSize)} of ${formatBytes(cache.sizeBudget.persistent)}`
+              : 'unavailable'}
+          </p>
+          {cache.pending.length > 0 && (
+            <p className="text-xs text-slate-400 mt-2 break-all">In flight: {cache.pending.join(', ')}</p>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-slate-800/50 rounded p-4 border border-slate-600">
+        <h4 className="font-orbitron text-slate-300 text-sm mb-3">CACHE ACTIONS</h4>
+        <div className="flex flex-wrap gap-2 items-center">
+          <input
+            type="text"
+            value={pattern}
+            onChange={(e) => setPattern(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleInvalidate()}
+            placeholder="Key pattern, e.g. photos_perseverance_"
+            className="bg-slate-800 text-slate-200 border border-slate-600 rounded px-3 py-1 text-sm flex-1 min-w-[200px]"
+          />
+          <button
+            onClick={handleInvalidate}
+            disabled={!pattern.trim()}
+            className="px-4 py-1 rounded bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white font-orbitron text-sm"
+          >
+            Invalidate
+          </button>
+          <button
+            onClick={() => handleWarm('manifests')}
+            disabled={isWarming}
+            className="px-4 py-1 rounded bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white font-orbitron text-sm"
+          >
+            Warm Manifests
+          </button>
+          <button
+            onClick={() => handleWarm('sols')}
+            disabled={isWarming || currentSol === null}
+            className="px-4 py-1 rounded bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white font-orbitron text-sm"
+          >
+            Warm Sols {currentSol !== null ? `${Math.max(0, currentSol - WARM_SOL_RADIUS)}-${currentSol + WARM_SOL_RADIUS}` : ''}
+          </button>
+        </div>
+        {actionResult && <p className="text-xs text-slate-300 mt-2">{actionResult}</p>}
+      </div>
+
+      {report.insights.length > 0 && (
+        <div className="bg-slate-800/50 rounded p-4 border border-slate-600 space-y-2">
+          <h4 className="font-orbitron text-slate-300 text-sm">INSIGHTS</h4>
+          {report.insights.map((insight, index) => (
+            <div key={`${insight.category}-${index}`} className="text-xs">
+              <span className="text-slate-200">{insight.message}</span>
+              <span className="text-slate-400"> — {insight.recommendation}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DiagnosticsPanel;
@@ -3,6 +3,8 @@ import React, { useState, useEffect } from 'react';
 // Removed Framer Motion for stability
 import TrendAnalysisDashboard from './TrendAnalysisDashboard';
 import MissionReplaySystem from './MissionReplaySystem';
+import DiagnosticsPanel from './DiagnosticsPanel';
+import RenderProfiler from './common/RenderProfiler';
 import MilestoneCelebration, { MissionProgress, AchievementBadge } from './MilestoneCelebration';
 import { NASALoader, DataSyncIndicator, useLoadingState } from './LoadingComponents';
 
@@ -49,6 +51,12 @@ const EnhancedDashboard = ({ roverData = {}, selectedSol = 100, onSolChange = ()
       name: 'Mission Overview',
       icon: '🎯',
       description: 'Progress tracking and achievements'
+    },
+    {
+      id: 'diagnostics',
+      name: 'Diagnostics',
+      icon: '🩺',
+      description: 'API latency, cache, quota & errors'
     }
   ];
 
@@ -178,11 +186,13 @@ const EnhancedDashboard = ({ roverData = {}, selectedSol = 100, onSolChange = ()
       {/* Tab Content */}
       <div className="tab-content animate-fade-in">
           {activeTab === 'trends' && (
-            <TrendAnalysisDashboard
-              currentSol={selectedSol}
-              missionData={roverData}
-              onSolSelect={onSolChange}
-            />
+            <RenderProfiler id="TrendAnalysisDashboard">
+              <TrendAnalysisDashboard
+                currentSol={selectedSol}
+                missionData={roverData}
+                onSolSelect={onSolChange}
+              />
+            </RenderProfiler>
           )}
 
           {activeTab === 'replay' && (
@@ -193,6 +203,13 @@ const EnhancedDashboard = ({ roverData = {}, selectedSol = 100, onSolChange = ()
             />
           )}
 
+          {activeTab === 'diagnostics' && (
+            <DiagnosticsPanel
+              rover={roverData?.header?.rover}
+              currentSol={selectedSol}
+            />
+          )}
+
           {activeTab === 'overview' && (
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
               {/* Mission Progress */}
@@ -4,7 +4,9 @@ import 'leaflet/dist/leaflet.css';
 
 // Import our NASA Trek service and mission data
 import { nasaTrekService, MARS_TILE_LAYERS, selectOptimalLayer } from '../services/nasaTrekService.js';
-import { MISSION_EVENTS, getMissionPhase, generateRoverPath } from '../data/missionTimeline.js';
+import { MISSION_EVENTS, getMissionPhase } from '../data/missionTimeline.js';
+import traverseArchive from '../api/traverseArchive.js';
+import { DEFAULT_ROVER } from '../data/roverProfiles.js';
 
 // Fix for default Leaflet marker icons
 delete L.Icon.Default.prototype._getIconUrl;
@@ -41,10 +43,10 @@ const EnhancedNASAMarsMap = ({
   const tileLayersRef = useRef({});
   const markersRef = useRef([]);
 
-  // Generate rover path data
+  // Rover path from the traverse archive - the route from getRoverData when given, else read directly
   const roverPath = React.useMemo(() => {
-    return generateRoverPath('perseverance', selectedSol || 1000);
-  }, [selectedSol]);
+    return route?.length ? route : traverseArchive.getPath(DEFAULT_ROVER, selectedSol || 1000);
+  }, [route, selectedSol]);
 
   // Initialize map on component mount
   useEffect(() => {
@@ -2,6 +2,9 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 // Removed Framer Motion for stability
 import { getRoverData } from '../api/roverData';
+import { REQUEST_PRIORITY } from '../api/nasaApiService';
+import { DEFAULT_ROVER } from '../data/roverProfiles';
+import traverseArchive from '../api/traverseArchive';
 
 const MissionReplaySystem = ({ currentSol = 100, onSolChange = () => {}, missionData = {} }) => {
   const [isPlaying, setIsPlaying] = useState(false);
@@ -13,6 +16,7 @@ const MissionReplaySystem = ({ currentSol = 100, onSolChange = () => {}, mission
   const [currentPhoto, setCurrentPhoto] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [milestones, setMilestones] = useState([]);
+  const rover = missionData?.header?.rover || DEFAULT_ROVER;
   
   const intervalRef = useRef(null);
   const canvasRef = useRef(null);
@@ -31,44 +35,26 @@ const MissionReplaySystem = ({ currentSol = 100, onSolChange = () => {}, mission
     { sol: 687, name: 'Mission Extended', icon: '⏰', description: 'Mission officially extended' }
   ];
 
-  // Generate rover path data
+  // Rover path from the traverse archive (published GeoJSON, or synthetic without one)
   useEffect(() => {
-    const generateRoverPath = () => {
-      const path = [];
-      const baseLat = 18.4447; // Jezero Crater
-      const baseLon = 77.4508;
-      
-      for (let sol = 0; sol <= currentSol; sol++) {
-        // Simulate realistic rover movement with some exploration patterns
-        const progress = sol / Math.max(currentSol, 1);
-        const explorationRadius = progress * 0.01; // Gradual expansion
-        
-        // Add some realistic movement patterns
-        const angle = (sol * 15) % 360; // Exploration angle
-        const distance = Math.sin(sol / 20) * explorationRadius; // Varying distance
-        
-        const lat = baseLat + (distance * Math.cos(angle * Math.PI / 180));
-        const lon = baseLon + (distance * Math.sin(angle * Math.PI / 180));
-        
-        path.push({
-          sol,
-          lat,
-          lon,
-          elevation: 2374 + (sol * 0.1) + (Math.sin(sol / 10) * 5), // Elevation changes
-          distance: sol * 0.025 + (Math.random() * 0.01), // Cumulative distance
-          activity: sol % 7 === 0 ? 'science' : sol % 3 === 0 ? 'imaging' : 'driving'
-        });
-      }
-      
-      setRoverPath(path);
-    };
-
-    generateRoverPath();
+    let cancelled = false;
+    traverseArchive.load(rover).then(() => {
+      if (cancelled) return;
+      setRoverPath(traverseArchive.getPath(rover, currentSol).map(point => ({
+        ...point,
+        // Sols with an event are science stops; otherwise driving sols vs stationary imaging sols
+        activity: point.event ? 'science' : point.driveKm > 0 ? 'driving' : 'imaging'
+      })));
+    });
     
     // Set milestones within current range
     const currentMilestones = MISSION_MILESTONES.filter(m => m.sol <= currentSol);
     setMilestones(currentMilestones);
-  }, [currentSol]);
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [currentSol, rover]);
 
   // Load photo sequence for time-lapse
   const loadPhotoSequence = useCallback(async (startSol, endSol) => {
@@ -79,7 +65,7 @@ const MissionReplaySystem = ({ currentSol = 100, onSolChange = () => {}, mission
     
     for (let sol = startSol; sol <= endSol; sol += step) {
       try {
-        const data = await getRoverData(sol);
+        const data = await getRoverData(rover, sol, { priority: REQUEST_PRIORITY.VISIBLE, caller: 'mission-replay' });
         if (data && data.cameras && data.cameras.length > 0) {
           const photo = data.cameras[0].images[0]; // Get first available photo
           if (photo) {
@@ -99,7 +85,7 @@ const MissionReplaySystem = ({ currentSol = 100, onSolChange = () => {}, mission
     
     setPhotosSequence(sequence);
     setIsLoading(false);
-  }, []);
+  }, [rover]);
 
   // Animation control functions
   const startReplay = useCallback(() => {
@@ -1,75 +1,153 @@
 import React, { useState, useCallback } from 'react';
+import { getRoverMarsTime, earthDateToSol } from '../utils/marsTime';
+import { isAbortError } from '../utils/abortUtils';
+import { DEFAULT_ROVER, getRoverProfile } from '../data/roverProfiles';
+import { INSTRUMENT_GROUPS, getCameraInfo } from '../data/cameraRegistry';
+import { getCameraPhotos, getAllSolCameras } from '../api/roverData';
+import { REQUEST_PRIORITY } from '../api/requestScheduler';
+
+// Mars clock for an image - local solar time needs the exposure time, which only some images carry
+const getImageMarsTime = (image, rover, location) => {
+  const timestamp = image.timestamp || new Date().toISOString();
+  const marsTime = getRoverMarsTime(rover, timestamp, location);
+  return {
+    timestamp,
+    sol: image.sol ?? earthDateToSol(timestamp, rover),
+    localTime: image.local_time || (image.captured ? `${marsTime.ltstClock} LTST` : 'UNKNOWN'),
+    lmst: image.captured ? `${marsTime.lmstClock} LMST` : 'UNKNOWN',
+    season: `Ls ${marsTime.ls.toFixed(1)}° | MY ${marsTime.marsYear} | ${marsTime.season.toUpperCase()}`
+  };
+};
+
+// Field of view as "45° x 45°"
+const formatFov = (fov) => (fov ? `${fov.horizontalDeg}° x ${fov.verticalDeg}°` : 'NOT PUBLISHED');
 
 // Enhanced NASA Camera Gallery with Modal and Advanced Features
-const NASACameraGallery = ({ cameras }) => {
+// Without a sol (e.g. photo search results spanning sols) the tabs filter the given cameras instead of querying the API
+// photoCounts (getRoverData): when the given cameras come from page 1 only, the remaining pages load in the background
+const NASACameraGallery = ({ cameras: pageCameras, photoCounts = null, rover = DEFAULT_ROVER, sol = null, title = 'CAMERA SYSTEMS', maxImages = 12 }) => {
   const [selectedTab, setSelectedTab] = useState('all');
+  const [fullSol, setFullSol] = useState({ key: null, cameras: null });
   const [loadedImages, setLoadedImages] = useState(new Set());
   const [modalImage, setModalImage] = useState(null);
   const [modalOpen, setModalOpen] = useState(false);
+  const [tabPhotos, setTabPhotos] = useState({ key: null, cameras: null, loading: false, error: null });
   
   // Lazy load images for performance
   const handleImageLoad = useCallback((imageIndex) => {
     setLoadedImages(prev => new Set([...prev, imageIndex]));
   }, []);
   
-  // Enhanced camera categorization
-  const categorizeCamera = (cameraName) => {
-    const name = cameraName.toLowerCase();
-    if (name.includes('front') || name.includes('fhaz')) return 'front';
-    if (name.includes('rear') || name.includes('rhaz') || name.includes('back')) return 'rear';
-    if (name.includes('nav') || name.includes('navigation')) return 'navigation';
-    if (name.includes('mast') || name.includes('mastcam')) return 'mast';
-    if (name.includes('mahli') || name.includes('hand')) return 'hand';
-    if (name.includes('mardi') || name.includes('descent')) return 'descent';
-    if (name.includes('chemcam') || name.includes('supercam')) return 'science';
-    return 'other';
-  };
+  // Registry entry of a camera group, looked up by NASA camera code
+  const getCameraRegistryInfo = useCallback((camera) => ({
+    ...getCameraInfo(rover, camera.code),
+    ...(camera.group ? { group: camera.group, type: camera.type, fov: camera.fov } : {})
+  }), [rover]);
   
-  // Get all images with metadata
-  const getAllImagesWithMetadata = useCallback(() => {
-    if (!cameras || cameras.length === 0) return [];
+  // Per-camera counts need every photo page; walk them at background priority once the sol is shown, so a busy
+  // sol's pages never hold up interactive requests (page 1 is already cached from the sol load)
+  const solKey = `${rover}:${sol}`;
+  const needsAllPages = sol !== null && photoCounts !== null && !photoCounts.complete;
+  const solPhotoTotal = photoCounts?.total ?? null;
+  React.useEffect(() => {
+    if (!needsAllPages) return undefined;
     
-    return cameras.flatMap(camera => 
-      camera.images.map(image => ({
-        ...image,
-        cameraName: camera.name,
-        category: categorizeCamera(camera.name),
-        metadata: {
-          timestamp: image.timestamp || new Date().toISOString(),
-          location: image.location || { lat: 18.4447, lon: 77.4508 },
-          sol: image.sol || 1000,
-          localTime: image.local_time || '15:30:45',
-          cameraType: camera.name
+    const controller = new AbortController();
+    getAllSolCameras(rover, sol, { signal: controller.signal, priority: REQUEST_PRIORITY.BACKGROUND, totalPhotos: solPhotoTotal })
+      .then(result => setFullSol({ key: solKey, cameras: result.cameras }))
+      .catch(error => {
+        if (!isAbortError(error)) {
+          console.warn(`Remaining photo pages for sol ${sol} failed to load:`, error);
         }
-      }))
-    );
-  }, [cameras]);
+      });
+    return () => controller.abort();
+  }, [rover, sol, solKey, needsAllPages, solPhotoTotal]);
+  const cameras = needsAllPages && fullSol.key === solKey && fullSol.cameras?.length ? fullSol.cameras : pageCameras;
+  
+  // Images of a list of camera groups, with metadata
+  const getImagesWithMetadata = useCallback((sourceCameras) => {
+    if (!sourceCameras || sourceCameras.length === 0) return [];
+    const { landingSite } = getRoverProfile(rover);
+    
+    return sourceCameras.flatMap(camera => {
+      const info = getCameraRegistryInfo(camera);
+      return camera.images.map(image => {
+        const location = image.location || { lat: landingSite.lat, lon: landingSite.lon };
+        return {
+          ...image,
+          cameraName: camera.name,
+          category: info.group,
+          metadata: {
+            ...getImageMarsTime(image, rover, location),
+            location,
+            cameraType: camera.name,
+            cameraCode: info.code,
+            instrumentType: info.type,
+            fov: info.fov
+          }
+        };
+      });
+    });
+  }, [rover, getCameraRegistryInfo]);
+  
+  // Camera codes in the selected tab that have photos this sol (placeholders carry no photo total), joined into a
+  // string so live refreshes that rebuild `cameras` with the same codes don't re-run the query
+  const tabCameraList = React.useMemo(() => {
+    if (selectedTab === 'all' || !cameras) return '';
+    return cameras
+      .filter(camera => camera.code && camera.totalPhotos && getCameraRegistryInfo(camera).group === selectedTab)
+      .map(camera => camera.code)
+      .join(',');
+  }, [cameras, selectedTab, getCameraRegistryInfo]);
+  const tabKey = `${rover}:${sol}:${selectedTab}:${tabCameraList}`;
+  
+  // Camera tabs query the API per camera code, so a tab shows that camera's own photos rather than
+  // whatever of it happened to be on the sol's first page
+  React.useEffect(() => {
+    if (sol === null || !tabCameraList) return undefined;
+    
+    const cameraCodes = tabCameraList.split(',');
+    const controller = new AbortController();
+    setTabPhotos({ key: tabKey, cameras: null, loading: true, error: null });
+    getCameraPhotos(rover, sol, cameraCodes, { signal: controller.signal, priority: REQUEST_PRIORITY.INTERACTIVE })
+      .then(result => setTabPhotos({ key: tabKey, cameras: result, loading: false, error: null }))
+      .catch(error => {
+        if (!isAbortError(error)) {
+          console.warn(`Camera query failed for ${cameraCodes.join(', ')}:`, error);
+          setTabPhotos({ key: tabKey, cameras: null, loading: false, error: error.message });
+        }
+      });
+    return () => controller.abort();
+  }, [rover, sol, tabCameraList, tabKey]);
   
-  // Filter images based on selected tab
+  const tabQuery = tabPhotos.key === tabKey ? tabPhotos : null;
+  
+  // Filter images based on selected tab - the camera-filtered query once it returns, the sol's already
+  // loaded images of those cameras until then (or if it fails)
   const filteredImages = React.useMemo(() => {
-    const allImages = getAllImagesWithMetadata();
-    if (selectedTab === 'all') return allImages;
-    return allImages.filter(img => img.category === selectedTab);
-  }, [getAllImagesWithMetadata, selectedTab]);
+    if (selectedTab === 'all') return getImagesWithMetadata(cameras);
+    if (tabQuery?.cameras) return getImagesWithMetadata(tabQuery.cameras);
+    return getImagesWithMetadata(cameras).filter(img => img.category === selectedTab);
+  }, [getImagesWithMetadata, cameras, selectedTab, tabQuery]);
   
-  // Tab configuration
+  // Tab configuration - counts use each camera's full photo total, not just the loaded images
   const tabs = React.useMemo(() => {
-    const allImages = getAllImagesWithMetadata();
-    const tabCounts = allImages.reduce((acc, img) => {
-      acc[img.category] = (acc[img.category] || 0) + 1;
+    if (!cameras || cameras.length === 0) return [];
+    
+    const tabCounts = cameras.reduce((acc, camera) => {
+      const { group } = getCameraRegistryInfo(camera);
+      acc[group] = (acc[group] || 0) + (camera.totalPhotos ?? camera.images.length);
       return acc;
     }, {});
+    const totalCount = Object.values(tabCounts).reduce((sum, count) => sum + count, 0);
     
     return [
-      { key: 'all', label: 'ALL CAMERAS', count: allImages.length },
-      { key: 'front', label: 'FRONT HAZARD', count: tabCounts.front || 0 },
-      { key: 'rear', label: 'REAR HAZARD', count: tabCounts.rear || 0 },
-      { key: 'navigation', label: 'NAVIGATION', count: tabCounts.navigation || 0 },
-      { key: 'mast', label: 'MAST CAMERAS', count: tabCounts.mast || 0 },
-      { key: 'science', label: 'SCIENCE', count: tabCounts.science || 0 },
-      { key: 'hand', label: 'ARM CAMERAS', count: tabCounts.hand || 0 }
+      { key: 'all', label: 'ALL CAMERAS', count: totalCount },
+      ...Object.values(INSTRUMENT_GROUPS).map(({ key, label }) => ({ key, label, count: tabCounts[key] || 0 }))
     ].filter(tab => tab.count > 0);
-  }, [getAllImagesWithMetadata]);
+  }, [cameras, getCameraRegistryInfo]);
+  
+  const selectedCount = tabs.find(tab => tab.key === selectedTab)?.count ?? filteredImages.length;
   
   // Handle image click to open modal
   const handleImageClick = useCallback((image) => {
@@ -142,7 +220,7 @@ const NASACameraGallery = ({ cameras }) => {
     return (
       <div className="nasa-camera-section">
         <div className="section-header">
-          <h3>CAMERA SYSTEMS</h3>
+          <h3>{title}</h3>
           <div className="image-count">0 Images</div>
         </div>
         <div className="no-images">No images available</div>
@@ -153,8 +231,10 @@ const NASACameraGallery = ({ cameras }) => {
   return (
     <div className="nasa-camera-section">
       <div className="section-header">
-        <h3>CAMERA SYSTEMS</h3>
-        <div className="image-count">{filteredImages.length} Images</div>
+        <h3>{title}</h3>
+        <div className="image-count">
+          {selectedCount} Images{tabQuery?.loading ? ' | QUERYING CAMERAS' : ''}
+        </div>
       </div>
       
       {/* Enhanced Tab Navigation */}
@@ -173,7 +253,7 @@ const NASACameraGallery = ({ cameras }) => {
       
       {/* Image Grid */}
       <div className="nasa-camera-grid-enhanced">
-        {filteredImages.slice(0, 12).map((image, index) => (
+        {filteredImages.slice(0, maxImages).map((image, index) => (
           <div 
             key={`${image.url}-${index}`} 
             className="nasa-camera-image-enhanced"
@@ -281,6 +361,14 @@ const NASACameraGallery = ({ cameras }) => {
                       <span className="metadata-label">LOCAL TIME</span>
                       <span className="metadata-value">{modalImage.metadata.localTime}</span>
                     </div>
+                    <div className="metadata-item">
+                      <span className="metadata-label">MEAN SOLAR TIME</span>
+                      <span className="metadata-value">{modalImage.metadata.lmst}</span>
+                    </div>
+                    <div className="metadata-item">
+                      <span className="metadata-label">SEASON</span>
+                      <span className="metadata-value">{modalImage.metadata.season}</span>
+                    </div>
                     <div className="metadata-item">
                       <span className="metadata-label">LOCATION</span>
                       <span className="metadata-value">
@@ -291,6 +379,16 @@ const NASACameraGallery = ({ cameras }) => {
                       <span className="metadata-label">CAMERA TYPE</span>
                       <span className="metadata-value">{modalImage.metadata.cameraType}</span>
                     </div>
+                    <div className="metadata-item">
+                      <span className="metadata-label">INSTRUMENT</span>
+                      <span className="metadata-value">
+                        {modalImage.metadata.cameraCode} | {String(modalImage.metadata.instrumentType).toUpperCase()}
+                      </span>
+                    </div>
+                    <div className="metadata-item">
+                      <span className="metadata-label">FIELD OF VIEW</span>
+                      <span className="metadata-value">{formatFov(modalImage.metadata.fov)}</span>
+                    </div>
                   </div>
                 </div>
                 
@@ -7,7 +7,9 @@ import './EnhancedNASAMarsMap.css';
 // Import our NASA Trek service and mission data
 import { nasaTrekService, MARS_TILE_LAYERS, selectOptimalLayer, MARS_CRS } from '../services/nasaTrekService.js';
 import { getBestMarsLayer } from '../services/simpleMarsMap.js';
-import { MISSION_EVENTS, getMissionPhase, generateRoverPath } from '../data/missionTimeline.js';
+import { MISSION_EVENTS, getMissionPhase } from '../data/missionTimeline.js';
+import traverseArchive from '../api/traverseArchive.js';
+import { DEFAULT_ROVER } from '../data/roverProfiles.js';
 
 // Fix for default Leaflet marker icons
 delete L.Icon.Default.prototype._getIconUrl;
@@ -45,10 +47,11 @@ const NASAMarsMap = ({
   const markersRef = useRef([]);
   const zoomControlRef = useRef(null);
 
-  // Generate rover path data
+  // Rover path from the traverse archive - the route from getRoverData when given, else read directly
   const roverPath = React.useMemo(() => {
-    return generateRoverPath('perseverance', selectedSol || 1000);
-  }, [selectedSol]);
+    return route?.length ? route : traverseArchive.getPath(DEFAULT_ROVER, selectedSol || 1000);
+  }, [route, selectedSol]);
+  const isSyntheticRoute = roverPath.some(point => point.synthetic);
 
   // Initialize map on component mount
   useEffect(() => {
@@ -491,6 +494,15 @@ const NASAMarsMap = ({
               <span className="info-label">Layer:</span>
               <span className="info-value">{nasaTrekService.getLayerInfo(currentLayer)?.resolution}</span>
             </div>
+            <div
+              className="info-item"
+              title={isSyntheticRoute
+                ? 'No published traverse is loaded - the route joins mission event locations and is not the path driven'
+                : 'Route from the published traverse waypoints'}
+            >
+              <span className="info-label">Route:</span>
+              <span className="info-value">{isSyntheticRoute ? 'Synthetic' : 'Published'}</span>
+            </div>
           </div>
 
           {/* Mission phase indicator */}
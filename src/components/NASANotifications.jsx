@@ -1,26 +1,75 @@
 import React from 'react';
+import { MANIFEST_EVENTS } from '../utils/nasaManifestUtils';
+import { getCameraInfo } from '../data/cameraRegistry';
 
-// Real-time Notifications System
+const plural = (count, word) => `${count.toLocaleString()} ${word}${count === 1 ? '' : 's'}`;
+
+// Title, message, sol and style of each manifest change event
+const describeEvent = (event) => {
+  switch (event.type) {
+    case MANIFEST_EVENTS.NEW_SOLS: {
+      const latest = event.sols[event.sols.length - 1];
+      return {
+        className: 'new-sols',
+        icon: '📡',
+        title: event.sols.length === 1 ? 'NEW SOL DOWNLINKED' : `${event.sols.length} NEW SOLS DOWNLINKED`,
+        message: `${plural(event.totalPhotos, 'photo')} from ${plural(latest.cameras.length, 'camera')} on sol ${latest.sol}`,
+        sol: latest.sol
+      };
+    }
+    case MANIFEST_EVENTS.PHOTO_COUNT_CHANGED: {
+      const sols = event.changes.map(change => change.sol);
+      return {
+        className: 'downlink',
+        icon: '🛰️',
+        title: 'LATE DOWNLINK',
+        message: `${event.delta >= 0 ? '+' : ''}${plural(event.delta, 'photo')} on ${sols.length === 1 ? `sol ${sols[0]}` : plural(sols.length, 'earlier sol')}`,
+        sol: Math.max(...sols)
+      };
+    }
+    case MANIFEST_EVENTS.NEW_CAMERAS:
+      return {
+        className: 'camera',
+        icon: '📷',
+        title: event.cameras.length === 1 ? 'NEW CAMERA IN MANIFEST' : `${event.cameras.length} NEW CAMERAS IN MANIFEST`,
+        message: event.cameras.map(({ camera, sol }) => `${getCameraInfo(event.rover, camera).name} first returned images on sol ${sol}`).join('; '),
+        sol: event.cameras[0].sol
+      };
+    case MANIFEST_EVENTS.STATUS_CHANGED:
+      return {
+        className: 'status',
+        icon: '🚀',
+        title: 'MISSION STATUS CHANGED',
+        message: `${event.rover.toUpperCase()}: ${String(event.previousStatus).toUpperCase()} → ${String(event.status).toUpperCase()}`,
+        sol: event.maxSol
+      };
+    default:
+      return { className: 'status', icon: '📡', title: event.type, message: '', sol: event.sol };
+  }
+};
+
+// Real-time Notifications System - manifest change events from the manifest watcher
 const NASANotifications = ({ notifications, onDismiss }) => {
   if (notifications.length === 0) return null;
-  
+
   return (
     <div className="nasa-notifications">
-      {notifications.map((notification, index) => (
-        <div key={index} className={`nasa-notification ${notification.type}`}>
-          <div className="notification-icon">
-            {notification.type === 'discovery' ? '🚀' : notification.type === 'sample' ? '🧪' : '📡'}
-          </div>
-          <div className="notification-content">
-            <div className="notification-title">{notification.title}</div>
-            <div className="notification-message">{notification.message}</div>
-            <div className="notification-time">SOL {notification.sol}</div>
+      {notifications.map((notification, index) => {
+        const { className, icon, title, message, sol } = describeEvent(notification);
+        return (
+          <div key={notification.id || index} className={`nasa-notification ${className}`}>
+            <div className="notification-icon">{icon}</div>
+            <div className="notification-content">
+              <div className="notification-title">{title}</div>
+              <div className="notification-message">{message}</div>
+              <div className="notification-time">SOL {sol} | {new Date(notification.timestamp).toLocaleTimeString()}</div>
+            </div>
+            <button className="notification-close" onClick={() => onDismiss(index)}>×</button>
           </div>
-          <button className="notification-close" onClick={() => onDismiss(index)}>×</button>
-        </div>
-      ))}
+        );
+      })}
     </div>
   );
 };
 
-export default NASANotifications;
\ No newline at end of file
+export default NASANotifications;
@@ -1,9 +1,11 @@
 import React, { useRef, useState, useEffect } from 'react';
 import windSpeedIcon from '../assets/WindSpeed.svg';
+import { formatDataAge } from '../utils/formatUtils';
+import { PROVENANCE_LABELS, PROVENANCE_DESCRIPTIONS } from '../utils/provenance';
 
 
 // Enhanced Telemetry Card with Real-time Updates
-const NASATelemetryCard = ({ title, value, unit, data, color, type, subtitle, isLive = false, onClick, telemetryType }) => {
+const NASATelemetryCard = ({ title, value, unit, data, color, type, subtitle, isLive = false, onClick, telemetryType, stale = null, provenance = null }) => {
   const chartRef = useRef(null);
   const [lastUpdate, setLastUpdate] = useState(Date.now());
   
@@ -103,7 +105,8 @@ const NASATelemetryCard = ({ title, value, unit, data, color, type, subtitle, is
         data,
         color,
         type,
-        subtitle
+        subtitle,
+        provenance
       }, telemetryType)}
     >
       <div className="card-header">
@@ -112,7 +115,20 @@ const NASATelemetryCard = ({ title, value, unit, data, color, type, subtitle, is
           <div className="card-title">{title}</div>
           {subtitle && <div className="card-subtitle">{subtitle}</div>}
         </div>
-        {isLive && (
+        {provenance && (
+          <div
+            className={`provenance-badge ${provenance.kind}`}
+            title={`${PROVENANCE_DESCRIPTIONS[provenance.kind]} | Source: ${provenance.source} | ${new Date(provenance.timestamp).toLocaleString()}`}
+          >
+            {PROVENANCE_LABELS[provenance.kind]}
+          </div>
+        )}
+        {stale && (
+          <div className="stale-badge" title={`Based on cached data from ${new Date(stale.fetchedAt).toLocaleString()}`}>
+            STALE · {formatDataAge(stale.age)}
+          </div>
+        )}
+        {isLive && !stale && (
           <div className="live-timestamp">
             {new Date(lastUpdate).toLocaleTimeString()}
           </div>
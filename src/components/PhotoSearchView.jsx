@@ -0,0 +1,133 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import NASACameraGallery from './NASACameraGallery';
+import photoSearchIndex from '../api/photoSearchIndex';
+import { DEFAULT_ROVER, getRoverProfile } from '../data/roverProfiles';
+import { INSTRUMENT_GROUPS, getCameraInfo, getRoverCameras } from '../data/cameraRegistry';
+import { getImageCaptureTime } from '../utils/marsTime';
+
+const SEASONS = ['Spring', 'Summer', 'Autumn', 'Winter'];
+const MAX_RESULTS = 240;
+const EMPTY_FILTERS = { camera: '', minSol: '', maxSol: '', season: '', marsYear: '' };
+
+const toNumberOrNull = (value) => (value === '' ? null : Number(value));
+
+// Search results in the gallery's camera shape - tab counts use the full match count per camera
+const toCameraGroups = (records, rover, cameraCounts) => Object.values(records.reduce((groups, record) => {
+  if (!groups[record.camera]) {
+    groups[record.camera] = {
+      ...getCameraInfo(rover, record.camera),
+      name: record.cameraName,
+      images: [],
+      totalPhotos: cameraCounts[record.camera] || 0
+    };
+  }
+  const capturedAt = getImageCaptureTime(record.imgSrc);
+  groups[record.camera].images.push({
+    url: record.imgSrc,
+    sol: record.sol,
+    timestamp: capturedAt ? capturedAt.toISOString() : `${record.earthDate}T12:00:00Z`,
+    captured: Boolean(capturedAt)
+  });
+  return groups;
+}, {}));
+
+// Photo Search - faceted queries over every photo the app has fetched or cached, across sols
+const PhotoSearchView = ({ rover = DEFAULT_ROVER }) => {
+  const profile = getRoverProfile(rover);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [indexVersion, setIndexVersion] = useState(0);
+
+  // Re-run the search whenever the index grows
+  useEffect(() => {
+    const unsubscribe = photoSearchIndex.subscribe(() => setIndexVersion(version => version + 1));
+    photoSearchIndex.seedFromCache().then(() => setIndexVersion(version => version + 1));
+    return unsubscribe;
+  }, []);
+
+  // Camera filter values are a camera code or `group:<instrument group>`
+  const cameraOptions = useMemo(() => {
+    const cameras = getRoverCameras(profile.id);
+    return Object.values(INSTRUMENT_GROUPS)
+      .map(group => ({ ...group, cameras: cameras.filter(camera => camera.group === group.key) }))
+      .filter(group => group.cameras.length > 0);
+  }, [profile.id]);
+
+  const query = useMemo(() => {
+    const [cameraFilter, cameraValue] = filters.camera.startsWith('group:')
+      ? ['group', filters.camera.slice('group:'.length)]
+      : ['cameras', filters.camera];
+    return {
+      rover: profile.id,
+      ...(cameraValue ? { [cameraFilter]: cameraFilter === 'cameras' ? [cameraValue] : cameraValue } : {}),
+      minSol: toNumberOrNull(filters.minSol),
+      maxSol: toNumberOrNull(filters.maxSol),
+      season: filters.season || null,
+      marsYear: toNumberOrNull(filters.marsYear),
+      limit: MAX_RESULTS
+    };
+  }, [filters, profile.id]);
+
+  // The index is mutable, so indexVersion is what tells the search to re-run
+  const search = useMemo(() => ({
+    ...photoSearchIndex.search(query),
+    roverStats: photoSearchIndex.getStats().rovers[profile.id] || null,
+    marsYears: Object.keys(photoSearchIndex.search({ rover: profile.id, limit: 0 }).facets.marsYears).map(Number),
+    indexVersion
+  }), [query, profile.id, indexVersion]);
+
+  const cameras = useMemo(
+    () => toCameraGroups(search.results, profile.id, search.facets.cameras),
+    [search, profile.id]
+  );
+
+  const updateFilter = (name) => (event) => setFilters(prev => ({ ...prev, [name]: event.target.value }));
+  const hemisphere = profile.landingSite.lat < 0 ? 'SOUTHERN' : 'NORTHERN';
+
+  return (
+    <div className="photo-search-view">
+      <div className="photo-search-filters">
+        <select value={filters.camera} onChange={updateFilter('camera')} aria-label="Camera">
+          <option value="">ALL CAMERAS</option>
+          {cameraOptions.map(group => (
+            <optgroup key={group.key} label={group.label}>
+              {group.cameras.length > 1 && <option value={`group:${group.key}`}>ALL {group.label}</option>}
+              {group.cameras.map(camera => (
+                <option key={camera.code} value={camera.code}>{camera.code} - {camera.name}</option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+        <div className="photo-search-sols">
+          <input type="number" min="0" placeholder="SOL FROM" value={filters.minSol} onChange={updateFilter('minSol')} />
+          <input type="number" min="0" placeholder="SOL TO" value={filters.maxSol} onChange={updateFilter('maxSol')} />
+        </div>
+        <select value={filters.season} onChange={updateFilter('season')} aria-label="Season">
+          <option value="">ANY {hemisphere} SEASON</option>
+          {SEASONS.map(season => (
+            <option key={season} value={season}>{season.toUpperCase()}</option>
+          ))}
+        </select>
+        <select value={filters.marsYear} onChange={updateFilter('marsYear')} aria-label="Mars year">
+          <option value="">ANY MARS YEAR</option>
+          {search.marsYears.map(year => (
+            <option key={year} value={year}>MY {year}</option>
+          ))}
+        </select>
+        <button className="photo-search-reset" onClick={() => setFilters(EMPTY_FILTERS)}>RESET</button>
+      </div>
+
+      <div className="photo-search-summary">
+        {search.total.toLocaleString()} MATCHES
+        {search.solRange && ` | SOLS ${search.solRange.min}-${search.solRange.max}`}
+        {' | '}
+        {search.roverStats
+          ? `${search.roverStats.photos.toLocaleString()} PHOTOS INDEXED FROM ${search.roverStats.sols} SOLS`
+          : 'NO PHOTOS INDEXED YET'}
+      </div>
+
+      <NASACameraGallery cameras={cameras} rover={profile.id} title="PHOTO SEARCH" maxImages={48} />
+    </div>
+  );
+};
+
+export default PhotoSearchView;
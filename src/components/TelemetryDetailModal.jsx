@@ -1,4 +1,5 @@
 import React, { useRef, useEffect, useState, useMemo, useCallback } from 'react';
+import { PROVENANCE_LABELS, PROVENANCE_DESCRIPTIONS } from '../utils/provenance';
 
 // Canvas pooling system for performance optimization
 const canvasPool = {
@@ -598,6 +599,7 @@ const TelemetryDetailModal = ({ isOpen, onClose, telemetryData, telemetryType, r
 
   const telemetryInfo = getTelemetryInfo(telemetryType);
   const currentValue = telemetryData.value;
+  const provenance = telemetryData.provenance;
   const isInCriticalRange = currentValue < telemetryInfo.criticalRange.min || currentValue > telemetryInfo.criticalRange.max;
   const isInOptimalRange = currentValue >= telemetryInfo.optimalRange.min && currentValue <= telemetryInfo.optimalRange.max;
 
@@ -626,6 +628,14 @@ const TelemetryDetailModal = ({ isOpen, onClose, telemetryData, telemetryType, r
           </div>
           <div className="sol-info">SOL {roverData?.header?.maxSol || 1000}</div>
           <div className="last-update">Last Update: {new Date().toLocaleTimeString()}</div>
+          {provenance && (
+            <div className="modal-provenance" title={PROVENANCE_DESCRIPTIONS[provenance.kind]}>
+              <span className={`provenance-badge ${provenance.kind}`}>{PROVENANCE_LABELS[provenance.kind]}</span>
+              <span className="provenance-detail">
+                {PROVENANCE_DESCRIPTIONS[provenance.kind]} | {provenance.source} | {new Date(provenance.timestamp).toLocaleString()}
+              </span>
+            </div>
+          )}
         </div>
 
         {/* Navigation Tabs */}
@@ -835,9 +845,9 @@ const TelemetryDetailModal = ({ isOpen, onClose, telemetryData, telemetryType, r
         {/* Modal Footer */}
         <div className="modal-footer">
           <div className="footer-info">
-            <span>Data Source: NASA JPL Mars Mission</span>
+            <span>Data Source: {provenance ? `${provenance.source} (${PROVENANCE_LABELS[provenance.kind]})` : 'NASA JPL Mars Mission'}</span>
             <span>•</span>
-            <span>Last Updated: {new Date().toLocaleString()}</span>
+            <span>Last Updated: {new Date(provenance?.timestamp || Date.now()).toLocaleString()}</span>
           </div>
           <div className="footer-actions">
             <button className="action-btn secondary" onClick={() => window.print()}>
@@ -16,6 +16,10 @@ import {
   Filler
 } from 'chart.js';
 import { getRoverData } from '../api/roverData';
+import { getSolRangeActivity } from '../api/photoAggregation';
+import { REQUEST_PRIORITY } from '../api/nasaApiService';
+import { isAbortError } from '../utils/abortUtils';
+import { DEFAULT_ROVER } from '../data/roverProfiles';
 
 // Register Chart.js components
 ChartJS.register(
@@ -37,24 +41,57 @@ const TrendAnalysisDashboard = ({ currentSol = 100, missionData = {}, onSolSelec
   const [timeRange, setTimeRange] = useState(30); // Days to analyze
   const [isLoading, setIsLoading] = useState(true);
   const [animationSpeed, setAnimationSpeed] = useState(1000);
+  const [imagingActivity, setImagingActivity] = useState(null);
+  const [imagingError, setImagingError] = useState(null);
+  const rover = missionData?.header?.rover || DEFAULT_ROVER;
+
+  // Imaging activity comes from the manifest in a single request, independent of the per-sol telemetry batch
+  useEffect(() => {
+    const controller = new AbortController();
+    const startSol = Math.max(0, currentSol - timeRange);
+
+    setImagingError(null);
+    getSolRangeActivity(rover, startSol, currentSol, {
+      priority: REQUEST_PRIORITY.VISIBLE,
+      caller: 'trend-analysis',
+      signal: controller.signal
+    })
+      .then(setImagingActivity)
+      .catch(error => {
+        if (!isAbortError(error)) {
+          console.warn('Could not load imaging activity:', error);
+          setImagingActivity(null);
+          setImagingError(error.message);
+        }
+      });
+
+    return () => controller.abort();
+  }, [currentSol, timeRange, rover]);
 
   // Fetch historical data for trend analysis
   useEffect(() => {
+    // Cancel this batch when the range or rover changes before it finishes
+    const controller = new AbortController();
+
     const fetchTrendData = async () => {
       setIsLoading(true);
       const historicalData = {};
       const startSol = Math.max(0, currentSol - timeRange);
       
-      // Fetch real NASA data for last N sols in parallel for better performance
+      // Fetch real NASA data for last N sols - queued in the visible lane so the current-sol view goes first
       const solPromises = [];
       for (let sol = startSol; sol <= currentSol; sol++) {
         solPromises.push(
-          getRoverData(sol).then(roverData => {
+          getRoverData(rover, sol, {
+            priority: REQUEST_PRIORITY.VISIBLE,
+            caller: 'trend-analysis',
+            signal: controller.signal
+          }).then(roverData => {
             if (roverData && !roverData.error) {
               return {
                 sol,
-                power_generation: roverData.power_efficiency ? roverData.power_efficiency * 500 : 400,
-                battery_charge: roverData.system_health?.batteries || 85,
+                power_generation: roverData.overlays?.metrics?.power_generation ?? 400,
+                battery_charge: roverData.overlays?.metrics?.battery_charge ?? 85,
                 temperature: roverData.environmental?.temperature || -63,
                 atmospheric_pressure: roverData.environmental?.pressure || 610,
                 wind_speed: roverData.environmental?.wind_speed || 15,
@@ -62,12 +99,14 @@ const TrendAnalysisDashboard = ({ currentSol = 100, missionData = {}, onSolSelec
                 elevation: 2374 + (sol * 0.1),
                 distance_traveled: sol * 0.025,
                 radiation: roverData.environmental?.radiation || 0.24,
-                mission_efficiency: (roverData.power_efficiency || 0.8) * 500 / Math.max(1, (roverData.environmental?.dust_opacity || 0.8) * 100)
+                mission_efficiency: (roverData.overlays?.metrics?.power_generation ?? 400) / Math.max(1, (roverData.environmental?.dust_opacity || 0.8) * 100)
               };
             }
             return null;
           }).catch(error => {
-            console.warn(`Could not fetch real data for Sol ${sol}:`, error);
+            if (!isAbortError(error)) {
+              console.warn(`Could not fetch real data for Sol ${sol}:`, error);
+            }
             return null;
           })
         );
@@ -75,6 +114,9 @@ const TrendAnalysisDashboard = ({ currentSol = 100, missionData = {}, onSolSelec
       
       // Wait for all data to load in parallel
       const results = await Promise.all(solPromises);
+      if (controller.signal.aborted) {
+        return;
+      }
       results.forEach((result, index) => {
         if (result) {
           historicalData[startSol + index] = result;
@@ -86,11 +128,13 @@ const TrendAnalysisDashboard = ({ currentSol = 100, missionData = {}, onSolSelec
     };
 
     fetchTrendData();
-  }, [currentSol, timeRange]);
+    return () => controller.abort();
+  }, [currentSol, timeRange, rover]);
 
   // Chart configurations and data processing
   const chartConfigs = useMemo(() => {
     const sols = Object.keys(trendData).map(Number).sort((a, b) => a - b);
+    const imagingSols = imagingActivity?.sols || [];
     const baseConfig = {
       responsive: true,
       maintainAspectRatio: false,
@@ -156,7 +200,7 @@ const TrendAnalysisDashboard = ({ currentSol = 100, missionData = {}, onSolSelec
       const units = {
         power: 'W', battery: '%', temperature: '°C', pressure: 'Pa',
         wind: 'm/s', dust: 'tau', elevation: 'm', distance: 'km',
-        radiation: 'mSv/day', efficiency: 'W/τ'
+        radiation: 'mSv/day', efficiency: 'W/τ', photos: 'photos', rolling: 'photos/sol'
       };
       return units[metric] || '';
     };
@@ -339,14 +383,70 @@ const TrendAnalysisDashboard = ({ currentSol = 100, missionData = {}, onSolSelec
             }
           ]
         }
+      },
+
+      // Imaging Activity - photos downlinked per sol from the manifest, with a rolling average
+      imaging: {
+        ...baseConfig,
+        plugins: {
+          ...baseConfig.plugins,
+          title: {
+            display: true,
+            text: 'Imaging Activity (Manifest Photo Counts)',
+            color: '#f1f5f9',
+            font: { family: 'Orbitron, monospace', size: 16, weight: 'bold' }
+          }
+        },
+        data: {
+          labels: imagingSols.map(entry => entry.sol),
+          datasets: [
+            {
+              id: 'photos',
+              label: 'Photos',
+              data: imagingSols.map(entry => entry.photos),
+              backgroundColor: imagingSols.map(entry => (entry.downlinked ? 'rgba(14, 165, 233, 0.7)' : 'rgba(239, 68, 68, 0.7)')),
+              borderColor: '#0ea5e9',
+              borderWidth: 1,
+              order: 2
+            },
+            {
+              id: 'rolling',
+              type: 'line',
+              label: 'Rolling Average (7 sols)',
+              data: imagingSols.map(entry => entry.rollingAverage),
+              borderColor: '#f59e0b',
+              backgroundColor: 'rgba(245, 158, 11, 0.1)',
+              tension: 0.4,
+              pointRadius: 0,
+              order: 1
+            }
+          ]
+        },
+        options: {
+          ...baseConfig,
+          scales: {
+            ...baseConfig.scales,
+            y: {
+              ...baseConfig.scales.y,
+              beginAtZero: true,
+              title: {
+                display: true,
+                text: 'Photos per Sol',
+                color: '#cbd5e1',
+                font: { family: 'Orbitron, monospace', weight: 'bold' }
+              }
+            }
+          }
+        }
       }
     };
-  }, [trendData, animationSpeed]);
+  }, [trendData, imagingActivity, animationSpeed]);
 
   const metrics = [
     { id: 'power', name: 'Power Systems', icon: '⚡', color: '#3b82f6' },
     { id: 'environmental', name: 'Environment', icon: '🌡️', color: '#ef4444' },
-    { id: 'efficiency', name: 'Efficiency', icon: '📊', color: '#22c55e' }
+    { id: 'efficiency', name: 'Efficiency', icon: '📊', color: '#22c55e' },
+    { id: 'imaging', name: 'Imaging Activity', icon: '📷', color: '#0ea5e9' }
   ];
 
   const timeRanges = [
@@ -420,7 +520,11 @@ const TrendAnalysisDashboard = ({ currentSol = 100, missionData = {}, onSolSelec
           key={selectedMetric}
           className="h-96 mb-6"
         >
-          {selectedMetric === 'efficiency' ? (
+          {selectedMetric === 'imaging' && !imagingActivity ? (
+            <div className="flex items-center justify-center h-full text-slate-400 font-orbitron text-sm">
+              {imagingError ? `Imaging activity unavailable: ${imagingError}` : 'Loading manifest...'}
+            </div>
+          ) : selectedMetric === 'efficiency' || selectedMetric === 'imaging' ? (
             <Bar {...chartConfigs[selectedMetric]} />
           ) : (
             <Line {...chartConfigs[selectedMetric]} />
@@ -432,7 +536,67 @@ const TrendAnalysisDashboard = ({ currentSol = 100, missionData = {}, onSolSelec
       <div 
         className="grid grid-cols-1 md:grid-cols-3 gap-4"
       >
-        {Object.keys(trendData).length > 0 && (
+        {selectedMetric === 'imaging' ? imagingActivity && (
+          <>
+            <div className="bg-slate-800/50 rounded p-4 border border-slate-600">
+              <h4 className="font-orbitron text-sky-400 text-sm mb-2">PHOTOS</h4>
+              <p className="text-2xl font-bold text-slate-100">
+                {imagingActivity.totals.photos.toLocaleString()}
+              </p>
+              <p className="text-xs text-slate-400">
+                {imagingActivity.cadence.photosPerDownlinkedSol.toFixed(0)} per downlinked sol
+                {imagingActivity.totals.peakSol !== null && ` | peak ${imagingActivity.totals.peakPhotos} on sol ${imagingActivity.totals.peakSol}`}
+              </p>
+            </div>
+
+            <div className="bg-slate-800/50 rounded p-4 border border-slate-600">
+              <h4 className="font-orbitron text-green-400 text-sm mb-2">CADENCE</h4>
+              <p className="text-2xl font-bold text-slate-100">
+                {imagingActivity.cadence.downlinkedSols}/{imagingActivity.cadence.totalSols}
+              </p>
+              <p className="text-xs text-slate-400">
+                Sols with photos
+                {imagingActivity.cadence.meanIntervalSols !== null && ` | every ${imagingActivity.cadence.meanIntervalSols.toFixed(1)} sols`}
+              </p>
+            </div>
+
+            <div className="bg-slate-800/50 rounded p-4 border border-slate-600">
+              <h4 className="font-orbitron text-red-400 text-sm mb-2">DOWNLINK GAPS</h4>
+              <p className="text-2xl font-bold text-slate-100">{imagingActivity.gaps.length}</p>
+              <p className="text-xs text-slate-400">
+                {imagingActivity.gaps.length > 0
+                  ? `Longest ${Math.max(...imagingActivity.gaps.map(gap => gap.length))} sols`
+                  : 'Photos every sol'}
+              </p>
+            </div>
+
+            <div className="md:col-span-3 bg-slate-800/50 rounded p-4 border border-slate-600">
+              <h4 className="font-orbitron text-sky-400 text-sm mb-2">CAMERAS</h4>
+              <table className="w-full text-xs text-slate-300">
+                <thead>
+                  <tr className="text-slate-400 text-left">
+                    <th>CAMERA</th>
+                    <th>ACTIVE SOLS</th>
+                    <th>SHARE</th>
+                    <th>CADENCE</th>
+                    <th>INDEXED PHOTOS</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {imagingActivity.cameras.map(camera => (
+                    <tr key={camera.code}>
+                      <td title={camera.code}>{camera.name}</td>
+                      <td>{camera.activeSols}</td>
+                      <td>{(camera.share * 100).toFixed(0)}%</td>
+                      <td>{camera.cadenceSols !== null ? `${camera.cadenceSols.toFixed(1)} sols` : '-'}</td>
+                      <td>{camera.indexedPhotos}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        ) : Object.keys(trendData).length > 0 && (
           <>
             <div className="bg-slate-800/50 rounded p-4 border border-slate-600">
               <h4 className="font-orbitron text-blue-400 text-sm mb-2">POWER TREND</h4>
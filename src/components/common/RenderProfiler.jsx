@@ -0,0 +1,17 @@
+import React, { Profiler } from 'react';
+import performanceMonitor from '../../api/performanceMonitor';
+
+// Every commit of the wrapped tree is reported to performanceMonitor under `id`
+const handleRender = (id, phase, actualDuration, baseDuration) => {
+  performanceMonitor.recordRender(id, phase, actualDuration, baseDuration);
+};
+
+// React Profiler wrapper for heavy components - timings are only reported in development and profiling builds
+// (`npm run build:profile`; the plain `npm run build` reports nothing)
+const RenderProfiler = ({ id, children }) => (
+  <Profiler id={id} onRender={handleRender}>
+    {children}
+  </Profiler>
+);
+
+export default RenderProfiler;
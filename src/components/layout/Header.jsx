@@ -1,5 +1,7 @@
 import React from 'react';
 import logo from '../../assets/logo.svg';
+import { formatDataAge } from '../../utils/formatUtils';
+import { TRAVERSE_SOURCES } from '../../api/traverseArchive';
 
 const Header = ({ roverData }) => {
   return (
@@ -7,7 +9,17 @@ const Header = ({ roverData }) => {
       <div className="header-left">
         <div className="nasa-logo"><img src={logo} alt="NASA" width={120} /></div>
         <div className="mission-info">
-          <div className="mission-name">Mars Perseverance Rover</div>
+          <div className="mission-name">
+            Mars {roverData.header.roverName || 'Perseverance'} Rover
+            {roverData.header.stale && (
+              <span
+                className={`stale-badge ${roverData.header.stale.revalidationFailed ? 'offline' : ''}`}
+                title={`Cached NASA data from ${new Date(roverData.header.stale.fetchedAt).toLocaleString()}${roverData.header.stale.revalidationFailed ? ' - refresh failed' : ' - refreshing'}`}
+              >
+                STALE DATA · {formatDataAge(roverData.header.stale.age)}
+              </span>
+            )}
+          </div>
           <div className="mission-location">Advanced Planetary Exploration Vehicle Dashboard (<span style={{color: 'white', fontWeight: 'bold'}}>Not Official site</span>)</div>
         </div>
       </div>
@@ -19,7 +31,17 @@ const Header = ({ roverData }) => {
             <div className="status-value">{roverData.header.maxSol}</div>
           </div>
           <div className="status-item">
-            <div className="status-label">TOTAL DISTANCE</div>
+            <div className="status-label">
+              TOTAL DISTANCE
+              {roverData.header.traverseSource === TRAVERSE_SOURCES.SYNTHETIC && (
+                <span
+                  className="provenance-badge modeled"
+                  title="No published traverse is loaded - this is the mission profile's published total, not a distance measured along the rover's path"
+                >
+                  ESTIMATED
+                </span>
+              )}
+            </div>
             <div className="status-value">{roverData.header.totalDistance} km</div>
           </div>
           <div className="status-item">
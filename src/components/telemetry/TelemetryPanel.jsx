@@ -1,6 +1,54 @@
 import React from 'react';
 import NASATelemetryCard from '../NASATelemetryCard';
 import { TelemetryCardSkeleton } from '../SkeletonLoaders';
+import { PROVENANCE, PROVENANCE_SOURCES, createProvenance } from '../../utils/provenance';
+import { POWER_SOURCES } from '../../utils/powerModel';
+
+// Weather cards name the station that measured the value (MEDA/REMS) or flag model estimates
+const weatherTag = (metrics, field) => (
+  !metrics?.weather_source || metrics.weather_estimated_fields?.includes(field) ? 'ESTIMATED' : metrics.weather_source
+);
+
+// Daily range from the weather record, in Kelvin
+const temperatureSubtitle = (metrics) => {
+  const range = metrics?.min_temperature != null && metrics?.max_temperature != null
+    ? `RANGE ${Math.round(metrics.min_temperature + 273)}K-${Math.round(metrics.max_temperature + 273)}K`
+    : 'AVERAGE 200K | RANGE 180K-220K';
+  return `${range} | ${weatherTag(metrics, 'temperature')}`;
+};
+
+// Energy left over after the survival load (avionics and overnight heaters)
+const batterySubtitle = (budget) => (
+  budget
+    ? `MARGIN ${budget.margin_wh >= 0 ? '+' : ''}${budget.margin_wh} WH/SOL | SURVIVAL ${budget.survival_load_wh} WH`
+    : 'POWER SYSTEM NOMINAL'
+);
+
+// MMRTG output against launch, or what the dust on the panels and in the air lets through
+const powerSubtitle = (budget) => {
+  if (!budget) return 'POWER MODEL UNAVAILABLE';
+  if (budget.source === POWER_SOURCES.MMRTG) {
+    return `MMRTG ${Math.round(budget.efficiency * 100)}% OF LAUNCH OUTPUT | ${budget.energy_wh} WH/SOL`;
+  }
+  return `PANEL DUST FACTOR ${budget.dust_factor.toFixed(2)} | TAU ${budget.tau} | PEAK ${Math.round(budget.peak_watts)} W`;
+};
+
+// Earth distance and Sun angle, or the conjunction window while commanding is suspended
+const communicationsSubtitle = (metrics) => {
+  if (metrics?.solar_conjunction) {
+    return `SOLAR CONJUNCTION | NO COMMANDING SOL ${metrics.solar_conjunction.start_sol}-${metrics.solar_conjunction.end_sol}`;
+  }
+  if (metrics?.earth_distance_au == null) return 'UPLINK/DOWNLINK NOMINAL';
+  return `EARTH ${metrics.earth_distance_au.toFixed(2)} AU | SUN ANGLE ${metrics.sun_earth_mars_angle.toFixed(1)}°`;
+};
+
+// Provenance of a metrics field; cards showing a hard-coded default are fallbacks
+const fieldProvenance = (metrics, field) => (
+  metrics?.provenance?.[field] || createProvenance(PROVENANCE.FALLBACK, PROVENANCE_SOURCES.FALLBACK_SIMULATION)
+);
+
+// Dust is generated in the browser for display
+const UI_SIMULATION_PROVENANCE = createProvenance(PROVENANCE.MODELED, PROVENANCE_SOURCES.UI_SIMULATION);
 
 const TelemetryPanel = ({
   leftPanelCollapsed,
@@ -72,7 +120,9 @@ const TelemetryPanel = ({
                 
                 isLive={isLiveMode}
                 onClick={handleTelemetryCardClick}
-                subtitle="AVERAGE 200K | RANGE 180K-220K"
+                subtitle={temperatureSubtitle(roverData.overlays?.metrics)}
+                stale={roverData.header?.stale}
+                provenance={fieldProvenance(roverData.overlays?.metrics, 'temperature')}
                 telemetryType="temperature"
               />
             )}
@@ -85,9 +135,11 @@ const TelemetryPanel = ({
                 data={telemetryData.windData}
                 color="#0ea5e9"
                 type="bar"
-                subtitle="MAX 45 KMH | DIR NE"
+                subtitle={`MAX 45 KMH | DIR NE | ${weatherTag(roverData.overlays?.metrics, 'wind_speed')}`}
                 isLive={isLiveMode}
                 onClick={handleTelemetryCardClick}
+                stale={roverData.header?.stale}
+                provenance={fieldProvenance(roverData.overlays?.metrics, 'wind_speed')}
                 telemetryType="wind-speed"
               />
             )}
@@ -103,6 +155,8 @@ const TelemetryPanel = ({
                 subtitle="LEVEL NORMAL | SAFE RANGE"
                 isLive={isLiveMode}
                 onClick={handleTelemetryCardClick}
+                stale={roverData.header?.stale}
+                provenance={fieldProvenance(roverData.overlays?.metrics, 'radiation')}
                 telemetryType="radiation"
               />
             )}
@@ -118,6 +172,8 @@ const TelemetryPanel = ({
                 subtitle="CUMULATIVE DISTANCE"
                 isLive={isLiveMode}
                 onClick={handleTelemetryCardClick}
+                stale={roverData.header?.stale}
+                provenance={fieldProvenance(roverData.overlays?.metrics, 'distance_traveled')}
                 telemetryType="distance-traveled"
               />
             )}
@@ -133,6 +189,8 @@ const TelemetryPanel = ({
                 subtitle="ATMOSPHERIC DUST LEVEL | OPACITY 0.8"
                 isLive={isLiveMode}
                 onClick={handleTelemetryCardClick}
+                stale={roverData.header?.stale}
+                provenance={UI_SIMULATION_PROVENANCE}
                 telemetryType="dust-properties"
               />
             )}
@@ -145,9 +203,11 @@ const TelemetryPanel = ({
                 data={telemetryData.batteryData}
                 color="#e11d48"
                 type="line"
-                subtitle="POWER SYSTEM NOMINAL"
+                subtitle={batterySubtitle(roverData.overlays?.metrics?.power_budget)}
                 isLive={isLiveMode}
                 onClick={handleTelemetryCardClick}
+                stale={roverData.header?.stale}
+                provenance={fieldProvenance(roverData.overlays?.metrics, 'battery_charge')}
                 telemetryType="battery-charge"
               />
             )}
@@ -160,9 +220,11 @@ const TelemetryPanel = ({
                 data={telemetryData.powerData}
                 color="#f59e0b"
                 type="bar"
-                subtitle="SOLAR ARRAY EFFICIENCY 98%"
+                subtitle={powerSubtitle(roverData.overlays?.metrics?.power_budget)}
                 isLive={isLiveMode}
                 onClick={handleTelemetryCardClick}
+                stale={roverData.header?.stale}
+                provenance={fieldProvenance(roverData.overlays?.metrics, 'power_generation')}
                 telemetryType="power-generation"
               />
             )}
@@ -175,9 +237,11 @@ const TelemetryPanel = ({
                 data={telemetryData.pressureData}
                 color="#06b6d4"
                 type="line"
-                subtitle="SEASONAL VARIATION NOMINAL"
+                subtitle={`SEASONAL VARIATION NOMINAL | ${weatherTag(roverData.overlays?.metrics, 'atmospheric_pressure')}`}
                 isLive={isLiveMode}
                 onClick={handleTelemetryCardClick}
+                stale={roverData.header?.stale}
+                provenance={fieldProvenance(roverData.overlays?.metrics, 'atmospheric_pressure')}
                 telemetryType="atmospheric-pressure"
               />
             )}
@@ -185,14 +249,16 @@ const TelemetryPanel = ({
             {(telemetryGroup === 'all' || telemetryGroup === 'systems') && (
               <NASATelemetryCard
                 title="Communications"
-                value={Math.floor(Math.random() * 100 + 85)}
-                unit="% Signal"
+                value={(roverData.overlays?.metrics?.communication_delay ?? 0).toFixed(1)}
+                unit="Min Light Time"
                 data={telemetryData.commData}
-                color="#10b981"
+                color={roverData.overlays?.metrics?.solar_conjunction ? '#ef4444' : '#10b981'}
                 type="bar"
-                subtitle="UPLINK/DOWNLINK NOMINAL"
+                subtitle={communicationsSubtitle(roverData.overlays?.metrics)}
                 isLive={isLiveMode}
                 onClick={handleTelemetryCardClick}
+                stale={roverData.header?.stale}
+                provenance={fieldProvenance(roverData.overlays?.metrics, 'communication_delay')}
                 telemetryType="communications"
               />
             )}
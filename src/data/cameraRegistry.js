@@ -0,0 +1,115 @@
+// Rover Camera Registry
+// NASA Mars Photos API camera codes for every rover with full names, camera types, instrument groups
+// (the gallery tabs) and field of view
+
+import { DEFAULT_ROVER, getRoverProfile } from './roverProfiles.js';
+
+export const CAMERA_TYPES = {
+  ENGINEERING: 'engineering', // Hazard avoidance and navigation
+  SCIENCE: 'science',
+  ATMOSPHERIC: 'atmospheric',
+  EDL: 'edl' // Entry, descent and landing
+};
+
+// Instrument groups in gallery tab order
+export const INSTRUMENT_GROUPS = {
+  front: { key: 'front', label: 'FRONT HAZARD' },
+  rear: { key: 'rear', label: 'REAR HAZARD' },
+  navigation: { key: 'navigation', label: 'NAVIGATION' },
+  mast: { key: 'mast', label: 'MAST CAMERAS' },
+  science: { key: 'science', label: 'SCIENCE' },
+  hand: { key: 'hand', label: 'ARM CAMERAS' },
+  descent: { key: 'descent', label: 'DESCENT & LANDING' },
+  other: { key: 'other', label: 'OTHER' }
+};
+
+// Horizontal x vertical field of view in degrees (zoom and multi-focal cameras list their widest setting)
+const fov = (horizontalDeg, verticalDeg) => ({ horizontalDeg, verticalDeg });
+
+const camera = (name, type, group, fieldOfView = null) => ({ name, type, group, fov: fieldOfView });
+
+// MER cameras, shared by Spirit and Opportunity
+const MER_CAMERAS = {
+  FHAZ: camera('Front Hazard Avoidance Camera', CAMERA_TYPES.ENGINEERING, 'front', fov(124, 124)),
+  RHAZ: camera('Rear Hazard Avoidance Camera', CAMERA_TYPES.ENGINEERING, 'rear', fov(124, 124)),
+  NAVCAM: camera('Navigation Camera', CAMERA_TYPES.ENGINEERING, 'navigation', fov(45, 45)),
+  PANCAM: camera('Panoramic Camera', CAMERA_TYPES.SCIENCE, 'mast', fov(16, 16)),
+  MINITES: camera('Miniature Thermal Emission Spectrometer (Mini-TES)', CAMERA_TYPES.SCIENCE, 'science', fov(1.15, 1.15))
+};
+
+export const CAMERA_REGISTRY = {
+  perseverance: {
+    FRONT_HAZCAM_LEFT_A: camera('Front Hazard Avoidance Camera - Left', CAMERA_TYPES.ENGINEERING, 'front', fov(136, 102)),
+    FRONT_HAZCAM_RIGHT_A: camera('Front Hazard Avoidance Camera - Right', CAMERA_TYPES.ENGINEERING, 'front', fov(136, 102)),
+    REAR_HAZCAM_LEFT: camera('Rear Hazard Avoidance Camera - Left', CAMERA_TYPES.ENGINEERING, 'rear', fov(136, 102)),
+    REAR_HAZCAM_RIGHT: camera('Rear Hazard Avoidance Camera - Right', CAMERA_TYPES.ENGINEERING, 'rear', fov(136, 102)),
+    NAVCAM_LEFT: camera('Navigation Camera - Left', CAMERA_TYPES.ENGINEERING, 'navigation', fov(96, 73)),
+    NAVCAM_RIGHT: camera('Navigation Camera - Right', CAMERA_TYPES.ENGINEERING, 'navigation', fov(96, 73)),
+    MCZ_LEFT: camera('Mast Camera Zoom - Left', CAMERA_TYPES.SCIENCE, 'mast', fov(25.6, 19.2)),
+    MCZ_RIGHT: camera('Mast Camera Zoom - Right', CAMERA_TYPES.SCIENCE, 'mast', fov(25.6, 19.2)),
+    SUPERCAM_RMI: camera('SuperCam Remote Micro Imager', CAMERA_TYPES.SCIENCE, 'science', fov(1.1, 1.1)),
+    SHERLOC_WATSON: camera('SHERLOC WATSON Camera', CAMERA_TYPES.SCIENCE, 'hand'),
+    SKYCAM: camera('MEDA Skycam', CAMERA_TYPES.ATMOSPHERIC, 'other'),
+    CACHECAM: camera('Sample Caching System Camera (CacheCam)', CAMERA_TYPES.ENGINEERING, 'other'),
+    EDL_RUCAM: camera('Rover Up-Look Camera', CAMERA_TYPES.EDL, 'descent'),
+    EDL_RDCAM: camera('Rover Down-Look Camera', CAMERA_TYPES.EDL, 'descent'),
+    EDL_DDCAM: camera('Descent Stage Down-Look Camera', CAMERA_TYPES.EDL, 'descent'),
+    EDL_PUCAM1: camera('Parachute Up-Look Camera A', CAMERA_TYPES.EDL, 'descent'),
+    EDL_PUCAM2: camera('Parachute Up-Look Camera B', CAMERA_TYPES.EDL, 'descent'),
+    LCAM: camera('Lander Vision System Camera', CAMERA_TYPES.EDL, 'descent', fov(90, 90))
+  },
+  curiosity: {
+    FHAZ: camera('Front Hazard Avoidance Camera', CAMERA_TYPES.ENGINEERING, 'front', fov(124, 124)),
+    RHAZ: camera('Rear Hazard Avoidance Camera', CAMERA_TYPES.ENGINEERING, 'rear', fov(124, 124)),
+    NAVCAM: camera('Navigation Camera', CAMERA_TYPES.ENGINEERING, 'navigation', fov(45, 45)),
+    MAST: camera('Mast Camera', CAMERA_TYPES.SCIENCE, 'mast', fov(20, 15)),
+    CHEMCAM: camera('Chemistry and Camera Complex', CAMERA_TYPES.SCIENCE, 'science', fov(1.1, 1.1)),
+    MAHLI: camera('Mars Hand Lens Imager', CAMERA_TYPES.SCIENCE, 'hand', fov(34, 26)),
+    MARDI: camera('Mars Descent Imager', CAMERA_TYPES.EDL, 'descent', fov(90, 70))
+  },
+  opportunity: MER_CAMERAS,
+  spirit: MER_CAMERAS
+};
+
+/**
+ * Get a camera's registry entry
+ * @param {string} rover - The rover name (default: 'perseverance')
+ * @param {string} code - NASA camera code (e.g. 'NAVCAM_LEFT', 'MAHLI')
+ * @returns {Object} { code, name, type, group, fov } - unknown codes get the 'other' group and the code as name
+ */
+export const getCameraInfo = (rover = DEFAULT_ROVER, code) => {
+  const entry = CAMERA_REGISTRY[getRoverProfile(rover).id][code];
+  return entry
+    ? { code, ...entry }
+    : { code, name: code, type: CAMERA_TYPES.ENGINEERING, group: 'other', fov: null };
+};
+
+/**
+ * Get every camera of a rover
+ * @param {string} rover - The rover name (default: 'perseverance')
+ * @returns {Array<Object>} getCameraInfo entries in registry order
+ */
+export const getRoverCameras = (rover = DEFAULT_ROVER) => (
+  Object.keys(CAMERA_REGISTRY[getRoverProfile(rover).id]).map(code => getCameraInfo(rover, code))
+);
+
+/**
+ * Get the camera codes of a rover in an instrument group
+ * @param {string} rover - The rover name (default: 'perseverance')
+ * @param {string} group - INSTRUMENT_GROUPS key
+ * @returns {Array<string>} Camera codes
+ */
+export const getCameraCodesForGroup = (rover = DEFAULT_ROVER, group) => (
+  getRoverCameras(rover).filter(info => info.group === group).map(info => info.code)
+);
+
+const cameraRegistry = {
+  CAMERA_TYPES,
+  INSTRUMENT_GROUPS,
+  CAMERA_REGISTRY,
+  getCameraInfo,
+  getRoverCameras,
+  getCameraCodesForGroup
+};
+
+export default cameraRegistry;
@@ -1,6 +1,8 @@
 // Mission Timeline Data Sources & Events
 // Comprehensive Sol-based mission data for Perseverance rover
 
+import { DEFAULT_ROVER, getRoverProfile } from './roverProfiles.js';
+
 // Mission phases and major events
 export const MISSION_PHASES = {
   LANDING: { name: 'Landing & Checkout', color: '#4CAF50', sols: [0, 60] },
@@ -145,83 +147,26 @@ export const MISSION_EVENTS = {
   }
 };
 
-// Camera configurations for each rover
-export const CAMERA_CONFIGS = {
-  perseverance: {
-    NAVCAM_LEFT: { name: 'Navigation Camera - Left', type: 'navigation', typical_count: 10 },
-    NAVCAM_RIGHT: { name: 'Navigation Camera - Right', type: 'navigation', typical_count: 10 },
-    MCZ_LEFT: { name: 'Mastcam-Z Left', type: 'science', typical_count: 5 },
-    MCZ_RIGHT: { name: 'Mastcam-Z Right', type: 'science', typical_count: 5 },
-    FRONT_HAZCAM_LEFT: { name: 'Front Hazard Camera - Left', type: 'engineering', typical_count: 2 },
-    FRONT_HAZCAM_RIGHT: { name: 'Front Hazard Camera - Right', type: 'engineering', typical_count: 2 },
-    REAR_HAZCAM_LEFT: { name: 'Rear Hazard Camera - Left', type: 'engineering', typical_count: 2 },
-    REAR_HAZCAM_RIGHT: { name: 'Rear Hazard Camera - Right', type: 'engineering', typical_count: 2 },
-    SKYCAM: { name: 'Sky Camera', type: 'atmospheric', typical_count: 1 }
-  },
-  curiosity: {
-    NAVCAM_LEFT: { name: 'Navigation Camera - Left', type: 'navigation', typical_count: 8 },
-    NAVCAM_RIGHT: { name: 'Navigation Camera - Right', type: 'navigation', typical_count: 8 },
-    MAST: { name: 'Mast Camera', type: 'science', typical_count: 15 },
-    CHEMCAM: { name: 'Chemistry and Camera Complex', type: 'science', typical_count: 3 },
-    FRONT_HAZCAM_LEFT: { name: 'Front Hazard Camera - Left', type: 'engineering', typical_count: 2 },
-    FRONT_HAZCAM_RIGHT: { name: 'Front Hazard Camera - Right', type: 'engineering', typical_count: 2 },
-    REAR_HAZCAM_LEFT: { name: 'Rear Hazard Camera - Left', type: 'engineering', typical_count: 2 },
-    REAR_HAZCAM_RIGHT: { name: 'Rear Hazard Camera - Right', type: 'engineering', typical_count: 2 }
-  }
-};
-
-// Generate rover path coordinates based on mission timeline
-export const generateRoverPath = (rover = 'perseverance', maxSol = 1000) => {
-  const path = [];
-  const events = Object.entries(MISSION_EVENTS).filter(([sol]) => parseInt(sol) <= maxSol);
-  
-  // Start with landing coordinates
-  let currentLat = 18.4447;
-  let currentLon = 77.4508;
-  
-  // Add landing point
-  path.push({ sol: 0, lat: currentLat, lon: currentLon, event: 'Landing' });
-  
-  // Generate path points based on events and interpolate between them
-  for (let sol = 1; sol <= maxSol; sol++) {
-    const event = MISSION_EVENTS[sol];
-    
-    if (event && event.coordinates) {
-      // Use actual event coordinates
-      currentLat = event.coordinates.lat;
-      currentLon = event.coordinates.lon;
-      path.push({
-        sol,
-        lat: currentLat,
-        lon: currentLon,
-        event: event.title,
-        type: event.type
-      });
-    } else {
-      // Interpolate position for sols without specific events
-      const progress = sol / maxSol;
-      const exploration_factor = 0.002; // How far the rover explores
-      
-      // Small random walk simulation
-      const noise = (Math.sin(sol * 0.1) + Math.cos(sol * 0.15)) * 0.00005;
-      currentLat += noise + (progress * exploration_factor * 0.3);
-      currentLon += noise + (progress * exploration_factor * 0.7);
-      
-      path.push({
-        sol,
-        lat: currentLat,
-        lon: currentLon,
-        interpolated: true
-      });
+// Get the mission events for a rover - detailed events exist for Perseverance only,
+// other rovers get their landing event built from the rover profile
+export const getMissionEvents = (rover = DEFAULT_ROVER) => {
+  const profile = getRoverProfile(rover);
+  if (profile.id === 'perseverance') return MISSION_EVENTS;
+
+  return {
+    [profile.landingSol]: {
+      type: 'landing',
+      title: `Landing at ${profile.landingSite.name}`,
+      description: `${profile.name} touched down at ${profile.landingSite.name}`,
+      coordinates: { lat: profile.landingSite.lat, lon: profile.landingSite.lon },
+      significance: 'high'
     }
-  }
-  
-  return path;
+  };
 };
 
 // Get mission events for specific sol range
-export const getEventsForSolRange = (startSol, endSol) => {
-  return Object.entries(MISSION_EVENTS)
+export const getEventsForSolRange = (startSol, endSol, rover = DEFAULT_ROVER) => {
+  return Object.entries(getMissionEvents(rover))
     .filter(([sol]) => {
       const solNum = parseInt(sol);
       return solNum >= startSol && solNum <= endSol;
@@ -230,39 +175,40 @@ export const getEventsForSolRange = (startSol, endSol) => {
     .sort((a, b) => a.sol - b.sol);
 };
 
+// Phase colors reused for rovers without a dedicated timeline phase table
+const PHASE_COLORS = Object.values(MISSION_PHASES).map(phase => phase.color);
+
 // Get current mission phase for a given sol
-export const getMissionPhase = (sol) => {
-  for (const [phase, data] of Object.entries(MISSION_PHASES)) {
-    if (sol >= data.sols[0] && sol <= data.sols[1]) {
-      return { phase, ...data };
+export const getMissionPhase = (sol, rover = DEFAULT_ROVER) => {
+  const profile = getRoverProfile(rover);
+  
+  if (profile.id === 'perseverance') {
+    for (const [phase, data] of Object.entries(MISSION_PHASES)) {
+      if (sol >= data.sols[0] && sol <= data.sols[1]) {
+        return { phase, ...data };
+      }
+    }
+  } else {
+    let startSol = 0;
+    for (const [index, data] of profile.missionPhases.entries()) {
+      if (sol < data.untilSol) {
+        return {
+          phase: data.name.toUpperCase().replace(/[^A-Z]+/g, '_'),
+          name: data.name,
+          color: PHASE_COLORS[index % PHASE_COLORS.length],
+          sols: [startSol, Number.isFinite(data.untilSol) ? data.untilSol - 1 : sol]
+        };
+      }
+      startSol = data.untilSol;
     }
   }
   return { phase: 'UNKNOWN', name: 'Unknown Phase', color: '#666', sols: [sol, sol] };
 };
 
-// Convert Sol to Earth date (approximate)
-export const solToEarthDate = (sol) => {
-  const LANDING_DATE = new Date('2021-02-18T20:55:00Z'); // Perseverance landing
-  const SOL_TO_EARTH_RATIO = 1.0274912517; // Mars sol is ~24h 37m
-  const earthMilliseconds = sol * SOL_TO_EARTH_RATIO * 24 * 60 * 60 * 1000;
-  return new Date(LANDING_DATE.getTime() + earthMilliseconds);
-};
-
-// Convert Earth date to Sol (approximate)
-export const earthDateToSol = (earthDate) => {
-  const LANDING_DATE = new Date('2021-02-18T20:55:00Z');
-  const earthMilliseconds = earthDate.getTime() - LANDING_DATE.getTime();
-  const SOL_TO_EARTH_RATIO = 1.0274912517;
-  return Math.floor(earthMilliseconds / (SOL_TO_EARTH_RATIO * 24 * 60 * 60 * 1000));
-};
-
 export default {
   MISSION_PHASES,
   MISSION_EVENTS,
-  CAMERA_CONFIGS,
-  generateRoverPath,
+  getMissionEvents,
   getEventsForSolRange,
-  getMissionPhase,
-  solToEarthDate,
-  earthDateToSol
-};
\ No newline at end of file
+  getMissionPhase
+};
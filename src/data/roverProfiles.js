@@ -0,0 +1,180 @@
+// Rover Mission Profiles
+// Per-rover landing sites, mission phases, sol epochs and fallback values used across the API layer
+
+// Mars sol length expressed in Earth days (24h 39m 35.244s)
+export const SOL_TO_EARTH_RATIO = 1.0274912517;
+
+export const DEFAULT_ROVER = 'perseverance';
+
+export const ROVER_PROFILES = {
+  perseverance: {
+    id: 'perseverance',
+    name: 'Perseverance',
+    launchDate: '2020-07-30',
+    landingDate: '2021-02-18',
+    landingTimestamp: '2021-02-18T20:55:00Z',
+    landingSol: 0, // Mars 2020 counts the landing day as sol 0
+    status: 'active',
+    powerSource: 'MMRTG',
+    // MMRTG output at fuelling, battery and survival loads for the power model
+    power: {
+      beginningOfLifeWatts: 110,
+      beginningOfLifeWh: 2713,
+      fuelDate: '2020-07-30',
+      thermocoupleDegradation: 0.023, // Fraction of output lost per year on top of Pu-238 decay
+      batteryWh: 2400,
+      baseLoadWh: 1100,
+      heaterSetpoint: -40,
+      heaterWhPerDegree: 5
+    },
+    landingSite: { name: 'Jezero Crater', lat: 18.4447, lon: 77.4508 },
+    baseElevation: 2374,
+    // Published odometry, shown until a traverse file gives the distance measured along the route
+    totalDistanceKm: '28.45',
+    fallbackMaxSol: 1650,
+    fallbackTotalPhotos: 400000,
+    // Route drift per sol (degrees) used when no published traverse is available
+    routeDrift: { lat: 0.0001, lon: 0.0002 },
+    missionPhases: [
+      { name: 'Landing & Checkout', untilSol: 60, avgDistance: 0.05, drivingDays: 0.1 },
+      { name: 'Exploration Preparation', untilSol: 150, avgDistance: 0.15, drivingDays: 0.3 },
+      { name: 'Crater Floor Exploration', untilSol: 400, avgDistance: 0.25, drivingDays: 0.6 },
+      { name: 'Delta Formation Study', untilSol: 600, avgDistance: 0.22, drivingDays: 0.5 },
+      { name: 'Sample Collection Campaign', untilSol: 800, avgDistance: 0.18, drivingDays: 0.4 },
+      { name: 'Extended Mission Operations', untilSol: Infinity, avgDistance: 0.28, drivingDays: 0.7 }
+    ]
+  },
+  curiosity: {
+    id: 'curiosity',
+    name: 'Curiosity',
+    launchDate: '2011-11-26',
+    landingDate: '2012-08-06',
+    landingTimestamp: '2012-08-06T05:17:57Z',
+    landingSol: 0,
+    status: 'active',
+    powerSource: 'MMRTG',
+    power: {
+      beginningOfLifeWatts: 114,
+      beginningOfLifeWh: 2811,
+      fuelDate: '2011-11-26',
+      thermocoupleDegradation: 0.023,
+      batteryWh: 2400,
+      baseLoadWh: 1100,
+      heaterSetpoint: -40,
+      heaterWhPerDegree: 5
+    },
+    landingSite: { name: 'Bradbury Landing, Gale Crater', lat: -4.5895, lon: 137.4417 },
+    baseElevation: -4501,
+    totalDistanceKm: '33.20',
+    fallbackMaxSol: 4100,
+    fallbackTotalPhotos: 695000,
+    routeDrift: { lat: -0.00004, lon: -0.00003 },
+    missionPhases: [
+      { name: 'Landing & Checkout', untilSol: 30, avgDistance: 0.02, drivingDays: 0.1 },
+      { name: 'Yellowknife Bay Campaign', untilSol: 330, avgDistance: 0.08, drivingDays: 0.3 },
+      { name: 'Traverse to Mount Sharp', untilSol: 750, avgDistance: 0.1, drivingDays: 0.5 },
+      { name: 'Lower Mount Sharp Ascent', untilSol: 2300, avgDistance: 0.05, drivingDays: 0.4 },
+      { name: 'Clay-Bearing Unit Study', untilSol: 3000, avgDistance: 0.04, drivingDays: 0.35 },
+      { name: 'Sulfate Unit Ascent', untilSol: Infinity, avgDistance: 0.04, drivingDays: 0.35 }
+    ]
+  },
+  opportunity: {
+    id: 'opportunity',
+    name: 'Opportunity',
+    launchDate: '2003-07-07',
+    landingDate: '2004-01-25',
+    landingTimestamp: '2004-01-25T05:05:00Z',
+    landingSol: 1, // MER missions count the landing day as sol 1
+    status: 'complete',
+    powerSource: 'SOLAR',
+    // Solar array, dust and cleaning behaviour, battery and survival loads for the power model
+    power: {
+      arrayAreaM2: 1.3,
+      arrayEfficiency: 0.2, // Cell efficiency after packing and temperature losses
+      beginningOfLifeWh: 900,
+      dustAccumulationPerSol: 0.0028,
+      minDustFactor: 0.4,
+      cleaningSeasonLs: [180, 300], // Dust devil season at the MER sites
+      cleaningProbability: 0.06,
+      batteryWh: 450,
+      baseLoadWh: 250,
+      heaterSetpoint: -40,
+      heaterWhPerDegree: 3
+    },
+    landingSite: { name: 'Eagle Crater, Meridiani Planum', lat: -1.9462, lon: -5.5266 },
+    baseElevation: -1385,
+    totalDistanceKm: '45.16',
+    fallbackMaxSol: 5111,
+    fallbackTotalPhotos: 198439,
+    routeDrift: { lat: -0.0005, lon: 0.00003 },
+    missionPhases: [
+      { name: 'Eagle Crater Operations', untilSol: 57, avgDistance: 0.01, drivingDays: 0.2 },
+      { name: 'Endurance Crater Campaign', untilSol: 315, avgDistance: 0.03, drivingDays: 0.3 },
+      { name: 'Traverse to Victoria Crater', untilSol: 950, avgDistance: 0.02, drivingDays: 0.4 },
+      { name: 'Victoria Crater Campaign', untilSol: 1630, avgDistance: 0.01, drivingDays: 0.2 },
+      { name: 'Traverse to Endeavour Crater', untilSol: 2680, avgDistance: 0.02, drivingDays: 0.5 },
+      { name: 'Endeavour Rim Exploration', untilSol: Infinity, avgDistance: 0.01, drivingDays: 0.3 }
+    ]
+  },
+  spirit: {
+    id: 'spirit',
+    name: 'Spirit',
+    launchDate: '2003-06-10',
+    landingDate: '2004-01-04',
+    landingTimestamp: '2004-01-04T04:35:00Z',
+    landingSol: 1,
+    status: 'complete',
+    powerSource: 'SOLAR',
+    power: {
+      arrayAreaM2: 1.3,
+      arrayEfficiency: 0.2,
+      beginningOfLifeWh: 900,
+      dustAccumulationPerSol: 0.0028,
+      minDustFactor: 0.4,
+      cleaningSeasonLs: [180, 300],
+      cleaningProbability: 0.04,
+      batteryWh: 450,
+      baseLoadWh: 250,
+      heaterSetpoint: -40,
+      heaterWhPerDegree: 3
+    },
+    landingSite: { name: 'Columbia Memorial Station, Gusev Crater', lat: -14.5684, lon: 175.4726 },
+    baseElevation: -1935,
+    totalDistanceKm: '7.73',
+    fallbackMaxSol: 2208,
+    fallbackTotalPhotos: 124550,
+    routeDrift: { lat: 0.00003, lon: 0.00004 },
+    missionPhases: [
+      { name: 'Gusev Plains Traverse', untilSol: 156, avgDistance: 0.02, drivingDays: 0.5 },
+      { name: 'Columbia Hills Ascent', untilSol: 580, avgDistance: 0.01, drivingDays: 0.4 },
+      { name: 'Husband Hill Summit Campaign', untilSol: 800, avgDistance: 0.005, drivingDays: 0.3 },
+      { name: 'Home Plate Exploration', untilSol: 1870, avgDistance: 0.002, drivingDays: 0.2 },
+      { name: 'Troy Embedding', untilSol: Infinity, avgDistance: 0, drivingDays: 0 }
+    ]
+  }
+};
+
+/**
+ * Get the mission profile for a rover
+ * @param {string} rover - The rover name (default: 'perseverance')
+ * @returns {Object} The rover profile, falling back to Perseverance for unknown rovers
+ */
+export const getRoverProfile = (rover = DEFAULT_ROVER) => {
+  return ROVER_PROFILES[String(rover).toLowerCase()] || ROVER_PROFILES[DEFAULT_ROVER];
+};
+
+/**
+ * Get the list of supported rover names
+ * @returns {string[]} Rover names accepted by the NASA Mars Photos API
+ */
+export const getSupportedRovers = () => Object.keys(ROVER_PROFILES);
+
+const roverProfiles = {
+  SOL_TO_EARTH_RATIO,
+  DEFAULT_ROVER,
+  ROVER_PROFILES,
+  getRoverProfile,
+  getSupportedRovers
+};
+
+export default roverProfiles;
@@ -1,5 +1,6 @@
 import { useState, useEffect, useCallback } from 'react';
 import { getRoverData } from '../api/roverData';
+import { DEFAULT_ROVER } from '../data/roverProfiles';
 import unifiedCache from '../api/unifiedCacheSystem';
 
 // Live update interval for real-time data refreshing (30 seconds)
@@ -17,8 +18,9 @@ const appPerformanceMetrics = {
 /**
  * Custom hook for managing rover data fetching and state
  * Encapsulates all data fetching logic, caching, and live updates
+ * @param {string} rover - The rover name (default: 'perseverance')
  */
-const useRoverData = () => {
+const useRoverData = (rover = DEFAULT_ROVER) => {
   const [roverData, setRoverData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -32,14 +34,14 @@ const useRoverData = () => {
     
     try {
       setLoading(true);
-      const cacheKey = `rover-data-${sol || 'latest'}`;
+      const cacheKey = `rover-data-${rover}-${sol || 'latest'}`;
       
       // Use unified cache with automatic request deduplication
       let response;
       if (forceRefresh) {
         // Force refresh: clear cache and fetch new data
         unifiedCache.invalidate(cacheKey);
-        response = await getRoverData(sol);
+        response = await getRoverData(rover, sol);
         appPerformanceMetrics.cacheMisses++;
       } else {
         // Check unified cache first
@@ -48,7 +50,7 @@ const useRoverData = () => {
           response = cached;
           appPerformanceMetrics.cacheHits++;
         } else {
-          response = await getRoverData(sol);
+          response = await getRoverData(rover, sol);
           appPerformanceMetrics.cacheMisses++;
         }
       }
@@ -74,7 +76,7 @@ const useRoverData = () => {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [rover]);
   
   // Auto-refresh for live mode with discovery simulation  
   useEffect(() => {
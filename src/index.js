@@ -4,6 +4,8 @@ import "./index.css";
 import App from "./App";
 // import TestApp from "./TestApp";
 import ErrorBoundary from "./ErrorBoundary";
+import reportWebVitals from "./reportWebVitals";
+import performanceMonitor from "./api/performanceMonitor";
 
 console.log("React app initializing...");
 
@@ -19,6 +21,9 @@ if (rootElement) {
     </React.StrictMode>,
   );
   console.log("React app mounted successfully");
+
+  // Core Web Vitals land in the same report as API and render timings
+  reportWebVitals((metric) => performanceMonitor.recordWebVital(metric));
 } else {
   console.error("Root element not found!");
 }
@@ -0,0 +1,12 @@
+// Core Web Vitals reporting
+// LCP, CLS, INP and TTFB (plus FCP) from web-vitals; each callback fires when the value is final or the page is hidden
+
+import { onCLS, onFCP, onINP, onLCP, onTTFB } from 'web-vitals';
+
+const reportWebVitals = (onPerfEntry) => {
+  if (typeof onPerfEntry !== 'function') return;
+
+  [onLCP, onCLS, onINP, onTTFB, onFCP].forEach(subscribe => subscribe(onPerfEntry));
+};
+
+export default reportWebVitals;
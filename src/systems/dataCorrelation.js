@@ -2,7 +2,10 @@
 // Synchronizes and correlates data between timeline, map, telemetry, and cameras
 
 import { globalEventDispatcher, missionState } from './eventSystem.js';
-import { solToEarthDate, earthDateToSol } from '../data/missionTimeline.js';
+import { solToEarthDate, getSolMarsTime } from '../utils/marsTime.js';
+import { getRoverProfile } from '../data/roverProfiles.js';
+import { POWER_SOURCES, getDailyInsolation, getSolarElevation } from '../utils/powerModel.js';
+import { getConjunctionForSol, getSolGeometry } from '../utils/earthMarsGeometry.js';
 
 // Data correlation engine for synchronized updates
 class DataCorrelationEngine {
@@ -95,7 +98,8 @@ class DataCorrelationEngine {
       // Create correlated data package
       const correlatedData = {
         sol,
-        earthDate: solToEarthDate(sol),
+        earthDate: solToEarthDate(sol, missionState.currentRover),
+        marsTime: this.getMarsTimeContext(sol),
         timestamp: Date.now(),
         
         // Spatial data
@@ -123,7 +127,7 @@ class DataCorrelationEngine {
           photo_locations: this.extractPhotoLocations(photos, position),
           weather_trends: this.analyzeWeatherTrends(sol, telemetry),
           distance_analysis: this.analyzeDistance(sol),
-          power_correlation: this.correlatePowerAndPosition(telemetry, position)
+          power_correlation: this.correlatePowerAndPosition(telemetry, position, sol)
         }
       };
 
@@ -195,7 +199,7 @@ class DataCorrelationEngine {
     try {
       // Use the enhanced telemetry function with proper schema
       const { generateMockTelemetry } = require('../api/roverData.js');
-      const telemetry = await generateMockTelemetry(sol);
+      const telemetry = await generateMockTelemetry(sol, null, missionState.currentRover);
       
       // Ensure all required fields are present with null guards
       return {
@@ -274,8 +278,9 @@ class DataCorrelationEngine {
       return { daily_distance: 0, total_distance: 0 };
     }
     
-    const dailyDistance = this.calculateDistance(currentPosition, previousPosition);
-    const totalDistance = sol * 0.025; // Approximate total distance
+    // Traverse positions carry the drive distance measured along the route
+    const dailyDistance = currentPosition.driveKm ?? this.calculateDistance(currentPosition, previousPosition);
+    const totalDistance = currentPosition.distanceKm ?? sol * 0.025;
     
     return {
       daily_distance: dailyDistance,
@@ -286,12 +291,13 @@ class DataCorrelationEngine {
   }
 
   // Correlate power generation with position/season
-  correlatePowerAndPosition(telemetry, position) {
+  correlatePowerAndPosition(telemetry, position, sol) {
+    const { ls } = getSolMarsTime(sol, missionState.currentRover);
     return {
-      power_efficiency: telemetry.power_generation / 500, // Normalized
+      power_efficiency: telemetry.power_budget?.efficiency ?? telemetry.power_generation / 500, // Normalized
       dust_impact: this.estimateDustImpact(telemetry),
-      seasonal_factor: this.getSeasonalPowerFactor(position),
-      solar_angle: this.calculateSolarAngle(position)
+      seasonal_factor: this.getSeasonalPowerFactor(position, ls),
+      solar_angle: this.calculateSolarAngle(position, ls)
     };
   }
 
@@ -331,10 +337,13 @@ class DataCorrelationEngine {
   getMissionContext(sol) {
     return {
       days_since_landing: sol,
-      earth_days_since_landing: Math.floor(sol * 1.0274912517),
+      earth_days_since_landing: Math.floor(
+        (solToEarthDate(sol, missionState.currentRover) - new Date(getRoverProfile(missionState.currentRover).landingTimestamp)) / 86400000
+      ),
       mission_phase: missionState.getMissionPhase ? missionState.getMissionPhase(sol) : null,
       operational_status: sol < 1200 ? 'ACTIVE' : 'EXTENDED',
-      communication_delay: this.calculateCommunicationDelay(sol)
+      communication_delay: this.calculateCommunicationDelay(sol),
+      solar_conjunction: Boolean(getConjunctionForSol(sol, missionState.currentRover))
     };
   }
 
@@ -374,37 +383,44 @@ class DataCorrelationEngine {
     return recent[2] - recent[0];
   }
 
+  // Season at the rover's hemisphere from the solar longitude at the sol
   getSeasonalPhase(sol) {
-    const marsYear = sol / 669; // Mars year in sols
-    const season = (marsYear % 1) * 4;
-    
-    if (season < 1) return 'Spring';
-    if (season < 2) return 'Summer';
-    if (season < 3) return 'Autumn';
-    return 'Winter';
+    return getSolMarsTime(sol, missionState.currentRover).season;
+  }
+
+  // Mars clock at the sol's local noon
+  getMarsTimeContext(sol) {
+    const { msd, ls, marsYear, season } = getSolMarsTime(sol, missionState.currentRover);
+    return {
+      mars_sol_date: Math.floor(msd),
+      solar_longitude: Math.round(ls * 10) / 10,
+      mars_year: marsYear,
+      season
+    };
   }
 
+  // One-way light time in minutes from the Earth-Mars distance on the sol
   calculateCommunicationDelay(sol) {
-    // Simplified Earth-Mars distance calculation
-    const baseDelay = 8; // minutes at closest approach
-    const maxDelay = 24; // minutes at farthest
-    const cycle = Math.sin(sol * 0.01); // Rough orbital cycle
-    return baseDelay + (maxDelay - baseDelay) * (cycle + 1) / 2;
+    return getSolGeometry(sol, missionState.currentRover).lightTimeMinutes;
   }
 
+  // Share of array output lost to dust on the panels (MMRTG rovers have none)
   estimateDustImpact(telemetry) {
+    const budget = telemetry.power_budget;
+    if (budget?.source === POWER_SOURCES.MMRTG) return 0;
+    if (budget?.dust_factor != null) return 1 - budget.dust_factor;
     return Math.max(0, (500 - telemetry.power_generation) / 500);
   }
 
-  getSeasonalPowerFactor(position) {
-    // Simplified seasonal power variation
-    const latitude = position.lat;
-    return 1 - Math.abs(latitude) * 0.001; // Closer to equator = better
+  // Clear-sky daily insolation at the rover's latitude this season, relative to the equator at equinox
+  getSeasonalPowerFactor(position, ls) {
+    const reference = getDailyInsolation({ ls: 0, latitude: 0 }).energyWhM2;
+    return getDailyInsolation({ ls, latitude: position.lat }).energyWhM2 / reference;
   }
 
-  calculateSolarAngle(position) {
-    // Simplified solar angle calculation
-    return 45 + position.lat * 0.5; // Rough approximation
+  // Noon solar elevation in degrees for the season's declination
+  calculateSolarAngle(position, ls) {
+    return getSolarElevation(ls, position.lat);
   }
 
   calculateDirection(from, to) {
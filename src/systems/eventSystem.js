@@ -2,8 +2,13 @@
 // Handles click events, data synchronization, and component communication
 
 import NASAApiService from '../api/nasaApiService.js';
-import { MISSION_EVENTS, generateRoverPath, getMissionPhase } from '../data/missionTimeline.js';
+import weatherArchive, { toMetricName } from '../api/weatherArchive.js';
+import traverseArchive from '../api/traverseArchive.js';
+import { PROVENANCE, PROVENANCE_SOURCES, createProvenance, tagFields } from '../utils/provenance.js';
+import { getMissionEvents, getMissionPhase } from '../data/missionTimeline.js';
+import { DEFAULT_ROVER, getRoverProfile } from '../data/roverProfiles.js';
 import { getCurrentMaxSol } from '../utils/nasaManifestUtils.js';
+import { calculatePowerBudget } from '../utils/powerModel.js';
 
 // Central event dispatcher for component synchronization
 class EventDispatcher {
@@ -55,7 +60,7 @@ class MissionStateManager {
   constructor() {
     this.currentSol = 1650; // Higher default fallback, will be updated with real NASA data
     this.maxSol = 1650; // Higher default fallback, will be updated with real NASA max_sol
-    this.currentRover = 'perseverance';
+    this.currentRover = DEFAULT_ROVER;
     this.selectedEvent = null;
     this.autoPlay = false;
     this.playbackSpeed = 1000; // milliseconds per sol
@@ -69,6 +74,11 @@ class MissionStateManager {
       positions: new Map()
     };
     
+    // Telemetry cached before the weather records arrived holds estimates only
+    weatherArchive.load(this.currentRover).then(() => this.dataCache.telemetry.clear());
+    // Likewise positions cached before the published traverse arrived
+    traverseArchive.load(this.currentRover).then(() => this.dataCache.positions.clear());
+    
     // Initialize with real NASA max_sol first, then load data
     this.loadRealMaxSol();
   }
@@ -78,7 +88,7 @@ class MissionStateManager {
   // Load real NASA max_sol and set current sol to latest
   async loadRealMaxSol() {
     try {
-      const realMaxSol = await getCurrentMaxSol('perseverance');
+      const realMaxSol = await getCurrentMaxSol(this.currentRover);
       this.maxSol = realMaxSol;
       // Emit max_sol_updated first to notify components about new max
       globalEventDispatcher.emit('max_sol_updated', {
@@ -117,6 +127,7 @@ class MissionStateManager {
   // Load comprehensive data for specific sol
   async loadSolData(sol) {
     try {
+      await Promise.all([weatherArchive.load(this.currentRover), traverseArchive.load(this.currentRover)]);
       const [photos, position, event, telemetry] = await Promise.all([
         this.getPhotosForSol(sol),
         this.getPositionForSol(sol),
@@ -130,7 +141,7 @@ class MissionStateManager {
         position,
         event,
         telemetry,
-        phase: getMissionPhase(sol),
+        phase: getMissionPhase(sol, this.currentRover),
         timestamp: Date.now()
       };
 
@@ -169,9 +180,8 @@ class MissionStateManager {
     const cached = this.dataCache.positions.get(sol);
     if (cached) return cached;
 
-    // Generate position from mission timeline
-    const path = generateRoverPath(this.currentRover, sol);
-    const position = path.find(p => p.sol === sol) || path[path.length - 1];
+    // Position from the rover traverse (published GeoJSON, or synthetic without one)
+    const position = traverseArchive.getPositionForSol(this.currentRover, sol);
     
     this.dataCache.positions.set(sol, position);
     return position;
@@ -179,26 +189,64 @@ class MissionStateManager {
 
   // Get mission event for specific sol
   getEventForSol(sol) {
-    return MISSION_EVENTS[sol] || null;
+    return getMissionEvents(this.currentRover)[sol] || null;
   }
 
-  // Generate realistic telemetry for sol
+  // Telemetry for sol - weather from MEDA/REMS records when available, generated estimates otherwise
   getTelemetryForSol(sol) {
     const cached = this.dataCache.telemetry.get(sol);
     if (cached) return cached;
 
+    // Weather: real record where one exists, otherwise the estimate (flagged in estimated_fields)
+    const weather = weatherArchive.getEnvironmental(this.currentRover, sol, {
+      temperature: -28 + (10 * Math.sin(sol * 0.017)) + (25 * Math.sin(sol * 2.0)),
+      pressure: 750 + (50 * Math.sin(sol * 0.02)),
+      wind_speed: 5 + (10 * Math.sin(sol * 0.1))
+    });
+
+    // Power from the insolation/MMRTG model under the sol's dust and overnight low
+    const power = calculatePowerBudget({
+      rover: this.currentRover,
+      sol,
+      tau: weather.dust_opacity,
+      minTemperature: weather.min_temperature ?? weather.temperature
+    });
+
     // Generate realistic telemetry data
+    const { baseElevation } = getRoverProfile(this.currentRover);
     const telemetry = {
-      battery_charge: Math.max(30, 90 - (sol * 0.01) + (15 * Math.sin(sol * 0.5))),
-      temperature: -28 + (10 * Math.sin(sol * 0.017)) + (25 * Math.sin(sol * 2.0)),
-      wind_speed: 5 + (10 * Math.sin(sol * 0.1)),
+      battery_charge: Math.round(power.batteryCharge),
+      temperature: weather.temperature,
+      min_temperature: weather.min_temperature,
+      max_temperature: weather.max_temperature,
+      wind_speed: weather.wind_speed,
       wind_direction: (sol * 15) % 360,
+      uv_index: weather.uv_index,
       radiation: 0.24 + (0.03 * Math.sin(sol * 0.1)),
-      atmospheric_pressure: 750 + (50 * Math.sin(sol * 0.02)),
+      atmospheric_pressure: weather.pressure,
+      weather_source: weather.source,
+      weather_estimated_fields: weather.estimated_fields.map(toMetricName),
       distance_traveled: sol * 0.025, // km
-      elevation: 2374 + (sol * 0.1), // meters
+      elevation: baseElevation + (sol * 0.1), // meters
       sol_duration: 24.6, // hours
-      power_generation: Math.max(100, 500 - (sol * 0.1) + (100 * Math.sin(sol * 0.3)))
+      power_generation: Math.round(power.averageWatts),
+      
+      // Only weather fields can be measured here; everything else is generated
+      provenance: {
+        ...tagFields(
+          ['wind_direction', 'radiation', 'distance_traveled', 'elevation'],
+          PROVENANCE.MODELED,
+          PROVENANCE_SOURCES.MISSION_MODEL
+        ),
+        ...tagFields(['battery_charge', 'power_generation'], PROVENANCE.MODELED, PROVENANCE_SOURCES.POWER_MODEL),
+        sol_duration: createProvenance(PROVENANCE.DERIVED, PROVENANCE_SOURCES.MARS_CONSTANTS),
+        temperature: weather.provenance.temperature,
+        min_temperature: weather.provenance.min_temperature,
+        max_temperature: weather.provenance.max_temperature,
+        wind_speed: weather.provenance.wind_speed,
+        uv_index: weather.provenance.uv_index,
+        atmospheric_pressure: weather.provenance.pressure
+      }
     };
 
     this.dataCache.telemetry.set(sol, telemetry);
@@ -247,7 +295,7 @@ class MissionStateManager {
   }
 
   jumpToEvent(eventSol) {
-    const event = MISSION_EVENTS[eventSol];
+    const event = getMissionEvents(this.currentRover)[eventSol];
     if (event) {
       this.selectedEvent = { sol: eventSol, ...event };
       this.jumpToSol(eventSol);
@@ -266,8 +314,18 @@ class MissionStateManager {
     this.currentRover = newRover;
     this.dataCache.photos.clear();
     this.dataCache.telemetry.clear();
+    this.dataCache.positions.clear();
+    
+    // Each rover has its own sol range - refresh max sol and keep current sol inside it
+    try {
+      this.maxSol = await getCurrentMaxSol(newRover);
+    } catch (error) {
+      console.warn('Failed to load max_sol for new rover, using fallback:', error);
+      this.maxSol = getRoverProfile(newRover).fallbackMaxSol;
+    }
+    this.currentSol = Math.min(this.currentSol, this.maxSol);
     
-    globalEventDispatcher.emit('rover_changed', { rover: newRover });
+    globalEventDispatcher.emit('rover_changed', { rover: newRover, maxSol: this.maxSol });
     await this.loadSolData(this.currentSol);
   }
 
@@ -280,7 +338,7 @@ class MissionStateManager {
       autoPlay: this.autoPlay,
       playbackSpeed: this.playbackSpeed,
       position: this.getPositionForSol(this.currentSol),
-      phase: getMissionPhase(this.currentSol)
+      phase: getMissionPhase(this.currentSol, this.currentRover)
     };
   }
 }
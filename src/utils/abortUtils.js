@@ -0,0 +1,66 @@
+// Request Cancellation Utilities
+// Shared AbortSignal helpers for the API stack (getRoverData -> NASAApiService -> data sources)
+
+/**
+ * Create the error thrown when a request is cancelled
+ * @param {string} message - Error message
+ * @returns {Error} Error with name 'AbortError' (matches fetch's abort behaviour)
+ */
+export const createAbortError = (message = 'Request was cancelled') => {
+  if (typeof DOMException !== 'undefined') {
+    return new DOMException(message, 'AbortError');
+  }
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Check whether an error comes from a cancelled request
+ * @param {*} error - Caught error
+ * @returns {boolean} True for abort errors
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+/**
+ * Throw an AbortError if the signal has been aborted
+ * @param {AbortSignal|null} signal - Optional abort signal
+ */
+export const throwIfAborted = (signal) => {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+};
+
+/**
+ * Sleep that ends early (rejecting with an AbortError) when the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal|null} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+export const abortableSleep = (ms, signal = null) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const abortUtils = {
+  createAbortError,
+  isAbortError,
+  throwIfAborted,
+  abortableSleep
+};
+
+export default abortUtils;
@@ -0,0 +1,212 @@
+// Earth-Mars Geometry
+// Analytic ephemeris (JPL Keplerian elements, Standish 1992) for Earth-Mars distance, one-way light time,
+// Sun-Earth-Mars angle and solar conjunction windows when commanding is suspended
+
+import { DEFAULT_ROVER } from '../data/roverProfiles.js';
+import { earthDateToSol, solToEarthDate } from './marsTime.js';
+
+const MS_PER_DAY = 86400000;
+const JD_UNIX_EPOCH = 2440587.5; // Julian date of 1970-01-01T00:00:00Z
+const JD_J2000 = 2451545.0;
+const AU_KM = 149597870.7;
+const SPEED_OF_LIGHT_KM_S = 299792.458;
+
+// Missions stop sending commands while Mars is this close to the Sun as seen from Earth (solar plasma corrupts the link)
+export const CONJUNCTION_ANGLE_DEG = 3;
+
+// Keplerian elements at J2000 and rates per Julian century, valid 1800-2050:
+// semi-major axis (AU), eccentricity, inclination, mean longitude, longitude of perihelion, ascending node (degrees)
+const ORBITAL_ELEMENTS = {
+  earth: {
+    a: [1.00000261, 0.00000562],
+    e: [0.01671123, -0.00004392],
+    i: [-0.00001531, -0.01294668],
+    L: [100.46457166, 35999.37244981],
+    perihelion: [102.93768193, 0.32327364],
+    node: [0, 0]
+  },
+  mars: {
+    a: [1.52371034, 0.00001847],
+    e: [0.09339410, 0.00007882],
+    i: [1.84969142, -0.00813131],
+    L: [-4.55343205, 19140.30268499],
+    perihelion: [-23.94362959, 0.44441088],
+    node: [49.55953891, -0.29257343]
+  }
+};
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+const toMillis = (date) => (date instanceof Date ? date.getTime() : new Date(date).getTime());
+
+// Mean anomaly to eccentric anomaly (Newton iteration on Kepler's equation)
+const solveKepler = (meanAnomaly, eccentricity) => {
+  let eccentricAnomaly = meanAnomaly;
+  for (let iteration = 0; iteration < 10; iteration++) {
+    const delta = (eccentricAnomaly - eccentricity * Math.sin(eccentricAnomaly) - meanAnomaly) /
+      (1 - eccentricity * Math.cos(eccentricAnomaly));
+    eccentricAnomaly -= delta;
+    if (Math.abs(delta) < 1e-12) break;
+  }
+  return eccentricAnomaly;
+};
+
+/**
+ * Heliocentric ecliptic position of a planet (J2000 ecliptic and equinox)
+ * @param {string} planet - 'earth' or 'mars'
+ * @param {Date|string|number} date - Earth time (UTC)
+ * @returns {{x: number, y: number, z: number}} Position in AU
+ */
+export const getHeliocentricPosition = (planet, date) => {
+  const centuries = (JD_UNIX_EPOCH + toMillis(date) / MS_PER_DAY - JD_J2000) / 36525;
+  const element = (name) => ORBITAL_ELEMENTS[planet][name][0] + ORBITAL_ELEMENTS[planet][name][1] * centuries;
+
+  const a = element('a');
+  const e = element('e');
+  const inclination = toRadians(element('i'));
+  const node = toRadians(element('node'));
+  const argumentOfPerihelion = toRadians(element('perihelion')) - node;
+  const meanAnomaly = toRadians(((element('L') - element('perihelion')) % 360 + 540) % 360 - 180);
+
+  const eccentricAnomaly = solveKepler(meanAnomaly, e);
+  const orbitalX = a * (Math.cos(eccentricAnomaly) - e);
+  const orbitalY = a * Math.sqrt(1 - e * e) * Math.sin(eccentricAnomaly);
+
+  const cosW = Math.cos(argumentOfPerihelion);
+  const sinW = Math.sin(argumentOfPerihelion);
+  const cosN = Math.cos(node);
+  const sinN = Math.sin(node);
+  const cosI = Math.cos(inclination);
+  const sinI = Math.sin(inclination);
+
+  return {
+    x: (cosW * cosN - sinW * sinN * cosI) * orbitalX + (-sinW * cosN - cosW * sinN * cosI) * orbitalY,
+    y: (cosW * sinN + sinW * cosN * cosI) * orbitalX + (-sinW * sinN + cosW * cosN * cosI) * orbitalY,
+    z: (sinW * sinI) * orbitalX + (cosW * sinI) * orbitalY
+  };
+};
+
+const length = (v) => Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+const angleBetween = (u, v) => toDegrees(Math.acos(Math.max(-1, Math.min(1, (u.x * v.x + u.y * v.y + u.z * v.z) / (length(u) * length(v))))));
+
+/**
+ * Earth-Mars geometry at an Earth time
+ * @param {Date|string|number} date - Earth time (UTC)
+ * @returns {Object} { date, distanceAu, distanceKm, lightTimeSeconds, lightTimeMinutes, sunEarthMarsAngle,
+ *   sunDistanceAu, inConjunction }
+ */
+export const getEarthMarsGeometry = (date) => {
+  const earth = getHeliocentricPosition('earth', date);
+  const mars = getHeliocentricPosition('mars', date);
+  const earthToMars = { x: mars.x - earth.x, y: mars.y - earth.y, z: mars.z - earth.z };
+  const earthToSun = { x: -earth.x, y: -earth.y, z: -earth.z };
+
+  const distanceAu = length(earthToMars);
+  const distanceKm = distanceAu * AU_KM;
+  const lightTimeSeconds = distanceKm / SPEED_OF_LIGHT_KM_S;
+  const sunEarthMarsAngle = angleBetween(earthToSun, earthToMars);
+
+  return {
+    date: new Date(toMillis(date)),
+    distanceAu,
+    distanceKm,
+    lightTimeSeconds,
+    lightTimeMinutes: lightTimeSeconds / 60,
+    sunEarthMarsAngle,
+    sunDistanceAu: length(mars),
+    inConjunction: sunEarthMarsAngle < CONJUNCTION_ANGLE_DEG
+  };
+};
+
+/**
+ * Earth-Mars geometry at local noon of a mission sol
+ * @param {number} sol - Mission sol
+ * @param {string} rover - Rover id
+ * @returns {Object} getEarthMarsGeometry fields plus { sol }
+ */
+export const getSolGeometry = (sol, rover = DEFAULT_ROVER) => ({
+  ...getEarthMarsGeometry(solToEarthDate(sol, rover)),
+  sol
+});
+
+/**
+ * Solar conjunction windows - spans when the Sun-Earth-Mars angle is under the threshold
+ * @param {Date|string|number} start - Earth time to search from
+ * @param {Date|string|number} end - Earth time to search to
+ * @param {number} thresholdDeg - Angle below which commanding is suspended (default: CONJUNCTION_ANGLE_DEG)
+ * @returns {Array<Object>} { start, end, closest, minAngle } per window, in Earth time
+ */
+export const findConjunctionWindows = (start, end, thresholdDeg = CONJUNCTION_ANGLE_DEG) => {
+  const windows = [];
+  let current = null;
+
+  // Daily samples - the angle changes by well under a degree per day near conjunction
+  for (let millis = toMillis(start); millis <= toMillis(end) + MS_PER_DAY; millis += MS_PER_DAY) {
+    const { sunEarthMarsAngle } = getEarthMarsGeometry(millis);
+    if (sunEarthMarsAngle < thresholdDeg) {
+      if (!current) {
+        current = { start: new Date(millis), end: new Date(millis), closest: new Date(millis), minAngle: sunEarthMarsAngle };
+      }
+      current.end = new Date(millis);
+      if (sunEarthMarsAngle < current.minAngle) {
+        current.minAngle = sunEarthMarsAngle;
+        current.closest = new Date(millis);
+      }
+    } else if (current) {
+      windows.push(current);
+      current = null;
+    }
+  }
+  if (current) windows.push(current);
+  return windows;
+};
+
+// Sol windows per rover and range
+const solWindowCache = new Map();
+
+/**
+ * Solar conjunction windows within a range of mission sols
+ * @param {number} startSol - First sol
+ * @param {number} endSol - Last sol
+ * @param {string} rover - Rover id
+ * @returns {Array<Object>} findConjunctionWindows fields plus { startSol, endSol, closestSol }
+ */
+export const getConjunctionWindowsForSols = (startSol, endSol, rover = DEFAULT_ROVER) => {
+  const key = `${rover}:${startSol}:${endSol}`;
+  if (!solWindowCache.has(key)) {
+    const windows = findConjunctionWindows(solToEarthDate(startSol, rover, 0), solToEarthDate(endSol, rover, 24))
+      .map(window => ({
+        ...window,
+        startSol: earthDateToSol(window.start, rover),
+        endSol: earthDateToSol(window.end, rover),
+        closestSol: earthDateToSol(window.closest, rover)
+      }));
+    solWindowCache.set(key, windows);
+  }
+  return solWindowCache.get(key);
+};
+
+/**
+ * The solar conjunction window a sol falls in
+ * @param {number} sol - Mission sol
+ * @param {string} rover - Rover id
+ * @returns {Object|null} The window (see getConjunctionWindowsForSols), or null outside conjunction
+ */
+export const getConjunctionForSol = (sol, rover = DEFAULT_ROVER) => {
+  // Search fixed 500-sol blocks padded by 40 sols (windows last a few weeks) so neighbouring sols share the cache
+  const blockStart = Math.floor(sol / 500) * 500;
+  const windows = getConjunctionWindowsForSols(Math.max(0, blockStart - 40), blockStart + 540, rover);
+  return windows.find(window => sol >= window.startSol && sol <= window.endSol) || null;
+};
+
+const earthMarsGeometry = {
+  CONJUNCTION_ANGLE_DEG,
+  getHeliocentricPosition,
+  getEarthMarsGeometry,
+  getSolGeometry,
+  findConjunctionWindows,
+  getConjunctionWindowsForSols,
+  getConjunctionForSol
+};
+
+export default earthMarsGeometry;
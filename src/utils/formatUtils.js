@@ -0,0 +1,27 @@
+// Display Formatting Utilities
+// Shared helpers for rendering values consistently across dashboard components
+
+/**
+ * Format a data age in milliseconds as a compact label
+ * @param {number} ageMs - Age in milliseconds
+ * @returns {string} Label such as "45s", "12m", "3h 20m" or "2d 4h"
+ */
+export const formatDataAge = (ageMs) => {
+  const seconds = Math.max(0, Math.floor((ageMs || 0) / 1000));
+  if (seconds < 60) return `${seconds}s`;
+
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+
+  const days = Math.floor(hours / 24);
+  return hours % 24 ? `${days}d ${hours % 24}h` : `${days}d`;
+};
+
+const formatUtils = {
+  formatDataAge
+};
+
+export default formatUtils;
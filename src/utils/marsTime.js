@@ -0,0 +1,294 @@
+// Mars Time
+// Mars24-style clock (Allison & McEwen 2000): Mars Sol Date, Coordinated Mars Time, local mean/true solar time,
+// solar longitude (Ls), Mars year and per-rover mission sols
+
+import { DEFAULT_ROVER, SOL_TO_EARTH_RATIO, getRoverProfile } from '../data/roverProfiles.js';
+
+const MS_PER_DAY = 86400000;
+const JD_UNIX_EPOCH = 2440587.5; // Julian date of 1970-01-01T00:00:00Z
+const JD_J2000 = 2451545.0; // Julian date (TT) of the J2000 epoch
+const TT_MINUS_TAI = 32.184; // seconds
+
+// Sols in a Mars year (Ls 0 -> Ls 360)
+export const SOLS_PER_MARS_YEAR = 668.5991;
+
+// TAI-UTC leap seconds, effective from each UTC date
+const LEAP_SECONDS = [
+  ['1972-01-01', 10], ['1972-07-01', 11], ['1973-01-01', 12], ['1974-01-01', 13], ['1975-01-01', 14],
+  ['1976-01-01', 15], ['1977-01-01', 16], ['1978-01-01', 17], ['1979-01-01', 18], ['1980-01-01', 19],
+  ['1981-07-01', 20], ['1982-07-01', 21], ['1983-07-01', 22], ['1985-07-01', 23], ['1988-01-01', 24],
+  ['1990-01-01', 25], ['1991-01-01', 26], ['1992-07-01', 27], ['1993-07-01', 28], ['1994-07-01', 29],
+  ['1996-01-01', 30], ['1997-07-01', 31], ['1999-01-01', 32], ['2006-01-01', 33], ['2009-01-01', 34],
+  ['2012-07-01', 35], ['2015-07-01', 36], ['2017-01-01', 37]
+].map(([date, seconds]) => [Date.parse(`${date}T00:00:00Z`), seconds]);
+
+// Perturbations of Mars' orbit by the other planets: amplitude (°), period (years), phase (°)
+const PLANETARY_PERTURBATIONS = [
+  [0.0071, 2.2353, 49.409],
+  [0.0057, 2.7543, 168.173],
+  [0.0039, 1.1177, 191.837],
+  [0.0037, 15.7866, 21.736],
+  [0.0021, 2.1354, 15.704],
+  [0.0020, 2.4694, 95.528],
+  [0.0018, 32.8493, 49.095]
+];
+
+// Mars Year 1 began at Ls 0 on 1955-04-11 (Clancy et al. 2000)
+const MARS_YEAR_ONE_START = Date.parse('1955-04-11T00:00:00Z');
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const mod = (value, modulus) => ((value % modulus) + modulus) % modulus;
+
+const toMillis = (date) => (date instanceof Date ? date.getTime() : new Date(date).getTime());
+
+// TT - UTC in seconds (before 1972 the 1972 offset is used)
+const getTTMinusUTC = (millis) => {
+  let taiMinusUtc = LEAP_SECONDS[0][1];
+  for (const [effective, seconds] of LEAP_SECONDS) {
+    if (millis < effective) break;
+    taiMinusUtc = seconds;
+  }
+  return taiMinusUtc + TT_MINUS_TAI;
+};
+
+// Days since J2000 in Terrestrial Time
+const getDaysSinceJ2000 = (millis) => {
+  const jdUT = JD_UNIX_EPOCH + millis / MS_PER_DAY;
+  return jdUT + getTTMinusUTC(millis) / 86400 - JD_J2000;
+};
+
+/**
+ * Mars Sol Date - sols since 1873-12-29 (the Mars24 epoch), at the prime meridian
+ * @param {Date|string|number} date - Earth time (UTC)
+ * @returns {number} Fractional Mars Sol Date
+ */
+export const getMarsSolDate = (date = new Date()) => {
+  const daysSinceJ2000 = getDaysSinceJ2000(toMillis(date));
+  return (daysSinceJ2000 - 4.5) / SOL_TO_EARTH_RATIO + 44796.0 - 0.0009626;
+};
+
+/**
+ * Earth time of a Mars Sol Date (inverse of getMarsSolDate)
+ * @param {number} msd - Mars Sol Date
+ * @returns {Date} Earth time (UTC)
+ */
+export const marsSolDateToEarthDate = (msd) => {
+  const daysSinceJ2000 = (msd - 44796.0 + 0.0009626) * SOL_TO_EARTH_RATIO + 4.5;
+  const ttMillis = (daysSinceJ2000 + JD_J2000 - JD_UNIX_EPOCH) * MS_PER_DAY;
+  // TT - UTC only changes at leap seconds, so one correction step is exact away from those instants
+  return new Date(Math.round(ttMillis - getTTMinusUTC(ttMillis) * 1000));
+};
+
+// Orbital terms shared by Ls and the equation of time
+const getOrbitalTerms = (daysSinceJ2000) => {
+  const meanAnomaly = 19.3871 + 0.52402073 * daysSinceJ2000;
+  const fictitiousMeanSun = 270.3871 + 0.524038496 * daysSinceJ2000;
+  const perturbations = PLANETARY_PERTURBATIONS.reduce((sum, [amplitude, period, phase]) => (
+    sum + amplitude * Math.cos(toRadians((0.985626 * daysSinceJ2000) / period + phase))
+  ), 0);
+
+  const m = toRadians(meanAnomaly);
+  const equationOfCenter = (10.691 + 3.0e-7 * daysSinceJ2000) * Math.sin(m) +
+    0.623 * Math.sin(2 * m) + 0.050 * Math.sin(3 * m) + 0.005 * Math.sin(4 * m) + 0.0005 * Math.sin(5 * m) +
+    perturbations;
+
+  const ls = mod(fictitiousMeanSun + equationOfCenter, 360);
+  const l = toRadians(ls);
+  const equationOfTime = 2.861 * Math.sin(2 * l) - 0.071 * Math.sin(4 * l) + 0.002 * Math.sin(6 * l) - equationOfCenter;
+
+  return { ls, equationOfTime };
+};
+
+/**
+ * Areocentric solar longitude - 0° northern spring equinox, 90° northern summer solstice, ...
+ * @param {Date|string|number} date - Earth time (UTC)
+ * @returns {number} Ls in degrees [0, 360)
+ */
+export const getSolarLongitude = (date = new Date()) => getOrbitalTerms(getDaysSinceJ2000(toMillis(date))).ls;
+
+/**
+ * Mars year (Clancy numbering - MY 1 began 1955-04-11)
+ * @param {Date|string|number} date - Earth time (UTC)
+ * @returns {number} Mars year
+ */
+export const getMarsYear = (date = new Date()) => {
+  const years = (getMarsSolDate(date) - getMarsSolDate(MARS_YEAR_ONE_START)) / SOLS_PER_MARS_YEAR;
+  // The sol count only approximates the year length; Ls decides where the year boundary falls
+  return 1 + Math.round(years - getSolarLongitude(date) / 360);
+};
+
+/**
+ * Season for a hemisphere at a solar longitude
+ * @param {number} ls - Solar longitude in degrees
+ * @param {number} latitude - Latitude deciding the hemisphere (default: northern)
+ * @returns {string} 'Spring' | 'Summer' | 'Autumn' | 'Winter'
+ */
+export const getMarsSeason = (ls, latitude = 0) => {
+  const seasons = latitude < 0 ? ['Autumn', 'Winter', 'Spring', 'Summer'] : ['Spring', 'Summer', 'Autumn', 'Winter'];
+  return seasons[Math.floor(mod(ls, 360) / 90)];
+};
+
+/**
+ * Format decimal hours as HH:MM:SS
+ * @param {number} hours - Hours in [0, 24)
+ * @returns {string} e.g. '14:05:09'
+ */
+export const formatMarsClock = (hours) => {
+  const totalSeconds = Math.floor(mod(hours, 24) * 3600);
+  return [Math.floor(totalSeconds / 3600), Math.floor(totalSeconds / 60) % 60, totalSeconds % 60]
+    .map(part => String(part).padStart(2, '0'))
+    .join(':');
+};
+
+/**
+ * Full Mars clock for an Earth time at a longitude
+ * @param {Date|string|number} date - Earth time (UTC)
+ * @param {number} longitude - Planetocentric east longitude in degrees (default: prime meridian)
+ * @returns {Object} { msd, mtc, lmst, ltst, equationOfTime, ls, marsYear, earthDate } - times in decimal hours
+ */
+export const getMarsTime = (date = new Date(), longitude = 0) => {
+  const millis = toMillis(date);
+  const msd = getMarsSolDate(millis);
+  const { ls, equationOfTime } = getOrbitalTerms(getDaysSinceJ2000(millis));
+  const mtc = mod(24 * msd, 24);
+  const lmst = mod(mtc + longitude / 15, 24);
+
+  return {
+    msd,
+    mtc,
+    lmst,
+    ltst: mod(lmst + equationOfTime / 15, 24),
+    equationOfTime, // degrees; LTST - LMST in hours is equationOfTime / 15
+    ls,
+    marsYear: getMarsYear(millis),
+    earthDate: new Date(millis)
+  };
+};
+
+// Local Mars Sol Date at a longitude - increments at local mean midnight
+const getLocalSolDate = (msd, longitude) => msd + longitude / 360;
+
+const solEpochs = new Map();
+
+/**
+ * Local Mars Sol Date at which a rover's sol 0 began
+ * Sols are counted in local mean solar time at the landing site from the sol the rover landed
+ * (sol 0 for Mars 2020/MSL, sol 1 for MER)
+ * @param {string} rover - Rover id
+ * @returns {number} Integer local MSD of sol 0
+ */
+export const getSolEpoch = (rover = DEFAULT_ROVER) => {
+  const profile = getRoverProfile(rover);
+  if (!solEpochs.has(profile.id)) {
+    const landingMsd = getMarsSolDate(profile.landingTimestamp);
+    solEpochs.set(profile.id, Math.floor(getLocalSolDate(landingMsd, profile.landingSite.lon)) - profile.landingSol);
+  }
+  return solEpochs.get(profile.id);
+};
+
+/**
+ * Mission sol for an Earth time
+ * @param {Date|string|number} earthDate - Earth time (UTC)
+ * @param {string} rover - Rover id
+ * @returns {number} Mission sol
+ */
+export const earthDateToSol = (earthDate, rover = DEFAULT_ROVER) => {
+  const { landingSite } = getRoverProfile(rover);
+  return Math.floor(getLocalSolDate(getMarsSolDate(earthDate), landingSite.lon)) - getSolEpoch(rover);
+};
+
+/**
+ * Earth time of a moment in a mission sol
+ * @param {number} sol - Mission sol
+ * @param {string} rover - Rover id
+ * @param {number} lmstHours - Local mean solar time within the sol (default: local noon)
+ * @returns {Date} Earth time (UTC)
+ */
+export const solToEarthDate = (sol, rover = DEFAULT_ROVER, lmstHours = 12) => {
+  const { landingSite } = getRoverProfile(rover);
+  const localSolDate = getSolEpoch(rover) + sol + lmstHours / 24;
+  return marsSolDateToEarthDate(localSolDate - landingSite.lon / 360);
+};
+
+/**
+ * Mars time at a rover's site - its mission sol plus the local clock and season
+ * @param {string} rover - Rover id
+ * @param {Date|string|number} date - Earth time (UTC)
+ * @param {Object} location - { lat, lon } (default: landing site)
+ * @returns {Object} getMarsTime fields plus { sol, season, lmstClock, ltstClock }
+ */
+export const getRoverMarsTime = (rover = DEFAULT_ROVER, date = new Date(), location = null) => {
+  const { landingSite } = getRoverProfile(rover);
+  const site = location || landingSite;
+  const marsTime = getMarsTime(date, site.lon);
+
+  return {
+    ...marsTime,
+    sol: earthDateToSol(date, rover),
+    season: getMarsSeason(marsTime.ls, site.lat),
+    lmstClock: formatMarsClock(marsTime.lmst),
+    ltstClock: formatMarsClock(marsTime.ltst)
+  };
+};
+
+/**
+ * Mars time at local noon of a mission sol
+ * @param {number} sol - Mission sol
+ * @param {string} rover - Rover id
+ * @returns {Object} getRoverMarsTime fields for the sol's midpoint
+ */
+export const getSolMarsTime = (sol, rover = DEFAULT_ROVER) => getRoverMarsTime(rover, solToEarthDate(sol, rover));
+
+// J2000 epoch (2000-01-01T12:00:00 TT) - rover spacecraft clocks count seconds from it
+const J2000_TT_MILLIS = Date.UTC(2000, 0, 1, 12);
+
+/**
+ * Earth time of a rover spacecraft clock (SCLK) reading
+ * @param {number} sclk - Seconds since J2000
+ * @returns {Date} Earth time (UTC), accurate to a few seconds (clock drift isn't modelled)
+ */
+export const sclkToEarthDate = (sclk) => {
+  const ttMillis = J2000_TT_MILLIS + sclk * 1000;
+  return new Date(ttMillis - getTTMinusUTC(ttMillis) * 1000);
+};
+
+// Raw image filenames embed the SCLK of the exposure
+const IMAGE_SCLK_PATTERNS = [
+  /\/[A-Z]{3}_\d{4}_(\d{10})_/, // Mars 2020: NLF_0100_0675158613_...
+  /\/[A-Z]{3}_(\d{9})[A-Z]{3}_/, // MSL: NLB_486265257EDR_...
+  /\/\d[A-Z](\d{9})[A-Z]{3}/ // MER: 1N128285511EFF...
+];
+
+/**
+ * Capture time of a raw rover image, read from the SCLK in its filename
+ * NASA's photo API only reports the sol and Earth date, not the time of the exposure.
+ * @param {string} imageUrl - Raw image URL
+ * @returns {Date|null} Earth time (UTC), or null when the filename has no clock
+ */
+export const getImageCaptureTime = (imageUrl) => {
+  for (const pattern of IMAGE_SCLK_PATTERNS) {
+    const match = pattern.exec(imageUrl || '');
+    if (match) return sclkToEarthDate(Number(match[1]));
+  }
+  return null;
+};
+
+const marsTime = {
+  SOLS_PER_MARS_YEAR,
+  getMarsSolDate,
+  marsSolDateToEarthDate,
+  getSolarLongitude,
+  getMarsYear,
+  getMarsSeason,
+  formatMarsClock,
+  getMarsTime,
+  getSolEpoch,
+  earthDateToSol,
+  solToEarthDate,
+  getRoverMarsTime,
+  getSolMarsTime,
+  sclkToEarthDate,
+  getImageCaptureTime
+};
+
+export default marsTime;
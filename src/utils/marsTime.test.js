@@ -0,0 +1,73 @@
+import {
+  earthDateToSol,
+  formatMarsClock,
+  getImageCaptureTime,
+  getMarsSeason,
+  getMarsSolDate,
+  getMarsTime,
+  getMarsYear,
+  getSolarLongitude,
+  getSolMarsTime,
+  marsSolDateToEarthDate,
+  solToEarthDate
+} from './marsTime';
+
+// Worked example A from the Mars24 algorithm (Allison & McEwen 2000): 2000-01-06T00:00:00Z
+const MARS24_EXAMPLE = Date.UTC(2000, 0, 6);
+
+describe('marsTime', () => {
+  test('matches the Mars24 worked example', () => {
+    const time = getMarsTime(MARS24_EXAMPLE);
+
+    expect(time.msd).toBeCloseTo(44795.99976, 5);
+    expect(time.mtc).toBeCloseTo(23.99425, 4);
+    expect(time.ls).toBeCloseTo(277.18758, 4);
+    expect(time.equationOfTime).toBeCloseTo(-5.18774, 4);
+  });
+
+  test('converts a Mars Sol Date back to the same Earth time', () => {
+    const date = new Date('2023-03-04T05:06:07Z');
+    expect(marsSolDateToEarthDate(getMarsSolDate(date))).toEqual(date);
+  });
+
+  test('Mars years and solar longitude follow the Clancy calendar', () => {
+    // Mars Year 36 began at Ls 0 on 2021-02-07
+    expect(getSolarLongitude('2021-02-07T12:00:00Z')).toBeCloseTo(0, 1);
+    expect(getMarsYear('2021-02-18T20:55:00Z')).toBe(36);
+    expect(getMarsYear('2012-08-06T05:17:57Z')).toBe(31);
+  });
+
+  test('seasons are reversed in the southern hemisphere', () => {
+    expect(getMarsSeason(150, 18.4)).toBe('Summer');
+    expect(getMarsSeason(150, -4.6)).toBe('Winter');
+    expect(getMarsSeason(370)).toBe('Spring');
+  });
+
+  test('each rover counts sols from its landing', () => {
+    expect(earthDateToSol('2021-02-18T20:55:00Z', 'perseverance')).toBe(0);
+    expect(earthDateToSol('2012-08-06T05:17:57Z', 'curiosity')).toBe(0);
+    // MER missions count the landing day as sol 1
+    expect(earthDateToSol('2004-01-25T05:05:00Z', 'opportunity')).toBe(1);
+  });
+
+  test('mission sols map to the Earth dates NASA reports for them', () => {
+    expect(solToEarthDate(1000, 'curiosity').toISOString().split('T')[0]).toBe('2015-05-30');
+    expect(solToEarthDate(100, 'perseverance').toISOString().split('T')[0]).toBe('2021-06-01');
+    expect(earthDateToSol(solToEarthDate(1000, 'curiosity'), 'curiosity')).toBe(1000);
+    expect(getSolMarsTime(1000, 'curiosity').lmstClock).toMatch(/^(11:59:59|12:00:00)$/);
+  });
+
+  test('reads the capture time from a raw image filename', () => {
+    const captured = getImageCaptureTime(
+      'https://mars.nasa.gov/msl-raw-images/proj/msl/redops/ods/surface/sol/01000/opgs/edr/ncam/NLB_486265257EDR_F0481570NCAM00323M_.JPG'
+    );
+
+    expect(earthDateToSol(captured, 'curiosity')).toBe(1000);
+    expect(getImageCaptureTime('https://example.com/image.jpg')).toBeNull();
+  });
+
+  test('formats decimal hours as a 24-hour clock', () => {
+    expect(formatMarsClock(14.0858)).toBe('14:05:08');
+    expect(formatMarsClock(-1)).toBe('23:00:00');
+  });
+});
@@ -1,14 +1,18 @@
 // NASA Manifest Utilities - Centralized Sol Data Management
-// Single source of truth for max_sol and mission data with event-driven architecture
+// Single source of truth for max_sol and mission data with event-driven architecture; a manifest watcher diffs
+// successive manifests into new-sol, late-downlink, new-camera and mission-status events
 
 import NASAApiService from '../api/nasaApiService.js';
+import { REQUEST_PRIORITY } from '../api/requestScheduler.js';
 import unifiedCache from '../api/unifiedCacheSystem.js';
+import { getRoverProfile } from '../data/roverProfiles.js';
+import { normalizeManifest } from '../api/nasaSchemas.js';
 
-// Event system for max sol updates
+// Event system for max sol updates and manifest changes
 class MaxSolEventDispatcher {
   constructor() {
     this.listeners = new Map();
-    this.lastKnownMaxSol = null;
+    this.lastKnownMaxSol = {}; // Keyed by rover name
   }
 
   subscribe(event, callback) {
@@ -49,6 +53,127 @@ const nasaApiService = new NASAApiService();
 
 // Cache duration for manifest data (5 minutes)
 const MANIFEST_CACHE_DURATION = 5 * 60 * 1000;
+// Watcher polls bypass the cache, so each one is a request against the hourly quota (4/hour)
+const MANIFEST_POLL_INTERVAL = 15 * 60 * 1000;
+
+// Events emitted when a manifest differs from the previous one seen for the rover
+export const MANIFEST_EVENTS = {
+  NEW_SOLS: 'manifest_new_sols', // Sols that weren't in the manifest before
+  PHOTO_COUNT_CHANGED: 'manifest_photo_count_changed', // Late downlinks to sols already listed
+  NEW_CAMERAS: 'manifest_new_cameras', // Cameras returning images for the first time
+  STATUS_CHANGED: 'manifest_status_changed' // Mission status (e.g. active -> complete)
+};
+
+/**
+ * Diff two normalized manifests of the same rover
+ * @param {Object} previous - Earlier manifest (normalizeManifest output)
+ * @param {Object} current - Later manifest (normalizeManifest output)
+ * @param {string} rover - The rover name
+ * @returns {Array<Object>} Events ({ id, type, rover, timestamp, ... }), empty when nothing changed
+ */
+export const diffManifests = (previous, current, rover) => {
+  const timestamp = Date.now();
+  const events = [];
+  const addEvent = (type, details) => events.push({ id: `${type}_${rover}_${timestamp}`, type, rover, timestamp, ...details });
+  const previousSols = new Map(previous.sols.map(entry => [entry.sol, entry]));
+
+  const newSols = current.sols.filter(entry => !previousSols.has(entry.sol));
+  if (newSols.length > 0) {
+    addEvent(MANIFEST_EVENTS.NEW_SOLS, {
+      sols: newSols.map(({ sol, totalPhotos, cameras }) => ({ sol, totalPhotos, cameras })),
+      totalPhotos: newSols.reduce((sum, entry) => sum + entry.totalPhotos, 0),
+      maxSol: current.maxSol,
+      previousMaxSol: previous.maxSol
+    });
+  }
+
+  const changes = current.sols.flatMap(entry => {
+    const before = previousSols.get(entry.sol);
+    return before && before.totalPhotos !== entry.totalPhotos
+      ? [{ sol: entry.sol, previousTotalPhotos: before.totalPhotos, totalPhotos: entry.totalPhotos }]
+      : [];
+  });
+  if (changes.length > 0) {
+    addEvent(MANIFEST_EVENTS.PHOTO_COUNT_CHANGED, {
+      changes,
+      delta: changes.reduce((sum, change) => sum + change.totalPhotos - change.previousTotalPhotos, 0)
+    });
+  }
+
+  // First sol each previously unseen camera appears on
+  const knownCameras = new Set(previous.sols.flatMap(entry => entry.cameras));
+  const newCameras = new Map();
+  current.sols.forEach(entry => entry.cameras.forEach(camera => {
+    if (!knownCameras.has(camera) && !newCameras.has(camera)) newCameras.set(camera, entry.sol);
+  }));
+  if (newCameras.size > 0) {
+    addEvent(MANIFEST_EVENTS.NEW_CAMERAS, {
+      cameras: Array.from(newCameras, ([camera, sol]) => ({ camera, sol }))
+    });
+  }
+
+  if (previous.status !== current.status) {
+    addEvent(MANIFEST_EVENTS.STATUS_CHANGED, {
+      previousStatus: previous.status,
+      status: current.status,
+      maxSol: current.maxSol
+    });
+  }
+
+  return events;
+};
+
+// Keeps the last manifest seen per rover and emits MANIFEST_EVENTS when a newer one differs
+class ManifestWatcher {
+  constructor() {
+    this.snapshots = new Map(); // rover -> normalized manifest
+    this.timers = new Map(); // rover -> interval id
+  }
+
+  // Diff against the previous manifest; the first one seen for a rover is the baseline and emits nothing
+  observe(rover, manifest) {
+    const previous = this.snapshots.get(rover);
+    this.snapshots.set(rover, manifest);
+    if (!previous || previous === manifest) return [];
+
+    const events = diffManifests(previous, manifest, rover);
+    events.forEach(event => maxSolEventDispatcher.emit(event.type, event));
+    return events;
+  }
+
+  // Fetch a fresh manifest and diff it - the cached copy lives for an hour, so it would hide new sols
+  // (the response still refreshes the shared cache entry)
+  async check(rover = 'perseverance') {
+    try {
+      const manifestData = await nasaApiService.getRoverManifest(rover, {
+        priority: REQUEST_PRIORITY.BACKGROUND,
+        caller: 'manifest-watcher',
+        forceRefresh: true
+      });
+      return this.observe(rover, normalizeManifest(manifestData, `manifest_${rover}`));
+    } catch (error) {
+      console.warn(`Manifest watcher check failed for ${rover}:`, error);
+      return [];
+    }
+  }
+
+  // Check now and then every `interval` ms until the returned function is called
+  watch(rover = 'perseverance', interval = MANIFEST_POLL_INTERVAL) {
+    if (!this.timers.has(rover)) {
+      this.check(rover);
+      this.timers.set(rover, setInterval(() => this.check(rover), interval));
+    }
+    return () => this.unwatch(rover);
+  }
+
+  unwatch(rover) {
+    clearInterval(this.timers.get(rover));
+    this.timers.delete(rover);
+  }
+}
+
+// Global manifest watcher
+export const manifestWatcher = new ManifestWatcher();
 
 /**
  * Get the current maximum sol from NASA manifest data with centralized caching and events
@@ -64,13 +189,15 @@ export const getCurrentMaxSol = async (rover = 'perseverance', emitEvents = true
     // Check cache first
     const cached = unifiedCache.get(cacheKey);
     if (cached && (Date.now() - cached.timestamp) < MANIFEST_CACHE_DURATION) {
-      maxSolEventDispatcher.lastKnownMaxSol = cached.maxSol;
+      maxSolEventDispatcher.lastKnownMaxSol[rover] = cached.maxSol;
       return cached.maxSol;
     }
     
     // Fetch fresh manifest data
     const manifestData = await nasaApiService.getRoverManifest(rover);
-    const maxSol = manifestData.photo_manifest.max_sol;
+    const manifest = normalizeManifest(manifestData, `manifest_${rover}`); // Throws on schema errors -> fallback below
+    const { maxSol } = manifest;
+    manifestWatcher.observe(rover, manifest);
     
     // Cache the result
     const cacheData = {
@@ -87,9 +214,9 @@ export const getCurrentMaxSol = async (rover = 'perseverance', emitEvents = true
     });
     
     // Update global state and emit events if maxSol changed
-    const previousMaxSol = maxSolEventDispatcher.lastKnownMaxSol;
+    const previousMaxSol = maxSolEventDispatcher.lastKnownMaxSol[rover] ?? null;
     if (maxSol !== previousMaxSol) {
-      maxSolEventDispatcher.lastKnownMaxSol = maxSol;
+      maxSolEventDispatcher.lastKnownMaxSol[rover] = maxSol;
       if (emitEvents) {
         maxSolEventDispatcher.emit('max_sol_updated', {
           rover,
@@ -110,13 +237,13 @@ export const getCurrentMaxSol = async (rover = 'perseverance', emitEvents = true
     const lastKnown = unifiedCache.get(lastKnownKey);
     if (lastKnown && lastKnown.maxSol) {
       console.log('Using last known max sol from cache:', lastKnown.maxSol);
-      maxSolEventDispatcher.lastKnownMaxSol = lastKnown.maxSol;
+      maxSolEventDispatcher.lastKnownMaxSol[rover] = lastKnown.maxSol;
       return lastKnown.maxSol;
     }
     
-    // Fallback to higher static value if no cached data available
-    const fallbackMaxSol = 1650; // Conservative estimate higher than known mission progress
-    maxSolEventDispatcher.lastKnownMaxSol = fallbackMaxSol;
+    // Fallback to the rover's static estimate if no cached data available
+    const fallbackMaxSol = getRoverProfile(rover).fallbackMaxSol; // Conservative estimate higher than known mission progress
+    maxSolEventDispatcher.lastKnownMaxSol[rover] = fallbackMaxSol;
     return fallbackMaxSol;
   }
 };
@@ -133,12 +260,13 @@ export const getRoverManifest = async (rover = 'perseverance') => {
   } catch (error) {
     console.warn('Failed to fetch rover manifest:', error);
     // Return fallback manifest structure
+    const profile = getRoverProfile(rover);
     return {
-      max_sol: 1650,
+      max_sol: profile.fallbackMaxSol,
       max_date: new Date().toISOString().split('T')[0],
-      total_photos: 400000,
-      status: 'active',
-      landing_date: '2021-02-18'
+      total_photos: profile.fallbackTotalPhotos,
+      status: profile.status,
+      landing_date: profile.landingDate
     };
   }
 };
@@ -157,7 +285,7 @@ export const isValidSol = async (sol, rover = 'perseverance') => {
     return sol <= maxSol;
   } catch (error) {
     console.warn('Error validating sol:', error);
-    return sol <= 1650; // Conservative fallback
+    return sol <= getRoverProfile(rover).fallbackMaxSol; // Conservative fallback
   }
 };
 
@@ -173,7 +301,7 @@ export const clampSolToValidRange = async (sol, rover = 'perseverance') => {
     return Math.max(0, Math.min(maxSol, sol));
   } catch (error) {
     console.warn('Error clamping sol, using resilient fallback:', error);
-    const fallbackMaxSol = getLastKnownMaxSol(rover) || 1650; // Try cached value first
+    const fallbackMaxSol = getLastKnownMaxSol(rover) || getRoverProfile(rover).fallbackMaxSol; // Try cached value first
     return Math.max(0, Math.min(fallbackMaxSol, sol));
   }
 };
@@ -202,14 +330,15 @@ export const getMissionStats = async (rover = 'perseverance') => {
     
     // Try to get last known max sol from centralized system
     const fallbackMaxSol = await getCurrentMaxSol(rover, false); // Don't emit events for fallback
+    const profile = getRoverProfile(rover);
     
     return {
       maxSol: fallbackMaxSol,
-      totalPhotos: Math.max(400000, fallbackMaxSol * 180), // Estimate based on max sol
-      missionStatus: 'active',
-      landingDate: '2021-02-18',
+      totalPhotos: Math.max(profile.fallbackTotalPhotos, fallbackMaxSol * 180), // Estimate based on max sol
+      missionStatus: profile.status,
+      landingDate: profile.landingDate,
       maxDate: new Date().toISOString().split('T')[0],
-      missionDurationDays: Math.ceil((Date.now() - new Date('2021-02-18')) / (1000 * 60 * 60 * 24))
+      missionDurationDays: Math.ceil((Date.now() - new Date(profile.landingDate)) / (1000 * 60 * 60 * 24))
     };
   }
 };
@@ -228,6 +357,23 @@ export const subscribeToMaxSolUpdates = (callback, rover = 'perseverance') => {
   });
 };
 
+/**
+ * Subscribe to manifest change events - new sols, late downlinks, new cameras and mission status changes
+ * @param {Function} callback - Receives each event ({ id, type, rover, timestamp, ... })
+ * @param {string} rover - The rover name (default: 'perseverance')
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToManifestEvents = (callback, rover = 'perseverance') => {
+  const unsubscribers = Object.values(MANIFEST_EVENTS).map(type => (
+    maxSolEventDispatcher.subscribe(type, (event) => {
+      if (event.rover === rover) {
+        callback(event);
+      }
+    })
+  ));
+  return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+};
+
 /**
  * Get the last known max sol without triggering API calls
  * @param {string} rover - The rover name (default: 'perseverance')
@@ -236,7 +382,7 @@ export const subscribeToMaxSolUpdates = (callback, rover = 'perseverance') => {
 export const getLastKnownMaxSol = (rover = 'perseverance') => {
   const lastKnownKey = `last_known_max_sol_${rover}`;
   const lastKnown = unifiedCache.get(lastKnownKey);
-  return lastKnown?.maxSol || maxSolEventDispatcher.lastKnownMaxSol || null;
+  return lastKnown?.maxSol || maxSolEventDispatcher.lastKnownMaxSol[rover] || null;
 };
 
 /**
@@ -0,0 +1,200 @@
+// Rover Power Model
+// Solar insolation from Ls, latitude and local time with dust-opacity attenuation; panel dust and cleaning events
+// for solar rovers, MMRTG decay for nuclear rovers; daily energy budget and battery state of charge
+
+import { DEFAULT_ROVER, getRoverProfile } from '../data/roverProfiles.js';
+import { getSolMarsTime } from './marsTime.js';
+
+export const POWER_SOURCES = {
+  MMRTG: 'MMRTG', // Multi-Mission Radioisotope Thermoelectric Generator
+  SOLAR: 'SOLAR'
+};
+
+const SOLAR_CONSTANT = 1361; // W/m² at 1 AU
+const MARS_SEMI_MAJOR_AXIS_AU = 1.52368;
+const MARS_ECCENTRICITY = 0.09340;
+const PERIHELION_LS = 250.87; // degrees
+const MARS_OBLIQUITY = 25.19; // degrees
+const SOL_HOURS = 24.6597; // Earth hours in a sol
+const PU238_HALF_LIFE_YEARS = 87.7;
+const DIFFUSE_FRACTION = 0.5; // Share of the light scattered out of the direct beam that reaches the ground in thin haze
+const DIFFUSE_SCALE_TAU = 4; // Thick dust absorbs more of the scattered light on its way down
+const INTEGRATION_STEPS = 96; // Quarter-hour steps over a sol
+const DEFAULT_TAU = 0.5; // Typical clear-season dust opacity
+const DEFAULT_MIN_TEMPERATURE = -80; // °C
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Deterministic [0, 1) value per sol so modelled cleaning events repeat between runs
+const solNoise = (sol, seed) => {
+  const x = Math.sin(sol * 12.9898 + seed * 78.233) * 43758.5453;
+  return x - Math.floor(x);
+};
+
+/**
+ * Sun-Mars distance at a solar longitude
+ * @param {number} ls - Solar longitude in degrees
+ * @returns {number} Distance in AU
+ */
+export const getHeliocentricDistance = (ls) => (
+  MARS_SEMI_MAJOR_AXIS_AU * (1 - MARS_ECCENTRICITY ** 2) / (1 + MARS_ECCENTRICITY * Math.cos(toRadians(ls - PERIHELION_LS)))
+);
+
+/**
+ * Solar declination at a solar longitude
+ * @param {number} ls - Solar longitude in degrees
+ * @returns {number} Declination in degrees
+ */
+export const getSolarDeclination = (ls) => toDegrees(Math.asin(Math.sin(toRadians(MARS_OBLIQUITY)) * Math.sin(toRadians(ls))));
+
+/**
+ * Solar elevation above the horizon
+ * @param {number} ls - Solar longitude in degrees
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} ltst - Local true solar time in hours (default: noon)
+ * @returns {number} Elevation in degrees (negative at night)
+ */
+export const getSolarElevation = (ls, latitude, ltst = 12) => {
+  const declination = toRadians(getSolarDeclination(ls));
+  const lat = toRadians(latitude);
+  const hourAngle = toRadians((ltst - 12) * 15);
+  const cosZenith = Math.sin(lat) * Math.sin(declination) + Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle);
+  return toDegrees(Math.asin(clamp(cosZenith, -1, 1)));
+};
+
+/**
+ * Instantaneous insolation on a horizontal surface
+ * Direct beam attenuated by Beer-Lambert extinction through `tau / cos(zenith)`, plus the diffuse part scattered
+ * forward, which thins out in a dust storm.
+ * @param {Object} conditions - { ls, latitude, ltst, tau }
+ * @returns {number} W/m² (0 at night)
+ */
+export const getInsolation = ({ ls, latitude, ltst = 12, tau = DEFAULT_TAU }) => {
+  const cosZenith = Math.sin(toRadians(getSolarElevation(ls, latitude, ltst)));
+  if (cosZenith <= 0) return 0;
+
+  const topOfAtmosphere = (SOLAR_CONSTANT / getHeliocentricDistance(ls) ** 2) * cosZenith;
+  const airMass = 1 / Math.max(cosZenith, 0.05); // Plane-parallel, capped near the horizon
+  const direct = topOfAtmosphere * Math.exp(-tau * airMass);
+  return direct + (topOfAtmosphere - direct) * DIFFUSE_FRACTION * Math.exp(-tau / DIFFUSE_SCALE_TAU);
+};
+
+/**
+ * Insolation integrated over a sol
+ * @param {Object} conditions - { ls, latitude, tau }
+ * @returns {{ energyWhM2: number, peakWM2: number }} Daily energy (Wh/m²) and the noon peak (W/m²)
+ */
+export const getDailyInsolation = ({ ls, latitude, tau = DEFAULT_TAU }) => {
+  let energyWhM2 = 0;
+  for (let step = 0; step < INTEGRATION_STEPS; step++) {
+    const ltst = (step + 0.5) * 24 / INTEGRATION_STEPS;
+    energyWhM2 += getInsolation({ ls, latitude, ltst, tau }) * SOL_HOURS / INTEGRATION_STEPS;
+  }
+  return { energyWhM2, peakWM2: getInsolation({ ls, latitude, ltst: 12, tau }) };
+};
+
+/**
+ * MMRTG electrical output - Pu-238 decay plus thermocouple degradation since fuelling
+ * @param {Object} power - Rover power profile (beginningOfLifeWatts, fuelDate, thermocoupleDegradation)
+ * @param {Date} date - Earth time
+ * @returns {number} Watts
+ */
+export const getRtgOutput = (power, date) => {
+  const years = Math.max(0, (date - new Date(power.fuelDate)) / (365.25 * 86400000));
+  const decay = Math.exp(-Math.LN2 * years / PU238_HALF_LIFE_YEARS);
+  return power.beginningOfLifeWatts * decay * (1 - power.thermocoupleDegradation) ** years;
+};
+
+// Panel dust factor per rover, extended sol by sol (index = sol)
+const dustFactors = new Map();
+
+/**
+ * Share of sunlight reaching the solar cells through the dust on the panels
+ * Dust settles every sol; in the windy season dust devils occasionally clean part of it off.
+ * @param {string} rover - Rover id
+ * @param {number} sol - Mission sol
+ * @returns {number} Dust factor (1 = clean panels)
+ */
+export const getDustFactor = (rover, sol) => {
+  const profile = getRoverProfile(rover);
+  const { power } = profile;
+  if (profile.powerSource !== POWER_SOURCES.SOLAR) return 1;
+
+  const factors = dustFactors.get(profile.id) || [1];
+  for (let current = factors.length; current <= sol; current++) {
+    const { ls } = getSolMarsTime(current, profile.id);
+    const [seasonStart, seasonEnd] = power.cleaningSeasonLs;
+    let factor = Math.max(power.minDustFactor, factors[current - 1] - power.dustAccumulationPerSol);
+
+    if (ls >= seasonStart && ls <= seasonEnd && solNoise(current, profile.landingSite.lon) < power.cleaningProbability) {
+      factor += (1 - factor) * (0.3 + 0.6 * solNoise(current + 1, profile.landingSite.lat)); // Partial cleaning
+    }
+    factors[current] = factor;
+  }
+  dustFactors.set(profile.id, factors);
+  return factors[Math.max(0, Math.floor(sol))];
+};
+
+/**
+ * Daily power budget for a rover
+ * @param {Object} conditions - { rover, sol, tau, minTemperature (°C), latitude } - missing values use typical conditions
+ * @returns {Object} { source, energyWh, averageWatts, peakWatts, efficiency, dustFactor, insolationWhM2,
+ *   survivalLoadWh, marginWh, batteryCharge, solarElevation, ls }
+ */
+export const calculatePowerBudget = ({ rover = DEFAULT_ROVER, sol, tau = null, minTemperature = null, latitude = null }) => {
+  const profile = getRoverProfile(rover);
+  const { power } = profile;
+  const { ls, earthDate } = getSolMarsTime(sol, profile.id);
+  const lat = latitude ?? profile.landingSite.lat;
+  const insolation = getDailyInsolation({ ls, latitude: lat, tau: tau ?? DEFAULT_TAU });
+
+  let energyWh;
+  let peakWatts;
+  let dustFactor = null;
+  if (profile.powerSource === POWER_SOURCES.SOLAR) {
+    dustFactor = getDustFactor(profile.id, sol);
+    const arrayYield = power.arrayAreaM2 * power.arrayEfficiency * dustFactor;
+    energyWh = insolation.energyWhM2 * arrayYield;
+    peakWatts = insolation.peakWM2 * arrayYield;
+  } else {
+    peakWatts = getRtgOutput(power, earthDate);
+    energyWh = peakWatts * SOL_HOURS;
+  }
+
+  // Survival load: avionics plus heaters working harder the colder the night
+  const heaterWh = power.heaterWhPerDegree * Math.max(0, power.heaterSetpoint - (minTemperature ?? DEFAULT_MIN_TEMPERATURE));
+  const survivalLoadWh = power.baseLoadWh + heaterWh;
+  const marginWh = energyWh - survivalLoadWh;
+
+  return {
+    source: profile.powerSource,
+    energyWh,
+    averageWatts: energyWh / SOL_HOURS,
+    peakWatts,
+    efficiency: energyWh / power.beginningOfLifeWh, // Relative to the start of the mission
+    dustFactor,
+    insolationWhM2: insolation.energyWhM2,
+    survivalLoadWh,
+    marginWh,
+    // End-of-sol state of charge: the battery tops up when the sol leaves energy to spare
+    batteryCharge: clamp(35 + 65 * (marginWh / Math.max(energyWh, 1)), 5, 100),
+    solarElevation: getSolarElevation(ls, lat),
+    ls
+  };
+};
+
+const powerModel = {
+  POWER_SOURCES,
+  getHeliocentricDistance,
+  getSolarDeclination,
+  getSolarElevation,
+  getInsolation,
+  getDailyInsolation,
+  getRtgOutput,
+  getDustFactor,
+  calculatePowerBudget
+};
+
+export default powerModel;
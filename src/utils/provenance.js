@@ -0,0 +1,102 @@
+// Telemetry Data Provenance
+// Tags telemetry fields as measured, derived, modeled or fallback, with the source and time of each value
+
+// Kinds, strongest first
+export const PROVENANCE = {
+  MEASURED: 'measured', // Reported by NASA or a rover instrument
+  DERIVED: 'derived', // Calculated only from measured values or fixed mission facts
+  MODELED: 'modeled', // Produced by a model or simulation
+  FALLBACK: 'fallback' // Placeholder used because the real source failed
+};
+
+export const PROVENANCE_SOURCES = {
+  NASA_MANIFEST: 'NASA_MANIFEST', // Mars Photos API mission manifest
+  NASA_FIXTURE: 'NASA_FIXTURE', // Recorded manifest served by the fixture data source
+  MEDA: 'MEDA', // Perseverance weather station
+  REMS: 'REMS', // Curiosity weather station
+  NASA_TRAVERSE: 'NASA_TRAVERSE', // Published rover traverse (GeoJSON waypoints)
+  ROVER_PROFILE: 'ROVER_PROFILE', // Static mission facts (landing site, phase table)
+  MARS_CONSTANTS: 'MARS_CONSTANTS', // Physical constants such as sol length
+  EPHEMERIS: 'EPHEMERIS', // Analytic Earth-Mars orbital geometry
+  MISSION_MODEL: 'MISSION_MODEL', // Distance and system-health models
+  POWER_MODEL: 'POWER_MODEL', // Insolation, panel dust and MMRTG decay model
+  ATMOSPHERE_MODEL: 'ATMOSPHERE_MODEL', // Seasonal environmental model
+  UI_SIMULATION: 'UI_SIMULATION', // Values generated in the browser for display only
+  FALLBACK_SIMULATION: 'FALLBACK_SIMULATION' // Used when NASA data couldn't be fetched
+};
+
+export const PROVENANCE_LABELS = {
+  [PROVENANCE.MEASURED]: 'MEASURED',
+  [PROVENANCE.DERIVED]: 'DERIVED',
+  [PROVENANCE.MODELED]: 'MODELED',
+  [PROVENANCE.FALLBACK]: 'FALLBACK'
+};
+
+export const PROVENANCE_DESCRIPTIONS = {
+  [PROVENANCE.MEASURED]: 'Measured value reported by NASA or a rover instrument',
+  [PROVENANCE.DERIVED]: 'Calculated from measured values',
+  [PROVENANCE.MODELED]: 'Modeled estimate - not a measurement',
+  [PROVENANCE.FALLBACK]: 'Fallback placeholder - the real data source was unavailable'
+};
+
+const KIND_RANK = [PROVENANCE.MEASURED, PROVENANCE.DERIVED, PROVENANCE.MODELED, PROVENANCE.FALLBACK];
+
+/**
+ * Create a provenance tag
+ * @param {string} kind - One of PROVENANCE
+ * @param {string} source - Where the value came from (PROVENANCE_SOURCES or a data source label)
+ * @param {string} timestamp - ISO time the value was measured or produced (default: now)
+ * @returns {{kind: string, source: string, timestamp: string}}
+ */
+export const createProvenance = (kind, source, timestamp = new Date().toISOString()) => ({ kind, source, timestamp });
+
+/**
+ * Tag several fields with the same provenance
+ * @param {Array<string>} fields - Field names
+ * @param {string} kind - One of PROVENANCE
+ * @param {string} source - Source label
+ * @param {string} timestamp - ISO timestamp
+ * @returns {Object} field -> provenance
+ */
+export const tagFields = (fields, kind, source, timestamp = new Date().toISOString()) => (
+  Object.fromEntries(fields.map(field => [field, createProvenance(kind, source, timestamp)]))
+);
+
+/**
+ * Provenance of a value calculated from other fields - the weakest input decides the kind,
+ * so anything computed from a modeled value is itself modeled
+ * @param {Array<Object>} inputs - Provenance of each input
+ * @param {string} source - Source label (default: the inputs' sources)
+ * @returns {{kind: string, source: string, timestamp: string}}
+ */
+export const deriveProvenance = (inputs, source = null) => {
+  const tagged = inputs.filter(Boolean);
+  if (tagged.length === 0) {
+    return createProvenance(PROVENANCE.FALLBACK, source || PROVENANCE_SOURCES.FALLBACK_SIMULATION);
+  }
+
+  const weakest = Math.max(...tagged.map(input => KIND_RANK.indexOf(input.kind)));
+  const kind = KIND_RANK[Math.max(weakest, KIND_RANK.indexOf(PROVENANCE.DERIVED))];
+  const timestamps = tagged.map(input => input.timestamp).filter(Boolean).sort();
+
+  return createProvenance(
+    kind,
+    source || Array.from(new Set(tagged.map(input => input.source))).join('+'),
+    timestamps[timestamps.length - 1] || new Date().toISOString()
+  );
+};
+
+export const isMeasured = (provenance) => provenance?.kind === PROVENANCE.MEASURED;
+
+const provenance = {
+  PROVENANCE,
+  PROVENANCE_SOURCES,
+  PROVENANCE_LABELS,
+  PROVENANCE_DESCRIPTIONS,
+  createProvenance,
+  tagFields,
+  deriveProvenance,
+  isMeasured
+};
+
+export default provenance;